@@ -2,47 +2,958 @@ const express = require('express');
 const http = require('http');
 const { Server } = require("socket.io");
 const { GoogleGenerativeAI } = require("@google/generative-ai");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
+const { once } = require("events");
 require('dotenv').config(); 
+const { createAuth, SESSION_COOKIE, SESSION_TTL_MS } = require('./lib/auth');
+const { createDeviceRegistry, macRoom, viewersRoom, streamRoom } = require('./lib/devices');
+const { createDelivery } = require('./lib/delivery');
+const { FRAME_TYPE, parseFrame, legacyKeyframe } = require('./lib/frames');
+const { createFrameChannel } = require('./lib/fanout');
+const { createRecorder } = require('./lib/recorder');
+const { toRemoteInput } = require('./lib/input');
+const { createTransfers, MAX_CHUNK_BYTES } = require('./lib/transfers');
+const { createClipboardHistory } = require('./lib/clipboard');
+const { sanitizeSnapshot, stripMetaRefresh } = require('./lib/sanitize');
+const { diffHtml } = require('./lib/htmldiff');
+const { createHtmlHistory } = require('./lib/htmlHistory');
+const { createApiRouter } = require('./lib/api');
+const { openapi } = require('./lib/openapi');
+const { PROTOCOL_VERSION, SERVER_CAPABILITIES, EVENTS, checkAccess, validate, negotiate } = require('./lib/protocol');
+const { PERMISSIONS, CLIENT_TYPE_DEFAULTS, resolveRole } = require('./lib/roles');
+const { createViewerStats, decide } = require('./lib/adaptive');
+const { createPresence } = require('./lib/presence');
+const { createMetrics } = require('./lib/metrics');
+const { captureConsole } = require('./lib/logBuffer');
+const { createAuditLog } = require('./lib/audit');
+const { createAnnotations, normalizeShape } = require('./lib/annotations');
+const { createConfig, maskPassword } = require('./lib/config');
+const { createBroker } = require('./lib/broker');
+const { createBrokerAdapter } = require('./lib/adapter');
+const { createSharedMap } = require('./lib/shared');
+const { createAttemptLimiter } = require('./lib/attempts');
+
+// --- Configuration ---
+// Defaults, overridden by the JSON file at BRIDGE_CONFIG, overridden by environment
+// variables (lib/config.js). Settings read through config.get() where they are used
+// follow a reload; the rest are read once here and need a restart.
+const CONFIG_FILE = process.env.BRIDGE_CONFIG || './config/bridge.json';
+let config;
+try {
+    config = createConfig({ file: CONFIG_FILE, onChange: (changed) => applyConfig(changed) });
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+// Socket.io checks every connection against these; see allowedOrigins in lib/config.js.
+function originListed(origin) {
+    const allowed = config.get('allowedOrigins');
+    return allowed.includes('*') || allowed.includes(origin);
+}
+
+function originAllowed(origin, host) {
+    if (!origin || originListed(origin)) return true;
+    try {
+        return new URL(origin).host === host;
+    } catch {
+        return false;
+    }
+}
+
+const queueTiming = () => ({
+    baseDelayMs: config.get('queueRetryDelayMs'),
+    maxDelayMs: config.get('queueMaxRetryDelayMs'),
+    ackTimeoutMs: config.get('queueAckTimeoutMs'),
+    maxAttempts: config.get('queueMaxAttempts'),
+});
+
+const autoQualityBounds = () => ({
+    minQuality: config.get('autoQualityMin'),
+    maxQuality: config.get('autoQualityMax'),
+    minFrameRate: config.get('autoFrameRateMin'),
+    maxFrameRate: config.get('autoFrameRateMax'),
+    targetLatencyMs: config.get('autoTargetLatencyMs'),
+    maxBacklog: config.get('autoMaxBacklog'),
+});
+
+// --- Instances ---
+// Several servers can run behind one load balancer when they share a broker (brokerUrl,
+// lib/broker.js). Socket.io broadcasts, acks and room changes go through it (lib/adapter.js),
+// and so do the shared maps (lib/shared.js) holding what every instance must agree on:
+// sign-ins, paired devices, device settings, Mac presence and queued commands. With the
+// default in-process broker the server runs on its own.
+const broker = createBroker(config.get('brokerUrl'));
+const sharedMaps = [];
+
+function sharedMap(name, onChange) {
+    const map = createSharedMap({ broker, name, onChange });
+    sharedMaps.push(map);
+    return map;
+}
 
 const app = express();
 const server = http.createServer(app);
-const io = new Server(server);
+const io = new Server(server, {
+    adapter: createBrokerAdapter(broker),
+    // Browsers on other origins need to be listed in allowedOrigins; Macs and scripts send no Origin.
+    allowRequest: (req, callback) => callback(null, originAllowed(req.headers.origin, req.headers.host)),
+    cors: { origin: (origin, callback) => callback(null, originListed(origin)), credentials: true },
+});
+
+// Some things are decided by one instance, such as input control by the Mac's. Sections add
+// what other instances may ask of this one to `instanceCalls`; askInstance() runs it there
+// through a server-side emit, which every instance receives and only the one named answers.
+const instanceCalls = {}; // name -> function(...args) returning the answer or a promise of it
+
+/**
+ * Runs `instanceCalls[name](...args)` on an instance (maybe this one) and resolves to its
+ * answer. Rejects with what it threw, or when it did not answer (it may have stopped).
+ */
+function askInstance(instance, name, ...args) {
+    if (instance === broker.id) return Promise.resolve().then(() => instanceCalls[name](...args));
+    return new Promise((resolve, reject) => io.serverSideEmit('instanceCall', { instance, name, args }, (err, responses) => {
+        const answer = responses.find(response => response && response.instance === instance);
+        if (!answer) reject(new Error(`Instance ${instance} did not answer.`));
+        else if (answer.error) reject(new Error(answer.error));
+        else resolve(answer.result);
+    }));
+}
+
+io.on('instanceCall', ({ instance, name, args }, callback) => {
+    if (instance !== broker.id) return callback(null);
+    Promise.resolve()
+        .then(() => instanceCalls[name](...args))
+        .then(result => callback({ instance, result }), error => callback({ instance, error: error.message }));
+});
+
+// Web sockets join `lacks:<permission>` for every permission their role lacks, so
+// pushes can skip them with toViewers(deviceId, permission).
+const lacksRoom = (permission) => `lacks:${permission}`;
+const toViewers = (deviceId, permission) => io.to(viewersRoom(deviceId)).except(lacksRoom(permission));
+// Every socket of a sign-in, and every socket presenting a device's token, identified or not.
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+const tokenRoom = (deviceId) => `token:${deviceId}`;
 
-const PORT = process.env.PORT || 3000;
-const IMAGE_DIRECTORY = "./data"; // Directory for exam images
+const PORT = config.get('port');
+const STATE_DIRECTORY = config.get('stateDirectory'); // Paired devices and other persisted state
+const RECORDINGS_DIRECTORY = path.join(STATE_DIRECTORY, "recordings");
+const TRANSFERS_DIRECTORY = path.join(STATE_DIRECTORY, "transfers");
+const HTML_HISTORY_DIRECTORY = path.join(STATE_DIRECTORY, "html");
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000;
+const AUTO_QUALITY_INTERVAL_MS = 2000;
+const HEARTBEAT_INTERVAL_MS = config.get('heartbeatIntervalMs');
+// How long a Mac whose connection dropped shows as reconnecting before it counts as disconnected; 0 for at once.
+const MAC_OFFLINE_GRACE_MS = config.get('macOfflineGraceMs');
+const DIAGNOSTICS_INTERVAL_MS = 2000;
+const DIAGNOSTICS_HISTORY = 150; // Samples kept for the diagnostics charts (5 minutes)
+
+// --- Metrics and Logs ---
+// Counters are bumped where things happen; gauges are read when /metrics is scraped
+// (see the Diagnostics section below).
+const logs = captureConsole({ size: config.get('logBufferSize') });
+const metrics = createMetrics();
+const framesReceived = metrics.counter('bridge_frames_received_total', 'Screen frames received from Macs.');
+const frameBytesReceived = metrics.counter('bridge_frame_bytes_received_total', 'Bytes of screen frames received from Macs.');
+const framesForwarded = metrics.counter('bridge_frames_forwarded_total', 'Screen frames sent to viewers.');
+const macReconnects = metrics.counter('bridge_mac_reconnects_total', 'Times a Mac identified again after its first connection since the server started.');
+const commandDelivery = metrics.histogram('bridge_command_delivery_seconds', 'Time from queueing a command to the Mac acking it.');
+
+// --- Authentication ---
+const auth = createAuth({
+    stateDirectory: STATE_DIRECTORY,
+    users: process.env.BRIDGE_USERS,
+    apiTokens: process.env.BRIDGE_API_TOKENS,
+    viewers: process.env.BRIDGE_VIEWERS,
+    sessions: sharedMap('sessions'),
+    pairingCodes: sharedMap('pairingCodes'),
+    pairedDevices: sharedMap('pairedDevices', () => auth.sync()),
+});
+// Clients that keep getting the password or pairing code wrong are locked out for a while.
+const attempts = createAttemptLimiter({ store: sharedMap('failedAttempts') });
+
+/**
+ * Express middleware that only lets signed-in web users through.
+ */
+function requireSession(req, res, next) {
+    const session = auth.sessionFromCookie(req.headers.cookie);
+    if (session) {
+        req.session = session;
+        return next();
+    }
+    console.log(`Rejected unauthenticated request for ${req.path} from ${req.ip}`);
+    if (req.method === 'GET' && req.accepts('html')) return res.redirect('/login');
+    res.status(401).json({ error: 'unauthorized' });
+}
+
+/**
+ * Express middleware, used after requireSession, that only lets users whose role
+ * has the permission through (see lib/roles.js).
+ */
+const requirePermission = (permission) => (req, res, next) => {
+    if (resolveRole(req.session.role).permissions.has(permission)) return next();
+    res.status(403).json({ error: `the ${permission} permission is required` });
+};
+
+/**
+ * Express middleware for routes with a :deviceId: only lets paired, unrevoked
+ * devices through, as req.device.
+ */
+const requireDevice = (req, res, next) => {
+    req.device = actions.findDevice(req.params.deviceId);
+    if (!req.device) return res.status(404).json({ error: 'device not found' });
+    next();
+};
+
+// API clients may send images to the clipboard; everything else keeps the default body limit.
+app.use('/api/v1', express.json({ limit: '6mb' }));
+app.use(express.urlencoded({ extended: false }));
+app.use(express.json());
+
+app.get('/login', (req, res) => res.send(LOGIN_HTML));
+app.post('/login', (req, res) => {
+    const { user, password } = req.body || {};
+    const actor = { kind: 'user', name: String(user || ''), role: null, via: 'http' };
+    const client = `login:${req.ip}`;
+    if (attempts.lockedFor(client)) {
+        audit.record(actor, null, 'login', `from ${req.ip}, locked out`, 'rejected');
+        return res.redirect('/login?error=locked');
+    }
+    const sessionId = auth.login(user, password);
+    if (!sessionId) {
+        const locked = attempts.fail(client);
+        console.log(`Rejected login for "${user}" from ${req.ip}${locked ? '; locked out' : ''}`);
+        audit.record(actor, null, 'login', `from ${req.ip}`, 'rejected');
+        return res.redirect(locked ? '/login?error=locked' : '/login?error=1');
+    }
+    attempts.succeed(client);
+    console.log(`Web user signed in: ${user}`);
+    audit.record(actor, null, 'login', `from ${req.ip}`, 'ok');
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${sessionId}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${SESSION_TTL_MS / 1000}`);
+    res.redirect('/');
+});
+app.post('/logout', requireSession, (req, res) => {
+    auth.logout(req.session.sessionId);
+    audit.record({ kind: 'user', name: req.session.user, role: req.session.role, via: 'http' }, null, 'logout', `from ${req.ip}`, 'ok');
+    mirrorSettings.delete(req.session.sessionId);
+    disconnectSockets(sessionRoom(req.session.sessionId));
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+    res.redirect('/login');
+});
+
+// The macOS client exchanges a one-time pairing code (shown in the web UI) for its device token.
+app.post('/pair', (req, res) => {
+    const { code, name } = req.body || {};
+    const actor = { kind: 'device', name: String(name || 'Mac'), role: null, via: 'http' };
+    const client = `pair:${req.ip}`;
+    const lockedFor = attempts.lockedFor(client);
+    if (lockedFor) {
+        audit.record(actor, null, 'pair', `from ${req.ip}, locked out`, 'rejected');
+        res.setHeader('Retry-After', Math.ceil(lockedFor / 1000));
+        return res.status(429).json({ error: 'too many failed attempts' });
+    }
+    const paired = auth.pairDevice(code, name);
+    if (!paired) {
+        const locked = attempts.fail(client);
+        console.log(`Rejected pairing attempt with code "${code}" from ${req.ip}${locked ? '; locked out' : ''}`);
+        audit.record(actor, null, 'pair', `from ${req.ip}`, 'rejected');
+        return res.status(403).json({ error: 'invalid or expired pairing code' });
+    }
+    attempts.succeed(client);
+    console.log(`Paired new device ${paired.deviceId} (${name || 'Mac'})`);
+    audit.record(actor, paired.deviceId, 'pair', `from ${req.ip}`, 'ok');
+    broadcastDeviceList();
+    res.json(paired);
+});
 
 // --- Routes for Web App ---
-app.get('/', (req, res) => res.send(MAIN_UI_HTML));
-app.get('/stream-view', (req, res) => res.send(STREAM_VIEW_HTML));
-app.get('/html-view', (req, res) => res.send(HTML_VIEW_HTML));
+app.get('/', requireSession, (req, res) => res.send(mainUiHtml()));
+app.get('/stream-view', requireSession, (req, res) => res.send(STREAM_VIEW_HTML));
+app.get('/html-view', requireSession, (req, res) => res.send(HTML_VIEW_HTML));
+app.get('/playback', requireSession, (req, res) => res.send(PLAYBACK_VIEW_HTML));
+
+// --- Recordings ---
+// Recordings need what starting and stopping them needs.
+app.get('/recordings', requireSession, requirePermission('changeStreamSettings'), (req, res) => res.json(recorder.list()));
+app.get('/recordings/:id/index', requireSession, requirePermission('changeStreamSettings'), (req, res) => {
+    const index = recorder.getIndex(req.params.id);
+    if (!index) return res.status(404).json({ error: 'recording not found' });
+    res.json(index);
+});
+app.get('/recordings/:id/segments/:number', requireSession, requirePermission('changeStreamSettings'), (req, res) => {
+    const file = recorder.segmentFile(req.params.id, parseInt(req.params.number, 10));
+    if (!fs.existsSync(file)) return res.status(404).json({ error: 'segment not found' });
+    res.sendFile(path.resolve(file), { headers: { 'Content-Type': 'application/octet-stream' } });
+});
+app.get('/recordings/:id/export', requireSession, requirePermission('changeStreamSettings'), (req, res) => {
+    const from = Math.max(0, parseInt(req.query.from, 10) || 0);
+    const to = parseInt(req.query.to, 10);
+    const data = recorder.exportRange(req.params.id, from, Number.isFinite(to) ? to : Infinity);
+    if (!data) return res.status(404).json({ error: 'recording not found' });
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${path.basename(req.params.id)}-${from}-${req.query.to || 'end'}.sfrec"`);
+    res.send(data);
+});
+
+// --- File Transfers ---
+app.get('/transfers/:id/download', requireSession, requirePermission('transferFiles'), (req, res) => {
+    const transfer = transfers.get(req.params.id);
+    if (!transfer || !['ready', 'delivering', 'complete'].includes(transfer.status)) return res.status(404).json({ error: 'transfer not found' });
+    if (transfer.instance === broker.id) return res.download(path.resolve(transfers.dataFile(transfer.id)), transfer.name);
+    return sendRemoteTransfer(req, res, transfer);
+});
+
+/**
+ * Sends a file held by another instance, fetched from it chunk by chunk. A single
+ * byte range is honoured, as res.download() does for local files.
+ */
+async function sendRemoteTransfer(req, res, transfer) {
+    const ranges = transfer.size > 0 ? req.range(transfer.size) : null;
+    if (ranges === -1) {
+        res.setHeader('Content-Range', `bytes */${transfer.size}`);
+        return res.status(416).end();
+    }
+    const [start, end] = Array.isArray(ranges) && ranges.length === 1 ? [ranges[0].start, ranges[0].end] : [0, transfer.size - 1];
+    res.attachment(transfer.name);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Content-Length', end + 1 - start);
+    if (end + 1 - start < transfer.size) {
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${transfer.size}`);
+    }
+    for (let offset = start; offset <= end;) {
+        const chunk = await changeTransfer(transfer.id, 'read', offset, Math.min(MAX_CHUNK_BYTES, end + 1 - offset));
+        if (chunk.error) {
+            console.error(`Download of transfer ${transfer.id} failed: ${chunk.error}`);
+            return res.headersSent ? res.destroy() : res.status(502).json({ error: chunk.error });
+        }
+        offset += chunk.data.length;
+        if (!res.write(chunk.data)) await once(res, 'drain');
+    }
+    res.end();
+}
+
+// --- Mirrored HTML ---
+// The Mac's page source is served on its own path with a CSP whose 'sandbox' directive
+// gives it an opaque origin: even with scripts allowed, it cannot read the bridge's
+// cookies or reach its socket, and 'connect-src' keeps it from calling out. When the
+// page's own scripts are off, only the nonce'd patch applier runs.
+const mirrorSettings = sharedMap('mirrorSettings'); // sessionId -> { scripts, mode: 'live'|'snapshot' }
+const mirrorSettingsFor = (sessionId) => mirrorSettings.get(sessionId) || { scripts: false, mode: 'live' };
+
+function mirrorPolicy({ scripts, mode }, nonce) {
+    const pageScripts = scripts && mode === 'live';
+    return [
+        'sandbox allow-scripts',
+        "default-src 'none'",
+        mode === 'snapshot' ? 'img-src data:' : 'img-src * data: blob:',
+        mode === 'snapshot' ? "style-src 'unsafe-inline'" : "style-src * 'unsafe-inline'",
+        mode === 'snapshot' ? 'font-src data:' : 'font-src * data:',
+        mode === 'snapshot' ? "media-src 'none'" : 'media-src * data: blob:',
+        pageScripts ? "script-src * 'unsafe-inline' 'unsafe-eval'" : `script-src 'nonce-${nonce}'`,
+        "connect-src 'none'",
+        "base-uri 'none'",
+        "form-action 'none'",
+        "frame-ancestors 'self'",
+    ].join('; ');
+}
+
+// Sanitizing is the slow part; the latest snapshot of each device is reused for patches.
+const sanitizedCache = new Map(); // deviceId -> { version, html }
+
+// Versions start again at 1 after a wipe, so a dropped snapshot is dropped here too.
+function forgetSanitized(deviceId, version) {
+    const cached = sanitizedCache.get(deviceId);
+    if (cached && cached.version === version) sanitizedCache.delete(deviceId);
+}
+
+/**
+ * A version of a device's page as a viewer in `mode` sees it, or null if unknown.
+ */
+function mirrorSource(deviceId, version, mode) {
+    const source = htmlHistory.get(deviceId, version);
+    if (source === null) return null;
+    if (mode !== 'snapshot') return stripMetaRefresh(source);
+    const cached = sanitizedCache.get(deviceId);
+    if (cached && cached.version === version) return cached.html;
+    const { html } = sanitizeSnapshot(source);
+    sanitizedCache.set(deviceId, { version, html });
+    return html;
+}
+
+// The page, its history and diffs need what the HTML_RENDER tab needs.
+const mirrorAccess = [requireSession, requirePermission('viewHtml'), requireDevice];
+app.get('/mirror/:deviceId', mirrorAccess, (req, res) => {
+    const latest = htmlHistory.latest(req.device.id);
+    const version = req.query.version ? parseInt(req.query.version, 10) : latest && latest.version;
+    const settings = mirrorSettingsFor(req.session.sessionId);
+    const html = version ? mirrorSource(req.device.id, version, settings.mode) : null;
+    if (html === null) return res.status(404).json({ error: 'no mirrored page' });
+    const nonce = crypto.randomBytes(16).toString('base64');
+    res.setHeader('Content-Security-Policy', mirrorPolicy(settings, nonce));
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Referrer-Policy', 'no-referrer');
+    res.setHeader('Cache-Control', 'no-store');
+    res.type('html').send(`${html}<script nonce="${nonce}">${MIRROR_APPLIER_JS.replace('MIRROR_VERSION', version)}</script>`);
+});
+app.get('/mirror/:deviceId/history', mirrorAccess, (req, res) => res.json(htmlHistory.list(req.device.id)));
+app.get('/mirror/:deviceId/diff', mirrorAccess, (req, res) => {
+    const from = parseInt(req.query.from, 10);
+    const to = parseInt(req.query.to, 10);
+    const mode = mirrorSettingsFor(req.session.sessionId).mode;
+    const before = mirrorSource(req.device.id, from, mode);
+    const after = mirrorSource(req.device.id, to, mode);
+    if (before === null || after === null) return res.status(404).json({ error: 'snapshot not found' });
+    res.json({ from, to, ops: diffHtml(before, after, { maxOps: Infinity, maxRatio: Infinity }) });
+});
+app.get('/mirror-compare', requireSession, (req, res) => res.send(MIRROR_COMPARE_HTML));
 
 // --- State Management ---
-let lastClipboardContent = "Welcome to the shared clipboard!";
-let lastEmoji = "⌛";
-let lastWord = "Ready";
-let lastQuality = 1;
-let lastFrameRate = 8;
-let lastHtmlSource = ``; // Set to empty to allow placeholder to show
-let macUserSocketId = null;
-let messageQueue = [];
+const devices = createDeviceRegistry({
+    stateDirectory: STATE_DIRECTORY,
+    defaults: { quality: config.get('defaultQuality'), frameRate: config.get('defaultFrameRate') },
+    store: sharedMap('deviceState', (deviceId) => devices.sync(deviceId)),
+});
+const recorder = createRecorder({ directory: RECORDINGS_DIRECTORY });
+const htmlHistory = createHtmlHistory({
+    directory: HTML_HISTORY_DIRECTORY,
+    limit: config.get('htmlHistoryLimit'),
+    store: sharedMap('htmlHistory', (key, snapshot, previous) => {
+        htmlHistory.sync(key, snapshot, previous);
+        if (snapshot) publishHtmlUpdate(snapshot.deviceId, snapshot.version - 1);
+        else if (previous) forgetSanitized(previous.deviceId, previous.version);
+    }),
+});
+const transfers = createTransfers({
+    directory: TRANSFERS_DIRECTORY,
+    maxBytes: config.get('maxTransferBytes'),
+    instance: broker.id,
+    store: sharedMap('transfers', (id, transfer, previous) => transfers.sync(id, transfer, previous)),
+    onChange: (transfer) => {
+        toViewers(transfer.deviceId, 'transferFiles').emit('transferProgress', transfer);
+        if (transfer.direction === 'toMac' && transfer.status === 'ready') offerFile(transfer);
+    },
+});
+
+// A transfer is changed, and its file read, by the instance holding the file; the others
+// pass chunks and reads on to it. `change` is a function of lib/transfers.js taking the id first.
+instanceCalls.changeTransfer = (id, change, ...args) => transfers[change](id, ...args);
+function changeTransfer(id, change, ...args) {
+    const transfer = transfers.get(id);
+    if (!transfer) return Promise.resolve({ error: 'Unknown transfer.' });
+    return askInstance(transfer.instance, 'changeTransfer', id, change, ...args)
+        .catch(error => ({ error: `The instance holding the file did not answer: ${error.message}` }));
+}
+
+const clipboard = createClipboardHistory({
+    stateDirectory: STATE_DIRECTORY,
+    limit: config.get('clipboardHistoryLimit'),
+    store: sharedMap('clipboard', () => clipboard.sync()),
+});
+
+// A device's clipboard history is changed by its owner (deviceOwner()), so its versions
+// are counted in one place. `change` is 'write', 'resend' or 'pin' of lib/clipboard.js;
+// a pin resolves to the changed entry and the history.
+instanceCalls.changeClipboard = (deviceId, change, ...args) => {
+    const result = clipboard[change](deviceId, ...args);
+    return change === 'pin' ? result && { entry: result, history: clipboard.list(deviceId) } : result;
+};
+const changeClipboard = (deviceId, change, ...args) => askInstance(deviceOwner(deviceId), 'changeClipboard', deviceId, change, ...args)
+    .catch(error => ({ error: `The clipboard could not be changed: ${error.message}` }));
+
+// --- Audit Log ---
+// Who did what to which device and how it turned out (lib/audit.js). New entries are
+// pushed to the audit tab of users who may manage devices, and passed to the other
+// instances for their logs. A device wipe keeps them.
+const SYSTEM_ACTOR = { kind: 'system', name: 'server', role: null, via: 'server' };
+const AUDIT_CHANNEL = 'bridge:audit';
+const audit = createAuditLog({
+    stateDirectory: STATE_DIRECTORY,
+    maxBytes: config.get('auditLogMaxBytes'),
+    onEntry: (entry) => {
+        io.to('web').except(lacksRoom('manageDevices')).emit('auditEntry', entry);
+        if (broker.shared) broker.publish(AUDIT_CHANNEL, { instance: broker.id, entry });
+    },
+});
+broker.subscribe(AUDIT_CHANNEL, ({ instance, entry }) => {
+    if (instance !== broker.id) audit.add(entry);
+});
 
 /**
- * Sends a message to the macOS client if connected, otherwise queues it.
+ * Whether the device's Mac declared a capability (see lib/protocol.js) when it identified.
+ */
+function macSupports(device, capability) {
+    return !!device.protocol && device.protocol.capabilities.has(capability);
+}
+
+/**
+ * Sends a new clipboard entry to the device's viewers and the Mac. Macs without
+ * the 'clipboardHistory' capability only get text entries, as 'clipboardData'.
+ */
+function publishClipboard(device, entry) {
+    toViewers(device.id, 'editClipboard').emit('clipboardEntry', entry);
+    if (macSupports(device, 'clipboardHistory')) io.to(macRoom(device.id)).emit('clipboardEntry', entry);
+    else if (entry.type === 'text') io.to(macRoom(device.id)).emit('clipboardData', entry.content);
+}
+
+/**
+ * Tells a Mac a verified file is waiting; it pulls it with 'fileChunkRequest'.
+ */
+function offerFile(transfer) {
+    const device = devices.find(transfer.deviceId);
+    if (!device || !macSupports(device, 'fileTransfer')) return;
+    const { id, name, size, sha256, mimeType } = transfer;
+    io.to(macRoom(transfer.deviceId)).emit('fileAvailable', { id, name, size, sha256, mimeType });
+}
+
+/**
+ * Paired devices merged with their live connection state, for the device switcher.
+ */
+function listDevices() {
+    return auth.listDevices().map(d => {
+        const device = devices.find(d.id);
+        const protocol = device && device.protocol;
+        const { status, lastSeenAt, latencyMs } = macStatus(d.id);
+        return {
+            ...d,
+            // A Mac in its grace period still counts as online.
+            online: status !== 'disconnected',
+            presence: status,
+            latencyMs,
+            lastSeenAt: Math.max(d.lastSeenAt || 0, lastSeenAt || 0) || null,
+            protocolVersion: protocol ? protocol.version : null,
+            client: protocol ? protocol.client : null,
+        };
+    });
+}
+
+function htmlUpdate(deviceId, patch = null) {
+    const latest = htmlHistory.latest(deviceId);
+    return { deviceId, version: latest ? latest.version : 0, available: !!latest, patch };
+}
+
+/**
+ * Tells this instance's viewers of a device about a new page version, with the patches
+ * from `previousVersion` in the mode (live or snapshot) each of them is looking at. Every
+ * instance does this for its own viewers when a snapshot reaches it.
+ */
+function publishHtmlUpdate(deviceId, previousVersion) {
+    const latest = htmlHistory.latest(deviceId);
+    const patches = {}; // mode -> { from, to, ops } or null
+    const patchFor = (mode) => {
+        if (!(mode in patches)) {
+            const before = previousVersion ? mirrorSource(deviceId, previousVersion, mode) : null;
+            const ops = before !== null && diffHtml(before, mirrorSource(deviceId, latest.version, mode));
+            patches[mode] = ops ? { from: previousVersion, to: latest.version, ops } : null;
+        }
+        return patches[mode];
+    };
+    roomSockets(viewersRoom(deviceId)).filter(s => s.data.permissions.has('viewHtml')).forEach(s => s.emit('htmlUpdate', htmlUpdate(deviceId, patchFor(mirrorSettingsFor(s.data.identity.sessionId).mode))));
+}
+
+function broadcastDeviceList() {
+    io.to('web').emit('deviceList', listDevices());
+}
+
+// Commands are emitted as (data, { commandId }) with a socket.io ack callback; the Mac
+// acks by calling it or by emitting 'commandAck' with the command id. An ack counts even
+// when another instance failed to report back in time. Macs without the 'commandAck'
+// capability get the command the way they always did, once, without waiting for an ack.
+const delivery = createDelivery({
+    stateDirectory: STATE_DIRECTORY,
+    store: sharedMap('commands', (commandId, entry, previous) => delivery.sync((entry || previous).deviceId)),
+    ...queueTiming(),
+    transmit: (deviceId, command, ackTimeoutMs, done) => {
+        if (!macSupports(devices.get(deviceId), 'commandAck')) {
+            io.to(macRoom(deviceId)).emit(command.event, command.data);
+            return false;
+        }
+        io.to(macRoom(deviceId)).timeout(ackTimeoutMs).emit(command.event, command.data, { commandId: command.id }, (err, responses) => done(responses.length > 0));
+    },
+    onQueueChange: (deviceId, queue) => toViewers(deviceId, 'sendCommands').emit('statusUpdate', queueStatusUpdate(deviceId, queue)),
+    onDelivered: (deviceId, command) => {
+        commandDelivery.observe({ device: deviceId }, (Date.now() - command.createdAt) / 1000);
+        const detail = macSupports(devices.get(deviceId), 'commandAck') ? `acked after ${command.attempts} attempt(s)` : 'sent without ack';
+        audit.record(SYSTEM_ACTOR, deviceId, command.event, detail, 'delivered', { commandId: command.id });
+    },
+    onFailed: (deviceId, command) => audit.record(SYSTEM_ACTOR, deviceId, command.event, `not acked after ${command.attempts} attempts`, 'failed', { commandId: command.id }),
+});
+
+// --- Mac Presence ---
+// Macs with the 'heartbeat' capability are pinged every HEARTBEAT_INTERVAL_MS and
+// answer through the ack; for older Macs the round trip of engine.io's own
+// ping/pong is used. A dropped Mac is 'reconnecting' for MAC_OFFLINE_GRACE_MS first.
+//
+// The instance a Mac is connected to tracks it and writes what it finds to the shared
+// `macs` map, which is what every instance shows. The others learn from it which socket
+// and capabilities the Mac has.
+const presence = createPresence({
+    intervalMs: HEARTBEAT_INTERVAL_MS,
+    timeoutMs: Math.min(HEARTBEAT_INTERVAL_MS, 4000),
+    graceMs: MAC_OFFLINE_GRACE_MS,
+    ping: (deviceId, timeoutMs, done) => {
+        const device = devices.find(deviceId);
+        if (!device || !device.socketId || !macSupports(device, 'heartbeat')) return false;
+        io.to(macRoom(deviceId)).timeout(timeoutMs).emit('heartbeat', { sentAt: Date.now() }, (err, responses) => done(responses.length > 0));
+        return true;
+    },
+    onChange: (deviceId, status, statusChanged) => {
+        publishPresence(deviceId);
+        reportPresence(deviceId, statusChanged);
+    },
+});
+presence.start();
+
+const macs = sharedMap('macs', (deviceId, record) => applyMacRecord(deviceId, record)); // deviceId -> { instance, socketId, protocol, ...status, updatedAt }
+
+/**
+ * Writes what this instance knows of a Mac connected to it for the others.
+ */
+function publishPresence(deviceId) {
+    const device = devices.get(deviceId);
+    const { protocol } = device;
+    macs.set(deviceId, {
+        instance: broker.id,
+        socketId: device.socketId,
+        protocol: protocol && { version: protocol.version, client: protocol.client, capabilities: [...protocol.capabilities], displays: protocol.displays },
+        ...presence.status(deviceId),
+        updatedAt: Date.now(),
+    });
+}
+
+function reportPresence(deviceId, statusChanged) {
+    io.to(viewersRoom(deviceId)).emit('statusUpdate', macStatusUpdate(deviceId));
+    if (!statusChanged) return;
+    console.log(`Device ${deviceId} is ${macStatus(deviceId).status}.`);
+    broadcastDeviceList();
+}
+
+/**
+ * Takes on a Mac's record as written by another instance. Once the Mac is connected
+ * elsewhere, this instance stops tracking it and sending it commands.
+ */
+function applyMacRecord(deviceId, record) {
+    const device = devices.get(deviceId);
+    const socketId = record && record.status === 'connected' ? record.socketId : null;
+    if (socketId !== device.socketId) device.stream.reset();
+    device.socketId = socketId;
+    if (record && record.protocol) device.protocol = { ...record.protocol, capabilities: new Set(record.protocol.capabilities) };
+    if (!record || record.instance !== broker.id) {
+        presence.release(deviceId);
+        delivery.setOnline(deviceId, false);
+    }
+}
+
+/**
+ * The instance that decides what must be decided in one place for a device, such as its
+ * clipboard versions: the one its Mac is connected to. While no Mac is, it is `fallback`,
+ * by default the asking instance itself, and two instances deciding at once may both
+ * succeed, leaving the later write.
+ */
+function deviceOwner(deviceId, fallback = broker.id) {
+    const record = macs.get(deviceId);
+    return record && record.status !== 'disconnected' ? record.instance : fallback;
+}
+
+/**
+ * Whether a Mac is connected, reconnecting or disconnected, and how well it answers; see lib/presence.js.
+ */
+function macStatus(deviceId) {
+    const record = macs.get(deviceId);
+    if (!record) return { status: 'disconnected', since: null, lastSeenAt: null, latencyMs: null, quality: null, missedHeartbeats: 0 };
+    const { status, since, lastSeenAt, latencyMs, quality, missedHeartbeats } = record;
+    return { status, since, lastSeenAt, latencyMs, quality, missedHeartbeats };
+}
+
+function macStatusUpdate(deviceId) {
+    return { deviceId, type: 'mac', ...macStatus(deviceId) };
+}
+
+// A Mac whose instance stopped without a word stops being refreshed; so does one whose
+// instance shut down during its grace period. Any instance then marks it disconnected.
+setInterval(() => macs.forEach((record, deviceId) => {
+    if (record.instance === broker.id || record.status === 'disconnected') return;
+    const staleAfterMs = record.status === 'connected' ? 3 * HEARTBEAT_INTERVAL_MS : MAC_OFFLINE_GRACE_MS + HEARTBEAT_INTERVAL_MS;
+    if (Date.now() - record.updatedAt < staleAfterMs) return;
+    const now = Date.now();
+    macs.set(deviceId, { ...record, instance: null, socketId: null, status: 'disconnected', since: now, latencyMs: null, quality: null, updatedAt: now });
+    applyMacRecord(deviceId, macs.get(deviceId));
+    reportPresence(deviceId, true);
+}), HEARTBEAT_INTERVAL_MS);
+
+// --- Diagnostics ---
+// GET /metrics for Prometheus, and a sample every DIAGNOSTICS_INTERVAL_MS (with the
+// new log lines) for the sockets in the 'diagnostics' room.
+function connectedClients() {
+    const counts = {};
+    io.sockets.sockets.forEach(socket => {
+        const type = socket.data.clientType || 'unidentified';
+        counts[type] = (counts[type] || 0) + 1;
+    });
+    return counts;
+}
+
+const perDevice = (value) => () => devices.all().map(device => ({ labels: { device: device.id }, value: value(device) })).filter(sample => sample.value !== null);
+metrics.gauge('bridge_connected_clients', 'Connected sockets by client type.', () => Object.entries(connectedClients()).map(([type, value]) => ({ labels: { type }, value })));
+metrics.gauge('bridge_mac_up', 'Whether the Mac is connected (1), reconnecting (0.5) or disconnected (0).', perDevice(device => ({ connected: 1, reconnecting: 0.5 })[macStatus(device.id).status] || 0));
+metrics.gauge('bridge_mac_latency_seconds', 'Average round trip to the Mac.', perDevice(device => {
+    const { latencyMs } = macStatus(device.id);
+    return latencyMs === null ? null : latencyMs / 1000;
+}));
+metrics.gauge('bridge_command_queue_depth', 'Commands waiting to be delivered.', perDevice(device => delivery.status(device.id).count));
+metrics.gauge('bridge_command_queue_failed', 'Commands that were never acked and wait to be retried by hand.', perDevice(device => delivery.status(device.id).failed));
+metrics.gauge('process_uptime_seconds', 'Seconds since the server started.', () => Math.round(process.uptime()));
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size.', () => process.memoryUsage().rss);
+
+const diagnosticsHistory = [];
+let previousTotals = null;
+let lastLogSeq = 0;
+
+/**
+ * Rates over the last interval, for the diagnostics charts.
+ */
+function diagnosticsSample() {
+    const totals = { at: Date.now(), framesIn: framesReceived.total(), bytesIn: frameBytesReceived.total(), framesOut: framesForwarded.total(), delivery: commandDelivery.total() };
+    const previous = previousTotals || totals;
+    previousTotals = totals;
+    const seconds = Math.max(totals.at - previous.at, 1) / 1000;
+    const frames = totals.framesIn - previous.framesIn;
+    const delivered = totals.delivery.count - previous.delivery.count;
+    return {
+        at: totals.at,
+        clients: connectedClients(),
+        framesInPerSecond: Math.round(frames / seconds * 10) / 10,
+        framesOutPerSecond: Math.round((totals.framesOut - previous.framesOut) / seconds * 10) / 10,
+        averageFrameBytes: frames ? Math.round((totals.bytesIn - previous.bytesIn) / frames) : null,
+        queueDepth: devices.all().reduce((sum, device) => sum + delivery.status(device.id).count, 0),
+        deliveryLatencyMs: delivered ? Math.round((totals.delivery.sum - previous.delivery.sum) / delivered * 1000) : null,
+        macReconnects: macReconnects.total(),
+    };
+}
+
+setInterval(() => {
+    const sample = diagnosticsSample();
+    diagnosticsHistory.push(sample);
+    if (diagnosticsHistory.length > DIAGNOSTICS_HISTORY) diagnosticsHistory.shift();
+    const entries = logs.since(lastLogSeq);
+    if (entries.length) lastLogSeq = entries[entries.length - 1].seq;
+    io.to('diagnostics').emit('diagnostics', { sample, logs: entries });
+}, DIAGNOSTICS_INTERVAL_MS);
+
+function queueStatusUpdate(deviceId, queue) {
+    return { deviceId, type: 'queue', status: queue.count > 0 ? 'queued' : 'cleared', count: queue.count, failed: queue.failed };
+}
+
+/**
+ * Sends a message to a device's macOS client. Commands ('wordToMac') go through
+ * the acknowledged delivery queue; settings are sent straight away and re-sent
+ * on identify.
+ * @param {object} device The device state from the registry.
  * @param {string} event The name of the event to emit.
  * @param {*} data The data to send with the event.
  */
-function sendToMac(event, data) {
-    if (event != "wordToMac" || (macUserSocketId && messageQueue.length == 0)) {
-        io.to(macUserSocketId).emit(event, data);
-    } else {
-        console.log(`macOS client disconnected. Queuing message: ${event}`);
-        messageQueue.push({ event, data });
-        io.emit('statusUpdate', { type: 'queue', status: 'queued', count: messageQueue.length });
+function sendToMac(device, event, data) {
+    if (event === "wordToMac") {
+        const command = delivery.enqueue(device.id, event, data);
+        if (!device.socketId) console.log(`macOS client ${device.id} disconnected. Queued command ${command.id}: ${event}`);
+        return command;
     }
+    io.to(macRoom(device.id)).emit(event, data);
+    return null;
+}
+
+/**
+ * The sockets in a room.
+ */
+function roomSockets(room) {
+    const ids = io.sockets.adapter.rooms.get(room) || new Set();
+    return [...ids].map(id => io.sockets.sockets.get(id)).filter(Boolean);
+}
+
+const streamSockets = (deviceId) => roomSockets(streamRoom(deviceId));
+
+/**
+ * Per-viewer stream statistics for the viewers panel.
+ */
+function streamViewerStats(deviceId) {
+    return streamSockets(deviceId).map(socket => ({
+        id: socket.id,
+        user: socket.data.identity.user,
+        client: socket.data.clientType,
+        ...socket.data.streamStats.summary(),
+    }));
 }
 
+// A Mac's frames reach the other instances on its device's channel, as they are. An instance
+// only subscribes while it has viewers of that stream or records it, and the Mac isn't here.
+const framesChannel = (deviceId) => `bridge:frames#${deviceId}`;
+const frameSubscriptions = new Map(); // deviceId -> unsubscribe
+
+/**
+ * Takes a screen frame from the device's Mac: shows it here and passes it on to the
+ * other instances.
+ */
+function relayFrame(device, frame, buffer) {
+    framesReceived.inc({ device: device.id });
+    frameBytesReceived.inc({ device: device.id }, buffer.length);
+    if (!showFrame(device, frame, buffer)) return;
+    device.recentFrameBytes.push(buffer.length);
+    if (device.recentFrameBytes.length > 30) device.recentFrameBytes.shift();
+    if (broker.shared) broker.publish(framesChannel(device.id), buffer);
+}
+
+/**
+ * Subscribes to the device's frames from other instances, or stops, as this instance's
+ * viewers, recordings and Mac connection change.
+ */
+function followFrames(deviceId) {
+    const device = devices.find(deviceId);
+    const wanted = Boolean(device) && broker.shared && !macIsHere(device)
+        && (io.sockets.adapter.rooms.has(streamRoom(deviceId)) || Boolean(recorder.status(deviceId)));
+    if (wanted === frameSubscriptions.has(deviceId)) return;
+    if (!wanted) {
+        frameSubscriptions.get(deviceId)();
+        frameSubscriptions.delete(deviceId);
+        return;
+    }
+    frameSubscriptions.set(deviceId, broker.subscribe(framesChannel(deviceId), (buffer) => {
+        if (!macIsHere(device)) showFrame(device, parseFrame(buffer), buffer);
+    }, { binary: true }));
+}
+
+// Viewers joining or leaving a stream, and Macs connecting here or leaving, come and go with rooms.
+['create-room', 'delete-room'].forEach(event => io.sockets.adapter.on(event, (room) => {
+    const match = /^(?:stream|mac):(.+)$/.exec(room);
+    if (match) followFrames(match[1]);
+}));
+
+/**
+ * Caches a screen frame for late joiners and forwards it to the device's viewers
+ * on this instance. Asks the Mac for a keyframe (at most once a second) when a
+ * delta arrives without one or too many tiles have piled up since the last keyframe.
+ * @returns {boolean} Whether the frame was accepted.
+ */
+function showFrame(device, frame, buffer) {
+    const { accepted, needKeyframe } = device.stream.add(frame, buffer);
+    if (needKeyframe && macSupports(device, 'keyframeRequests') && Date.now() - device.lastKeyframeRequestAt > 1000) {
+        device.lastKeyframeRequestAt = Date.now();
+        io.to(macRoom(device.id)).emit('requestKeyframe');
+    }
+    if (!accepted) return false;
+    if (frame.type === FRAME_TYPE.KEY && keyframeWaiters.has(device.id)) {
+        keyframeWaiters.get(device.id).forEach(resolve => resolve());
+        keyframeWaiters.delete(device.id);
+    }
+    recorder.write(device, buffer, frame);
+    streamSockets(device.id).forEach(socket => socket.data.frameChannel.push(buffer, frame));
+    return true;
+}
+
+function autoQualityUpdate(device) {
+    return { deviceId: device.id, enabled: device.autoQuality, quality: device.quality, frameRate: device.frameRate, reason: device.autoQualityReason, bounds: autoQualityBounds() };
+}
+
+/**
+ * Whether the device's Mac is connected to this instance rather than another one.
+ */
+const macIsHere = (device) => io.sockets.adapter.rooms.has(macRoom(device.id));
+
+// --- Adaptive Quality ---
+// Every few seconds, devices in auto mode get their quality and frame rate
+// re-tuned from what their viewers are actually receiving, and every viewer
+// gets the per-client sent/dropped counters. Both only cover the viewers on this
+// instance, so auto quality is left to the instance the Mac is connected to.
+setInterval(() => {
+    devices.online().forEach(device => io.local.to(viewersRoom(device.id)).emit('streamViewerStats', streamViewerStats(device.id)));
+    devices.online().filter(device => device.autoQuality && macIsHere(device)).forEach(device => {
+        const viewers = streamSockets(device.id).map(socket => socket.data.streamStats.summary());
+        const avgFrameBytes = device.recentFrameBytes.length ? device.recentFrameBytes.reduce((a, b) => a + b, 0) / device.recentFrameBytes.length : 0;
+        const next = decide(device, viewers, avgFrameBytes, autoQualityBounds());
+        const changed = next.quality !== device.quality || next.frameRate !== device.frameRate;
+        if (next.quality !== device.quality) {
+            device.quality = next.quality;
+            sendToMac(device, 'qualityChange', device.quality);
+        }
+        if (next.frameRate !== device.frameRate) {
+            device.frameRate = next.frameRate;
+            sendToMac(device, 'frameRateChange', device.frameRate);
+        }
+        if (changed) {
+            devices.save(device);
+            audit.record(SYSTEM_ACTOR, device.id, 'autoQuality', `quality ${device.quality}, ${device.frameRate} FPS: ${next.reason}`, 'ok');
+        }
+        if (next.reason !== device.autoQualityReason) console.log(`[autoQuality] ${device.id}: ${next.reason}`);
+        device.autoQualityReason = next.reason;
+        io.to(viewersRoom(device.id)).emit('autoQualityUpdate', { ...autoQualityUpdate(device), metrics: next.metrics });
+    });
+}, AUTO_QUALITY_INTERVAL_MS);
+
+// --- Remote Input Control Lock ---
+// Only one web client at a time may send mouse and keyboard input to a Mac. The holder is
+// kept in the shared `controllers` map and decided by the device's owner (deviceOwner()):
+// it grants requests one at a time, and only passes on input from the holder.
+const controllers = sharedMap('controllers', (deviceId) => publishControlLock(deviceId)); // deviceId -> { socketId, user, instance }
+const lastInputAt = new Map(); // deviceId -> when the holder's input last went to the Mac, for the idle release
+
+function controlLockUpdate(deviceId) {
+    const controller = controllers.get(deviceId);
+    return { deviceId, holder: controller ? { socketId: controller.socketId, user: controller.user } : null };
+}
+
+// Every instance tells its own viewers when its copy of the lock changes.
+function publishControlLock(deviceId) {
+    io.local.to(viewersRoom(deviceId)).emit('controlLock', controlLockUpdate(deviceId));
+}
+
+instanceCalls.claimControl = (deviceId, controller) => {
+    const current = controllers.get(deviceId);
+    if (current && current.socketId !== controller.socketId) return { granted: false };
+    controllers.set(deviceId, controller);
+    lastInputAt.set(deviceId, Date.now());
+    publishControlLock(deviceId);
+    return { granted: true };
+};
+
+function releaseControl(deviceId, reason) {
+    const controller = controllers.get(deviceId);
+    if (!controller) return;
+    console.log(`Input control of ${deviceId} released by ${controller.user} (${reason})`);
+    audit.record(SYSTEM_ACTOR, deviceId, 'releaseControl', `${controller.user} (${reason})`, 'ok');
+    controllers.delete(deviceId);
+    lastInputAt.delete(deviceId);
+    publishControlLock(deviceId);
+}
+
+/**
+ * Passes input on to a Mac connected here if it comes from the holder of its lock.
+ */
+function passInput(deviceId, socketId, input) {
+    const controller = controllers.get(deviceId);
+    if (!controller || controller.socketId !== socketId) return;
+    lastInputAt.set(deviceId, Date.now());
+    io.to(macRoom(deviceId)).emit('inputEvent', input);
+}
+
+io.on('remoteInput', ({ deviceId, socketId, input }) => {
+    const device = devices.find(deviceId);
+    if (device && macIsHere(device)) passInput(deviceId, socketId, input);
+});
+
+// The instance that decides releases a holder who stopped sending input; the idle time
+// counts from when it last passed input on, or started deciding.
+setInterval(() => {
+    controllers.forEach((controller, deviceId) => {
+        if (deviceOwner(deviceId, controller.instance) !== broker.id) {
+            lastInputAt.delete(deviceId);
+            return;
+        }
+        if (!lastInputAt.has(deviceId)) lastInputAt.set(deviceId, Date.now());
+        if (Date.now() - lastInputAt.get(deviceId) > config.get('controlIdleTimeoutMs')) releaseControl(deviceId, 'idle');
+    });
+}, 10000);
+
 // --- Gemini AI Exam Processor ---
 const systemInstruction = `
 **Objective:** To correctly answer a UI/UX course exam.
@@ -87,10 +998,11 @@ async function processExamWithGemini(socket, examQuestions, apiKey, modelName) {
     };
 
     try {
-        emitStatus(`🔎 Reading files from "${IMAGE_DIRECTORY}"...`);
+        const imageDirectory = config.get('imageDirectory');
+        emitStatus(`🔎 Reading files from "${imageDirectory}"...`);
         let availableImages = [];
-        if (fs.existsSync(IMAGE_DIRECTORY)) {
-            availableImages = fs.readdirSync(IMAGE_DIRECTORY).filter(file => path.extname(file).toLowerCase() === '.png');
+        if (fs.existsSync(imageDirectory)) {
+            availableImages = fs.readdirSync(imageDirectory).filter(file => path.extname(file).toLowerCase() === '.png');
         }
         emitStatus(`✅ Found ${availableImages.length} image(s).`);
 
@@ -113,7 +1025,7 @@ async function processExamWithGemini(socket, examQuestions, apiKey, modelName) {
         if (requestedFiles.length > 0) {
             imageParts = requestedFiles
                 .map(fileName => {
-                    const fullPath = path.join(IMAGE_DIRECTORY, fileName);
+                    const fullPath = path.join(imageDirectory, fileName);
                     if (fs.existsSync(fullPath)) return fileToGenerativePart(fullPath, "image/png");
                     emitStatus(`⚠️ File not found: ${fileName}`);
                     return null;
@@ -122,108 +1034,1473 @@ async function processExamWithGemini(socket, examQuestions, apiKey, modelName) {
             emitStatus(`🖼️ Loading ${imageParts} image(s)...`);
         }
 
-        const followUpMessage = imageParts.length > 0
-            ? "Here are the files you requested. Please provide the final JSON answer."
-            : "You requested no files. Please answer based on the initial prompt.";
+        const followUpMessage = imageParts.length > 0
+            ? "Here are the files you requested. Please provide the final JSON answer."
+            : "You requested no files. Please answer based on the initial prompt.";
+
+        emitStatus("➡️ Sending follow-up...");
+        const result2 = await chat.sendMessage([followUpMessage, ...imageParts]);
+        let finalJsonResponse = result2.response.text().replace(/```json\n?/g, "").replace(/```/g, "");
+        
+        emitStatus("🎉 Complete! Populating Batch Ops.");
+        emitResult({ success: true, data: finalJsonResponse });
+
+    } catch (e) {
+        console.error("Gemini processing error:", e);
+        emitResult({ success: false, error: e.message });
+    }
+}
+
+// --- Displays and Regions ---
+// Macs with the 'displaySelection' capability list their displays when they identify.
+// Viewers pick one and may crop it to a region; both are kept per device and sent
+// again when the Mac reconnects, like quality and frame rate.
+const MIN_REGION_SIZE = 0.02; // Of the display's width and height
+
+/** The displays the device's Mac listed when it last identified. */
+const macDisplays = (device) => (device.protocol ? device.protocol.displays : []);
+
+function streamConfig(device) {
+    return { deviceId: device.id, supported: macSupports(device, 'displaySelection'), displays: macDisplays(device), displayId: device.displayId, region: device.region };
+}
+
+/**
+ * Why a region can't be used, or null. REST callers skip the socket schemas, so the types are checked too.
+ */
+function regionError(region) {
+    if (!region || typeof region !== 'object') return 'region must be an object or null.';
+    const { x, y, width, height } = region;
+    if (![x, y, width, height].every(value => typeof value === 'number' && value >= 0 && value <= 1)) return 'region x, y, width and height must be numbers from 0 to 1.';
+    if (width < MIN_REGION_SIZE || height < MIN_REGION_SIZE) return `region must be at least ${MIN_REGION_SIZE} of the display wide and high.`;
+    if (x + width > 1.0001 || y + height > 1.0001) return 'region must lie within the display.';
+    return null;
+}
+
+/** Whether the Mac lists the chosen display; if not, the Mac streams one of its own choice, uncropped. */
+const chosenDisplayPresent = (device) => device.displayId === null || macDisplays(device).some(display => display.id === device.displayId);
+
+/**
+ * Sends the chosen display and region to the Mac. A display the Mac doesn't list
+ * (e.g. an unplugged monitor) is left to the Mac, but remembered for when it is back.
+ */
+function applyStreamConfig(device, target = io.to(macRoom(device.id))) {
+    if (!macSupports(device, 'displaySelection')) return;
+    const present = chosenDisplayPresent(device);
+    target.emit('displayChange', present ? device.displayId : null);
+    target.emit('regionChange', present ? device.region : null);
+}
+
+/**
+ * What the streamed picture shows, for mapping remote input onto the screen: the
+ * crop region (in fractions of the display, or null) and the display's size. The
+ * size is the one the Mac listed, or else worked out from the last keyframe.
+ * @returns {{region: object|null, screen: {width: number, height: number}|null}}
+ */
+function streamedArea(device) {
+    const frame = device.stream.dimensions;
+    if (!macSupports(device, 'displaySelection') || !chosenDisplayPresent(device)) return { region: null, screen: frame };
+    const displays = macDisplays(device);
+    const display = device.displayId === null ? displays.find(d => d.main) || (displays.length === 1 ? displays[0] : null) : displays.find(d => d.id === device.displayId);
+    const { region } = device;
+    if (display) return { region, screen: { width: display.width, height: display.height } };
+    if (!frame || !region) return { region, screen: frame };
+    return { region, screen: { width: Math.round(frame.width / region.width), height: Math.round(frame.height / region.height) } };
+}
+
+// --- Annotations ---
+// Shapes drawn over a device's stream are shared by everyone watching it. In 'session'
+// mode they are cleared once the last viewer of the device leaves, on any instance; in
+// 'keep' mode they stay until someone clears them. Being relative to the picture, they
+// are also cleared when the display or crop changes.
+const annotations = createAnnotations({
+    stateDirectory: STATE_DIRECTORY,
+    limit: config.get('annotationLimit'),
+    store: sharedMap('annotations', () => annotations.sync()),
+});
+annotations.deviceIds().forEach(deviceId => {
+    const device = devices.find(deviceId);
+    if (!device || device.annotationMode !== 'keep') annotations.clear(deviceId);
+});
+
+const annotationState = (device) => ({ deviceId: device.id, mode: device.annotationMode, shapes: annotations.list(device.id) });
+const publishAnnotations = (device) => toViewers(device.id, 'viewStream').emit('annotations', annotationState(device));
+
+function clearAnnotations(device, reason) {
+    if (!annotations.clear(device.id)) return;
+    console.log(`Annotations on ${device.id} cleared (${reason})`);
+    publishAnnotations(device);
+}
+
+/**
+ * Ends the annotation session of a device once nobody is watching it. Viewers are counted
+ * on every instance; if one doesn't answer, the shapes stay.
+ */
+async function endAnnotationSession(device) {
+    if (device.annotationMode !== 'session' || !annotations.list(device.id).length) return;
+    const viewers = await io.in(viewersRoom(device.id)).fetchSockets().catch(() => null);
+    if (viewers && viewers.length === 0) clearAnnotations(device, 'nobody watching');
+}
+
+// --- Actions ---
+// What web users can do to a device, shared by the socket handlers and the REST API
+// (lib/api.js) so both behave the same.
+const STREAM_SETTING_RANGES = { quality: [1, 100], frameRate: [1, 60] };
+const keyframeWaiters = new Map(); // deviceId -> [resolve], for latestJpeg()
+
+const actions = {
+    listDevices,
+
+    /** The state of a paired, unrevoked device, or null. */
+    findDevice(deviceId) {
+        const paired = auth.listDevices().find(d => d.id === deviceId && !d.revokedAt);
+        return paired ? devices.get(paired.id, paired.name) : null;
+    },
+
+    /** What the caller may see of a device; clipboard and command state need the matching permission. */
+    deviceState(device, permissions) {
+        const state = {
+            id: device.id,
+            name: device.name,
+            mac: macStatus(device.id).status,
+            latencyMs: macStatus(device.id).latencyMs,
+            quality: device.quality,
+            frameRate: device.frameRate,
+            autoQuality: device.autoQuality,
+            displays: macDisplays(device),
+            displayId: device.displayId,
+            region: device.region,
+        };
+        if (permissions.has('editClipboard')) state.clipboard = clipboard.current(device.id);
+        if (permissions.has('sendCommands')) Object.assign(state, { emoji: device.emoji, word: device.word, queue: delivery.status(device.id) });
+        return state;
+    },
+
+    /**
+     * Queues a word for the Mac.
+     * @param {object} actor Who sent it, as recorded in the audit log.
+     */
+    sendWord(device, word, actor) {
+        console.log(`Received word from ${actor.name} for ${device.id}: ${word}`);
+        device.word = word;
+        devices.save(device);
+        const command = sendToMac(device, 'wordToMac', word);
+        audit.record(actor, device.id, 'wordToMac', word, 'queued', { commandId: command.id });
+        return command;
+    },
+
+    /**
+     * Changes quality and/or frame rate and tells the Mac and the other viewers.
+     * @param {string} [exceptSocketId] The socket that made the change, which already shows it.
+     * @returns {{quality: number, frameRate: number}|{error: string}}
+     */
+    setStreamSettings(device, settings, actor, exceptSocketId = null) {
+        const changes = Object.entries(STREAM_SETTING_RANGES).filter(([name]) => settings[name] !== undefined);
+        const summary = changes.map(([name]) => `${name} ${settings[name]}`).join(', ');
+        for (const [name, [min, max]] of changes) {
+            const value = settings[name];
+            if (!Number.isInteger(value) || value < min || value > max) {
+                audit.record(actor, device.id, 'streamSettings', summary, 'rejected');
+                return { error: `${name} must be an integer from ${min} to ${max}.` };
+            }
+        }
+        changes.forEach(([name]) => {
+            device[name] = settings[name];
+            sendToMac(device, `${name}Change`, device[name]);
+        });
+        if (changes.length) {
+            devices.save(device);
+            console.log(`Stream settings for ${device.id} set by ${actor.name}: quality ${device.quality}, ${device.frameRate} FPS`);
+            audit.record(actor, device.id, 'streamSettings', summary, 'ok');
+        }
+        const update = { quality: device.quality, frameRate: device.frameRate };
+        (exceptSocketId ? io.to(viewersRoom(device.id)).except(exceptSocketId) : io.to(viewersRoom(device.id))).emit('streamSettings', update);
+        return update;
+    },
+
+    /**
+     * Picks the display to stream and the region of it to crop to. A region is
+     * `{ x, y, width, height }` in fractions of the display, and null streams all
+     * of it. Switching displays drops the region unless a new one comes along.
+     * Every viewer is told, including the one that made the change.
+     * @param {{displayId?: string|null, region?: object|null}} config
+     * @returns {object|{error: string}} The new configuration, as in 'streamConfig'.
+     */
+    setStreamConfig(device, config, actor) {
+        const summary = JSON.stringify(config);
+        const reject = (error) => {
+            audit.record(actor, device.id, 'streamConfig', summary, 'rejected');
+            return { error };
+        };
+        const { displayId = device.displayId } = config;
+        if (displayId !== null && typeof displayId !== 'string') return reject('displayId must be a string or null.');
+        const displays = macDisplays(device);
+        if (displayId !== null && displayId !== device.displayId && displays.length && !displays.some(display => display.id === displayId)) return reject(`The Mac has no display '${displayId}'.`);
+        const region = config.region !== undefined ? config.region : displayId === device.displayId ? device.region : null;
+        const error = region !== null && regionError(region);
+        if (error) return reject(error);
+
+        const round = (value) => Math.round(value * 10000) / 10000;
+        const previous = JSON.stringify([device.displayId, device.region]);
+        device.displayId = displayId;
+        device.region = region && { x: round(region.x), y: round(region.y), width: round(region.width), height: round(region.height) };
+        devices.save(device);
+        applyStreamConfig(device);
+        if (JSON.stringify([device.displayId, device.region]) !== previous) clearAnnotations(device, 'the picture changed');
+        console.log(`Stream config for ${device.id} set by ${actor.name}: display ${device.displayId || 'default'}, ${device.region ? 'cropped' : 'full'}`);
+        audit.record(actor, device.id, 'streamConfig', summary, 'ok');
+        io.to(viewersRoom(device.id)).emit('streamConfig', streamConfig(device));
+        return streamConfig(device);
+    },
+
+    /**
+     * Writes a clipboard entry. Only its type and length go to the audit log.
+     */
+    async writeClipboard(device, write, actor) {
+        const result = await changeClipboard(device.id, 'write', { ...write, source: { kind: actor.kind, name: actor.name } });
+        if (result.changed) publishClipboard(device, result.entry);
+        if (result.conflict) console.log(`Clipboard write from ${actor.name} based on v${write.baseVersion} rejected; ${device.id} is at v${result.conflict.version}`);
+        const outcome = result.error ? 'rejected' : result.conflict ? 'conflict' : result.changed ? 'ok' : 'unchanged';
+        audit.record(actor, device.id, 'clipboardWrite', `${write.type || 'text'}, ${String(write.content || '').length} characters${result.entry ? ` as v${result.entry.version}` : ''}`, outcome);
+        return result;
+    },
+
+    clipboardHistory: (device) => clipboard.list(device.id),
+
+    queue: (device) => ({ status: delivery.status(device.id), ...delivery.list(device.id) }),
+
+    /** Audit entries matching the filters, newest first (see lib/audit.js). */
+    auditLog: (filters) => audit.search(filters),
+
+    /** Audit entries as a 'jsonl' or 'csv' file. */
+    exportAuditLog: (filters, format) => audit.format(audit.search(filters), format),
+
+    /** The effective configuration, where each value came from and the last reload. */
+    settings: () => config.describe(),
+
+    /**
+     * The current picture as a JPEG. When it is made of tiles, asks the Mac for a
+     * fresh keyframe and waits briefly for it.
+     * @returns {Promise<Buffer|null>}
+     */
+    async latestJpeg(device, timeoutMs = 3000) {
+        const jpeg = device.stream.latestJpeg();
+        if (jpeg || !device.socketId || !macSupports(device, 'keyframeRequests')) return jpeg;
+        await new Promise(resolve => {
+            keyframeWaiters.set(device.id, [...(keyframeWaiters.get(device.id) || []), resolve]);
+            setTimeout(() => {
+                // No keyframe in time: stop waiting for one.
+                const rest = (keyframeWaiters.get(device.id) || []).filter(waiter => waiter !== resolve);
+                if (rest.length) keyframeWaiters.set(device.id, rest);
+                else keyframeWaiters.delete(device.id);
+                resolve();
+            }, timeoutMs);
+            io.to(macRoom(device.id)).emit('requestKeyframe');
+        });
+        return device.stream.latestJpeg();
+    },
+
+    /**
+     * Deletes everything stored for a device: clipboard history, mirrored HTML,
+     * queued and failed commands, transfers, recordings and settings. The
+     * pairing itself is kept.
+     */
+    wipeDevice(device, actor) {
+        clipboard.wipe(device.id);
+        htmlHistory.wipe(device.id);
+        sanitizedCache.delete(device.id);
+        delivery.wipe(device.id);
+        transfers.wipe(device.id);
+        annotations.clear(device.id);
+        const recordings = recorder.wipe(device.id);
+        followFrames(device.id);
+        devices.reset(device.id);
+        console.log(`Stored data of ${device.id} wiped by ${actor.name} (${recordings} recordings)`);
+        audit.record(actor, device.id, 'wipeDeviceData', `${recordings} recordings`, 'ok');
+
+        sendToMac(device, 'qualityChange', device.quality);
+        sendToMac(device, 'frameRateChange', device.frameRate);
+        applyStreamConfig(device);
+        toViewers(device.id, 'editClipboard').emit('clipboardHistory', []);
+        toViewers(device.id, 'transferFiles').emit('transferList', []);
+        toViewers(device.id, 'sendCommands').emit('emojiToWeb', device.emoji);
+        toViewers(device.id, 'viewHtml').emit('htmlUpdate', htmlUpdate(device.id));
+        io.to(viewersRoom(device.id)).emit('streamSettings', { quality: device.quality, frameRate: device.frameRate });
+        io.to(viewersRoom(device.id)).emit('streamConfig', streamConfig(device));
+        publishAnnotations(device);
+        io.to(viewersRoom(device.id)).emit('autoQualityUpdate', autoQualityUpdate(device));
+        io.to(viewersRoom(device.id)).emit('recordingStatus', { deviceId: device.id, recording: null });
+        io.to('web').except(lacksRoom('changeStreamSettings')).emit('recordingList', recorder.list());
+    },
+};
+
+// --- Retention ---
+// Finished recordings, transfers and failed commands are deleted once they are older
+// than their *RetentionDays setting (0 keeps them forever); clipboard and HTML history
+// are capped by count instead.
+function applyRetention() {
+    const removed = {};
+    const dayMs = 24 * 60 * 60 * 1000;
+    const days = { recordings: config.get('recordingRetentionDays'), transfers: config.get('transferRetentionDays'), failedCommands: config.get('failedCommandRetentionDays') };
+    if (days.recordings > 0) removed.recordings = recorder.prune(days.recordings * dayMs);
+    if (days.transfers > 0) removed.transfers = transfers.prune(days.transfers * dayMs);
+    if (days.failedCommands > 0) removed.failedCommands = delivery.prune(days.failedCommands * dayMs);
+    if (!Object.values(removed).some(count => count > 0)) return;
+    console.log(`Retention: removed ${Object.entries(removed).map(([kind, count]) => `${count} ${kind}`).join(', ')}`);
+    if (removed.recordings) io.to('web').except(lacksRoom('changeStreamSettings')).emit('recordingList', recorder.list());
+    if (removed.transfers) devices.all().forEach(device => toViewers(device.id, 'transferFiles').emit('transferList', transfers.list(device.id).slice(0, 20)));
+}
+applyRetention();
+setInterval(applyRetention, RETENTION_INTERVAL_MS);
+
+// --- Settings ---
+// The configuration is reloaded on SIGHUP and whenever the config file changes. An
+// invalid file is rejected as a whole. Users who may manage devices see the effective
+// values in the SETTINGS tab, which is refreshed after every reload.
+
+/**
+ * Hands reloaded settings to the parts of the server that keep their own copy.
+ * @param {string[]} changed Keys of the settings that changed.
+ */
+function applyConfig(changed) {
+    devices.configure({ quality: config.get('defaultQuality'), frameRate: config.get('defaultFrameRate') });
+    delivery.configure(queueTiming());
+    htmlHistory.setLimit(config.get('htmlHistoryLimit'));
+    clipboard.setLimit(config.get('clipboardHistoryLimit'));
+    annotations.setLimit(config.get('annotationLimit'));
+    if (changed.some(key => key.endsWith('RetentionDays'))) applyRetention();
+    if (changed.some(key => key.startsWith('auto'))) devices.all().forEach(device => io.to(viewersRoom(device.id)).emit('autoQualityUpdate', autoQualityUpdate(device)));
+}
+
+function reportReload({ reason, changed, pending, errors }) {
+    if (errors.length) {
+        console.error(`Configuration not reloaded (${reason}):\n  ${errors.join('\n  ')}`);
+        audit.record(SYSTEM_ACTOR, null, 'configReload', errors.join('; '), 'rejected');
+    } else {
+        const restart = pending.length ? `; ${pending.join(', ')} will change after a restart` : '';
+        console.log(`Configuration reloaded (${reason}): ${changed.length ? changed.join(', ') : 'no live changes'}${restart}`);
+        audit.record(SYSTEM_ACTOR, null, 'configReload', `${changed.join(', ') || 'no live changes'}${restart}`, changed.length ? 'ok' : 'unchanged');
+    }
+    io.to('web').except(lacksRoom('manageDevices')).emit('settings', config.describe());
+}
+
+process.on('SIGHUP', () => reportReload(config.reload('SIGHUP')));
+config.watch(reportReload);
+
+app.use('/api/v1', createApiRouter({ authenticate: (req) => auth.authenticateRequest(req), actions, openapi }));
+
+// Prometheus scrapes with an API token; signed-in users can open it too.
+app.get('/metrics', (req, res) => {
+    if (!auth.authenticateRequest(req)) return res.status(401).json({ error: 'unauthorized' });
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+/**
+ * Disconnects every socket in a room, on every instance, e.g. after a token is revoked.
+ */
+function disconnectSockets(room) {
+    io.in(room).disconnectSockets(true);
+}
+
+// --- WebSocket Connection Handling ---
+io.use((socket, next) => {
+    const identity = auth.authenticateHandshake(socket.handshake);
+    if (!identity) {
+        console.log(`Rejected unauthenticated socket from ${socket.handshake.address}`);
+        return next(new Error('unauthorized'));
+    }
+    socket.data.identity = identity;
+    socket.join(identity.kind === 'user' ? sessionRoom(identity.sessionId) : tokenRoom(identity.device.id));
+    next();
+});
+
+io.on('connection', (socket) => {
+    const { identity } = socket.data;
+    const isUser = identity.kind === 'user';
+    socket.data.permissions = new Set(); // Granted by identify (lib/roles.js)
+    const can = (permission) => socket.data.permissions.has(permission);
+    const holdsControl = (deviceId) => {
+        const controller = controllers.get(deviceId);
+        return !!controller && controller.socketId === socket.id;
+    };
+    // Who this socket acts as in the audit log.
+    const actor = () => ({ kind: identity.kind, name: isUser ? identity.user : identity.device.name, role: socket.data.role || null, via: 'socket' });
+    socket.data.streamStats = createViewerStats();
+    socket.data.frameChannel = createFrameChannel({
+        emit: (buffer, ackTimeoutMs, done) => {
+            framesForwarded.inc();
+            socket.timeout(ackTimeoutMs).emit('screenFrame', buffer, (err) => done(!err));
+        },
+        backlog: () => socket.conn.writeBuffer.length,
+        stats: socket.data.streamStats,
+    });
+
+    // --- Protocol ---
+    // Every event is checked against its schema in lib/protocol.js before the handler
+    // runs. Errors go to the ack callback when there is one, as { error, code, event },
+    // and otherwise come back as a 'protocolError' event.
+    const protocolError = (event, { code, message }, ack) => {
+        console.log(`Protocol error from ${socket.id} on '${event}': ${message}`);
+        if (code === 'forbidden') audit.record(actor(), device && device.id, event, message, 'rejected');
+        if (ack) ack({ error: message, code, event });
+        else socket.emit('protocolError', { event, code, message });
+    };
+    const on = (event, handler) => socket.on(event, (...args) => {
+        const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+        const error = validate(event, identity.kind, args, !!ack, socket.data.permissions);
+        if (error) return protocolError(event, error, ack);
+        // Optional arguments left out still take their place, so the ack always comes last.
+        handler(...EVENTS[event].args.map((_, i) => args[i]), ack);
+    });
+    socket.onAny((event, ...args) => {
+        const error = checkAccess(event, identity.kind);
+        if (error) protocolError(event, error, typeof args[args.length - 1] === 'function' ? args.pop() : null);
+    });
+
+    on('startGeminiExam', async ({ questions, modelName }) => {
+        const apiKey = process.env.GEMINI_API_KEY;
+
+        if (!apiKey) {
+            socket.emit('geminiResult', { success: false, error: 'GEMINI_API_KEY not set on server .env file.' });
+            return;
+        }
+        if (!questions) {
+            socket.emit('geminiResult', { success: false, error: 'Exam questions cannot be empty.' });
+            return;
+        }
+
+        audit.record(actor(), device && device.id, 'startGeminiExam', questions, 'ok');
+        await processExamWithGemini(socket, questions, apiKey, modelName);
+    });
+
+    // The device this socket is (for a Mac) or is currently viewing and controlling (for a web client).
+    let device = null;
+    let streamSubscribed = false;
+
+    // identify(type, { protocolVersion, capabilities, client, role, permissions, displays }); older clients send only the type.
+    on('identify', (type, hello, ack) => {
+        const protocol = negotiate(hello);
+        if (protocol.error) {
+            protocolError('identify', protocol.error, ack);
+            socket.disconnect(true);
+            return;
+        }
+        socket.data.protocol = protocol;
+        const { role, permissions } = resolveRole(identity.role, hello && hello.role ? hello : CLIENT_TYPE_DEFAULTS[type]);
+        socket.data.role = role;
+        socket.data.permissions = permissions;
+        socket.data.clientType = type;
+        if (type === 'macos') {
+            if (identity.kind !== 'device') {
+                console.log(`Rejected identify('macos') from non-device socket ${socket.id} (${identity.user})`);
+                socket.disconnect(true);
+                return;
+            }
+            device = devices.get(identity.device.id, identity.device.name);
+            if (device.socketId && device.socketId !== socket.id) {
+                console.log(`Device ${device.id} reconnected; dropping stale socket ${device.socketId}`);
+                disconnectSockets(device.socketId);
+            }
+            device.socketId = socket.id;
+            device.protocol = protocol;
+            socket.join(macRoom(device.id));
+            console.log(`macOS app identified: ${socket.id} (device ${device.id}, protocol ${protocol.version}${protocol.capabilities.size ? `: ${[...protocol.capabilities].join(', ')}` : ''})`);
+            if (macStatus(device.id).since !== null) macReconnects.inc({ device: device.id });
+            presence.connected(device.id);
+            publishPresence(device.id); // Even when it stayed connected, the socket is new
+            broadcastDeviceList();
+            // The last word is only re-synced when nothing is queued; otherwise the queue delivers it.
+            if (delivery.status(device.id).count === 0) socket.emit('wordToMac', device.word);
+            socket.emit('qualityChange', device.quality);
+            socket.emit('frameRateChange', device.frameRate);
+            applyStreamConfig(device, socket);
+            io.to(viewersRoom(device.id)).emit('streamConfig', streamConfig(device));
+            delivery.setOnline(device.id, true);
+            transfers.pendingForMac(device.id).forEach(offerFile);
+            const current = clipboard.current(device.id);
+            if (current && macSupports(device, 'clipboardHistory')) socket.emit('clipboardEntry', current);
+            else if (current && current.type === 'text') socket.emit('clipboardData', current.content);
+        } else {
+            if (!isUser) return;
+            console.log(`Web client connected: ${socket.id} (${identity.user}, ${role}: ${[...permissions].join(', ')})`);
+            PERMISSIONS.forEach(permission => (permissions.has(permission) ? socket.leave(lacksRoom(permission)) : socket.join(lacksRoom(permission))));
+            socket.join('web');
+            socket.emit('deviceList', listDevices());
+            socket.emit('mirrorSettings', mirrorSettingsFor(identity.sessionId));
+        }
+        const identified = { protocolVersion: protocol.version, serverProtocolVersion: PROTOCOL_VERSION, capabilities: SERVER_CAPABILITIES, role, permissions: [...permissions] };
+        if (ack) ack(identified);
+        else if (hello) socket.emit('identified', identified);
+    });
+
+    // Web clients pick which Mac they are viewing and controlling.
+    on('selectDevice', (deviceId) => {
+        const selected = deviceId && actions.findDevice(deviceId);
+        if (!selected) {
+            socket.emit('deviceSelected', { deviceId: null });
+            return;
+        }
+        if (device) {
+            socket.leave(viewersRoom(device.id));
+            socket.leave(streamRoom(device.id));
+            if (holdsControl(device.id)) releaseControl(device.id, 'switched device');
+            leaveAnnotations(device);
+        }
+        device = selected;
+        socket.join(viewersRoom(device.id));
+        if (streamSubscribed) subscribeStream();
+        console.log(`Web client ${socket.id} selected device ${device.id}`);
+        socket.emit('deviceSelected', { deviceId: device.id, name: device.name });
+        socket.emit('statusUpdate', macStatusUpdate(device.id));
+        socket.emit('streamSettings', { quality: device.quality, frameRate: device.frameRate });
+        socket.emit('streamConfig', streamConfig(device));
+        if (can('viewStream')) socket.emit('annotations', annotationState(device));
+        socket.emit('autoQualityUpdate', autoQualityUpdate(device));
+        socket.emit('recordingStatus', { deviceId: device.id, recording: recorder.status(device.id) });
+        if (can('changeStreamSettings')) socket.emit('recordingList', recorder.list());
+        if (can('viewHtml')) socket.emit('htmlUpdate', htmlUpdate(device.id));
+        if (can('editClipboard')) socket.emit('clipboardHistory', clipboard.list(device.id));
+        if (can('transferFiles')) socket.emit('transferList', transfers.list(device.id).slice(0, 20));
+        if (can('sendCommands')) {
+            socket.emit('emojiToWeb', device.emoji);
+            socket.emit('controlLock', controlLockUpdate(device.id));
+            socket.emit('statusUpdate', queueStatusUpdate(device.id, delivery.status(device.id)));
+        }
+    });
+
+    // Drops this socket's half-drawn shape on the other viewers, and ends the device's
+    // annotation session if this was its last viewer.
+    function leaveAnnotations(previous) {
+        toViewers(previous.id, 'viewStream').emit('annotationDraft', { socketId: socket.id, user: identity.user, shape: null });
+        endAnnotationSession(previous);
+    }
+
+    // Only subscribers get screen frames, e.g. not the HTML pop-out or a hidden stream tab.
+    function subscribeStream() {
+        socket.join(streamRoom(device.id));
+        socket.data.frameChannel.resync(() => device.stream.snapshot());
+    }
+    on('subscribeStream', (subscribed) => {
+        streamSubscribed = subscribed;
+        if (!device) return;
+        if (streamSubscribed) subscribeStream();
+        else socket.leave(streamRoom(device.id));
+    });
+
+    // --- File Transfers ---
+    // Browsers upload files for the Mac ('toMac'); Macs upload files for the browser ('toWeb').
+    on('transferStart', (meta, ack) => {
+        if (!device) return ack({ error: 'No device selected.' });
+        const result = transfers.start({ ...meta, deviceId: device.id, direction: isUser ? 'toMac' : 'toWeb', createdBy: isUser ? identity.user : device.name });
+        if (result.transfer) console.log(`Transfer ${result.transfer.id} (${result.transfer.name}) at ${result.transfer.received}/${result.transfer.size} bytes`);
+        audit.record(actor(), device.id, 'transferStart', `${meta.name}, ${meta.size} bytes`, result.error ? 'rejected' : 'ok');
+        ack(result);
+    });
+    on('transferChunk', async ({ id, offset, data }, ack) => {
+        if (!device) return ack({ error: 'No device selected.' });
+        ack(await changeTransfer(id, 'appendChunk', offset, data, device.id, isUser ? 'toMac' : 'toWeb'));
+    });
+    if (!isUser) {
+        on('fileChunkRequest', async ({ id, offset, length }, ack) => {
+            ack(device ? await changeTransfer(id, 'readChunk', offset, length, device.id) : { error: 'Not identified.' });
+        });
+        on('fileReceived', async ({ id, ok }) => {
+            if (!device) return;
+            const result = await changeTransfer(id, 'confirmDelivery', ok, device.id);
+            const transfer = result && !result.error ? result : null;
+            if (transfer) console.log(`Transfer ${id} ${ok ? 'delivered to' : 'failed on'} ${device.id}`);
+            if (transfer) audit.record(actor(), device.id, 'fileReceived', transfer.name, ok ? 'delivered' : 'failed');
+        });
+    }
+
+    // --- Clipboard ---
+    const writeClipboard = (write) => actions.writeClipboard(device, write, actor());
+    // Legacy clients send plain text with no version; they are applied in arrival order.
+    on('clipboardData', (content) => {
+        if (device) writeClipboard({ type: 'text', content });
+    });
+    on('clipboardWrite', async ({ type, content, baseVersion }, ack) => {
+        const result = device ? await writeClipboard({ type, content, baseVersion }) : { error: 'No device selected.' };
+        if (ack) ack(result);
+    });
+
+    if (isUser) {
+        // --- Device Pairing ---
+        on('createPairingCode', () => {
+            const pairing = auth.createPairingCode(identity.user);
+            console.log(`Pairing code created by ${identity.user}`);
+            audit.record(actor(), null, 'createPairingCode', `expires ${new Date(pairing.expiresAt).toISOString()}`, 'ok');
+            socket.emit('pairingCode', pairing);
+        });
+        // Revoked devices can be wiped too, to get rid of what they left behind.
+        on('wipeDeviceData', (deviceId) => {
+            const paired = auth.listDevices().find(d => d.id === deviceId);
+            if (paired) actions.wipeDevice(devices.get(paired.id, paired.name), actor());
+        });
+        on('revokeDevice', (deviceId) => {
+            if (!auth.revokeDevice(deviceId)) return;
+            console.log(`Device ${deviceId} revoked by ${identity.user}`);
+            audit.record(actor(), deviceId, 'revokeDevice', '', 'ok');
+            disconnectSockets(tokenRoom(deviceId));
+            broadcastDeviceList();
+        });
+
+        // Applies to every tab of this sign-in, and only to it.
+        on('setMirrorSettings', ({ scripts, mode }) => {
+            const settings = { scripts: !!scripts, mode: mode || 'live' };
+            mirrorSettings.set(identity.sessionId, settings);
+            console.log(`Mirror settings for ${identity.user}: scripts ${settings.scripts ? 'on' : 'off'}, ${settings.mode}`);
+            io.to(sessionRoom(identity.sessionId)).emit('mirrorSettings', settings);
+        });
+        on('clipboardResend', async (version) => {
+            if (!device) return;
+            const resent = device;
+            const result = await changeClipboard(resent.id, 'resend', version, { kind: 'user', name: identity.user });
+            if (result.changed) publishClipboard(resent, result.entry);
+            audit.record(actor(), resent.id, 'clipboardResend', `v${version}${result.changed ? ` as v${result.entry.version}` : ''}`, result.error ? 'rejected' : result.changed ? 'ok' : 'unchanged');
+        });
+        on('clipboardPin', async ({ version, pinned }) => {
+            if (!device) return;
+            const pinnedOn = device;
+            const result = await changeClipboard(pinnedOn.id, 'pin', version, pinned);
+            if (!result || result.error) return;
+            toViewers(pinnedOn.id, 'editClipboard').emit('clipboardHistory', result.history);
+            audit.record(actor(), pinnedOn.id, 'clipboardPin', `v${version} ${pinned ? 'pinned' : 'unpinned'}`, 'ok');
+        });
+
+        on('subscribeDiagnostics', (subscribed) => {
+            if (!subscribed) return socket.leave('diagnostics');
+            socket.join('diagnostics');
+            socket.emit('diagnosticsHistory', { samples: diagnosticsHistory, logs: logs.tail() });
+        });
+        on('auditSearch', (filters, ack) => ack({ entries: actions.auditLog(filters || {}) }));
+        on('getSettings', (ack) => ack(actions.settings()));
+
+        // --- Annotations ---
+        on('annotationAdd', (shape) => {
+            if (!device) return;
+            const result = annotations.add(device.id, shape, identity.user);
+            if (result.error) return protocolError('annotationAdd', { code: 'invalid_payload', message: result.error });
+            toViewers(device.id, 'viewStream').except(socket.id).emit('annotationDraft', { socketId: socket.id, user: identity.user, shape: null });
+            toViewers(device.id, 'viewStream').emit('annotationAdded', result.shape);
+            result.dropped.forEach(id => toViewers(device.id, 'viewStream').emit('annotationRemoved', id));
+        });
+        on('annotationDraft', (shape) => {
+            if (!device) return;
+            const draft = shape && normalizeShape(shape);
+            if (draft && draft.error) return;
+            toViewers(device.id, 'viewStream').except(socket.id).volatile.emit('annotationDraft', { socketId: socket.id, user: identity.user, shape: draft });
+        });
+        on('annotationUndo', () => {
+            const removed = device && annotations.undo(device.id, identity.user);
+            if (removed) toViewers(device.id, 'viewStream').emit('annotationRemoved', removed.id);
+        });
+        on('annotationClear', () => {
+            if (!device) return;
+            audit.record(actor(), device.id, 'annotationClear', `${annotations.list(device.id).length} shapes`, 'ok');
+            clearAnnotations(device, `by ${identity.user}`);
+        });
+        on('setAnnotationMode', (mode) => {
+            if (!device) return;
+            device.annotationMode = mode;
+            devices.save(device);
+            console.log(`Annotations on ${device.id} set to ${mode} by ${identity.user}`);
+            audit.record(actor(), device.id, 'setAnnotationMode', mode, 'ok');
+            publishAnnotations(device);
+        });
+
+        on('setAutoQuality', (enabled) => {
+            if (!device) return;
+            device.autoQuality = enabled;
+            devices.save(device);
+            device.autoQualityReason = device.autoQuality ? 'waiting for measurements' : null;
+            console.log(`Auto quality ${device.autoQuality ? 'enabled' : 'disabled'} for ${device.id} by ${identity.user}`);
+            audit.record(actor(), device.id, 'setAutoQuality', enabled ? 'on' : 'off', 'ok');
+            io.to(viewersRoom(device.id)).emit('autoQualityUpdate', autoQualityUpdate(device));
+        });
+        on('startRecording', () => {
+            if (!device) return;
+            const recording = recorder.start(device, identity.user);
+            followFrames(device.id);
+            console.log(`Recording ${recording.id} started by ${identity.user}`);
+            audit.record(actor(), device.id, 'startRecording', recording.id, 'ok');
+            io.to(viewersRoom(device.id)).emit('recordingStatus', { deviceId: device.id, recording });
+        });
+        on('stopRecording', () => {
+            if (!device) return;
+            const recording = recorder.stop(device.id);
+            if (!recording) return;
+            followFrames(device.id);
+            console.log(`Recording ${recording.id} stopped by ${identity.user} (${recording.frames} frames)`);
+            audit.record(actor(), device.id, 'stopRecording', `${recording.id}, ${recording.frames} frames`, 'ok');
+            io.to(viewersRoom(device.id)).emit('recordingStatus', { deviceId: device.id, recording: null });
+            io.to('web').except(lacksRoom('changeStreamSettings')).emit('recordingList', recorder.list());
+        });
+        on('requestControl', async () => {
+            if (!device) return;
+            if (device.socketId && !macSupports(device, 'remoteInput')) {
+                protocolError('requestControl', { code: 'unsupported', message: 'This Mac does not accept remote input.' });
+                return;
+            }
+            const requested = device;
+            const claim = await askInstance(deviceOwner(requested.id), 'claimControl', requested.id, { socketId: socket.id, user: identity.user, instance: broker.id })
+                .catch(error => {
+                    console.error(`Could not ask for input control of ${requested.id}: ${error.message}`);
+                    return { granted: false };
+                });
+            if (!claim.granted) {
+                const { holder } = controlLockUpdate(requested.id);
+                socket.emit('controlLock', { deviceId: requested.id, holder, denied: true });
+                audit.record(actor(), requested.id, 'requestControl', holder ? `held by ${holder.user}` : 'no answer from the Mac\'s instance', 'rejected');
+                return;
+            }
+            console.log(`Input control of ${requested.id} taken by ${identity.user}`);
+            audit.record(actor(), requested.id, 'requestControl', '', 'ok');
+            // Gone or moved on while the request was out.
+            if (socket.disconnected || device !== requested) releaseControl(requested.id, socket.disconnected ? 'disconnected' : 'switched device');
+        });
+        on('releaseControl', () => {
+            if (device && holdsControl(device.id)) releaseControl(device.id, 'released');
+        });
+        on('inputEvent', (event) => {
+            if (!device) return;
+            if (!holdsControl(device.id)) {
+                socket.emit('controlLock', { ...controlLockUpdate(device.id), denied: true });
+                return;
+            }
+            const { screen, region } = streamedArea(device);
+            const input = toRemoteInput(event, screen, region);
+            if (!input || !macSupports(device, 'remoteInput')) return;
+            // The Mac's instance checks the lock again before passing it on.
+            if (macIsHere(device)) passInput(device.id, socket.id, input);
+            else io.serverSideEmit('remoteInput', { deviceId: device.id, socketId: socket.id, input });
+        });
+        on('retryFailedCommands', () => {
+            if (!device) return;
+            audit.record(actor(), device.id, 'retryFailedCommands', `${delivery.status(device.id).failed} commands`, 'ok');
+            delivery.retryFailed(device.id);
+        });
+        on('wordToMac', (word) => { if (device) actions.sendWord(device, word, actor()); });
+        on('qualityChange', (quality) => { if (device) actions.setStreamSettings(device, { quality }, actor(), socket.id); });
+        on('frameRateChange', (frameRate) => { if (device) actions.setStreamSettings(device, { frameRate }, actor(), socket.id); });
+        ['displayChange', 'regionChange'].forEach(event => on(event, (value) => {
+            if (!device) return;
+            const result = actions.setStreamConfig(device, event === 'displayChange' ? { displayId: value } : { region: value }, actor());
+            if (result.error) protocolError(event, { code: 'invalid_payload', message: result.error });
+        }));
+    } else {
+        // Any traffic counts as the Mac being seen, including engine.io's pongs, which
+        // also give Macs without heartbeats a round trip.
+        let pingSentAt = null;
+        socket.conn.on('packetCreate', (packet) => { if (packet.type === 'ping') pingSentAt = Date.now(); });
+        socket.conn.on('packet', (packet) => {
+            if (!device || device.socketId !== socket.id) return;
+            const measured = packet.type === 'pong' && pingSentAt && !macSupports(device, 'heartbeat');
+            presence.seen(device.id, measured ? Date.now() - pingSentAt : undefined);
+        });
+        on('commandAck', (commandId) => { if (device) delivery.ack(device.id, commandId); });
+        on('screenFrame', (buffer) => {
+            if (!device) return;
+            let frame;
+            try {
+                frame = parseFrame(buffer);
+            } catch (error) {
+                console.log(`Dropped malformed frame from ${device.id}: ${error.message}`);
+                return;
+            }
+            relayFrame(device, frame, buffer);
+        });
+        // Older Mac clients send each frame as a base64 JPEG; wrap it as a keyframe.
+        on('screenData', (data) => {
+            if (!device) return;
+            const buffer = legacyKeyframe(data, device.stream.lastSeq + 1);
+            relayFrame(device, parseFrame(buffer), buffer);
+        });
+        on('webSourceCode', (source) => {
+            if (!device) return;
+            const previous = htmlHistory.latest(device.id);
+            if (htmlHistory.add(device.id, source)) publishHtmlUpdate(device.id, previous && previous.version);
+        });
+        on('emojiToWeb', (emoji) => {
+            if (!device) return;
+            device.emoji = emoji;
+            devices.save(device);
+            toViewers(device.id, 'sendCommands').emit('emojiToWeb', emoji);
+        });
+    }
+
+    socket.on('disconnect', () => {
+        console.log('User disconnected:', socket.id);
+        if (device && holdsControl(device.id)) releaseControl(device.id, 'disconnected');
+        if (device && isUser) leaveAnnotations(device);
+        if (device && socket.id === device.socketId) {
+            device.socketId = null;
+            device.stream.reset();
+            delivery.setOnline(device.id, false);
+            console.log(`macOS app disconnected (device ${device.id}).`);
+            presence.disconnected(device.id);
+        }
+    });
+});
+
+// --- Shutdown ---
+// On SIGTERM or SIGINT every socket is closed as if the connection dropped, so
+// clients reconnect, possibly to another instance. Macs go 'reconnecting' and
+// their queued commands stay in the shared queue for whichever instance they
+// reach next. Recordings running here are ended.
+const SHUTDOWN_TIMEOUT_MS = 5000;
+let shuttingDown = false;
+
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`${signal} received; shutting down.`);
+    setTimeout(() => {
+        console.error('Shutdown timed out.');
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+    config.close();
+    devices.all().forEach(device => recorder.stop(device.id));
+    await io.close();
+    presence.stop();
+    await broker.close();
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Transfers are taken over once it is known which the broker holds.
+Promise.all(sharedMaps.map(map => map.load())).then(() => transfers.resume(!broker.shared)).then(() => server.listen(PORT, () => {
+    console.log(`Server is running on http://localhost:${PORT} (instance ${broker.id}, broker ${maskPassword(config.get('brokerUrl'))})`);
+    if (!auth.hasUsers) console.warn('BRIDGE_USERS is not set: nobody can sign in to the web UI.');
+    const imageDirectory = config.get('imageDirectory');
+    if (!fs.existsSync(imageDirectory)) {
+        console.log(`Creating image directory at: ${imageDirectory}`);
+        fs.mkdirSync(imageDirectory, { recursive: true });
+    }
+}), (error) => {
+    console.error(`Could not load the shared state from the broker: ${error.message}`);
+    process.exit(1);
+});
+
+// --- Styled SVG Placeholders ---
+const SVG_PLACEHOLDER_STREAM = `data:image/svg+xml;base64,${Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="1920" height="1080" viewBox="0 0 1920 1080"><defs><style>.txt{font-family:"Fira Code",monospace;font-size:48px;fill:%23444;text-anchor:middle;}.bg{fill:%23000;}</style></defs><rect class="bg" width="100%" height="100%"/><g opacity="0.5"><path fill="%23111" d="M0 0h1920v2L0 3zM0 1078h1920v2L0 1077z"/><rect fill="%231a1a1a" x="880" y="460" width="160" height="160" opacity="0.2"/></g><text class="txt" x="50%" y="50%" dominant-baseline="middle">AWAITING UPLINK STREAM</text></svg>`).toString('base64')}`;
+const SVG_PLACEHOLDER_STREAM_DISCONNECTED = `data:image/svg+xml;base64,${Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="1920" height="1080" viewBox="0 0 1920 1080"><defs><style>.txt{font-family:"Fira Code",monospace;font-size:48px;fill:%23800;text-anchor:middle;}.bg{fill:%23000;}</style></defs><rect class="bg" width="100%" height="100%"/><g opacity="0.5"><path fill="%23111" d="M0 0h1920v2L0 3zM0 1078h1920v2L0 1077z"/><path stroke="%23800" stroke-width="4" d="M880 460l160 160m0-160L880 620"/></g><text class="txt" x="50%" y="50%" dominant-baseline="middle">macOS CLIENT DISCONNECTED</text></svg>`).toString('base64')}`;
+const SVG_PLACEHOLDER_HTML = `data:image/svg+xml;base64,${Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="1920" height="1080" viewBox="0 0 1920 1080"><defs><style>.txt{font-family:"Fira Code",monospace;font-size:48px;fill:%23444;text-anchor:middle;}.bg{fill:%23111;}</style></defs><rect class="bg" width="100%" height="100%"/><g opacity="0.5"><path fill="%23222" d="M860 520h200v40H860z m0 60h200v40H860z"/></g><text class="txt" x="50%" y="50%" dominant-baseline="middle">&lt;NO_HTML_RENDER /&gt;</text></svg>`).toString('base64')}`;
+
+// --- Shared Client Scripts ---
+// Reassembles 'screenFrame' binary frames (see lib/frames.js) on a canvas. Tiles of a
+// frame are decoded in parallel and painted together; frames are applied strictly in order.
+const FRAME_CANVAS_JS = `
+function createFrameCanvas(canvas) {
+    const ctx = canvas.getContext('2d');
+    let chain = Promise.resolve();
+    let generation = 0; // Bumped by placeholders so frames queued before them are discarded.
+    let painted = false;
+
+    function parse(buffer) {
+        const view = new DataView(buffer);
+        if (view.getUint8(0) !== 83 || view.getUint8(1) !== 70) throw new Error('Bad frame magic');
+        const frame = { type: view.getUint8(3), seq: view.getUint32(4), width: view.getUint16(8), height: view.getUint16(10), tiles: [] };
+        let offset = 16;
+        for (let i = 0, count = view.getUint16(12); i < count; i++) {
+            const length = view.getUint32(offset + 8);
+            frame.tiles.push({
+                x: view.getUint16(offset), y: view.getUint16(offset + 2), w: view.getUint16(offset + 4), h: view.getUint16(offset + 6),
+                data: new Uint8Array(buffer, offset + 12, length),
+            });
+            offset += 12 + length;
+        }
+        return frame;
+    }
+
+    async function apply(buffer, gen) {
+        const frame = parse(buffer);
+        const bitmaps = await Promise.all(frame.tiles.map(tile => createImageBitmap(new Blob([tile.data], { type: 'image/jpeg' }))));
+        if (gen !== generation) return;
+        if (frame.type === 0) {
+            const width = frame.width || (bitmaps[0] && bitmaps[0].width) || canvas.width;
+            const height = frame.height || (bitmaps[0] && bitmaps[0].height) || canvas.height;
+            if (canvas.width !== width || canvas.height !== height) { canvas.width = width; canvas.height = height; }
+        }
+        frame.tiles.forEach((tile, i) => {
+            const bitmap = bitmaps[i];
+            ctx.drawImage(bitmap, tile.x, tile.y, tile.w || bitmap.width, tile.h || bitmap.height);
+            bitmap.close();
+        });
+        painted = true;
+        canvas.dataset.width = canvas.width;
+        canvas.dataset.height = canvas.height;
+        canvas.dispatchEvent(new CustomEvent('frame', { detail: frame }));
+    }
+
+    return {
+        drawFrame(buffer) {
+            const gen = generation;
+            chain = chain.then(() => apply(buffer, gen)).catch(err => console.warn('Dropped frame:', err));
+            return chain;
+        },
+        drawPlaceholder(url) {
+            const gen = ++generation;
+            painted = false;
+            const image = new Image();
+            image.onload = () => {
+                if (gen !== generation || painted) return;
+                canvas.width = image.naturalWidth || 1920;
+                canvas.height = image.naturalHeight || 1080;
+                ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+            };
+            image.src = url;
+        },
+    };
+}
+`;
+
+// Captures pointer, wheel and keyboard input on a stream canvas and sends it as
+// 'inputEvent' (see lib/input.js). Positions are normalized to the painted frame,
+// taking the letterboxing of object-fit: contain into account.
+const REMOTE_INPUT_JS = `
+function attachRemoteInput(canvas, socket) {
+    let enabled = false;
+    let pendingMove = null;
+    canvas.tabIndex = 0;
+
+    function normalize(e) {
+        const rect = canvas.getBoundingClientRect();
+        const scale = Math.min(rect.width / canvas.width, rect.height / canvas.height);
+        const left = rect.left + (rect.width - canvas.width * scale) / 2;
+        const top = rect.top + (rect.height - canvas.height * scale) / 2;
+        const nx = (e.clientX - left) / (canvas.width * scale);
+        const ny = (e.clientY - top) / (canvas.height * scale);
+        if (nx < 0 || nx > 1 || ny < 0 || ny > 1) return null;
+        return { nx, ny };
+    }
+    const send = (event) => { if (enabled) socket.emit('inputEvent', event); };
+    const modifiers = (e) => ({ shift: e.shiftKey, ctrl: e.ctrlKey, alt: e.altKey, meta: e.metaKey });
+
+    canvas.addEventListener('pointermove', (e) => {
+        const position = enabled && normalize(e);
+        if (!position) return;
+        // Moves are coalesced to one per animation frame.
+        if (!pendingMove) requestAnimationFrame(() => { send(pendingMove); pendingMove = null; });
+        pendingMove = { type: 'pointer', action: 'move', button: 0, ...position };
+    });
+    ['pointerdown', 'pointerup'].forEach(type => canvas.addEventListener(type, (e) => {
+        const position = enabled && normalize(e);
+        if (!position) return;
+        e.preventDefault();
+        if (type === 'pointerdown') { canvas.focus(); canvas.setPointerCapture(e.pointerId); }
+        send({ type: 'pointer', action: type === 'pointerdown' ? 'down' : 'up', button: e.button, ...position });
+    }));
+    canvas.addEventListener('contextmenu', (e) => { if (enabled) e.preventDefault(); });
+    canvas.addEventListener('wheel', (e) => {
+        const position = enabled && normalize(e);
+        if (!position) return;
+        e.preventDefault();
+        send({ type: 'wheel', deltaX: e.deltaX, deltaY: e.deltaY, ...position });
+    }, { passive: false });
+    ['keydown', 'keyup'].forEach(type => canvas.addEventListener(type, (e) => {
+        if (!enabled) return;
+        e.preventDefault();
+        send({ type: 'key', action: type === 'keydown' ? 'down' : 'up', key: e.key, code: e.code, modifiers: modifiers(e) });
+    }));
+
+    return {
+        setEnabled(value) {
+            enabled = value;
+            canvas.style.cursor = enabled ? 'crosshair' : '';
+            canvas.style.outline = enabled ? '1px solid #00ffff' : '';
+            if (enabled) canvas.focus();
+        },
+    };
+}
+`;
+
+// Lets the user drag out a rectangle on a frame canvas, reported in fractions of the
+// picture shown so it doesn't depend on the canvas's size on screen. While selecting,
+// pointer events don't reach the remote input handlers.
+const REGION_SELECT_JS = `
+function attachRegionSelect(canvas, onSelect) {
+    let active = false;
+    let start = null;
+    let cursor = '';
+    const box = document.createElement('div');
+    box.style.cssText = 'position: fixed; border: 1px dashed #00ffff; background: rgba(0, 255, 255, 0.1); pointer-events: none; display: none; z-index: 200;';
+    document.body.appendChild(box);
+
+    function picture() {
+        const rect = canvas.getBoundingClientRect();
+        const scale = Math.min(rect.width / canvas.width, rect.height / canvas.height);
+        const width = canvas.width * scale;
+        const height = canvas.height * scale;
+        return { left: rect.left + (rect.width - width) / 2, top: rect.top + (rect.height - height) / 2, width, height };
+    }
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+    const point = (e, p) => ({ x: clamp(e.clientX, p.left, p.left + p.width), y: clamp(e.clientY, p.top, p.top + p.height) });
+    function draw(a, b) {
+        Object.assign(box.style, { display: 'block', left: Math.min(a.x, b.x) + 'px', top: Math.min(a.y, b.y) + 'px', width: Math.abs(b.x - a.x) + 'px', height: Math.abs(b.y - a.y) + 'px' });
+    }
+    function stop() {
+        active = false;
+        start = null;
+        box.style.display = 'none';
+        canvas.style.cursor = cursor;
+    }
+
+    canvas.addEventListener('pointerdown', (e) => {
+        if (!active) return;
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        canvas.setPointerCapture(e.pointerId);
+        start = point(e, picture());
+        draw(start, start);
+    }, { capture: true });
+    canvas.addEventListener('pointermove', (e) => {
+        if (!active || !start) return;
+        e.stopImmediatePropagation();
+        draw(start, point(e, picture()));
+    }, { capture: true });
+    canvas.addEventListener('pointerup', (e) => {
+        if (!active || !start) return;
+        e.stopImmediatePropagation();
+        const p = picture();
+        const end = point(e, p);
+        const region = {
+            x: (Math.min(start.x, end.x) - p.left) / p.width,
+            y: (Math.min(start.y, end.y) - p.top) / p.height,
+            width: Math.abs(end.x - start.x) / p.width,
+            height: Math.abs(end.y - start.y) / p.height,
+        };
+        stop();
+        if (region.width >= 0.02 && region.height >= 0.02) onSelect(region);
+    }, { capture: true });
+    document.addEventListener('keydown', (e) => { if (active && e.key === 'Escape') stop(); });
+
+    return {
+        start() {
+            active = true;
+            cursor = canvas.style.cursor;
+            canvas.style.cursor = 'crosshair';
+        },
+        cancel: stop,
+        get active() { return active; },
+    };
+}
+`;
+
+// The shared drawing layer over a stream canvas (see the Annotations section). Shapes are
+// kept in fractions of the painted frame so they line up for every viewer; the overlay
+// canvas sits on the letterboxed picture and follows it when the layout changes.
+const ANNOTATION_JS = `
+function attachAnnotations(canvas, socket, toolbar) {
+    const parent = canvas.parentElement;
+    if (getComputedStyle(parent).position === 'static') parent.style.position = 'relative';
+    const overlay = document.createElement('canvas');
+    overlay.style.cssText = 'position: absolute; pointer-events: none; touch-action: none;';
+    parent.appendChild(overlay);
+    const ctx = overlay.getContext('2d');
+
+    let shapes = [];
+    let mode = 'session';
+    const drafts = new Map(); // socketId -> shape another viewer is drawing
+    let drawing = null; // The shape being drawn here
+    let tool = null;
+    let color = '#ff6600';
+    let draftPending = false;
+    let layout = '';
+
+    function picture() {
+        const rect = canvas.getBoundingClientRect();
+        const scale = Math.min(rect.width / canvas.width, rect.height / canvas.height);
+        const width = canvas.width * scale;
+        const height = canvas.height * scale;
+        return { left: rect.left + (rect.width - width) / 2, top: rect.top + (rect.height - height) / 2, width, height };
+    }
+
+    // Line widths and text sizes scale with the picture, so exports look like the screen.
+    function drawShape(g, shape, width, height) {
+        const at = ([x, y]) => [x * width, y * height];
+        const [x0, y0] = at(shape.points[0]);
+        const [x1, y1] = at(shape.points[shape.points.length - 1]);
+        g.strokeStyle = g.fillStyle = shape.color;
+        g.lineWidth = Math.max(1, shape.width * height / 1080);
+        g.lineCap = g.lineJoin = 'round';
+        g.beginPath();
+        if (shape.tool === 'pen') {
+            shape.points.map(at).forEach(([x, y], i) => (i ? g.lineTo(x, y) : g.moveTo(x, y)));
+            g.stroke();
+        } else if (shape.tool === 'box') {
+            g.strokeRect(Math.min(x0, x1), Math.min(y0, y1), Math.abs(x1 - x0), Math.abs(y1 - y0));
+        } else if (shape.tool === 'arrow') {
+            const angle = Math.atan2(y1 - y0, x1 - x0);
+            const head = Math.max(8, g.lineWidth * 4);
+            g.moveTo(x0, y0);
+            g.lineTo(x1, y1);
+            g.moveTo(x1 - head * Math.cos(angle - Math.PI / 6), y1 - head * Math.sin(angle - Math.PI / 6));
+            g.lineTo(x1, y1);
+            g.lineTo(x1 - head * Math.cos(angle + Math.PI / 6), y1 - head * Math.sin(angle + Math.PI / 6));
+            g.stroke();
+        } else if (shape.tool === 'text') {
+            const size = Math.max(12, Math.round(height / 30));
+            g.font = size + 'px monospace';
+            g.textBaseline = 'top';
+            g.lineWidth = Math.max(2, size / 6);
+            g.strokeStyle = '#000';
+            g.strokeText(shape.text, x0, y0);
+            g.fillText(shape.text, x0, y0);
+        }
+    }
+    const drawAll = (g, width, height) => [...shapes, ...drafts.values(), ...(drawing ? [drawing] : [])].forEach(shape => drawShape(g, shape, width, height));
+
+    function render() {
+        const p = picture();
+        const box = parent.getBoundingClientRect();
+        const ratio = window.devicePixelRatio || 1;
+        Object.assign(overlay.style, {
+            left: (p.left - box.left - parent.clientLeft + parent.scrollLeft) + 'px',
+            top: (p.top - box.top - parent.clientTop + parent.scrollTop) + 'px',
+            width: p.width + 'px',
+            height: p.height + 'px',
+        });
+        overlay.width = Math.max(1, Math.round(p.width * ratio));
+        overlay.height = Math.max(1, Math.round(p.height * ratio));
+        drawAll(ctx, overlay.width, overlay.height);
+        layout = [p.left, p.top, p.width, p.height].join();
+    }
+    // Frames rarely move the picture, so only a changed layout redraws.
+    function follow() {
+        const p = picture();
+        if ([p.left, p.top, p.width, p.height].join() !== layout) render();
+    }
+    canvas.addEventListener('frame', follow);
+    window.addEventListener('resize', follow);
+    document.addEventListener('fullscreenchange', () => setTimeout(render, 50));
+    if (window.ResizeObserver) new ResizeObserver(follow).observe(canvas);
 
-        emitStatus("➡️ Sending follow-up...");
-        const result2 = await chat.sendMessage([followUpMessage, ...imageParts]);
-        let finalJsonResponse = result2.response.text().replace(/```json\n?/g, "").replace(/```/g, "");
-        
-        emitStatus("🎉 Complete! Populating Batch Ops.");
-        emitResult({ success: true, data: finalJsonResponse });
+    // --- Drawing ---
+    const clamp = (value) => Math.min(1, Math.max(0, value));
+    function position(e) {
+        const p = picture();
+        return [clamp((e.clientX - p.left) / p.width), clamp((e.clientY - p.top) / p.height)];
+    }
+    function sendDraft() {
+        if (draftPending) return;
+        draftPending = true;
+        requestAnimationFrame(() => {
+            draftPending = false;
+            if (drawing) socket.emit('annotationDraft', drawing);
+        });
+    }
+    overlay.addEventListener('pointerdown', (e) => {
+        if (!tool) return;
+        e.preventDefault();
+        const point = position(e);
+        if (tool === 'text') {
+            const text = prompt('Text to place');
+            if (text && text.trim()) socket.emit('annotationAdd', { tool, points: [point], color, text: text.trim().slice(0, 500) });
+            return;
+        }
+        overlay.setPointerCapture(e.pointerId);
+        drawing = { tool, points: [point, point], color, width: 3 };
+        render();
+    });
+    overlay.addEventListener('pointermove', (e) => {
+        if (!drawing) return;
+        const point = position(e);
+        if (drawing.tool === 'pen') {
+            const last = drawing.points[drawing.points.length - 1];
+            if (drawing.points.length >= 2000 || Math.hypot(point[0] - last[0], point[1] - last[1]) < 0.002) return;
+            drawing.points.push(point);
+        } else {
+            drawing.points[1] = point;
+        }
+        render();
+        sendDraft();
+    });
+    overlay.addEventListener('pointerup', () => {
+        if (!drawing) return;
+        const shape = drawing;
+        drawing = null;
+        const [[x0, y0], [x1, y1]] = [shape.points[0], shape.points[shape.points.length - 1]];
+        if (shape.tool === 'pen' || Math.hypot(x1 - x0, y1 - y0) > 0.005) socket.emit('annotationAdd', shape);
+        else socket.emit('annotationDraft', null);
+        render();
+    });
 
-    } catch (e) {
-        console.error("Gemini processing error:", e);
-        emitResult({ success: false, error: e.message });
+    socket.on('annotations', (state) => {
+        shapes = state.shapes;
+        mode = state.mode;
+        drafts.clear();
+        keepBtn.textContent = 'KEEP: ' + (mode === 'keep' ? 'ON' : 'OFF');
+        render();
+    });
+    socket.on('annotationAdded', (shape) => { shapes.push(shape); render(); });
+    socket.on('annotationRemoved', (id) => { shapes = shapes.filter(shape => shape.id !== id); render(); });
+    socket.on('annotationDraft', ({ socketId, shape }) => {
+        if (shape) drafts.set(socketId, shape);
+        else drafts.delete(socketId);
+        render();
+    });
+
+    // The frame as painted, with every shape on top, as a PNG download.
+    function exportPng() {
+        const still = document.createElement('canvas');
+        still.width = canvas.width;
+        still.height = canvas.height;
+        const g = still.getContext('2d');
+        g.drawImage(canvas, 0, 0);
+        drawAll(g, still.width, still.height);
+        still.toBlob(blob => {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'annotated-' + new Date().toISOString().replace(/[:.]/g, '-') + '.png';
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        }, 'image/png');
     }
-}
 
+    // --- Toolbar ---
+    function button(label, title, onClick) {
+        const element = document.createElement('button');
+        element.className = 'btn';
+        element.textContent = label;
+        element.title = title;
+        element.addEventListener('click', onClick);
+        toolbar.appendChild(element);
+        return element;
+    }
+    function selectTool(name) {
+        tool = tool === name ? null : name;
+        overlay.style.pointerEvents = tool ? 'auto' : 'none';
+        overlay.style.cursor = tool === 'text' ? 'text' : 'crosshair';
+        Object.entries(toolButtons).forEach(([toolName, element]) => { element.style.borderColor = toolName === tool ? '#00ffff' : ''; });
+    }
+    const toolButtons = {
+        pen: button('✎ PEN', 'Draw freehand', () => selectTool('pen')),
+        arrow: button('↗ ARROW', 'Drag to point at something', () => selectTool('arrow')),
+        box: button('▭ BOX', 'Drag to frame something', () => selectTool('box')),
+        text: button('T TEXT', 'Click to place a label', () => selectTool('text')),
+    };
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.value = color;
+    colorInput.title = 'Colour of new shapes';
+    colorInput.addEventListener('input', () => { color = colorInput.value; });
+    toolbar.appendChild(colorInput);
+    button('↶ UNDO', 'Remove the last shape you drew', () => socket.emit('annotationUndo'));
+    button('CLEAR', 'Remove every annotation, for everyone', () => { if (confirm('Clear every annotation for everyone watching?')) socket.emit('annotationClear'); });
+    const keepBtn = button('KEEP: OFF', 'Off: annotations are cleared once nobody is watching. On: they stay until cleared.', () => socket.emit('setAnnotationMode', mode === 'keep' ? 'session' : 'keep'));
+    button('⤓ PNG', 'Download the current frame with the annotations', exportPng);
+    document.addEventListener('keydown', (e) => { if (e.key === 'Escape' && tool) selectTool(tool); });
 
-// --- WebSocket Connection Handling ---
-io.on('connection', (socket) => {
-    socket.on('startGeminiExam', async (data) => {
-        const { questions, modelName } = data;
-        const apiKey = process.env.GEMINI_API_KEY;
+    return {
+        /** Shows or hides the drawing tools; the shapes stay visible either way. */
+        setEnabled(enabled) {
+            toolbar.hidden = !enabled;
+            if (!enabled && tool) selectTool(tool);
+        },
+    };
+}
+`;
 
-        if (!apiKey) {
-            socket.emit('geminiResult', { success: false, error: 'GEMINI_API_KEY not set on server .env file.' });
-            return;
+// Runs inside /mirror/<id> pages (see lib/htmldiff.js for the patch format). It removes
+// itself so it doesn't shift child indices, applies patches posted by the parent page and
+// asks for a reload when the DOM doesn't look like the patch expects.
+const MIRROR_APPLIER_JS = `
+(function () {
+    var version = MIRROR_VERSION;
+    document.currentScript.remove();
+
+    function resolve(root, path) {
+        var node = root;
+        for (var i = 0; node && i < path.length; i++) node = node.childNodes[path[i]];
+        return node || null;
+    }
+    function fragment(html) {
+        var template = document.createElement('template');
+        template.innerHTML = html;
+        return template.content;
+    }
+    function apply(op) {
+        var root = op.root === 'head' ? document.head : document.body;
+        var node = root && resolve(root, op.path);
+        if (!node) return false;
+        switch (op.op) {
+            case 'text':
+                if (node.nodeType !== 3 && node.nodeType !== 8) return false;
+                node.data = op.value;
+                return true;
+            case 'attrs':
+                if (node.nodeType !== 1 || node.localName !== op.name) return false;
+                Object.keys(op.set).forEach(function (name) { node.setAttribute(name, op.set[name]); });
+                op.remove.forEach(function (name) { node.removeAttribute(name); });
+                return true;
+            case 'replace':
+                if (node === root) return false;
+                node.replaceWith(fragment(op.html));
+                return true;
+            case 'splice':
+                if (node.childNodes.length < op.index + op.remove) return false;
+                for (var i = 0; i < op.remove; i++) node.childNodes[op.index].remove();
+                node.insertBefore(fragment(op.html), node.childNodes[op.index] || null);
+                return true;
         }
-        if (!questions) {
-            socket.emit('geminiResult', { success: false, error: 'Exam questions cannot be empty.' });
+        return false;
+    }
+
+    window.addEventListener('message', function (event) {
+        var patch = event.data;
+        if (event.source !== parent || !patch || patch.type !== 'mirrorPatch') return;
+        if (patch.from !== version || !patch.ops.every(apply)) return parent.postMessage({ type: 'mirrorResync' }, '*');
+        version = patch.to;
+    });
+    parent.postMessage({ type: 'mirrorReady', version: version }, '*');
+})();
+`;
+
+// Shows a Mac's mirrored page from /mirror/<id> and keeps it current by forwarding
+// 'htmlUpdate' patches into the frame, so the page isn't reloaded (and doesn't lose its
+// scroll position) on every change. show(version) holds an earlier snapshot instead.
+const MIRROR_FRAME_JS = `
+function createMirrorFrame(iframe, placeholder) {
+    let settings = { scripts: false, mode: 'live' };
+    let current = null; // Last 'htmlUpdate'
+    let pinned = null; // Snapshot shown instead of the latest version
+    let loadedVersion = null; // As reported by the frame
+
+    function load() {
+        loadedVersion = null;
+        if (!current || !current.available) {
+            iframe.src = placeholder;
             return;
         }
+        // The query only busts caches; the server decides what to serve from this sign-in's settings.
+        iframe.src = '/mirror/' + encodeURIComponent(current.deviceId) + '?version=' + (pinned || current.version) + '&mode=' + settings.mode + '&scripts=' + (settings.scripts ? 1 : 0);
+    }
 
-        await processExamWithGemini(socket, questions, apiKey, modelName);
+    window.addEventListener('message', (event) => {
+        if (event.source !== iframe.contentWindow || !event.data) return;
+        if (event.data.type === 'mirrorReady') loadedVersion = event.data.version;
+        if (event.data.type === 'mirrorResync') load();
     });
 
-    socket.on('identify', (type) => {
-        if (type === 'macos') {
-            macUserSocketId = socket.id;
-            console.log('macOS app identified:', macUserSocketId);
-            io.emit('statusUpdate', { type: 'mac', status: 'connected' });
-            socket.emit('wordToMac', lastWord);
-            socket.emit('qualityChange', lastQuality);
-            socket.emit('frameRateChange', lastFrameRate);
-            if (messageQueue.length > 0) {
-                messageQueue.forEach((msg, index) => {
-                    setTimeout(() => {
-                        io.to(macUserSocketId).emit(msg.event, msg.data);
-                        io.emit('statusUpdate', { type: 'queue', status: 'queued', count: messageQueue.length - index - 1 });
-                        if (index === messageQueue.length - 1) {
-                            messageQueue = [];
-                            io.emit('statusUpdate', { type: 'queue', status: 'cleared' });
-                        }
-                    }, index * 2500);
-                });
-            }
-        } else {
-            console.log('Web client connected:', socket.id);
-            socket.emit('clipboardData', lastClipboardContent);
-            socket.emit('emojiToWeb', lastEmoji);
-            socket.emit('renderHTML', lastHtmlSource);
-            socket.emit('statusUpdate', { type: 'mac', status: macUserSocketId ? 'connected' : 'disconnected' });
-            if (messageQueue.length > 0) {
-                messageQueue = [];
-                socket.emit('statusUpdate', { type: 'queue', status: 'queued', count: messageQueue.length });
+    iframe.setAttribute('sandbox', 'allow-scripts');
+    load();
+    return {
+        update(update) {
+            const sameDevice = !!current && current.deviceId === update.deviceId;
+            current = update;
+            if (sameDevice && pinned) return;
+            pinned = null;
+            if (sameDevice && update.patch && loadedVersion === update.patch.from) {
+                iframe.contentWindow.postMessage({ type: 'mirrorPatch', ...update.patch }, '*');
+                loadedVersion = update.patch.to;
+            } else {
+                load();
             }
+        },
+        setSettings(value) { settings = value; load(); },
+        show(version) { pinned = current && version !== current.version ? version : null; load(); },
+        get settings() { return settings; },
+        get deviceId() { return current && current.deviceId; },
+        get latestVersion() { return current ? current.version : 0; },
+        get pinnedVersion() { return pinned; },
+    };
+}
+`;
+
+// Chunked, resumable uploads over the socket (see lib/transfers.js). crypto.subtle only
+// exists on secure origins, so plain-HTTP deployments fall back to a JS SHA-256.
+const FILE_UPLOAD_JS = `
+const UPLOAD_CHUNK_BYTES = 256 * 1024;
+
+function sha256Fallback(bytes) {
+    const K = [];
+    const H = [];
+    const frac = x => ((x - Math.floor(x)) * 4294967296) >>> 0;
+    for (let n = 2, found = 0; found < 64; n++) {
+        let prime = true;
+        for (let d = 2; d * d <= n; d++) if (n % d === 0) { prime = false; break; }
+        if (!prime) continue;
+        if (found < 8) H.push(frac(Math.sqrt(n)));
+        K.push(frac(Math.cbrt(n)));
+        found++;
+    }
+    const padded = new Uint8Array(((bytes.length + 9 + 63) >> 6) << 6);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(bytes.length / 536870912));
+    view.setUint32(padded.length - 4, (bytes.length * 8) >>> 0);
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    for (let offset = 0; offset < padded.length; offset += 64) {
+        for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
         }
-    });
+        let [a, b, c, d, e, f, g, h] = H;
+        for (let i = 0; i < 64; i++) {
+            const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) >>> 0;
+            const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+            h = g; g = f; f = e; e = (d + t1) >>> 0; d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+        }
+        [a, b, c, d, e, f, g, h].forEach((v, i) => { H[i] = (H[i] + v) >>> 0; });
+    }
+    return H.map(v => v.toString(16).padStart(8, '0')).join('');
+}
 
-    socket.on('screenData', (data) => io.emit('screenData', data));
-    socket.on('webSourceCode', (source) => { lastHtmlSource = source; io.emit('renderHTML', source); });
-    socket.on('clipboardData', (content) => { lastClipboardContent = content; socket.broadcast.emit('clipboardData', content); });
-    socket.on('wordToMac', (word) => { console.log(`Received word from web: ${word}`); lastWord = word; sendToMac('wordToMac', word); });
-    socket.on('qualityChange', (quality) => { lastQuality = parseInt(quality, 10); sendToMac('qualityChange', lastQuality); });
-    socket.on('frameRateChange', (frameRate) => { lastFrameRate = parseInt(frameRate, 10); sendToMac('frameRateChange', lastFrameRate); });
-    socket.on('emojiToWeb', (emoji) => { lastEmoji = emoji; io.emit('emojiToWeb', emoji); });
+async function sha256Hex(file) {
+    const buffer = await file.arrayBuffer();
+    if (!window.crypto || !crypto.subtle) return sha256Fallback(new Uint8Array(buffer));
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
 
-    socket.on('disconnect', () => {
-        console.log('User disconnected:', socket.id);
-        if (socket.id === macUserSocketId) {
-            macUserSocketId = null;
-            console.log('macOS app disconnected.');
-            io.emit('statusUpdate', { type: 'mac', status: 'disconnected' });
+/**
+ * Uploads files for the selected device. Unfinished uploads are kept and
+ * resumed from the server's offset by calling resumeAll() after a reconnect.
+ */
+function createUploader(socket, onError) {
+    const unfinished = new Map(); // file -> sha256
+
+    async function upload(file, sha256) {
+        const started = await socket.timeout(10000).emitWithAck('transferStart', { name: file.name, size: file.size, sha256, mimeType: file.type });
+        if (started.error) throw new Error(started.error);
+        let offset = started.transfer.received;
+        while (offset < file.size) {
+            const data = await file.slice(offset, offset + UPLOAD_CHUNK_BYTES).arrayBuffer();
+            const result = await socket.timeout(30000).emitWithAck('transferChunk', { id: started.transfer.id, offset, data });
+            if (result.error && result.received === undefined) throw new Error(result.error);
+            offset = result.received;
         }
-    });
-});
+    }
 
-server.listen(PORT, () => {
-    console.log(`Server is running on http://localhost:${PORT}`);
-    if (!fs.existsSync(IMAGE_DIRECTORY)) {
-        console.log(`Creating image directory at: ${IMAGE_DIRECTORY}`);
-        fs.mkdirSync(IMAGE_DIRECTORY, { recursive: true });
+    async function run(file) {
+        try {
+            if (!unfinished.has(file)) unfinished.set(file, await sha256Hex(file));
+            await upload(file, unfinished.get(file));
+            unfinished.delete(file);
+        } catch (err) {
+            // Timeouts mean the connection dropped; the upload resumes on reconnect.
+            if (!socket.connected || /timed out/.test(err.message)) return;
+            unfinished.delete(file);
+            onError(file, err);
+        }
     }
-});
 
-// --- Styled SVG Placeholders ---
-const SVG_PLACEHOLDER_STREAM = `data:image/svg+xml;base64,${Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="1920" height="1080" viewBox="0 0 1920 1080"><defs><style>.txt{font-family:"Fira Code",monospace;font-size:48px;fill:%23444;text-anchor:middle;}.bg{fill:%23000;}</style></defs><rect class="bg" width="100%" height="100%"/><g opacity="0.5"><path fill="%23111" d="M0 0h1920v2L0 3zM0 1078h1920v2L0 1077z"/><rect fill="%231a1a1a" x="880" y="460" width="160" height="160" opacity="0.2"/></g><text class="txt" x="50%" y="50%" dominant-baseline="middle">AWAITING UPLINK STREAM</text></svg>`).toString('base64')}`;
-const SVG_PLACEHOLDER_STREAM_DISCONNECTED = `data:image/svg+xml;base64,${Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="1920" height="1080" viewBox="0 0 1920 1080"><defs><style>.txt{font-family:"Fira Code",monospace;font-size:48px;fill:%23800;text-anchor:middle;}.bg{fill:%23000;}</style></defs><rect class="bg" width="100%" height="100%"/><g opacity="0.5"><path fill="%23111" d="M0 0h1920v2L0 3zM0 1078h1920v2L0 1077z"/><path stroke="%23800" stroke-width="4" d="M880 460l160 160m0-160L880 620"/></g><text class="txt" x="50%" y="50%" dominant-baseline="middle">macOS CLIENT DISCONNECTED</text></svg>`).toString('base64')}`;
-const SVG_PLACEHOLDER_HTML = `data:image/svg+xml;base64,${Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="1920" height="1080" viewBox="0 0 1920 1080"><defs><style>.txt{font-family:"Fira Code",monospace;font-size:48px;fill:%23444;text-anchor:middle;}.bg{fill:%23111;}</style></defs><rect class="bg" width="100%" height="100%"/><g opacity="0.5"><path fill="%23222" d="M860 520h200v40H860z m0 60h200v40H860z"/></g><text class="txt" x="50%" y="50%" dominant-baseline="middle">&lt;NO_HTML_RENDER /&gt;</text></svg>`).toString('base64')}`;
+    return {
+        send: (files) => Array.from(files).reduce((chain, file) => chain.then(() => run(file)), Promise.resolve()),
+        resumeAll: () => Array.from(unfinished.keys()).reduce((chain, file) => chain.then(() => run(file)), Promise.resolve()),
+    };
+}
+`;
 
 // --- Main UI HTML (Fully Functional & Redesigned) ---
-const MAIN_UI_HTML = `
+// Built for each request, so the slider defaults follow a config reload.
+const mainUiHtml = () => `
 <!DOCTYPE html>
 <html lang="en">
 <head>
@@ -255,7 +2532,20 @@ const MAIN_UI_HTML = `
         #macStatus { font-weight: bold; transition: color 0.3s, text-shadow 0.3s; }
         #macStatus.connected { color: var(--color-secondary); text-shadow: 0 0 8px var(--color-secondary); }
         #macStatus.disconnected { color: #ff3333; text-shadow: 0 0 8px #ff3333; }
+        #macStatus.reconnecting { color: #ffaa00; text-shadow: 0 0 8px #ffaa00; }
+        #macLink { font-size: 0.8rem; color: var(--color-text-dark); }
+        #macLink.good { color: var(--color-secondary); }
+        #macLink.fair { color: #ffaa00; }
+        #macLink.poor { color: #ff3333; }
         #queueStatus { color: var(--color-primary); font-weight: bold; }
+        .logout-form { margin: 0; }
+        #deviceSelect { min-width: 200px; font-size: 0.9rem; }
+        .device-list { list-style: none; margin: 0; padding: 0; display: flex; flex-direction: column; gap: 0.5rem; }
+        .device-list li { display: flex; justify-content: space-between; align-items: center; gap: 0.5rem; }
+        .drop-zone { border: 1px dashed var(--color-border); padding: 1rem; text-align: center; color: var(--color-text-dark); cursor: pointer; font-size: 0.9rem; }
+        .drop-zone.dragover { border-color: var(--color-primary); color: var(--color-primary); }
+        .device-list li.revoked { color: var(--color-text-dark); text-decoration: line-through; }
+        #pairingCode { color: var(--color-secondary); font-size: 1.5rem; letter-spacing: 0.3rem; text-align: center; }
         .tabs-and-controls { display: flex; flex-direction: column; gap: 0.5rem; }
         #tabs { display: flex; gap: 0.5rem; border-bottom: 1px solid var(--color-border); }
         .tab-btn { background: none; border: 1px solid transparent; border-bottom: none; color: var(--color-text-dark); padding: 0.5rem 1rem; font-family: inherit; font-size: 1rem; cursor: pointer; transition: all 0.2s; }
@@ -263,8 +2553,28 @@ const MAIN_UI_HTML = `
         .tab-btn.active { color: var(--color-primary); border-color: var(--color-border); background: var(--color-panel-bg); border-bottom: 1px solid var(--color-panel-bg); transform: translateY(1px); }
         .viewport-controls { display: flex; gap: 0.5rem; padding: 0.25rem 0; }
         .tab-content { display: none; } .tab-content.active { display: block; }
+        .diagnostics-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 0.5rem; }
+        .chart { border: 1px solid var(--color-border); background: var(--color-panel-bg); padding: 0.5rem; display: flex; flex-direction: column; gap: 0.25rem; font-size: 0.8rem; color: var(--color-text-dark); }
+        .chart-value { color: var(--color-secondary); font-size: 1.2rem; }
+        .chart canvas { width: 100%; height: 50px; }
+        #logTail { height: 260px; overflow-y: auto; background: #000; border: 1px solid var(--color-border); padding: 0.5rem; margin: 0.5rem 0 0; font-size: 0.75rem; white-space: pre-wrap; word-break: break-all; }
+        #logTail .warn { color: #ffaa00; } #logTail .error { color: #ff3333; }
+        .audit-filters { flex-wrap: wrap; margin-bottom: 0.5rem; }
+        .audit-filters input, .audit-filters select { font-size: 0.8rem; padding: 0.35rem; }
+        .audit-filters a.btn { text-decoration: none; flex-grow: 0; }
+        #auditTableWrap, #settingsTableWrap { height: 600px; overflow-y: auto; border: 1px solid var(--color-border); background: #000; }
+        #auditTable, #settingsTable { width: 100%; border-collapse: collapse; font-size: 0.75rem; }
+        #auditTable th, #settingsTable th { position: sticky; top: 0; background: var(--color-panel-bg); color: var(--color-secondary); text-align: left; }
+        #auditTable th, #auditTable td, #settingsTable th, #settingsTable td { padding: 0.25rem 0.5rem; border-bottom: 1px solid #222; vertical-align: top; }
+        #auditTable td:nth-child(5) { word-break: break-all; }
+        #auditTable .rejected, #auditTable .failed, #auditTable .conflict { color: #ff3333; } #auditTable .queued, #auditTable .pending { color: #ffaa00; }
+        #settingsStatus { font-size: 0.8rem; margin-bottom: 0.5rem; white-space: pre-wrap; }
+        #settingsStatus.error { color: #ff3333; }
+        #settingsTable td:nth-child(2) { color: var(--color-secondary); word-break: break-all; }
+        #settingsTable .env, #settingsTable .file { color: #ffaa00; }
+        #settingsTable .restart { color: #ff3333; }
         .viewport { background-color: #000; border: 1px solid var(--color-border); min-height: 480px; display: flex; align-items: center; justify-content: center; overflow: hidden; }
-        .viewport img, .viewport iframe { max-width: 100%; max-height: 100%; object-fit: contain; width: 100%; height: 650px; border: none; }
+        .viewport img, .viewport canvas, .viewport iframe { max-width: 100%; max-height: 100%; object-fit: contain; width: 100%; height: 650px; border: none; }
         fieldset { border: 1px solid var(--color-border); padding: 1rem; background: var(--color-panel-bg); margin: 0; display: flex; flex-direction: column; gap: 1rem; }
         legend { color: var(--color-secondary); font-weight: bold; padding: 0 0.5rem; text-transform: uppercase; }
         label { display: flex; justify-content: space-between; align-items: center; font-size: 0.9rem; color: var(--color-text-dark); }
@@ -289,61 +2599,162 @@ const MAIN_UI_HTML = `
         input[type="range"]::-webkit-slider-thumb { -webkit-appearance: none; width: 10px; height: 20px; background: var(--color-secondary); cursor: pointer; border: 1px solid var(--color-bg); }
         #screenFeedContainer.fullscreen { position: fixed; top: 0; left: 0; width: 100vw; height: 100vh; background-color: #000; z-index: 100; padding: 1rem; border: none; }
         @media (max-width: 1024px) { main { grid-template-columns: 1fr; } }
+        ${PERMISSIONS.map(permission => `body.no-${permission} [data-permission~="${permission}"]`).join(', ')} { display: none !important; }
     </style>
 </head>
 <body>
     <header>
         <h1>> macos_bridge</h1>
         <div class="status-indicator">
+            <select id="deviceSelect" title="Device being viewed and controlled"><option value="">NO DEVICE</option></select>
             <span id="macStatus" class="disconnected">[DISCONNECTED]</span>
-            <span id="queueStatus" class="hidden"></span>
+            <span id="macLink" title="Round trip to the Mac"></span>
+            <span id="roleStatus" hidden></span>
+            <span id="queueStatus" class="hidden" data-permission="sendCommands"></span>
+            <button id="retryFailedBtn" class="btn" hidden data-permission="sendCommands" title="Requeue commands the Mac never acknowledged">RETRY FAILED</button>
+            <form class="logout-form" method="post" action="/logout"><button class="btn" type="submit">LOGOUT</button></form>
         </div>
     </header>
     <main>
         <div class="view-panel">
             <div class="tabs-and-controls">
                 <div id="tabs">
-                    <button class="tab-btn active" data-tab="stream">UPLINK_STREAM</button>
-                    <button class="tab-btn" data-tab="html">HTML_RENDER</button>
+                    <button class="tab-btn active" data-tab="stream" data-permission="viewStream">UPLINK_STREAM</button>
+                    <button class="tab-btn" data-tab="html" data-permission="viewHtml">HTML_RENDER</button>
+                    <button class="tab-btn" data-tab="diagnostics" data-permission="manageDevices">DIAGNOSTICS</button>
+                    <button class="tab-btn" data-tab="audit" data-permission="manageDevices">AUDIT</button>
+                    <button class="tab-btn" data-tab="settings" data-permission="manageDevices">SETTINGS</button>
                 </div>
                 <div class="viewport-controls">
-                    <button id="toggleFullscreenBtn" class="btn">[ ] FULLSCREEN</button>
-                    <button id="popOutStreamBtn" class="btn">[->] POP-OUT STREAM</button>
-                    <button id="popOutHtmlBtn" class="btn">[->] POP-OUT RENDER</button>
+                    <button id="toggleFullscreenBtn" class="btn" data-permission="viewStream">[ ] FULLSCREEN</button>
+                    <button id="popOutStreamBtn" class="btn" data-permission="viewStream">[->] POP-OUT STREAM</button>
+                    <button id="popOutHtmlBtn" class="btn" data-permission="viewHtml">[->] POP-OUT RENDER</button>
+                    <button id="controlBtn" class="btn" data-permission="sendCommands" title="Send mouse and keyboard input to the Mac">[+] TAKE CONTROL</button>
                 </div>
             </div>
 
             <div id="stream" class="tab-content active">
+                <div id="annotationToolbar" class="viewport-controls" data-permission="annotate"></div>
                 <div id="screenFeedContainer" class="viewport">
-                    <img id="liveScreenFeed" alt="Live Screen Feed">
+                    <canvas id="liveScreenFeed" aria-label="Live Screen Feed"></canvas>
                 </div>
             </div>
             <div id="html" class="tab-content">
+                <div class="viewport-controls" style="margin-bottom: 0.5rem;">
+                    <select id="mirrorModeSelect" title="Live renders the page as sent; snapshot strips scripts and blocks external resources">
+                        <option value="live">LIVE</option>
+                        <option value="snapshot">SANITIZED SNAPSHOT</option>
+                    </select>
+                    <button id="mirrorScriptsBtn" class="btn" title="Let the mirrored page run its scripts (this sign-in only)">SCRIPTS: OFF</button>
+                    <button id="mirrorOlderBtn" class="btn" title="Show the previous snapshot">&lt; OLDER</button>
+                    <span id="mirrorVersion" style="align-self: center; min-width: 120px; text-align: center;">-</span>
+                    <button id="mirrorNewerBtn" class="btn" title="Show the next snapshot">NEWER &gt;</button>
+                    <button id="mirrorLiveBtn" class="btn" title="Follow the live page again">LIVE</button>
+                    <button id="mirrorCompareBtn" class="btn" title="Compare two snapshots">COMPARE</button>
+                </div>
                 <div class="viewport">
-                    <iframe id="htmlRenderer" sandbox="allow-same-origin allow-scripts"></iframe>
+                    <iframe id="htmlRenderer" sandbox=""></iframe>
+                </div>
+            </div>
+            <div id="diagnostics" class="tab-content">
+                <div class="diagnostics-grid">
+                    <div class="chart" data-metric="clients" data-unit=""><span>CLIENTS</span><span class="chart-value">-</span><canvas></canvas></div>
+                    <div class="chart" data-metric="framesInPerSecond" data-unit="/s"><span>FRAMES_IN</span><span class="chart-value">-</span><canvas></canvas></div>
+                    <div class="chart" data-metric="framesOutPerSecond" data-unit="/s"><span>FRAMES_OUT</span><span class="chart-value">-</span><canvas></canvas></div>
+                    <div class="chart" data-metric="averageFrameBytes" data-unit=" B"><span>AVG_FRAME_SIZE</span><span class="chart-value">-</span><canvas></canvas></div>
+                    <div class="chart" data-metric="queueDepth" data-unit=""><span>QUEUE_DEPTH</span><span class="chart-value">-</span><canvas></canvas></div>
+                    <div class="chart" data-metric="deliveryLatencyMs" data-unit=" ms"><span>DELIVERY_LATENCY</span><span class="chart-value">-</span><canvas></canvas></div>
+                    <div class="chart" data-metric="macReconnects" data-unit=""><span>MAC_RECONNECTS</span><span class="chart-value">-</span><canvas></canvas></div>
+                </div>
+                <pre id="logTail" aria-label="Server log"></pre>
+            </div>
+            <div id="audit" class="tab-content">
+                <div class="viewport-controls audit-filters">
+                    <input type="text" id="auditQuery" placeholder="search" title="Text in the actor, event, device or summary">
+                    <input type="text" id="auditActor" placeholder="actor">
+                    <input type="text" id="auditEvent" placeholder="event">
+                    <select id="auditOutcome">
+                        <option value="">ANY OUTCOME</option>
+                        ${['ok', 'queued', 'delivered', 'failed', 'rejected', 'conflict', 'unchanged'].map(outcome => `<option value="${outcome}">${outcome.toUpperCase()}</option>`).join('')}
+                    </select>
+                    <input type="datetime-local" id="auditFrom" title="From">
+                    <input type="datetime-local" id="auditTo" title="To">
+                    <label title="Only entries about the selected device"><input type="checkbox" id="auditDeviceOnly">&nbsp;THIS DEVICE</label>
+                    <button id="auditSearchBtn" class="btn">SEARCH</button>
+                    <a id="auditExportJsonl" class="btn" href="/api/v1/audit/export.jsonl" download>JSONL</a>
+                    <a id="auditExportCsv" class="btn" href="/api/v1/audit/export.csv" download>CSV</a>
+                </div>
+                <div id="auditTableWrap">
+                    <table id="auditTable">
+                        <thead><tr><th>TIME</th><th>ACTOR</th><th>DEVICE</th><th>EVENT</th><th>SUMMARY</th><th>OUTCOME</th></tr></thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+            </div>
+            <div id="settings" class="tab-content">
+                <div id="settingsStatus"></div>
+                <div id="settingsTableWrap">
+                    <table id="settingsTable">
+                        <thead><tr><th>SETTING</th><th>VALUE</th><th>FROM</th><th>APPLIES</th><th>DESCRIPTION</th></tr></thead>
+                        <tbody></tbody>
+                    </table>
                 </div>
             </div>
         </div>
 
         <div class="controls-panel">
-            <fieldset>
+            <fieldset data-permission="changeStreamSettings">
                 <legend>STREAM_CONFIG</legend>
                 <div class="stream-config-row">
                     <div>
-                        <label for="qualitySlider"><span>QUALITY</span><span id="qualityValue">1</span></label>
-                        <input id="qualitySlider" type="range" min="1" max="100" value="1">
+                        <label for="qualitySlider"><span>QUALITY</span><span id="qualityValue">${config.get('defaultQuality')}</span></label>
+                        <input id="qualitySlider" type="range" min="1" max="100" value="${config.get('defaultQuality')}">
                     </div>
                     <div>
-                        <label for="frameRateSlider"><span>FRAME_RATE</span><span id="frameRateValue">16</span></label>
-                        <input id="frameRateSlider" type="range" min="1" max="60" value="16">
+                        <label for="frameRateSlider"><span>FRAME_RATE</span><span id="frameRateValue">${config.get('defaultFrameRate')}</span></label>
+                        <input id="frameRateSlider" type="range" min="1" max="60" value="${config.get('defaultFrameRate')}">
                     </div>
                 </div>
+                <div id="displayControls" class="btn-group">
+                    <select id="displaySelect" title="The display the Mac streams"><option value="">MAC DEFAULT DISPLAY</option></select>
+                    <button id="cropBtn" class="btn" title="Drag out a region of the stream to crop to (Esc cancels)">[#] CROP</button>
+                    <button id="uncropBtn" class="btn" title="Stream the whole display again">FULL DISPLAY</button>
+                </div>
                 <button id="autoQualityBtn" class="btn">TOGGLE AUTO QUALITY</button>
+                <div id="autoQualityStatus" hidden style="font-size: 0.8rem; color: var(--color-text-dark);"></div>
+                <div>
+                    <label style="justify-content:flex-start;">VIEWERS (sent / dropped)</label>
+                    <ul id="streamViewers" class="device-list" style="font-size: 0.8rem;"></ul>
+                </div>
+            </fieldset>
+
+            <fieldset data-permission="changeStreamSettings">
+                <legend>RECORDING</legend>
+                <div class="btn-group">
+                    <button id="recordBtn" class="btn">● START RECORDING</button>
+                    <div id="recordingStatus" style="padding: 0.5rem; border: 1px solid var(--color-border); background: var(--color-bg); width: 180px; text-align:center;">Idle</div>
+                </div>
+                <ul id="recordingList" class="device-list" style="font-size: 0.8rem; max-height: 150px; overflow-y: auto;"></ul>
+            </fieldset>
+
+            <fieldset data-permission="transferFiles">
+                <legend>TRANSFERS</legend>
+                <div id="dropZone" class="drop-zone">DROP FILES HERE OR CLICK TO SEND TO THE MAC</div>
+                <input id="fileInput" type="file" multiple hidden>
+                <ul id="transferList" class="device-list" style="font-size: 0.8rem; max-height: 150px; overflow-y: auto;"></ul>
             </fieldset>
 
-            <fieldset><legend>SHARED_CLIPBOARD</legend><textarea id="sharedClipboard"></textarea></fieldset>
+            <fieldset data-permission="editClipboard">
+                <legend>SHARED_CLIPBOARD</legend>
+                <textarea id="sharedClipboard" placeholder="Type to share, or paste text, HTML or an image..."></textarea>
+                <div class="btn-group">
+                    <button id="shareClipboardBtn" class="btn">SHARE</button>
+                    <div id="clipboardStatus" style="padding: 0.5rem; border: 1px solid var(--color-border); background: var(--color-bg); width: 180px; text-align:center; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">v0</div>
+                </div>
+                <ul id="clipboardHistory" class="device-list" style="font-size: 0.8rem; max-height: 200px; overflow-y: auto;"></ul>
+            </fieldset>
 
-            <fieldset>
+            <fieldset data-permission="sendCommands">
                 <legend>COMMS</legend>
                 <div class="comm-grid">
                     <div>
@@ -366,7 +2777,14 @@ const MAIN_UI_HTML = `
                 </div>
                 </fieldset>
             
-            <fieldset>
+            <fieldset data-permission="manageDevices">
+                <legend>PAIRED_DEVICES</legend>
+                <ul id="deviceList" class="device-list"></ul>
+                <div id="pairingCode" hidden></div>
+                <button id="pairDeviceBtn" class="btn">PAIR NEW DEVICE</button>
+            </fieldset>
+
+            <fieldset data-permission="sendCommands">
                 <legend>GEMINI_EXAM_PROCESSOR</legend>
                 <div>
                     <label for="modelSelect" style="justify-content:flex-start;">MODEL</label>
@@ -383,7 +2801,7 @@ const MAIN_UI_HTML = `
                 </div>
             </fieldset>
 
-            <fieldset>
+            <fieldset data-permission="sendCommands">
                 <legend>BATCH_OPS</legend>
                 <textarea id="batchJsonInput" placeholder='Results from "GET ANSWERS" will appear here.'></textarea>
                 <div class="btn-group">
@@ -394,16 +2812,43 @@ const MAIN_UI_HTML = `
         </div>
     </main>
 
+    <script>${FRAME_CANVAS_JS}</script>
+    <script>${REMOTE_INPUT_JS}</script>
+    <script>${REGION_SELECT_JS}</script>
+    <script>${ANNOTATION_JS}</script>
+    <script>${MIRROR_FRAME_JS}</script>
+    <script>${FILE_UPLOAD_JS}</script>
     <script>
         const socket = io();
+        // Open the page with ?role=viewer to watch without being able to change anything.
+        const requestedRole = new URLSearchParams(location.search).get('role') === 'viewer' ? 'viewer' : 'controller';
 
         // --- UI Elements ---
+        const roleStatus = document.getElementById('roleStatus');
         const liveScreenFeed = document.getElementById('liveScreenFeed');
         const htmlRenderer = document.getElementById('htmlRenderer');
+        const mirrorModeSelect = document.getElementById('mirrorModeSelect');
+        const mirrorScriptsBtn = document.getElementById('mirrorScriptsBtn');
+        const mirrorOlderBtn = document.getElementById('mirrorOlderBtn');
+        const mirrorVersion = document.getElementById('mirrorVersion');
+        const mirrorNewerBtn = document.getElementById('mirrorNewerBtn');
+        const mirrorLiveBtn = document.getElementById('mirrorLiveBtn');
+        const mirrorCompareBtn = document.getElementById('mirrorCompareBtn');
         const sharedClipboard = document.getElementById('sharedClipboard');
+        const shareClipboardBtn = document.getElementById('shareClipboardBtn');
+        const clipboardStatus = document.getElementById('clipboardStatus');
+        const clipboardHistory = document.getElementById('clipboardHistory');
         const macStatus = document.getElementById('macStatus');
+        const macLink = document.getElementById('macLink');
         const queueStatus = document.getElementById('queueStatus');
+        const retryFailedBtn = document.getElementById('retryFailedBtn');
         const emojiFromMac = document.getElementById('emojiFromMac');
+
+        // Devices
+        const deviceSelect = document.getElementById('deviceSelect');
+        const deviceList = document.getElementById('deviceList');
+        const pairingCode = document.getElementById('pairingCode');
+        const pairDeviceBtn = document.getElementById('pairDeviceBtn');
         
         // View Controls
         const tabs = document.getElementById('tabs');
@@ -412,13 +2857,48 @@ const MAIN_UI_HTML = `
         const toggleFullscreenBtn = document.getElementById('toggleFullscreenBtn');
         const popOutStreamBtn = document.getElementById('popOutStreamBtn');
         const popOutHtmlBtn = document.getElementById('popOutHtmlBtn');
+        const controlBtn = document.getElementById('controlBtn');
+
+        // Audit Log
+        const auditQuery = document.getElementById('auditQuery');
+        const auditActor = document.getElementById('auditActor');
+        const auditEvent = document.getElementById('auditEvent');
+        const auditOutcome = document.getElementById('auditOutcome');
+        const auditFrom = document.getElementById('auditFrom');
+        const auditTo = document.getElementById('auditTo');
+        const auditDeviceOnly = document.getElementById('auditDeviceOnly');
+        const auditSearchBtn = document.getElementById('auditSearchBtn');
+        const auditExportJsonl = document.getElementById('auditExportJsonl');
+        const auditExportCsv = document.getElementById('auditExportCsv');
+        const auditTable = document.querySelector('#auditTable tbody');
+        // Settings
+        const settingsStatus = document.getElementById('settingsStatus');
+        const settingsTable = document.querySelector('#settingsTable tbody');
 
         // Stream Config
         const qualitySlider = document.getElementById('qualitySlider');
         const qualityValue = document.getElementById('qualityValue');
         const frameRateSlider = document.getElementById('frameRateSlider');
+        const displayControls = document.getElementById('displayControls');
+        const displaySelect = document.getElementById('displaySelect');
+        const cropBtn = document.getElementById('cropBtn');
+        const uncropBtn = document.getElementById('uncropBtn');
         const frameRateValue = document.getElementById('frameRateValue');
         const autoQualityBtn = document.getElementById('autoQualityBtn');
+        const autoQualityStatus = document.getElementById('autoQualityStatus');
+        const streamViewers = document.getElementById('streamViewers');
+
+        // Recording
+        const recordBtn = document.getElementById('recordBtn');
+        const recordingStatus = document.getElementById('recordingStatus');
+        const recordingList = document.getElementById('recordingList');
+        let activeRecording = null;
+
+        // Transfers
+        const dropZone = document.getElementById('dropZone');
+        const fileInput = document.getElementById('fileInput');
+        const transferList = document.getElementById('transferList');
+        const transfersById = new Map();
 
         // Comms
         const numberInput = document.getElementById('numberInput');
@@ -437,38 +2917,479 @@ const MAIN_UI_HTML = `
         const batchStatus = document.getElementById('batchStatus');
 
         // --- Initial State & Utilities ---
-        liveScreenFeed.src = \`${SVG_PLACEHOLDER_STREAM}\`;
-        htmlRenderer.src = \`${SVG_PLACEHOLDER_HTML}\`;
+        const feedCanvas = createFrameCanvas(liveScreenFeed);
+        const remoteInput = attachRemoteInput(liveScreenFeed, socket);
+        attachAnnotations(liveScreenFeed, socket, document.getElementById('annotationToolbar'));
+        const uploader = createUploader(socket, (file, err) => alert(\`Could not send \${file.name}: \${err.message}\`));
+        let controlHolder = null;
+        feedCanvas.drawPlaceholder(\`${SVG_PLACEHOLDER_STREAM}\`);
+        const mirrorFrame = createMirrorFrame(htmlRenderer, \`${SVG_PLACEHOLDER_HTML}\`);
         const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
         const wordMap = {};
         document.querySelectorAll('.word-btn').forEach(btn => { wordMap[btn.textContent] = btn.dataset.word; });
         let isAutoMode = false;
+        let selectedDeviceId = localStorage.getItem('selectedDeviceId');
+        let clipboardEntries = []; // Newest first
+        let clipboardBase = 0; // Version the text in #sharedClipboard was based on
+        let clipboardTimer = null;
 
         // --- Socket Listeners ---
+        const selectDevice = (deviceId) => {
+            selectedDeviceId = deviceId;
+            localStorage.setItem('selectedDeviceId', deviceId);
+            feedCanvas.drawPlaceholder(\`${SVG_PLACEHOLDER_STREAM}\`);
+            socket.emit('selectDevice', deviceId);
+        };
+
+        const isStreamTabActive = () => document.getElementById('stream').classList.contains('active');
+        const isDiagnosticsTabActive = () => document.getElementById('diagnostics').classList.contains('active');
+        // Only users who may manage devices see the tab, so only they ever subscribe.
+        let diagnosticsSubscribed = false;
+        const syncDiagnostics = () => {
+            if (isDiagnosticsTabActive() === diagnosticsSubscribed) return;
+            diagnosticsSubscribed = !diagnosticsSubscribed;
+            socket.emit('subscribeDiagnostics', diagnosticsSubscribed);
+        };
+
         socket.on('connect', () => {
-            socket.emit('identify', 'web');
-            socket.emit('qualityChange', qualitySlider.value);
-            socket.emit('frameRateChange', frameRateSlider.value);
+            socket.emit('identify', 'web', { protocolVersion: ${PROTOCOL_VERSION}, role: requestedRole });
+            socket.emit('subscribeStream', isStreamTabActive());
+            diagnosticsSubscribed = false;
+            syncDiagnostics();
+            if (selectedDeviceId) socket.emit('selectDevice', selectedDeviceId);
+            uploader.resumeAll();
+        });
+        socket.on('deviceSelected', ({ deviceId }) => {
+            if (!deviceId) selectedDeviceId = null;
+            deviceSelect.value = deviceId || '';
+        });
+        socket.on('streamSettings', ({ quality, frameRate }) => {
+            qualitySlider.value = qualityValue.textContent = quality;
+            frameRateSlider.value = frameRateValue.textContent = frameRate;
+        });
+        socket.on('controlLock', ({ holder, denied }) => {
+            controlHolder = holder;
+            const mine = !!holder && holder.socketId === socket.id;
+            remoteInput.setEnabled(mine);
+            controlBtn.textContent = mine ? '[-] RELEASE CONTROL' : holder ? \`[x] CONTROLLED BY \${holder.user}\` : '[+] TAKE CONTROL';
+            controlBtn.style.borderColor = mine ? 'var(--color-secondary)' : 'var(--color-border)';
+            if (denied && holder && !mine) controlBtn.title = \`\${holder.user} is controlling this Mac\`;
+        });
+        // --- Diagnostics ---
+        const diagnosticsCharts = [...document.querySelectorAll('#diagnostics [data-metric]')];
+        const logTail = document.getElementById('logTail');
+        let diagnosticsSamples = [];
+        let lastLogSeq = 0;
+        const drawSparkline = (canvas, values) => {
+            canvas.width = canvas.clientWidth;
+            canvas.height = canvas.clientHeight;
+            const ctx = canvas.getContext('2d');
+            const max = Math.max(1, ...values.filter(v => v !== null));
+            ctx.strokeStyle = '#00ffff';
+            ctx.beginPath();
+            let drawing = false;
+            values.forEach((value, i) => {
+                if (value === null) return void (drawing = false);
+                const x = values.length > 1 ? i / (values.length - 1) * canvas.width : canvas.width;
+                const y = canvas.height - 1 - value / max * (canvas.height - 2);
+                if (drawing) ctx.lineTo(x, y);
+                else ctx.moveTo(x, y);
+                drawing = true;
+            });
+            ctx.stroke();
+        };
+        const metricValue = (sample, metric) => (metric === 'clients' ? Object.values(sample.clients).reduce((a, b) => a + b, 0) : sample[metric]);
+        const renderDiagnostics = () => {
+            const latest = diagnosticsSamples[diagnosticsSamples.length - 1];
+            diagnosticsCharts.forEach(chart => {
+                const values = diagnosticsSamples.map(sample => metricValue(sample, chart.dataset.metric));
+                const value = latest ? metricValue(latest, chart.dataset.metric) : null;
+                chart.querySelector('.chart-value').textContent = value === null ? '-' : \`\${value}\${chart.dataset.unit}\`;
+                drawSparkline(chart.querySelector('canvas'), values);
+            });
+            if (latest) diagnosticsCharts[0].title = Object.entries(latest.clients).map(([type, count]) => \`\${type}: \${count}\`).join('\\n');
+        };
+        const appendLogs = (entries) => {
+            const following = logTail.scrollTop + logTail.clientHeight >= logTail.scrollHeight - 5;
+            entries.filter(entry => entry.seq > lastLogSeq).forEach(entry => {
+                const line = document.createElement('div');
+                line.className = entry.level;
+                line.textContent = \`\${new Date(entry.at).toLocaleTimeString()} \${entry.level.toUpperCase().padEnd(5)} \${entry.message}\`;
+                logTail.appendChild(line);
+                lastLogSeq = entry.seq;
+            });
+            while (logTail.childElementCount > 500) logTail.firstChild.remove();
+            if (following) logTail.scrollTop = logTail.scrollHeight;
+        };
+        socket.on('diagnosticsHistory', ({ samples, logs }) => {
+            diagnosticsSamples = samples;
+            logTail.innerHTML = '';
+            lastLogSeq = 0;
+            appendLogs(logs);
+            renderDiagnostics();
+        });
+        socket.on('diagnostics', ({ sample, logs }) => {
+            diagnosticsSamples = [...diagnosticsSamples, sample].slice(-${DIAGNOSTICS_HISTORY});
+            appendLogs(logs);
+            renderDiagnostics();
+        });
+
+        // --- Audit Log ---
+        const isAuditTabActive = () => document.getElementById('audit').classList.contains('active');
+        const auditFilters = () => {
+            const filters = {};
+            [['q', auditQuery], ['actor', auditActor], ['event', auditEvent], ['outcome', auditOutcome]].forEach(([name, input]) => {
+                if (input.value.trim()) filters[name] = input.value.trim();
+            });
+            if (auditFrom.value) filters.from = new Date(auditFrom.value).getTime();
+            if (auditTo.value) filters.to = new Date(auditTo.value).getTime();
+            if (auditDeviceOnly.checked && selectedDeviceId) filters.deviceId = selectedDeviceId;
+            return filters;
+        };
+        const auditRow = (entry) => {
+            const row = document.createElement('tr');
+            if (entry.commandId) row.dataset.commandId = entry.commandId;
+            const via = entry.actor.role ? \`\${entry.actor.role}, \${entry.actor.via}\` : entry.actor.via;
+            [new Date(entry.at).toLocaleString(), \`\${entry.actor.name} (\${via})\`, entry.deviceId || '-', entry.event, entry.summary].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            const outcome = document.createElement('td');
+            outcome.className = entry.delivery || entry.outcome;
+            outcome.textContent = entry.delivery ? \`\${entry.outcome} → \${entry.delivery}\` : entry.outcome;
+            row.appendChild(outcome);
+            return row;
+        };
+        const searchAudit = () => {
+            const filters = auditFilters();
+            const query = new URLSearchParams(filters).toString();
+            auditExportJsonl.href = \`/api/v1/audit/export.jsonl?\${query}\`;
+            auditExportCsv.href = \`/api/v1/audit/export.csv?\${query}\`;
+            socket.emit('auditSearch', { ...filters, limit: 500 }, ({ entries = [] }) => {
+                auditTable.innerHTML = '';
+                entries.forEach(entry => auditTable.appendChild(auditRow(entry)));
+            });
+        };
+        // New entries are only added live while no filter is set; delivery outcomes update their command's row.
+        socket.on('auditEntry', (entry) => {
+            if (!isAuditTabActive()) return;
+            const queuedRow = entry.commandId && entry.outcome !== 'queued' && auditTable.querySelector(\`tr[data-command-id="\${entry.commandId}"]\`);
+            if (queuedRow) {
+                queuedRow.lastChild.className = entry.outcome;
+                queuedRow.lastChild.textContent = \`queued → \${entry.outcome}\`;
+            }
+            if (Object.keys(auditFilters()).length) return;
+            auditTable.prepend(auditRow(entry.outcome === 'queued' ? { ...entry, delivery: 'pending' } : entry));
+            while (auditTable.childElementCount > 500) auditTable.lastChild.remove();
+        });
+
+        // --- Settings ---
+        const isSettingsTabActive = () => document.getElementById('settings').classList.contains('active');
+        const renderSettings = ({ file, loadedAt, lastReload, settings }) => {
+            const lines = [\`CONFIG FILE: \${file} · STARTED \${new Date(loadedAt).toLocaleString()}\`];
+            if (lastReload) {
+                const outcome = lastReload.errors.length ? \`REJECTED\\n  \${lastReload.errors.join('\\n  ')}\` : (lastReload.changed.join(', ') || 'no live changes');
+                lines.push(\`LAST RELOAD: \${new Date(lastReload.at).toLocaleString()} (\${lastReload.reason}): \${outcome}\`);
+            }
+            settingsStatus.textContent = lines.join('\\n');
+            settingsStatus.className = lastReload && lastReload.errors.length ? 'error' : '';
+            settingsTable.innerHTML = '';
+            settings.forEach(setting => {
+                const row = document.createElement('tr');
+                const value = Array.isArray(setting.value) ? (setting.value.join(', ') || '(none)') : String(setting.value);
+                const applies = setting.pendingRestart ? 'changed, needs restart' : setting.live ? 'on reload' : 'on restart';
+                [\`\${setting.key}\\n\${setting.env}\`, value, setting.source, applies, setting.description].forEach((text, i) => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    if (i === 0) cell.style.whiteSpace = 'pre';
+                    if (i === 2) cell.className = setting.source;
+                    if (i === 3 && setting.pendingRestart) cell.className = 'restart';
+                    row.appendChild(cell);
+                });
+                settingsTable.appendChild(row);
+            });
+        };
+        const loadSettings = () => socket.emit('getSettings', (state) => { if (state.settings) renderSettings(state); });
+        socket.on('settings', renderSettings);
+
+        socket.on('streamViewerStats', (viewers) => {
+            streamViewers.innerHTML = '';
+            viewers.forEach(viewer => {
+                const item = document.createElement('li');
+                const self = viewer.id === socket.id ? ' (you)' : '';
+                item.textContent = \`\${viewer.user}/\${viewer.client}\${self}: \${viewer.sent} / \${viewer.dropped}, \${viewer.latencyMs}ms\`;
+                streamViewers.appendChild(item);
+            });
+        });
+        // --- Displays and Regions ---
+        let currentStreamConfig = null;
+        const regionSelect = attachRegionSelect(liveScreenFeed, (selected) => {
+            // The picture already shows the current region, so the selection is within it.
+            const outer = currentStreamConfig && currentStreamConfig.region;
+            socket.emit('regionChange', outer ? {
+                x: outer.x + selected.x * outer.width,
+                y: outer.y + selected.y * outer.height,
+                width: selected.width * outer.width,
+                height: selected.height * outer.height,
+            } : selected);
+        });
+        socket.on('streamConfig', (config) => {
+            currentStreamConfig = config;
+            displaySelect.innerHTML = '';
+            const options = [{ id: '', label: 'MAC DEFAULT DISPLAY' }, ...config.displays.map(d => ({ id: d.id, label: \`\${d.name || d.id} (\${d.width}x\${d.height})\${d.main ? ' *' : ''}\` }))];
+            if (config.displayId && !config.displays.some(d => d.id === config.displayId)) options.push({ id: config.displayId, label: \`\${config.displayId} (not connected)\` });
+            options.forEach(({ id, label }) => displaySelect.add(new Option(label, id)));
+            displaySelect.value = config.displayId || '';
+            displaySelect.disabled = cropBtn.disabled = !config.supported;
+            uncropBtn.disabled = !config.supported || !config.region;
+            displayControls.title = config.supported ? '' : 'This Mac cannot switch displays or crop the stream';
+            if (!config.supported) regionSelect.cancel();
+        });
+
+        socket.on('autoQualityUpdate', ({ enabled, quality, frameRate, reason, metrics }) => {
+            isAutoMode = enabled;
+            autoQualityBtn.style.borderColor = isAutoMode ? 'var(--color-secondary)' : 'var(--color-border)';
+            qualitySlider.disabled = isAutoMode;
+            frameRateSlider.disabled = isAutoMode;
+            autoQualityStatus.hidden = !isAutoMode;
+            if (!isAutoMode) return;
+            qualitySlider.value = qualityValue.textContent = quality;
+            frameRateSlider.value = frameRateValue.textContent = frameRate;
+            const measured = metrics ? \` | \${metrics.latencyMs}ms, \${Math.round(metrics.throughput / 1024)}KB/s, backlog \${metrics.backlog}\` : '';
+            autoQualityStatus.textContent = \`AUTO Q\${quality} @ \${frameRate}FPS - \${reason || '...'}\${measured}\`;
+        });
+        socket.on('connect_error', (err) => { if (err.message === 'unauthorized') window.location = '/login'; });
+        // Hide what this role may not use; the server enforces the same permissions.
+        socket.on('identified', ({ role, permissions }) => {
+            ${JSON.stringify(PERMISSIONS)}.forEach(permission => document.body.classList.toggle(\`no-\${permission}\`, !permissions.includes(permission)));
+            roleStatus.textContent = \`[\${role.toUpperCase()}]\`;
+            roleStatus.hidden = role === 'controller';
+        });
+        socket.on('protocolError', ({ event, code, message }) => console.warn(\`Server rejected '\${event}' (\${code}): \${message}\`));
+        socket.on('disconnect', (reason) => { if (reason === 'io server disconnect') window.location = '/login'; });
+        socket.on('screenFrame', (buffer, ack) => feedCanvas.drawFrame(buffer).then(() => ack && ack()));
+        const renderMirrorVersion = () => {
+            const latest = mirrorFrame.latestVersion;
+            const pinned = mirrorFrame.pinnedVersion;
+            mirrorVersion.textContent = !latest ? '-' : pinned ? \`v\${pinned} OF v\${latest}\` : \`v\${latest} LIVE\`;
+            mirrorLiveBtn.disabled = !pinned;
+        };
+        // Snapshots are numbered consecutively, but the oldest ones are pruned; ask which still exist.
+        const stepMirror = async (direction) => {
+            if (!mirrorFrame.deviceId) return;
+            const history = await (await fetch(\`/mirror/\${encodeURIComponent(mirrorFrame.deviceId)}/history\`)).json();
+            const versions = history.map(snapshot => snapshot.version).reverse();
+            const next = versions[versions.indexOf(mirrorFrame.pinnedVersion || mirrorFrame.latestVersion) + direction];
+            if (next === undefined) return;
+            mirrorFrame.show(next);
+            renderMirrorVersion();
+        };
+        socket.on('htmlUpdate', (update) => { mirrorFrame.update(update); renderMirrorVersion(); });
+        socket.on('mirrorSettings', (settings) => {
+            mirrorFrame.setSettings(settings);
+            mirrorModeSelect.value = settings.mode;
+            mirrorScriptsBtn.textContent = settings.scripts ? 'SCRIPTS: ON' : 'SCRIPTS: OFF';
+            mirrorScriptsBtn.style.borderColor = settings.scripts ? '#ff3333' : 'var(--color-border)';
+            mirrorScriptsBtn.disabled = settings.mode === 'snapshot';
+        });
+        // --- Clipboard ---
+        const latestClipboardVersion = () => (clipboardEntries[0] ? clipboardEntries[0].version : 0);
+        const showClipboardEntry = (entry) => {
+            clipboardStatus.style.color = 'var(--color-text)';
+            clipboardStatus.textContent = entry ? \`v\${entry.version} \${entry.type.toUpperCase()} by \${entry.source.name}\` : 'v0';
+            if (!entry || entry.type !== 'text') return;
+            if (document.activeElement !== sharedClipboard) { sharedClipboard.value = entry.content; clipboardBase = entry.version; }
+            if (document.activeElement !== examQuestionsInput) examQuestionsInput.value = entry.content;
+        };
+        const htmlToText = html => new DOMParser().parseFromString(html, 'text/html').body.textContent;
+        const renderClipboardHistory = () => {
+            clipboardHistory.innerHTML = '';
+            clipboardEntries.forEach(entry => {
+                const item = document.createElement('li');
+                const label = document.createElement('span');
+                label.style.overflow = 'hidden';
+                label.style.textOverflow = 'ellipsis';
+                label.style.whiteSpace = 'nowrap';
+                label.title = \`v\${entry.version} from \${entry.source.name} at \${new Date(entry.createdAt).toLocaleString()}\${entry.resentFrom ? ' (re-sent v' + entry.resentFrom + ')' : ''}\`;
+                label.textContent = \`\${entry.pinned ? '* ' : ''}v\${entry.version} \${entry.source.name}: \`;
+                if (entry.type === 'image') {
+                    const thumb = document.createElement('img');
+                    thumb.src = entry.content;
+                    thumb.style.maxHeight = '32px';
+                    thumb.style.verticalAlign = 'middle';
+                    label.appendChild(thumb);
+                } else {
+                    label.append((entry.type === 'html' ? '[HTML] ' + htmlToText(entry.content) : entry.content).slice(0, 80));
+                }
+                const pinBtn = document.createElement('button');
+                pinBtn.className = 'btn';
+                pinBtn.style.flexGrow = '0';
+                pinBtn.textContent = entry.pinned ? 'UNPIN' : 'PIN';
+                pinBtn.addEventListener('click', () => socket.emit('clipboardPin', { version: entry.version, pinned: !entry.pinned }));
+                const sendBtn = document.createElement('button');
+                sendBtn.className = 'btn';
+                sendBtn.style.flexGrow = '0';
+                sendBtn.textContent = 'SEND';
+                sendBtn.addEventListener('click', () => socket.emit('clipboardResend', entry.version));
+                item.append(label, pinBtn, sendBtn);
+                clipboardHistory.appendChild(item);
+            });
+        };
+        // A write based on an old version is rejected; the draft stays put until SHARE overwrites.
+        const shareClipboard = async (type, content, overwrite = false) => {
+            const result = await socket.timeout(10000).emitWithAck('clipboardWrite', { type, content, baseVersion: overwrite ? latestClipboardVersion() : clipboardBase });
+            if (result.error) {
+                clipboardStatus.textContent = result.error;
+                clipboardStatus.style.color = '#ff3333';
+            } else if (result.conflict) {
+                clipboardStatus.textContent = \`CONFLICT: v\${result.conflict.version} by \${result.conflict.source.name}, SHARE to overwrite\`;
+                clipboardStatus.style.color = '#ff3333';
+            } else {
+                clipboardBase = result.entry.version;
+            }
+        };
+        socket.on('clipboardHistory', (entries) => {
+            clipboardEntries = entries;
+            renderClipboardHistory();
+            showClipboardEntry(entries[0]);
         });
-        socket.on('screenData', (data) => liveScreenFeed.src = 'data:image/jpeg;base64,' + data);
-        socket.on('renderHTML', (source) => { htmlRenderer.srcdoc = source || ''; if (!source) htmlRenderer.src = \`${SVG_PLACEHOLDER_HTML}\`; });
-        socket.on('clipboardData', (content) => { 
-            if (document.activeElement !== sharedClipboard) sharedClipboard.value = content; 
-            if (document.activeElement !== examQuestionsInput) examQuestionsInput.value = content;
+        socket.on('clipboardEntry', (entry) => {
+            clipboardEntries = [entry, ...clipboardEntries.filter(e => e.version !== entry.version)];
+            renderClipboardHistory();
+            showClipboardEntry(entry);
         });
         socket.on('emojiToWeb', (emoji) => emojiFromMac.textContent = emoji);
         socket.on('statusUpdate', (data) => {
             if (data.type === 'mac') {
-                const isConnected = data.status === 'connected';
-                macStatus.textContent = isConnected ? '[CONNECTED]' : '[DISCONNECTED]';
-                macStatus.className = isConnected ? 'connected' : 'disconnected';
-                if (!isConnected) liveScreenFeed.src = \`${SVG_PLACEHOLDER_STREAM_DISCONNECTED}\`;
+                // 'reconnecting' keeps the last picture up: the Mac may be back in a moment.
+                macStatus.textContent = \`[\${data.status.toUpperCase()}]\`;
+                macStatus.className = data.status;
+                macStatus.title = data.lastSeenAt ? \`Last seen \${new Date(data.lastSeenAt).toLocaleTimeString()}\` : 'Never seen';
+                const reading = data.missedHeartbeats > 0 ? 'NO REPLY' : data.latencyMs !== null ? \`\${data.latencyMs} ms\` : '';
+                macLink.textContent = data.status === 'connected' && reading ? \`\${reading} · \${data.quality.toUpperCase()}\` : '';
+                macLink.className = data.status === 'connected' && data.quality ? data.quality : '';
+                if (data.status === 'disconnected') feedCanvas.drawPlaceholder(\`${SVG_PLACEHOLDER_STREAM_DISCONNECTED}\`);
             } else if (data.type === 'queue') {
-                queueStatus.textContent = (data.status === 'queued' && data.count > 0) ? \`(\${data.count} Queued)\` : '';
-                queueStatus.classList.toggle('hidden', !(data.status === 'queued' && data.count > 0));
+                const parts = [];
+                if (data.status === 'queued' && data.count > 0) parts.push(\`\${data.count} Queued\`);
+                if (data.failed > 0) parts.push(\`\${data.failed} Failed\`);
+                queueStatus.textContent = parts.length ? \`(\${parts.join(', ')})\` : '';
+                queueStatus.classList.toggle('hidden', parts.length === 0);
+                retryFailedBtn.hidden = !(data.failed > 0);
             }
         });
         
+        socket.on('deviceList', (devices) => {
+            const usable = devices.filter(d => !d.revokedAt);
+            deviceSelect.innerHTML = '<option value="">NO DEVICE</option>';
+            usable.forEach(device => {
+                const option = document.createElement('option');
+                option.value = device.id;
+                option.textContent = \`\${{ connected: '●', reconnecting: '◐' }[device.presence] || '○'} \${device.name}\`;
+                deviceSelect.appendChild(option);
+            });
+            if (!usable.some(d => d.id === selectedDeviceId)) {
+                const fallback = usable.find(d => d.online) || usable[0];
+                if (fallback) selectDevice(fallback.id);
+                else selectedDeviceId = null;
+            }
+            deviceSelect.value = selectedDeviceId || '';
+
+            deviceList.innerHTML = '';
+            if (devices.length === 0) deviceList.innerHTML = '<li>No paired devices.</li>';
+            devices.forEach(device => {
+                const item = document.createElement('li');
+                item.classList.toggle('revoked', !!device.revokedAt);
+                const label = document.createElement('span');
+                const client = device.client ? \` \${device.client.name || ''} \${device.client.version || ''}\`.trimEnd() : '';
+                label.textContent = \`\${device.name} [\${device.id}]\${device.protocolVersion ? \` (protocol \${device.protocolVersion}\${client})\` : ''}\`;
+                label.title = device.lastSeenAt ? \`Last seen \${new Date(device.lastSeenAt).toLocaleString()}\` : 'Never seen';
+                item.appendChild(label);
+                if (!device.revokedAt) {
+                    const revokeBtn = document.createElement('button');
+                    revokeBtn.className = 'btn';
+                    revokeBtn.style.flexGrow = '0';
+                    revokeBtn.textContent = 'REVOKE';
+                    revokeBtn.addEventListener('click', () => {
+                        if (confirm(\`Revoke \${device.name}? It will have to be paired again.\`)) socket.emit('revokeDevice', device.id);
+                    });
+                    item.appendChild(revokeBtn);
+                }
+                const wipeBtn = document.createElement('button');
+                wipeBtn.className = 'btn';
+                wipeBtn.style.flexGrow = '0';
+                wipeBtn.textContent = 'WIPE';
+                wipeBtn.title = 'Delete its clipboard, HTML history, queue, transfers, recordings and settings';
+                wipeBtn.addEventListener('click', () => {
+                    if (confirm(\`Delete everything stored for \${device.name}? This cannot be undone.\`)) socket.emit('wipeDeviceData', device.id);
+                });
+                item.appendChild(wipeBtn);
+                deviceList.appendChild(item);
+            });
+        });
+        socket.on('pairingCode', ({ code, expiresAt }) => {
+            pairingCode.hidden = false;
+            pairingCode.textContent = code;
+            pairingCode.title = \`Expires at \${new Date(expiresAt).toLocaleTimeString()}\`;
+        });
+
+        const formatDuration = ms => { const s = Math.floor(ms / 1000); return \`\${Math.floor(s / 60)}:\${String(s % 60).padStart(2, '0')}\`; };
+        socket.on('recordingStatus', ({ recording }) => {
+            activeRecording = recording;
+            recordBtn.textContent = recording ? '■ STOP RECORDING' : '● START RECORDING';
+            recordBtn.style.borderColor = recording ? '#ff3333' : 'var(--color-border)';
+            recordingStatus.textContent = recording ? \`REC since \${new Date(recording.startedAt).toLocaleTimeString()}\` : 'Idle';
+            recordingStatus.style.color = recording ? '#ff3333' : 'var(--color-text)';
+        });
+        socket.on('recordingList', (recordings) => {
+            recordingList.innerHTML = '';
+            recordings.slice(0, 20).forEach(recording => {
+                const item = document.createElement('li');
+                const label = document.createElement('span');
+                label.textContent = \`\${new Date(recording.startedAt).toLocaleString()} \${recording.deviceName} (\${formatDuration(recording.durationMs)})\`;
+                const playBtn = document.createElement('button');
+                playBtn.className = 'btn';
+                playBtn.style.flexGrow = '0';
+                playBtn.textContent = 'PLAY';
+                playBtn.addEventListener('click', () => window.open(\`/playback?id=\${encodeURIComponent(recording.id)}\`, '_blank', 'popup,width=1280,height=800'));
+                item.append(label, playBtn);
+                recordingList.appendChild(item);
+            });
+        });
+
+        const formatBytes = n => n < 1024 * 1024 ? \`\${Math.ceil(n / 1024)} KB\` : \`\${(n / 1024 / 1024).toFixed(1)} MB\`;
+        const renderTransfers = () => {
+            transferList.innerHTML = '';
+            Array.from(transfersById.values()).sort((a, b) => b.createdAt - a.createdAt).slice(0, 20).forEach(transfer => {
+                const item = document.createElement('li');
+                const label = document.createElement('span');
+                const done = transfer.direction === 'toMac' && transfer.status === 'delivering' ? transfer.delivered : transfer.received;
+                const progress = transfer.size ? Math.floor(done / transfer.size * 100) : 100;
+                label.textContent = \`\${transfer.direction === 'toMac' ? '↑' : '↓'} \${transfer.name} (\${formatBytes(transfer.size)}) \${transfer.status.toUpperCase()}\${['uploading', 'delivering'].includes(transfer.status) ? ' ' + progress + '%' : ''}\`;
+                if (transfer.error) label.title = transfer.error;
+                item.appendChild(label);
+                if (transfer.direction === 'toWeb' && transfer.status === 'complete') {
+                    const link = document.createElement('a');
+                    link.className = 'btn';
+                    link.style.flexGrow = '0';
+                    link.textContent = 'SAVE';
+                    link.href = \`/transfers/\${encodeURIComponent(transfer.id)}/download\`;
+                    item.appendChild(link);
+                }
+                transferList.appendChild(item);
+            });
+        };
+        socket.on('transferList', (transfers) => {
+            transfersById.clear();
+            transfers.forEach(transfer => transfersById.set(transfer.id, transfer));
+            renderTransfers();
+        });
+        socket.on('transferProgress', (transfer) => {
+            transfersById.set(transfer.id, transfer);
+            renderTransfers();
+        });
+
         socket.on('geminiStatus', (data) => {
             examStatus.textContent = data.message;
             examStatus.style.color = 'var(--color-text)';
@@ -483,7 +3404,7 @@ const MAIN_UI_HTML = `
                     const formattedJson = JSON.stringify(JSON.parse(result.data.data), null, 2);
                     sharedClipboard.value = formattedJson;
                     batchJsonInput.value = formattedJson;
-                    socket.emit('clipboardData', formattedJson);
+                    shareClipboard('text', formattedJson, true);
                 } catch {
                     sharedClipboard.value = result.data.data;
                     batchJsonInput.value = result.data.data;
@@ -502,31 +3423,86 @@ const MAIN_UI_HTML = `
                 e.target.classList.add('active');
                 tabContents.forEach(c => c.classList.remove('active'));
                 document.getElementById(e.target.dataset.tab).classList.add('active');
+                socket.emit('subscribeStream', isStreamTabActive());
+                syncDiagnostics();
+                if (isAuditTabActive()) searchAudit();
+                if (isSettingsTabActive()) loadSettings();
             }
         });
+        auditSearchBtn.addEventListener('click', searchAudit);
+        [auditQuery, auditActor, auditEvent].forEach(input => input.addEventListener('keydown', (e) => { if (e.key === 'Enter') searchAudit(); }));
         toggleFullscreenBtn.addEventListener('click', () => {
             const activeViewport = document.querySelector('.tab-content.active .viewport');
             if(activeViewport) activeViewport.requestFullscreen().catch(err => alert(\`Error: \${err.message}\`));
         });
-        popOutStreamBtn.addEventListener('click', () => window.open('/stream-view', '_blank', 'popup,width=1280,height=720'));
-        popOutHtmlBtn.addEventListener('click', () => window.open('/html-view', '_blank', 'popup,width=1280,height=800'));
+        popOutStreamBtn.addEventListener('click', () => window.open(\`/stream-view?device=\${selectedDeviceId || ''}\`, '_blank', 'popup,width=1280,height=720'));
+        mirrorOlderBtn.addEventListener('click', () => stepMirror(-1));
+        mirrorNewerBtn.addEventListener('click', () => stepMirror(1));
+        mirrorLiveBtn.addEventListener('click', () => { mirrorFrame.show(null); renderMirrorVersion(); });
+        mirrorCompareBtn.addEventListener('click', () => {
+            const b = mirrorFrame.pinnedVersion || mirrorFrame.latestVersion;
+            if (b) window.open(\`/mirror-compare?device=\${encodeURIComponent(mirrorFrame.deviceId)}&a=\${Math.max(1, b - 1)}&b=\${b}\`, '_blank', 'popup,width=1400,height=900');
+        });
+        mirrorModeSelect.addEventListener('change', () => socket.emit('setMirrorSettings', { ...mirrorFrame.settings, mode: mirrorModeSelect.value }));
+        mirrorScriptsBtn.addEventListener('click', () => socket.emit('setMirrorSettings', { ...mirrorFrame.settings, scripts: !mirrorFrame.settings.scripts }));
+        popOutHtmlBtn.addEventListener('click', () => window.open(\`/html-view?device=\${selectedDeviceId || ''}\`, '_blank', 'popup,width=1280,height=800'));
+
+        controlBtn.addEventListener('click', () => {
+            const mine = controlHolder && controlHolder.socketId === socket.id;
+            socket.emit(mine ? 'releaseControl' : 'requestControl');
+        });
+        retryFailedBtn.addEventListener('click', () => socket.emit('retryFailedCommands'));
+
+        // Devices
+        deviceSelect.addEventListener('change', () => { if (deviceSelect.value) selectDevice(deviceSelect.value); });
+        pairDeviceBtn.addEventListener('click', () => socket.emit('createPairingCode'));
 
         // Stream Config
-        const updateQuality = () => { qualityValue.textContent = qualitySlider.value; socket.emit('qualityChange', qualitySlider.value); };
-        const updateFrameRate = () => { frameRateValue.textContent = frameRateSlider.value; socket.emit('frameRateChange', frameRateSlider.value); };
+        displaySelect.addEventListener('change', () => socket.emit('displayChange', displaySelect.value || null));
+        cropBtn.addEventListener('click', () => (regionSelect.active ? regionSelect.cancel() : regionSelect.start()));
+        uncropBtn.addEventListener('click', () => socket.emit('regionChange', null));
+        const updateQuality = () => { qualityValue.textContent = qualitySlider.value; socket.emit('qualityChange', Number(qualitySlider.value)); };
+        const updateFrameRate = () => { frameRateValue.textContent = frameRateSlider.value; socket.emit('frameRateChange', Number(frameRateSlider.value)); };
         qualitySlider.addEventListener('input', () => qualityValue.textContent = qualitySlider.value);
         qualitySlider.addEventListener('change', updateQuality);
         frameRateSlider.addEventListener('input', () => frameRateValue.textContent = frameRateSlider.value);
         frameRateSlider.addEventListener('change', updateFrameRate);
-        autoQualityBtn.addEventListener('click', () => {
-            isAutoMode = !isAutoMode;
-            autoQualityBtn.style.borderColor = isAutoMode ? 'var(--color-secondary)' : 'var(--color-border)';
-            qualitySlider.disabled = isAutoMode;
-            frameRateSlider.disabled = isAutoMode;
-        });
+        autoQualityBtn.addEventListener('click', () => socket.emit('setAutoQuality', !isAutoMode));
         
+        // Recording
+        recordBtn.addEventListener('click', () => socket.emit(activeRecording ? 'stopRecording' : 'startRecording'));
+
+        // Transfers
+        dropZone.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => { uploader.send(fileInput.files); fileInput.value = ''; });
+        dropZone.addEventListener('dragover', (e) => { e.preventDefault(); dropZone.classList.add('dragover'); });
+        dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('dragover');
+            uploader.send(e.dataTransfer.files);
+        });
+
         // Comms
-        sharedClipboard.addEventListener('input', () => socket.emit('clipboardData', sharedClipboard.value));
+        sharedClipboard.addEventListener('input', () => {
+            clearTimeout(clipboardTimer);
+            clipboardTimer = setTimeout(() => shareClipboard('text', sharedClipboard.value), 800);
+        });
+        shareClipboardBtn.addEventListener('click', () => { clearTimeout(clipboardTimer); shareClipboard('text', sharedClipboard.value, true); });
+        sharedClipboard.addEventListener('paste', (e) => {
+            const image = Array.from(e.clipboardData.files).find(f => f.type.startsWith('image/'));
+            const html = e.clipboardData.getData('text/html');
+            if (image) {
+                e.preventDefault();
+                const reader = new FileReader();
+                reader.onload = () => shareClipboard('image', reader.result, true);
+                reader.readAsDataURL(image);
+            } else if (html) {
+                e.preventDefault();
+                sharedClipboard.value = e.clipboardData.getData('text/plain') || htmlToText(html);
+                shareClipboard('html', html, true);
+            }
+        });
         
         // START: Modified Comms Logic
         document.querySelectorAll('.word-btn').forEach(button => {
@@ -619,5 +3595,245 @@ const MAIN_UI_HTML = `
 `;
 
 // --- Minimal HTML for Pop-Out Views ---
-const STREAM_VIEW_HTML = `<!DOCTYPE html><html lang="en"><head><title>Live Stream</title><meta name="viewport" content="width=device-width, initial-scale=1.0"><style>body{margin:0;background-color:#0d0d0d;display:flex;align-items:center;justify-content:center;height:100vh;font-family:'Fira Code',monospace}img{max-width:100%;max-height:100%;object-fit:contain}</style></head><body><img id="liveScreenFeed" alt="Live Stream"><script src="/socket.io/socket.io.js"></script><script>const socket=io(),feed=document.getElementById("liveScreenFeed");feed.src=\`${SVG_PLACEHOLDER_STREAM}\`;socket.on("connect",()=>socket.emit("identify","web-stream-viewer"));socket.on("screenData",e=>feed.src="data:image/jpeg;base64,"+e);socket.on("statusUpdate",e=>{if(e.type==="mac"&&e.status==="disconnected")feed.src=\`${SVG_PLACEHOLDER_STREAM_DISCONNECTED}\`});</script></body></html>`;
-const HTML_VIEW_HTML = `<!DOCTYPE html><html lang="en"><head><title>Live HTML Render</title><meta name="viewport" content="width=device-width, initial-scale=1.0"><style>body,html{margin:0;padding:0;width:100%;height:100%;background:#0d0d0d}iframe{border:0;width:100%;height:100%}</style></head><body><iframe id="htmlRenderer" sandbox="allow-same-origin allow-scripts"></iframe><script src="/socket.io/socket.io.js"></script><script>const socket=io(),iframe=document.getElementById("htmlRenderer");iframe.src=\`${SVG_PLACEHOLDER_HTML}\`;socket.on("connect",()=>socket.emit("identify","web-html-viewer"));socket.on("renderHTML",e=>{iframe.srcdoc=e||"";if(!e)iframe.src=\`${SVG_PLACEHOLDER_HTML}\`});</script></body></html>`;
\ No newline at end of file
+const STREAM_VIEW_HTML = `<!DOCTYPE html><html lang="en"><head><title>Live Stream</title><meta name="viewport" content="width=device-width, initial-scale=1.0"><style>body{margin:0;background-color:#0d0d0d;display:flex;align-items:center;justify-content:center;height:100vh;font-family:'Fira Code',monospace}canvas{max-width:100%;max-height:100%;object-fit:contain}#controlBtn{position:fixed;top:8px;right:8px;background:#333;border:1px solid #444;color:#ccc;padding:.25rem .5rem;font-family:inherit;cursor:pointer;opacity:.7}#controlBtn:hover{opacity:1;border-color:#ff6600;color:#ff6600}#annotationToolbar{position:fixed;top:8px;left:8px;display:flex;gap:4px;align-items:center;opacity:.7;z-index:1}#annotationToolbar:hover{opacity:1}#annotationToolbar .btn{background:#333;border:1px solid #444;color:#ccc;padding:.25rem .5rem;font-family:inherit;cursor:pointer}</style></head><body><canvas id="liveScreenFeed" aria-label="Live Stream"></canvas><div id="annotationToolbar" hidden></div><button id="controlBtn">[+] TAKE CONTROL</button><script src="/socket.io/socket.io.js"></script><script>${FRAME_CANVAS_JS}</script><script>${REMOTE_INPUT_JS}</script><script>${ANNOTATION_JS}</script><script>const socket=io(),canvas=document.getElementById("liveScreenFeed"),feed=createFrameCanvas(canvas),input=attachRemoteInput(canvas,socket),annotations=attachAnnotations(canvas,socket,document.getElementById("annotationToolbar")),controlBtn=document.getElementById("controlBtn");let holder=null;feed.drawPlaceholder(\`${SVG_PLACEHOLDER_STREAM}\`);socket.on("connect",()=>{socket.emit("identify","web-stream-viewer",{protocolVersion:${PROTOCOL_VERSION},role:"controller",permissions:["viewStream","sendCommands","annotate"]});socket.emit("subscribeStream",true);socket.emit("selectDevice",new URLSearchParams(location.search).get("device"))});socket.on("connect_error",e=>{if(e.message==="unauthorized")location="/login"});socket.on("identified",e=>{controlBtn.hidden=!e.permissions.includes("sendCommands");annotations.setEnabled(e.permissions.includes("annotate"))});socket.on("screenFrame",(e,a)=>feed.drawFrame(e).then(()=>a&&a()));socket.on("statusUpdate",e=>{if(e.type==="mac"&&e.status==="disconnected")feed.drawPlaceholder(\`${SVG_PLACEHOLDER_STREAM_DISCONNECTED}\`)});socket.on("controlLock",e=>{holder=e.holder;const mine=!!holder&&holder.socketId===socket.id;input.setEnabled(mine);controlBtn.textContent=mine?"[-] RELEASE CONTROL":holder?"[x] CONTROLLED BY "+holder.user:"[+] TAKE CONTROL"});controlBtn.addEventListener("click",()=>socket.emit(holder&&holder.socketId===socket.id?"releaseControl":"requestControl"));</script></body></html>`;
+const HTML_VIEW_HTML = `<!DOCTYPE html><html lang="en"><head><title>Live HTML Render</title><meta name="viewport" content="width=device-width, initial-scale=1.0"><style>body,html{margin:0;padding:0;width:100%;height:100%;background:#0d0d0d}iframe{border:0;width:100%;height:100%}</style></head><body><iframe id="htmlRenderer" sandbox=""></iframe><script src="/socket.io/socket.io.js"></script><script>${MIRROR_FRAME_JS}</script><script>const socket=io(),mirror=createMirrorFrame(document.getElementById("htmlRenderer"),\`${SVG_PLACEHOLDER_HTML}\`);socket.on("connect",()=>{socket.emit("identify","web-html-viewer",{protocolVersion:${PROTOCOL_VERSION},role:"viewer",permissions:["viewHtml"]});socket.emit("selectDevice",new URLSearchParams(location.search).get("device"))});socket.on("connect_error",e=>{if(e.message==="unauthorized")location="/login"});socket.on("htmlUpdate",e=>mirror.update(e));socket.on("mirrorSettings",e=>mirror.setSettings(e));</script></body></html>`;
+const LOGIN_HTML = `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><title>macOS Bridge - Sign In</title><meta name="viewport" content="width=device-width, initial-scale=1.0"><style>body{margin:0;background-color:#0d0d0d;color:#ccc;display:flex;align-items:center;justify-content:center;height:100vh;font-family:'Fira Code',monospace}form{display:flex;flex-direction:column;gap:1rem;border:1px solid #444;background:#1a1a1a;padding:2rem;min-width:280px}h1{color:#ff6600;font-size:1.5rem;margin:0}input{background:#0d0d0d;border:1px solid #444;color:#ccc;padding:.5rem;font-family:inherit}button{background:#ff6600;border:1px solid #ff6600;color:#0d0d0d;font-weight:bold;padding:.5rem;cursor:pointer;font-family:inherit}#error{color:#ff3333}</style></head><body><form method="post" action="/login"><h1>> macos_bridge</h1><span id="error" hidden>ACCESS DENIED</span><input name="user" placeholder="user" autocomplete="username" required autofocus><input name="password" type="password" placeholder="password" autocomplete="current-password" required><button type="submit">SIGN IN</button></form><script>const error=new URLSearchParams(location.search).get("error"),errorEl=document.getElementById("error");if(error){errorEl.hidden=false;if(error==="locked")errorEl.textContent="TOO MANY ATTEMPTS - TRY AGAIN LATER"}</script></body></html>`;
+const MIRROR_COMPARE_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Compare Snapshots</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        body { margin: 0; background-color: #0d0d0d; color: #ccc; font-family: 'Fira Code', monospace; display: flex; flex-direction: column; height: 100vh; }
+        #controls { display: flex; gap: 0.5rem; align-items: center; padding: 0.5rem; border-bottom: 1px solid #444; background: #1a1a1a; }
+        #panes { flex: 1; display: grid; grid-template-columns: 1fr 1fr; gap: 2px; background: #444; min-height: 0; }
+        iframe { border: 0; width: 100%; height: 100%; background: #fff; }
+        #changes { max-height: 30vh; overflow-y: auto; margin: 0; padding: 0.5rem 1rem; border-top: 1px solid #444; font-size: 0.8rem; list-style: none; }
+        #changes li { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        .op { color: #ff6600; display: inline-block; min-width: 70px; }
+        button, select { background: #333; border: 1px solid #444; color: #ccc; padding: 0.25rem 0.5rem; font-family: inherit; }
+        button:hover { border-color: #ff6600; color: #ff6600; }
+    </style>
+</head>
+<body>
+    <div id="controls">
+        <label>FROM <select id="fromSelect"></select></label>
+        <label>TO <select id="toSelect"></select></label>
+        <button id="swapBtn">SWAP</button>
+        <span id="summary"></span>
+    </div>
+    <div id="panes"><iframe id="fromFrame"></iframe><iframe id="toFrame"></iframe></div>
+    <ul id="changes"></ul>
+    <script>${MIRROR_FRAME_JS}</script>
+    <script>
+        const params = new URLSearchParams(location.search);
+        const deviceId = params.get('device');
+        const fromSelect = document.getElementById('fromSelect');
+        const toSelect = document.getElementById('toSelect');
+        const summary = document.getElementById('summary');
+        const changes = document.getElementById('changes');
+        const fromFrame = createMirrorFrame(document.getElementById('fromFrame'), 'about:blank');
+        const toFrame = createMirrorFrame(document.getElementById('toFrame'), 'about:blank');
+
+        const describe = (op) => {
+            if (op.op === 'text') return op.value;
+            if (op.op === 'attrs') return \`<\${op.name}> \${Object.entries(op.set).map(([k, v]) => k + '="' + v + '"').concat(op.remove.map(k => '-' + k)).join(' ')}\`;
+            if (op.op === 'splice') return \`-\${op.remove} +\${op.html}\`;
+            return op.html;
+        };
+
+        async function compare() {
+            const from = parseInt(fromSelect.value, 10);
+            const to = parseInt(toSelect.value, 10);
+            history.replaceState(null, '', \`?device=\${encodeURIComponent(deviceId)}&a=\${from}&b=\${to}\`);
+            fromFrame.show(from);
+            toFrame.show(to);
+            const { ops } = await (await fetch(\`/mirror/\${encodeURIComponent(deviceId)}/diff?from=\${from}&to=\${to}\`)).json();
+            changes.innerHTML = '';
+            summary.textContent = ops ? \`\${ops.length} change(s)\` : 'Pages differ outside <head>/<body>';
+            (ops || []).forEach(op => {
+                const item = document.createElement('li');
+                const name = document.createElement('span');
+                name.className = 'op';
+                name.textContent = op.op;
+                item.append(name, \`\${op.root}/\${op.path.join('/')} \${describe(op).slice(0, 200)}\`);
+                item.title = describe(op);
+                changes.appendChild(item);
+            });
+        }
+
+        (async () => {
+            const snapshots = await (await fetch(\`/mirror/\${encodeURIComponent(deviceId)}/history\`)).json();
+            if (!snapshots.length) return (summary.textContent = 'No snapshots yet.');
+            snapshots.forEach(snapshot => {
+                const label = \`v\${snapshot.version} \${new Date(snapshot.receivedAt).toLocaleTimeString()} (\${Math.ceil(snapshot.bytes / 1024)} KB)\`;
+                fromSelect.add(new Option(label, snapshot.version));
+                toSelect.add(new Option(label, snapshot.version));
+            });
+            const update = { deviceId, version: snapshots[0].version, available: true, patch: null };
+            fromFrame.update(update);
+            toFrame.update(update);
+            const versions = snapshots.map(snapshot => String(snapshot.version));
+            fromSelect.value = versions.includes(params.get('a')) ? params.get('a') : versions[Math.min(1, versions.length - 1)];
+            toSelect.value = versions.includes(params.get('b')) ? params.get('b') : versions[0];
+            compare();
+        })();
+        fromSelect.addEventListener('change', compare);
+        toSelect.addEventListener('change', compare);
+        document.getElementById('swapBtn').addEventListener('click', () => {
+            [fromSelect.value, toSelect.value] = [toSelect.value, fromSelect.value];
+            compare();
+        });
+    </script>
+</body>
+</html>`;
+
+const PLAYBACK_VIEW_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Recording Playback</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        body { margin: 0; background-color: #0d0d0d; color: #ccc; font-family: 'Fira Code', monospace; display: flex; flex-direction: column; height: 100vh; }
+        #viewport { flex: 1; display: flex; align-items: center; justify-content: center; overflow: hidden; }
+        canvas { max-width: 100%; max-height: 100%; object-fit: contain; }
+        #controls { display: flex; gap: 0.5rem; align-items: center; padding: 0.5rem; border-top: 1px solid #444; background: #1a1a1a; }
+        #scrubber { flex: 1; }
+        button, select, input { background: #333; border: 1px solid #444; color: #ccc; padding: 0.25rem 0.5rem; font-family: inherit; }
+        button:hover { border-color: #ff6600; color: #ff6600; }
+        #time { min-width: 120px; text-align: center; }
+    </style>
+</head>
+<body>
+    <div id="viewport"><canvas id="playbackCanvas" aria-label="Recording"></canvas></div>
+    <div id="controls">
+        <button id="playBtn">▶ PLAY</button>
+        <select id="speedSelect" title="Playback speed">
+            <option value="0.25">0.25x</option><option value="0.5">0.5x</option><option value="1" selected>1x</option>
+            <option value="2">2x</option><option value="4">4x</option><option value="8">8x</option>
+        </select>
+        <input id="scrubber" type="range" min="0" max="0" value="0">
+        <span id="time">0:00 / 0:00</span>
+        <button id="markInBtn" title="Set export start to current position">[ IN</button>
+        <button id="markOutBtn" title="Set export end to current position">OUT ]</button>
+        <button id="exportBtn">EXPORT</button>
+    </div>
+    <script>${FRAME_CANVAS_JS}</script>
+    <script>
+        const recordingId = new URLSearchParams(location.search).get('id');
+        const canvas = createFrameCanvas(document.getElementById('playbackCanvas'));
+        const playBtn = document.getElementById('playBtn');
+        const speedSelect = document.getElementById('speedSelect');
+        const scrubber = document.getElementById('scrubber');
+        const time = document.getElementById('time');
+        const markInBtn = document.getElementById('markInBtn');
+        const markOutBtn = document.getElementById('markOutBtn');
+        const exportBtn = document.getElementById('exportBtn');
+        canvas.drawPlaceholder(\`${SVG_PLACEHOLDER_STREAM}\`);
+
+        const segmentCache = new Map();
+        let frames = []; // { t, segment, offset, length, type } sorted by t
+        let duration = 0;
+        let position = 0; // ms since start
+        let drawnIndex = -1; // last frame painted
+        let playing = false;
+        let lastTick = 0;
+        let markIn = 0;
+        let markOut = null;
+
+        const formatTime = ms => { const s = Math.floor(ms / 1000); return Math.floor(s / 60) + ':' + String(s % 60).padStart(2, '0'); };
+        const updateTime = () => { time.textContent = formatTime(position) + ' / ' + formatTime(duration); };
+
+        function loadSegment(number) {
+            if (!segmentCache.has(number)) {
+                segmentCache.set(number, fetch('/recordings/' + encodeURIComponent(recordingId) + '/segments/' + number).then(r => r.arrayBuffer()));
+            }
+            return segmentCache.get(number);
+        }
+
+        // Draw requests are chained so frames reach the canvas in order even while segments load.
+        let drawing = Promise.resolve();
+        function drawRange(from, to) {
+            drawnIndex = to;
+            drawing = drawing.then(async () => {
+                for (let i = from; i <= to; i++) {
+                    const frame = frames[i];
+                    const data = await loadSegment(frame.segment);
+                    canvas.drawFrame(data.slice(frame.offset, frame.offset + frame.length));
+                }
+            });
+            return drawing;
+        }
+
+        // Index of the last frame at or before t.
+        function frameAt(t) {
+            let lo = 0, hi = frames.length - 1, found = -1;
+            while (lo <= hi) {
+                const mid = (lo + hi) >> 1;
+                if (frames[mid].t <= t) { found = mid; lo = mid + 1; } else hi = mid - 1;
+            }
+            return found;
+        }
+
+        // Repaints from the nearest keyframe at or before t.
+        function seek(t) {
+            position = Math.max(0, Math.min(duration, t));
+            updateTime();
+            const target = frameAt(position);
+            if (target < 0) return;
+            let start = target;
+            while (start > 0 && frames[start].type !== 0) start--;
+            drawRange(start, target);
+        }
+
+        function tick(now) {
+            if (!playing) return;
+            position += (now - lastTick) * parseFloat(speedSelect.value);
+            lastTick = now;
+            if (position >= duration) {
+                position = duration;
+                setPlaying(false);
+            }
+            const target = frameAt(position);
+            if (target > drawnIndex) drawRange(drawnIndex + 1, target);
+            scrubber.value = position;
+            updateTime();
+            requestAnimationFrame(tick);
+        }
+
+        function setPlaying(value) {
+            playing = value;
+            playBtn.textContent = playing ? '❚❚ PAUSE' : '▶ PLAY';
+            if (playing) {
+                if (position >= duration) seek(0);
+                lastTick = performance.now();
+                requestAnimationFrame(tick);
+            }
+        }
+
+        playBtn.addEventListener('click', () => setPlaying(!playing));
+        scrubber.addEventListener('input', () => seek(parseFloat(scrubber.value)));
+        markInBtn.addEventListener('click', () => { markIn = Math.round(position); markInBtn.textContent = '[ ' + formatTime(markIn); });
+        markOutBtn.addEventListener('click', () => { markOut = Math.round(position); markOutBtn.textContent = formatTime(markOut) + ' ]'; });
+        exportBtn.addEventListener('click', () => {
+            const to = markOut === null ? duration : markOut;
+            if (to <= markIn) return alert('The export end must be after its start.');
+            location.href = '/recordings/' + encodeURIComponent(recordingId) + '/export?from=' + markIn + '&to=' + Math.ceil(to);
+        });
+
+        fetch('/recordings/' + encodeURIComponent(recordingId) + '/index')
+            .then(r => { if (!r.ok) throw new Error('Recording not found'); return r.json(); })
+            .then(index => {
+                document.title = 'Playback - ' + index.deviceName + ' ' + new Date(index.startedAt).toLocaleString();
+                index.segments.forEach(segment => segment.frames.forEach(f => frames.push({ ...f, segment: segment.number })));
+                frames.sort((a, b) => a.t - b.t);
+                duration = frames.length ? frames[frames.length - 1].t : 0;
+                scrubber.max = duration;
+                seek(0);
+            })
+            .catch(err => { time.textContent = err.message; });
+    </script>
+</body>
+</html>`;
@@ -0,0 +1,45 @@
+const { ClusterAdapterWithHeartbeat } = require("socket.io-adapter");
+
+/**
+ * A socket.io adapter that passes broadcasts, acks and room changes through the
+ * broker (lib/broker.js), so `io.to(room).emit()` reaches sockets on every
+ * server instance and acks come back from all of them. Instances find each
+ * other through heartbeats on the same channel.
+ *
+ *     io.adapter(createBrokerAdapter(broker))
+ *
+ * @param {object} broker
+ * @param {object} [options]
+ * @param {number} [options.heartbeatInterval] How often an instance says it is alive.
+ * @param {number} [options.heartbeatTimeout] How long until a silent instance counts as gone.
+ * @returns {Function} The adapter class.
+ */
+function createBrokerAdapter(broker, { heartbeatInterval = 5000, heartbeatTimeout = 10000 } = {}) {
+    return class BrokerAdapter extends ClusterAdapterWithHeartbeat {
+        constructor(nsp) {
+            super(nsp, { heartbeatInterval, heartbeatTimeout });
+            this.channel = `bridge:socket.io#${nsp.name}#`;
+            this.unsubscribe = [
+                broker.subscribe(this.channel, (message) => this.onMessage(message)),
+                broker.subscribe(`${this.channel}${this.uid}#`, (response) => this.onResponse(response)),
+            ];
+        }
+
+        doPublish(message) {
+            broker.publish(this.channel, message);
+            return Promise.resolve("");
+        }
+
+        doPublishResponse(requesterUid, response) {
+            broker.publish(`${this.channel}${requesterUid}#`, response);
+            return Promise.resolve();
+        }
+
+        close() {
+            super.close();
+            this.unsubscribe.forEach(unsubscribe => unsubscribe());
+        }
+    };
+}
+
+module.exports = { createBrokerAdapter };
@@ -0,0 +1,111 @@
+const WINDOW_MS = 5000;
+
+/**
+ * Per-viewer delivery measurements over a sliding window: how many bytes the
+ * viewer acked, how long frames took from send to ack, how many frames were
+ * dropped for it, and how much was still waiting in the socket's write buffer
+ * when the last frame was sent. Also keeps lifetime sent/dropped counters.
+ */
+function createViewerStats() {
+    let samples = []; // { at, bytes, latencyMs }
+    let drops = []; // timestamps
+    let backlog = 0;
+    let sent = 0;
+    let dropped = 0;
+
+    const prune = (now) => {
+        samples = samples.filter(s => now - s.at <= WINDOW_MS);
+        drops = drops.filter(at => now - at <= WINDOW_MS);
+    };
+
+    return {
+        recordSend(writeBufferLength) {
+            backlog = writeBufferLength;
+            sent++;
+        },
+        recordDrop() {
+            const now = Date.now();
+            drops.push(now);
+            dropped++;
+            prune(now);
+        },
+        recordAck(bytes, latencyMs) {
+            const now = Date.now();
+            samples.push({ at: now, bytes, latencyMs });
+            prune(now);
+        },
+        /**
+         * @returns {{frames: number, dropRate: number, throughput: number, latencyMs: number, backlog: number, sent: number, dropped: number}}
+         *          throughput in bytes/s, latency as the window average, sent/dropped as lifetime totals.
+         */
+        summary() {
+            prune(Date.now());
+            const bytes = samples.reduce((sum, s) => sum + s.bytes, 0);
+            const latency = samples.length ? samples.reduce((sum, s) => sum + s.latencyMs, 0) / samples.length : 0;
+            const dropRate = drops.length ? drops.length / (drops.length + samples.length) : 0;
+            return { frames: samples.length, dropRate, throughput: Math.round(bytes / (WINDOW_MS / 1000)), latencyMs: Math.round(latency), backlog, sent, dropped };
+        },
+    };
+}
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Decides the next quality and frame rate for a device from its viewers'
+ * measurements. The slowest viewer wins: when any viewer is congested (high
+ * latency, a growing backlog, frames being dropped for it, or less throughput
+ * than the stream needs) quality drops first, then frame rate. When every
+ * viewer is comfortably keeping up, frame rate recovers first, then quality.
+ *
+ * @param {object} current { quality, frameRate }
+ * @param {Array<object>} viewers Summaries from createViewerStats().
+ * @param {number} avgFrameBytes Average size of recent frames.
+ * @param {object} bounds { minQuality, maxQuality, minFrameRate, maxFrameRate, targetLatencyMs, maxBacklog }
+ * @returns {{quality: number, frameRate: number, reason: string, metrics: object}}
+ */
+function decide(current, viewers, avgFrameBytes, bounds) {
+    let { quality, frameRate } = current;
+    quality = clamp(quality, bounds.minQuality, bounds.maxQuality);
+    frameRate = clamp(frameRate, bounds.minFrameRate, bounds.maxFrameRate);
+    const measured = viewers.filter(v => v.frames > 0 || v.backlog > 0 || v.dropRate > 0);
+    if (measured.length === 0) return { quality, frameRate, reason: "holding: no viewer measurements yet", metrics: null };
+
+    const metrics = {
+        latencyMs: Math.max(...measured.map(v => v.latencyMs)),
+        backlog: Math.max(...measured.map(v => v.backlog)),
+        dropRate: Math.max(...measured.map(v => v.dropRate)),
+        throughput: Math.min(...measured.map(v => v.throughput)),
+        required: Math.round(avgFrameBytes * frameRate),
+    };
+
+    let cause = null;
+    if (metrics.backlog > bounds.maxBacklog) cause = `backlog ${metrics.backlog} > ${bounds.maxBacklog}`;
+    else if (metrics.dropRate > 0.25) cause = `${Math.round(metrics.dropRate * 100)}% of frames dropped`;
+    else if (metrics.latencyMs > bounds.targetLatencyMs * 2) cause = `latency ${metrics.latencyMs}ms > ${bounds.targetLatencyMs * 2}ms`;
+    else if (metrics.required > 0 && metrics.throughput < metrics.required * 0.8) cause = `throughput ${Math.round(metrics.throughput / 1024)}KB/s < ${Math.round(metrics.required / 1024)}KB/s needed`;
+
+    if (cause) {
+        if (quality > bounds.minQuality) {
+            const next = clamp(Math.floor(quality * 0.8), bounds.minQuality, bounds.maxQuality);
+            return { quality: next, frameRate, reason: `${cause}: quality ${quality} → ${next}`, metrics };
+        }
+        if (frameRate > bounds.minFrameRate) {
+            const next = clamp(Math.floor(frameRate * 0.75), bounds.minFrameRate, bounds.maxFrameRate);
+            return { quality, frameRate: next, reason: `${cause}: frame rate ${frameRate} → ${next}`, metrics };
+        }
+        return { quality, frameRate, reason: `${cause}: already at minimum`, metrics };
+    }
+
+    const healthy = metrics.latencyMs < bounds.targetLatencyMs && metrics.backlog <= 1 && metrics.dropRate === 0;
+    if (healthy && frameRate < bounds.maxFrameRate) {
+        const next = clamp(frameRate + 2, bounds.minFrameRate, bounds.maxFrameRate);
+        return { quality, frameRate: next, reason: `healthy (latency ${metrics.latencyMs}ms): frame rate ${frameRate} → ${next}`, metrics };
+    }
+    if (healthy && quality < bounds.maxQuality) {
+        const next = clamp(quality + 5, bounds.minQuality, bounds.maxQuality);
+        return { quality: next, frameRate, reason: `healthy (latency ${metrics.latencyMs}ms): quality ${quality} → ${next}`, metrics };
+    }
+    return { quality, frameRate, reason: healthy ? "holding: at maximum" : `holding: latency ${metrics.latencyMs}ms near target`, metrics };
+}
+
+module.exports = { createViewerStats, decide };
@@ -0,0 +1,126 @@
+const crypto = require("crypto");
+const path = require("path");
+const { readJson, writeJson } = require("./jsonFile");
+
+const TOOLS = ["pen", "arrow", "box", "text"];
+const MAX_POINTS = 2000;
+const MAX_TEXT_LENGTH = 500;
+const COLOR = /^#[0-9a-f]{6}$/i;
+const DEFAULT_COLOR = "#ff6600";
+
+/**
+ * Validates a shape drawn by a viewer. Points are `[x, y]` in fractions of the
+ * picture, so shapes line up on every viewer whatever the size of their window.
+ * Arrows and boxes keep only their first and last point.
+ * @returns {{tool: string, points: number[][], color: string, width: number, text: string|null}|{error: string}}
+ */
+function normalizeShape({ tool, points, color, width, text } = {}) {
+    if (!TOOLS.includes(tool)) return { error: `tool must be one of ${TOOLS.join(", ")}.` };
+    const valid = Array.isArray(points) && points.length <= MAX_POINTS
+        && points.every(p => Array.isArray(p) && p.length === 2 && p.every(v => typeof v === "number" && v >= 0 && v <= 1));
+    if (!valid) return { error: `points must be up to ${MAX_POINTS} [x, y] pairs from 0 to 1.` };
+    const needed = tool === "text" ? 1 : 2;
+    if (points.length < needed) return { error: `A ${tool} needs at least ${needed} point${needed > 1 ? "s" : ""}.` };
+    if (tool === "text" && (typeof text !== "string" || !text.trim() || text.length > MAX_TEXT_LENGTH)) return { error: `Text must be 1 to ${MAX_TEXT_LENGTH} characters long.` };
+    const round = (value) => Math.round(value * 10000) / 10000;
+    const kept = tool === "pen" ? points : tool === "text" ? points.slice(0, 1) : [points[0], points[points.length - 1]];
+    return {
+        tool,
+        points: kept.map(([x, y]) => [round(x), round(y)]),
+        color: COLOR.test(color) ? color.toLowerCase() : DEFAULT_COLOR,
+        width: Number.isInteger(width) && width >= 1 && width <= 20 ? width : 3,
+        text: tool === "text" ? text.trim() : null,
+    };
+}
+
+/**
+ * Shapes drawn over each device's stream, shared by everyone watching it and
+ * kept in `<stateDirectory>/annotations.json`. Whether they outlive the people
+ * drawing them is up to the caller (see the Annotations section of index.js);
+ * this only stores them. The oldest shapes go once a device has `limit`.
+ *
+ * Shapes are kept one by one in `store`, so server instances sharing it can all
+ * add and remove them without overwriting each other's; the others call sync()
+ * when one did.
+ *
+ * @param {object} options
+ * @param {string} options.stateDirectory Where shapes are persisted.
+ * @param {Map} [options.store] Where shapes are kept (shape id -> { deviceId, position, shape }), besides the file.
+ * @param {number} [options.limit] Shapes kept per device.
+ */
+function createAnnotations({ stateDirectory, store = new Map(), limit = 500 }) {
+    const file = path.join(stateDirectory, "annotations.json");
+    let lastPosition = 0;
+
+    // A shape's place in the stack is when it was drawn; shapes loaded from the file keep their order below new ones.
+    const nextPosition = () => (lastPosition = Math.max(Date.now(), lastPosition + 1));
+    Object.entries(readJson(file, {})).forEach(([deviceId, list]) => list.forEach((shape, position) => store.set(shape.id, { deviceId, position, shape })));
+
+    const entriesOf = (deviceId) => [...store.values()]
+        .filter(entry => entry.deviceId === deviceId)
+        .sort((a, b) => a.position - b.position || (a.shape.id < b.shape.id ? -1 : 1));
+    const listFor = (deviceId) => entriesOf(deviceId).map(entry => entry.shape);
+    const deviceIds = () => [...new Set([...store.values()].map(entry => entry.deviceId))];
+    const save = () => writeJson(file, Object.fromEntries(deviceIds().map(deviceId => [deviceId, listFor(deviceId)])));
+
+    /**
+     * Adds a shape.
+     * @param {string} deviceId
+     * @param {object} shape As sent by the viewer; see normalizeShape().
+     * @param {string} author The user who drew it.
+     * @returns {{shape: object, dropped: string[]}|{error: string}} The stored shape and the ids of shapes trimmed to make room.
+     */
+    function add(deviceId, shape, author) {
+        const normalized = normalizeShape(shape);
+        if (normalized.error) return normalized;
+        const stored = { id: crypto.randomUUID(), ...normalized, author, createdAt: Date.now() };
+        store.set(stored.id, { deviceId, position: nextPosition(), shape: stored });
+        const list = listFor(deviceId);
+        const dropped = list.slice(0, Math.max(0, list.length - limit)).map(s => s.id);
+        dropped.forEach(id => store.delete(id));
+        save();
+        return { shape: stored, dropped };
+    }
+
+    /**
+     * Removes the newest shape drawn by `author`.
+     * @returns {object|null} The removed shape.
+     */
+    function undo(deviceId, author) {
+        const removed = listFor(deviceId).findLast(s => s.author === author);
+        if (!removed) return null;
+        store.delete(removed.id);
+        save();
+        return removed;
+    }
+
+    /**
+     * Removes every shape of a device.
+     * @returns {number} How many there were.
+     */
+    function clear(deviceId) {
+        const list = listFor(deviceId);
+        if (!list.length) return 0;
+        list.forEach(s => store.delete(s.id));
+        save();
+        return list.length;
+    }
+
+    return {
+        add,
+        undo,
+        clear,
+        /** Shapes, oldest (bottom-most) first. */
+        list: listFor,
+        /** Devices that have shapes. */
+        deviceIds,
+        /** Changes how many shapes are kept; applies from the next one. */
+        setLimit(value) {
+            limit = value;
+        },
+        /** Writes the shapes to disk after another instance changed them. */
+        sync: save,
+    };
+}
+
+module.exports = { createAnnotations, normalizeShape };
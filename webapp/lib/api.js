@@ -0,0 +1,107 @@
+const express = require("express");
+const { resolveRole } = require("./roles");
+const { MAX_WORD_LENGTH } = require("./protocol");
+
+/**
+ * REST API for scripts, mounted at /api/v1 (documented in lib/openapi.js).
+ *
+ * Callers authenticate with `Authorization: Bearer <token>` (BRIDGE_API_TOKENS)
+ * or a signed-in session cookie. Every endpoint goes through the same
+ * actions as the socket handlers, so both surfaces behave the same way, and
+ * needs the same permission (lib/roles.js) as the matching socket event.
+ *
+ * @param {object} options
+ * @param {function(object): ({user: string, role: string}|null)} options.authenticate Resolves the caller of a request.
+ * @param {object} options.actions The bridge's actions, shared with the socket handlers.
+ * @param {object} options.openapi The OpenAPI document, served unauthenticated.
+ * @returns {express.Router}
+ */
+function createApiRouter({ authenticate, actions, openapi }) {
+    const router = express.Router();
+
+    router.get("/openapi.json", (req, res) => res.json(openapi));
+
+    router.use((req, res, next) => {
+        req.caller = authenticate(req);
+        if (!req.caller) return res.status(401).json({ error: "unauthorized" });
+        req.permissions = resolveRole(req.caller.role).permissions;
+        req.actor = { kind: "user", name: req.caller.user, role: req.caller.role, via: "api" };
+        next();
+    });
+    const permit = (permission) => (req, res, next) => {
+        if (!req.permissions.has(permission)) return res.status(403).json({ error: `the ${permission} permission is required` });
+        next();
+    };
+    router.param("deviceId", (req, res, next, deviceId) => {
+        req.device = actions.findDevice(deviceId);
+        if (!req.device) return res.status(404).json({ error: "device not found" });
+        next();
+    });
+
+    router.get("/devices", (req, res) => res.json(actions.listDevices()));
+    router.get("/devices/:deviceId", (req, res) => res.json(actions.deviceState(req.device, req.permissions)));
+
+    router.get("/devices/:deviceId/clipboard", permit("editClipboard"), (req, res) => res.json(actions.clipboardHistory(req.device)));
+    router.put("/devices/:deviceId/clipboard", permit("editClipboard"), async (req, res) => {
+        const { type = "text", content, baseVersion } = req.body || {};
+        const result = await actions.writeClipboard(req.device, { type, content, baseVersion }, req.actor);
+        if (result.error) return res.status(400).json(result);
+        if (result.conflict) return res.status(409).json(result);
+        res.json(result);
+    });
+
+    router.post("/devices/:deviceId/commands", permit("sendCommands"), (req, res) => {
+        const { word } = req.body || {};
+        if (typeof word !== "string" || !word.trim()) return res.status(400).json({ error: "A non-empty word is required." });
+        if (word.length > MAX_WORD_LENGTH) return res.status(400).json({ error: `The word must be at most ${MAX_WORD_LENGTH} characters long.` });
+        res.status(202).json({ command: actions.sendWord(req.device, word, req.actor) });
+    });
+    router.get("/devices/:deviceId/queue", permit("sendCommands"), (req, res) => res.json(actions.queue(req.device)));
+
+    router.patch("/devices/:deviceId/stream-settings", permit("changeStreamSettings"), (req, res) => {
+        const result = actions.setStreamSettings(req.device, req.body || {}, req.actor);
+        if (result.error) return res.status(400).json(result);
+        res.json(result);
+    });
+
+    router.patch("/devices/:deviceId/stream-config", permit("changeStreamSettings"), (req, res) => {
+        const { displayId, region } = req.body || {};
+        const result = actions.setStreamConfig(req.device, { displayId, region }, req.actor);
+        if (result.error) return res.status(400).json(result);
+        res.json(result);
+    });
+
+    router.delete("/devices/:deviceId/data", permit("manageDevices"), (req, res) => {
+        actions.wipeDevice(req.device, req.actor);
+        res.status(204).end();
+    });
+
+    router.get("/devices/:deviceId/frame.jpg", permit("viewStream"), async (req, res) => {
+        const jpeg = await actions.latestJpeg(req.device);
+        if (!jpeg) return res.status(404).json({ error: "no frame available" });
+        res.setHeader("Cache-Control", "no-store");
+        res.type("jpeg").send(jpeg);
+    });
+
+    // Filters come as query parameters; `from` and `to` take milliseconds or an ISO date.
+    const auditFilters = ({ q, actor, event, outcome, deviceId, from, to, limit }) => {
+        const time = (value) => (value ? Number(value) || Date.parse(value) || undefined : undefined);
+        return { q, actor, event, outcome, deviceId, from: time(from), to: time(to), limit: parseInt(limit, 10) || undefined };
+    };
+    router.get("/audit", permit("manageDevices"), (req, res) => {
+        const filters = auditFilters(req.query);
+        res.json(actions.auditLog({ ...filters, limit: filters.limit || 100 }));
+    });
+    router.get("/audit/export.:format", permit("manageDevices"), (req, res) => {
+        const { format } = req.params;
+        if (format !== "jsonl" && format !== "csv") return res.status(404).json({ error: "export as .jsonl or .csv" });
+        res.setHeader("Content-Disposition", `attachment; filename="audit.${format}"`);
+        res.type(format === "csv" ? "text/csv" : "application/x-ndjson").send(actions.exportAuditLog(auditFilters(req.query), format));
+    });
+
+    router.get("/settings", permit("manageDevices"), (req, res) => res.json(actions.settings()));
+
+    return router;
+}
+
+module.exports = { createApiRouter };
@@ -0,0 +1,49 @@
+/**
+ * Counts failed sign-in and pairing attempts per client and locks a client out
+ * after too many, so passwords and pairing codes can't be guessed by brute force.
+ * A client's failures are forgotten `windowMs` after the first one, or when it
+ * succeeds.
+ *
+ * @param {object} [options]
+ * @param {number} [options.maxFailures] Failures allowed within the window.
+ * @param {number} [options.windowMs] How long failures are counted, and how long a lockout lasts.
+ * @param {Map} [options.store] Where the counts are kept (client -> { failures, since, lockedUntil });
+ *        instances behind a load balancer pass a shared one (lib/shared.js).
+ */
+function createAttemptLimiter({ maxFailures = 5, windowMs = 15 * 60 * 1000, store = new Map() } = {}) {
+    const current = (client) => {
+        const entry = store.get(client);
+        if (!entry) return null;
+        if (Math.max(entry.since + windowMs, entry.lockedUntil) > Date.now()) return entry;
+        store.delete(client);
+        return null;
+    };
+
+    return {
+        /**
+         * How long the client is still locked out, in ms; 0 when it may try.
+         */
+        lockedFor(client) {
+            const entry = current(client);
+            return entry ? Math.max(0, entry.lockedUntil - Date.now()) : 0;
+        },
+        /**
+         * Records a failed attempt.
+         * @returns {boolean} Whether the client is now locked out.
+         */
+        fail(client) {
+            store.forEach((entry, other) => current(other)); // Forgets clients that stopped trying
+            const now = Date.now();
+            const entry = current(client) || { failures: 0, since: now, lockedUntil: 0 };
+            const failures = entry.failures + 1;
+            const lockedUntil = failures >= maxFailures ? now + windowMs : 0;
+            store.set(client, { ...entry, failures, lockedUntil });
+            return lockedUntil > 0;
+        },
+        succeed(client) {
+            store.delete(client);
+        },
+    };
+}
+
+module.exports = { createAttemptLimiter };
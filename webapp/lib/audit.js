@@ -0,0 +1,158 @@
+const fs = require("fs");
+const path = require("path");
+
+const SUMMARY_LENGTH = 120;
+const CSV_COLUMNS = ["id", "at", "actorKind", "actor", "role", "via", "deviceId", "event", "summary", "outcome", "commandId", "delivery"];
+
+/**
+ * Shortens a payload for the audit trail, so that clipboard contents and
+ * long words are identifiable without being stored in full.
+ */
+function summarize(text, length = SUMMARY_LENGTH) {
+    const flat = String(text).replace(/\s+/g, " ").trim();
+    return flat.length > length ? `${flat.slice(0, length - 1)}…` : flat;
+}
+
+const csvField = (value) => {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Append-only audit trail of commands and state changes, one JSON object per
+ * line in `<stateDirectory>/audit.log`. Lines are never rewritten: the
+ * delivery outcome of a queued command is a later entry with the same
+ * `commandId`, and search() joins the two.
+ *
+ * Once audit.log reaches `maxBytes` it is renamed to audit.log.1, replacing the
+ * one before, and a new audit.log is started. The entries of both files are
+ * kept in memory, read once at startup, so searches don't touch the disk.
+ *
+ * Server instances sharing a broker pass each other their entries, which
+ * add() appends like this instance's own, so every log has all of them. Ids
+ * count on from the highest one seen; two instances recording at the same
+ * moment may give out the same id.
+ *
+ * An entry is `{ id, at, actor: { kind, name, role, via }, deviceId, event,
+ * summary, outcome, commandId? }`. `actor.kind` is 'user', 'device' or
+ * 'system'; `via` is 'socket', 'api' (the REST API), 'http' (sign-in and
+ * pairing) or 'server'.
+ *
+ * @param {object} options
+ * @param {string} options.stateDirectory Where audit.log is kept.
+ * @param {number} [options.maxBytes] Size at which audit.log is rotated.
+ * @param {function(object)} [options.onEntry] Called with every entry recorded here.
+ */
+function createAuditLog({ stateDirectory, maxBytes = 10 * 1024 * 1024, onEntry = () => {} }) {
+    const file = path.join(stateDirectory, "audit.log");
+    const rotatedFile = `${file}.1`;
+    fs.mkdirSync(stateDirectory, { recursive: true });
+
+    let rotated = readEntries(rotatedFile); // Entries of audit.log.1
+    let current = readEntries(file); // Entries of audit.log
+    let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    let lastId = [...rotated, ...current].reduce((last, entry) => Math.max(last, entry.id || 0), 0);
+
+    function readEntries(from) {
+        let text = "";
+        try {
+            text = fs.readFileSync(from, "utf8");
+        } catch (error) {
+            if (error.code !== "ENOENT") console.error(`Error reading ${from}:`, error);
+        }
+        return text.split("\n").filter(Boolean).flatMap(line => {
+            try {
+                return [JSON.parse(line)];
+            } catch {
+                return []; // A line cut short by a crash
+            }
+        });
+    }
+
+    function rotate() {
+        fs.renameSync(file, rotatedFile);
+        rotated = current;
+        current = [];
+        size = 0;
+    }
+
+    function append(entry) {
+        const line = `${JSON.stringify(entry)}\n`;
+        if (size > 0 && size + Buffer.byteLength(line) > maxBytes) rotate();
+        fs.appendFileSync(file, line);
+        size += Buffer.byteLength(line);
+        current.push(entry);
+    }
+
+    /**
+     * Appends an entry.
+     * @param {{kind: string, name: string, role: string|null, via: string}} actor
+     * @param {string|null} deviceId
+     * @param {string} event The socket event or action, e.g. 'wordToMac'.
+     * @param {string} summary What was sent, shortened.
+     * @param {string} outcome 'ok', 'queued', 'delivered', 'failed', 'rejected', 'conflict' or 'unchanged'.
+     * @param {object} [extra] E.g. `{ commandId }`.
+     */
+    function record(actor, deviceId, event, summary, outcome, extra = {}) {
+        const entry = { id: ++lastId, at: Date.now(), actor, deviceId, event, summary: summarize(summary), outcome, ...extra };
+        append(entry);
+        onEntry(entry);
+        return entry;
+    }
+
+    /**
+     * Appends an entry another instance recorded.
+     */
+    function add(entry) {
+        lastId = Math.max(lastId, entry.id);
+        append(entry);
+    }
+
+    /**
+     * Entries matching every given filter, newest first. Queued commands get a
+     * `delivery` field ('delivered', 'failed' or 'pending') from later entries.
+     * @param {object} [filters]
+     * @param {string} [filters.q] Text to find in the actor, event, device or summary.
+     * @param {string} [filters.actor]
+     * @param {string} [filters.event]
+     * @param {string} [filters.outcome]
+     * @param {string} [filters.deviceId]
+     * @param {number} [filters.from] Earliest time (ms).
+     * @param {number} [filters.to] Latest time (ms).
+     * @param {number} [filters.limit] At most this many entries; all if omitted.
+     */
+    function search({ q, actor, event, outcome, deviceId, from, to, limit } = {}) {
+        const entries = [...rotated, ...current];
+        const deliveries = new Map(); // commandId -> outcome
+        entries.forEach(entry => {
+            if (entry.commandId && (entry.outcome === "delivered" || entry.outcome === "failed")) deliveries.set(entry.commandId, entry.outcome);
+        });
+        const needle = q ? q.toLowerCase() : null;
+        const matches = entries.filter(entry =>
+            (!actor || entry.actor.name === actor)
+            && (!event || entry.event === event)
+            && (!outcome || entry.outcome === outcome)
+            && (!deviceId || entry.deviceId === deviceId)
+            && (!from || entry.at >= from)
+            && (!to || entry.at <= to)
+            && (!needle || [entry.actor.name, entry.event, entry.deviceId, entry.summary].some(field => field && field.toLowerCase().includes(needle))));
+        return matches.reverse().slice(0, limit || undefined).map(entry => (entry.outcome === "queued" ? { ...entry, delivery: deliveries.get(entry.commandId) || "pending" } : entry));
+    }
+
+    /**
+     * Entries as export files.
+     * @param {object[]} entries From search().
+     * @param {'jsonl'|'csv'} format
+     */
+    function format(entries, format) {
+        if (format === "csv") {
+            const rows = entries.map(entry => [entry.id, new Date(entry.at).toISOString(), entry.actor.kind, entry.actor.name, entry.actor.role, entry.actor.via, entry.deviceId, entry.event, entry.summary, entry.outcome, entry.commandId, entry.delivery]);
+            return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+        }
+        return entries.map(entry => `${JSON.stringify(entry)}\n`).join("");
+    }
+
+    return { record, add, search, format };
+}
+
+module.exports = { createAuditLog };
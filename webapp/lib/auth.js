@@ -0,0 +1,202 @@
+const crypto = require("crypto");
+const path = require("path");
+const { readJson, writeJson } = require("./jsonFile");
+
+const SESSION_COOKIE = "bridge_session";
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const PAIRING_CODE_TTL_MS = 5 * 60 * 1000;
+
+const sha256 = (value) => crypto.createHash("sha256").update(String(value)).digest("hex");
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(sha256(a));
+    const bufB = Buffer.from(sha256(b));
+    return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Parses a raw Cookie header into a plain object. Values that aren't valid
+ * percent-encoding are left out.
+ * @param {string} header The Cookie header value.
+ * @returns {Object<string, string>}
+ */
+function parseCookies(header) {
+    const cookies = {};
+    (header || "").split(";").forEach(part => {
+        const index = part.indexOf("=");
+        if (index < 0) return;
+        const key = part.slice(0, index).trim();
+        if (!key) return;
+        try {
+            cookies[key] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch {
+            // A malformed value can't be a session of ours.
+        }
+    });
+    return cookies;
+}
+
+/**
+ * Parses the BRIDGE_USERS setting ("name:password,name:password").
+ * @param {string} value
+ * @returns {Map<string, string>} user name -> password
+ */
+function parseUsers(value) {
+    const users = new Map();
+    (value || "").split(",").map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const index = entry.indexOf(":");
+        if (index > 0) users.set(entry.slice(0, index), entry.slice(index + 1));
+    });
+    return users;
+}
+
+/**
+ * Creates the authentication service: web sessions for signed-in users,
+ * revocable device tokens for paired macOS clients and static API tokens for scripts.
+ * @param {object} options
+ * @param {string} options.stateDirectory Where paired devices are persisted.
+ * @param {string} options.users The BRIDGE_USERS setting.
+ * @param {string} [options.apiTokens] The BRIDGE_API_TOKENS setting ("name:token,name:token").
+ * @param {string} [options.viewers] The BRIDGE_VIEWERS setting: users and API token names limited to the viewer role.
+ * @param {Map} [options.sessions] Where sessions are kept (session id -> { user, createdAt }).
+ * @param {Map} [options.pairingCodes] Where pairing codes are kept (code -> { createdBy, expiresAt }).
+ * @param {Map} [options.pairedDevices] Where paired devices are kept (device id -> device), besides devices.json.
+ *        The three default to Maps private to this server; instances behind a load balancer pass shared ones (lib/shared.js).
+ */
+function createAuth({ stateDirectory, users, apiTokens, viewers, sessions = new Map(), pairingCodes = new Map(), pairedDevices: devices = new Map() }) {
+    const devicesFile = path.join(stateDirectory, "devices.json");
+    const accounts = parseUsers(users);
+    const apiAccounts = parseUsers(apiTokens);
+    const viewerAccounts = new Set((viewers || "").split(",").map(name => name.trim()).filter(Boolean));
+    readJson(devicesFile, []).forEach(device => devices.set(device.id, device)); // { id, name, tokenHash, createdAt, pairedBy, revokedAt }
+
+    const allDevices = () => [...devices.values()].sort((a, b) => a.createdAt - b.createdAt);
+    const saveDevices = () => writeJson(devicesFile, allDevices());
+    const publicDevice = ({ id, name, createdAt, pairedBy, lastSeenAt, revokedAt }) => ({ id, name, createdAt, pairedBy, lastSeenAt, revokedAt });
+    /** The most an account may do (see lib/roles.js). */
+    const roleOf = (user) => (viewerAccounts.has(user) ? "viewer" : "controller");
+
+    function login(user, password) {
+        const expected = accounts.get(user);
+        if (expected === undefined || !safeEqual(password || "", expected)) return null;
+        const sessionId = crypto.randomBytes(32).toString("hex");
+        sessions.set(sessionId, { user, createdAt: Date.now() });
+        return sessionId;
+    }
+
+    function logout(sessionId) {
+        return sessions.delete(sessionId);
+    }
+
+    function getSession(sessionId) {
+        const session = sessionId && sessions.get(sessionId);
+        if (!session) return null;
+        if (Date.now() - session.createdAt > SESSION_TTL_MS) {
+            sessions.delete(sessionId);
+            return null;
+        }
+        return session;
+    }
+
+    function sessionFromCookie(cookieHeader) {
+        const sessionId = parseCookies(cookieHeader)[SESSION_COOKIE];
+        const session = getSession(sessionId);
+        return session ? { sessionId, user: session.user, role: roleOf(session.user) } : null;
+    }
+
+    function createPairingCode(createdBy) {
+        const now = Date.now();
+        pairingCodes.forEach((entry, code) => { if (entry.expiresAt < now) pairingCodes.delete(code); });
+        const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+        const expiresAt = now + PAIRING_CODE_TTL_MS;
+        pairingCodes.set(code, { createdBy, expiresAt });
+        return { code, expiresAt };
+    }
+
+    /**
+     * Exchanges a one-time pairing code for a long-lived device token.
+     * @returns {{deviceId: string, token: string}|null}
+     */
+    function pairDevice(code, name) {
+        const entry = pairingCodes.get(String(code || ""));
+        if (!entry || entry.expiresAt < Date.now()) return null;
+        pairingCodes.delete(String(code));
+        const token = crypto.randomBytes(32).toString("base64url");
+        const device = {
+            id: crypto.randomBytes(6).toString("hex"),
+            name: String(name || "Mac").slice(0, 64),
+            tokenHash: sha256(token),
+            createdAt: Date.now(),
+            pairedBy: entry.createdBy,
+            revokedAt: null,
+        };
+        devices.set(device.id, device);
+        saveDevices();
+        return { deviceId: device.id, token };
+    }
+
+    function authenticateDevice(token) {
+        if (!token) return null;
+        const tokenHash = sha256(token);
+        const device = allDevices().find(d => d.tokenHash === tokenHash && !d.revokedAt);
+        if (!device) return null;
+        device.lastSeenAt = Date.now();
+        return publicDevice(device);
+    }
+
+    function revokeDevice(deviceId) {
+        const device = devices.get(deviceId);
+        if (!device || device.revokedAt) return false;
+        devices.set(deviceId, { ...device, revokedAt: Date.now() });
+        saveDevices();
+        return true;
+    }
+
+    /**
+     * Resolves who is behind a socket.io handshake: a device presenting its
+     * token (auth payload, query string or bearer header) or a signed-in user.
+     * @returns {{kind: 'device', device: object, role: 'device'}|{kind: 'user', user: string, sessionId: string, role: string}|null}
+     */
+    function authenticateHandshake(handshake) {
+        const bearer = (handshake.headers.authorization || "").replace(/^Bearer\s+/i, "");
+        const token = (handshake.auth && handshake.auth.token) || handshake.query.token || bearer;
+        if (token) {
+            const device = authenticateDevice(token);
+            return device ? { kind: "device", device, role: "device" } : null;
+        }
+        const session = sessionFromCookie(handshake.headers.cookie);
+        return session ? { kind: "user", ...session } : null;
+    }
+
+    /**
+     * Resolves who is behind an HTTP API request: a bearer API token or a
+     * signed-in user's session cookie.
+     * @returns {{user: string, sessionId: string|null, role: string}|null}
+     */
+    function authenticateRequest(req) {
+        const bearer = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+        if (bearer) {
+            const match = [...apiAccounts].find(([, token]) => safeEqual(bearer, token));
+            return match ? { user: match[0], sessionId: null, role: roleOf(match[0]) } : null;
+        }
+        return sessionFromCookie(req.headers.cookie);
+    }
+
+    return {
+        hasUsers: accounts.size > 0,
+        login,
+        logout,
+        sessionFromCookie,
+        createPairingCode,
+        pairDevice,
+        authenticateDevice,
+        authenticateHandshake,
+        authenticateRequest,
+        revokeDevice,
+        listDevices: () => allDevices().map(publicDevice),
+        /** Another server instance paired or revoked a device: keeps devices.json the same. */
+        sync: saveDevices,
+    };
+}
+
+module.exports = { createAuth, parseCookies, SESSION_COOKIE, SESSION_TTL_MS };
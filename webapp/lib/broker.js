@@ -0,0 +1,134 @@
+const crypto = require("crypto");
+const Redis = require("ioredis");
+
+/**
+ * Messages and stored values travel as JSON; Buffers (screen frames, binary
+ * socket.io payloads) are carried as base64.
+ */
+const encode = (value) => JSON.stringify(value, function (key, item) {
+    const raw = this[key];
+    if (Buffer.isBuffer(raw) || ArrayBuffer.isView(raw)) return { $buffer: Buffer.from(raw.buffer, raw.byteOffset, raw.byteLength).toString("base64") };
+    return item;
+});
+const decode = (text) => JSON.parse(text, (key, item) => (item && typeof item.$buffer === "string" ? Buffer.from(item.$buffer, "base64") : item));
+
+/**
+ * The broker of a server running on its own: messages go to the subscribers in
+ * this process, as they are, and hashes live in memory.
+ */
+function createMemoryBroker() {
+    const handlers = new Map(); // channel -> Set of handlers
+    const hashes = new Map(); // hash -> Map of field -> value
+
+    return {
+        id: crypto.randomBytes(4).toString("hex"),
+        shared: false,
+        publish(channel, message) {
+            const subscribed = handlers.get(channel);
+            if (subscribed) setImmediate(() => subscribed.forEach(handler => handler(message)));
+        },
+        subscribe(channel, handler) {
+            if (!handlers.has(channel)) handlers.set(channel, new Set());
+            handlers.get(channel).add(handler);
+            return () => handlers.get(channel).delete(handler);
+        },
+        hgetall: async (hash) => Object.fromEntries(hashes.get(hash) || []),
+        hset(hash, field, value) {
+            if (!hashes.has(hash)) hashes.set(hash, new Map());
+            hashes.get(hash).set(field, value);
+        },
+        hdel(hash, field) {
+            if (hashes.has(hash)) hashes.get(hash).delete(field);
+        },
+        close: async () => handlers.clear(),
+    };
+}
+
+/**
+ * A broker backed by Redis (or anything speaking its protocol), shared by every
+ * server instance pointed at it, through ioredis. Uses one connection for
+ * commands and one for subscriptions; ioredis reconnects both and subscribes
+ * again. Writes and publishes don't wait for Redis: while it can't be reached
+ * they are dropped, and reported when Redis itself refuses them. Reads wait for
+ * it to come back.
+ * @param {string} url redis://[user:password@]host[:port][/db]
+ */
+function createRedisBroker(url) {
+    const { hostname, port } = new URL(url);
+    const address = `${hostname}:${port || 6379}`;
+    const handlers = new Map(); // channel -> Set of handlers
+    const binary = new Set(); // channels whose messages are Buffers, passed on as they are
+    const failing = new Set(); // connections that lost Redis and haven't got it back
+    // RESP2 is all the broker needs, and what every Redis-compatible server speaks.
+    const connect = (role) => {
+        const connection = new Redis(url, { protocol: 2 });
+        connection.on("error", (error) => {
+            if (!failing.has(connection)) console.error(`Redis ${role} connection to ${address} failed: ${error.message}`);
+            failing.add(connection);
+        });
+        connection.on("ready", () => {
+            if (failing.delete(connection)) console.log(`Reconnected to Redis at ${address}.`);
+        });
+        return connection;
+    };
+    const commands = connect("command");
+    const subscriber = connect("subscriber");
+    subscriber.on("messageBuffer", (channel, payload) => {
+        const name = channel.toString();
+        const subscribed = handlers.get(name);
+        if (!subscribed) return;
+        const message = binary.has(name) ? payload : decode(payload.toString());
+        subscribed.forEach(handler => handler(message));
+    });
+    const send = (command, ...args) => {
+        if (failing.has(commands)) return;
+        commands[command](...args).catch(error => console.error(`Broker ${command.toUpperCase()} failed: ${error.message}`));
+    };
+    const close = (connection) => (connection.status === "ready" ? connection.quit().catch(() => connection.disconnect()) : Promise.resolve(connection.disconnect()));
+
+    return {
+        id: crypto.randomBytes(4).toString("hex"),
+        shared: true,
+        publish: (channel, message) => send("publish", channel, Buffer.isBuffer(message) ? message : encode(message)),
+        subscribe(channel, handler, options = {}) {
+            if (!handlers.has(channel)) handlers.set(channel, new Set());
+            handlers.get(channel).add(handler);
+            if (options.binary) binary.add(channel);
+            subscriber.subscribe(channel).catch(error => console.error(`Broker SUBSCRIBE ${channel} failed: ${error.message}`));
+            return () => {
+                const subscribed = handlers.get(channel);
+                subscribed.delete(handler);
+                if (subscribed.size) return;
+                handlers.delete(channel);
+                binary.delete(channel);
+                subscriber.unsubscribe(channel).catch(() => {});
+            };
+        },
+        async hgetall(hash) {
+            const stored = await commands.hgetall(hash);
+            return Object.fromEntries(Object.entries(stored).map(([field, value]) => [field, decode(value)]));
+        },
+        hset: (hash, field, value) => send("hset", hash, field, encode(value)),
+        hdel: (hash, field) => send("hdel", hash, field),
+        close: () => Promise.all([close(commands), close(subscriber)]),
+    };
+}
+
+/**
+ * What server instances use to reach each other: channels to publish messages on
+ * and hashes to keep state in. Every broker has `id` (this instance, random on
+ * each start), `shared` (whether other instances can be reached),
+ * publish(channel, message), subscribe(channel, handler) returning an unsubscribe
+ * function, hgetall(hash) resolving to `{ field: value }`, hset(hash, field, value),
+ * hdel(hash, field) and close(). Subscribers also get what their own instance
+ * publishes. Messages are carried as JSON, except on channels subscribed with
+ * `{ binary: true }`, where Buffers are published and received as they are.
+ * @param {string} url 'memory' for a server on its own, or a redis:// URL.
+ */
+function createBroker(url) {
+    if (url === "memory") return createMemoryBroker();
+    if (url.startsWith("redis://")) return createRedisBroker(url);
+    throw new Error(`Unsupported broker URL ${url}`);
+}
+
+module.exports = { createBroker, createMemoryBroker, createRedisBroker, encode, decode };
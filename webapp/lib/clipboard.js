@@ -0,0 +1,129 @@
+const path = require("path");
+const { readJson, writeJson } = require("./jsonFile");
+
+const MAX_TEXT_LENGTH = 1024 * 1024;
+const MAX_IMAGE_LENGTH = 4 * 1024 * 1024; // Of the data URL, i.e. roughly 3 MB of image
+const IMAGE_DATA_URL = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/=]+$/;
+const TYPES = ["text", "html", "image"];
+
+/**
+ * Validates a clipboard write.
+ * @returns {{type: string, content: string}|{error: string}}
+ */
+function normalizeContent(type, content) {
+    if (!TYPES.includes(type)) return { error: "Unknown clipboard type." };
+    if (typeof content !== "string") return { error: "Clipboard content must be a string." };
+    if (type === "image") {
+        if (content.length > MAX_IMAGE_LENGTH) return { error: "Image is too large." };
+        if (!IMAGE_DATA_URL.test(content)) return { error: "Images must be PNG, JPEG, GIF or WebP data URLs." };
+    } else if (content.length > MAX_TEXT_LENGTH) {
+        return { error: "Clipboard content is too large." };
+    }
+    return { type, content };
+}
+
+/**
+ * Versioned, per-device clipboard history.
+ *
+ * Every accepted write becomes a new entry with the next version number, the
+ * client that sent it and the time. Writes are optimistic: a client names the
+ * version it was looking at (`baseVersion`), and a write based on anything
+ * older than the current version is rejected with the current entry, so two
+ * clients editing at once never silently overwrite each other. A write that
+ * repeats the current content is a no-op, which stops clipboard echo between
+ * the Mac and the browser. Pinned entries are kept; the rest are trimmed to
+ * `limit`.
+ *
+ * Histories are kept in `store`, which server instances can share. Writes are
+ * checked against this instance's copy, so one instance should make all the
+ * changes to a device's history (index.js has the Mac's make them); the others
+ * call sync() after it did.
+ *
+ * @param {object} options
+ * @param {string} options.stateDirectory Where the history is persisted.
+ * @param {Map} [options.store] Where histories are kept (deviceId -> { version, entries }), besides the file.
+ * @param {number} [options.limit] Unpinned entries to keep per device.
+ */
+function createClipboardHistory({ stateDirectory, store: histories = new Map(), limit = 50 }) {
+    const file = path.join(stateDirectory, "clipboard.json");
+    Object.entries(readJson(file, {})).forEach(([deviceId, history]) => histories.set(deviceId, history));
+
+    const historyFor = (deviceId) => histories.get(deviceId) || { version: 0, entries: [] };
+    const persist = () => writeJson(file, Object.fromEntries(histories));
+    const save = (deviceId, history) => {
+        histories.set(deviceId, history);
+        persist();
+    };
+    const current = (deviceId) => historyFor(deviceId).entries.at(-1) || null;
+
+    function trim(entries) {
+        const unpinned = entries.filter(e => !e.pinned);
+        const drop = new Set(unpinned.slice(0, Math.max(0, unpinned.length - limit)));
+        return entries.filter(e => !drop.has(e));
+    }
+
+    /**
+     * Records a write.
+     * @param {string} deviceId
+     * @param {object} write
+     * @param {string} write.type 'text', 'html' or 'image' (a data URL).
+     * @param {string} write.content
+     * @param {number} [write.baseVersion] Version the writer last saw; omitted by legacy clients, which always win.
+     * @param {{kind: string, name: string}} write.source Who sent it.
+     * @param {number} [write.resentFrom] Version this entry re-sends.
+     * @returns {{entry: object, changed: boolean}|{conflict: object}|{error: string}}
+     */
+    function write(deviceId, { type, content, baseVersion, source, resentFrom = null }) {
+        const normalized = normalizeContent(type, content);
+        if (normalized.error) return normalized;
+        const history = historyFor(deviceId);
+        const latest = current(deviceId);
+        if (latest && latest.type === normalized.type && latest.content === normalized.content) return { entry: latest, changed: false };
+        if (Number.isInteger(baseVersion) && baseVersion < history.version) return { conflict: latest };
+
+        const entry = { version: history.version + 1, ...normalized, source, createdAt: Date.now(), pinned: false, resentFrom };
+        save(deviceId, { version: entry.version, entries: trim([...history.entries, entry]) });
+        return { entry, changed: true };
+    }
+
+    /**
+     * Makes a past entry current again (as a new version).
+     */
+    function resend(deviceId, version, source) {
+        const entry = historyFor(deviceId).entries.find(e => e.version === version);
+        if (!entry) return { error: "Unknown clipboard entry." };
+        return write(deviceId, { type: entry.type, content: entry.content, source, resentFrom: version });
+    }
+
+    function pin(deviceId, version, pinned) {
+        const history = historyFor(deviceId);
+        const entry = history.entries.find(e => e.version === version);
+        if (!entry) return null;
+        const changed = { ...entry, pinned: !!pinned };
+        save(deviceId, { version: history.version, entries: trim(history.entries.map(e => (e === entry ? changed : e))) });
+        return changed;
+    }
+
+    return {
+        write,
+        resend,
+        pin,
+        current,
+        /** Entries, newest first. */
+        list: (deviceId) => [...historyFor(deviceId).entries].reverse(),
+        version: (deviceId) => historyFor(deviceId).version,
+        /** Changes how many unpinned entries are kept; applies from the next write. */
+        setLimit(value) {
+            limit = value;
+        },
+        /** Forgets a device's whole history, pinned entries included. */
+        wipe(deviceId) {
+            histories.delete(deviceId);
+            persist();
+        },
+        /** Writes the histories to disk after another instance changed one. */
+        sync: persist,
+    };
+}
+
+module.exports = { createClipboardHistory };
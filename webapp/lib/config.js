@@ -0,0 +1,213 @@
+const fs = require("fs");
+const path = require("path");
+
+const MB = 1024 * 1024;
+
+/**
+ * Every setting of the server. Each one can be set in the config file under
+ * `key` or with the environment variable `env`, which wins. `live` settings
+ * take effect when the configuration is reloaded; the others need a restart.
+ * Passwords in `secret` URLs are masked in the settings view.
+ */
+const SETTINGS = [
+    // Server
+    { key: "port", env: "PORT", type: "integer", min: 1, max: 65535, default: 3000, description: "HTTP port." },
+    { key: "brokerUrl", env: "BROKER_URL", type: "string", pattern: /^(memory|redis:\/\/\S+)$/, expected: "'memory' or a redis:// URL", secret: true, default: "memory", description: "What server instances share state and broadcasts through: 'memory' for a server on its own, or a redis:// URL shared by every instance." },
+    { key: "allowedOrigins", env: "ALLOWED_ORIGINS", type: "list", default: [], live: true, description: "Other origins whose pages may open a socket (* for any). Same-origin pages and clients that send no Origin are always let in." },
+    // Storage
+    { key: "stateDirectory", env: "STATE_DIRECTORY", type: "string", default: "./state", description: "Paired devices and all other persisted state." },
+    { key: "imageDirectory", env: "IMAGE_DIRECTORY", type: "string", default: "./data", live: true, description: "PNG exam images sent to Gemini." },
+    { key: "htmlHistoryLimit", env: "HTML_HISTORY_LIMIT", type: "integer", min: 1, max: 10000, default: 100, live: true, description: "HTML snapshots kept per device." },
+    { key: "clipboardHistoryLimit", env: "CLIPBOARD_HISTORY_LIMIT", type: "integer", min: 1, max: 10000, default: 50, live: true, description: "Unpinned clipboard entries kept per device." },
+    { key: "annotationLimit", env: "ANNOTATION_LIMIT", type: "integer", min: 1, max: 10000, default: 500, live: true, description: "Annotation shapes kept per device." },
+    { key: "maxTransferBytes", env: "MAX_TRANSFER_BYTES", type: "integer", min: 1, max: 10 * 1024 * MB, default: 100 * MB, description: "Largest file transfer." },
+    { key: "recordingRetentionDays", env: "RECORDING_RETENTION_DAYS", type: "integer", min: 0, max: 3650, default: 30, live: true, description: "Days recordings are kept after they end; 0 keeps them forever." },
+    { key: "transferRetentionDays", env: "TRANSFER_RETENTION_DAYS", type: "integer", min: 0, max: 3650, default: 7, live: true, description: "Days finished transfers are kept; 0 keeps them forever." },
+    { key: "failedCommandRetentionDays", env: "FAILED_COMMAND_RETENTION_DAYS", type: "integer", min: 0, max: 3650, default: 7, live: true, description: "Days failed commands are kept; 0 keeps them forever." },
+    // Stream
+    { key: "defaultQuality", env: "DEFAULT_QUALITY", type: "integer", min: 1, max: 100, default: 1, live: true, description: "JPEG quality of a Mac without stored settings." },
+    { key: "defaultFrameRate", env: "DEFAULT_FRAME_RATE", type: "integer", min: 1, max: 60, default: 8, live: true, description: "Frame rate of a Mac without stored settings." },
+    { key: "autoQualityMin", env: "AUTO_QUALITY_MIN", type: "integer", min: 1, max: 100, default: 10, live: true, description: "Lowest quality auto quality picks." },
+    { key: "autoQualityMax", env: "AUTO_QUALITY_MAX", type: "integer", min: 1, max: 100, default: 80, live: true, description: "Highest quality auto quality picks." },
+    { key: "autoFrameRateMin", env: "AUTO_FRAME_RATE_MIN", type: "integer", min: 1, max: 60, default: 2, live: true, description: "Lowest frame rate auto quality picks." },
+    { key: "autoFrameRateMax", env: "AUTO_FRAME_RATE_MAX", type: "integer", min: 1, max: 60, default: 30, live: true, description: "Highest frame rate auto quality picks." },
+    { key: "autoTargetLatencyMs", env: "AUTO_TARGET_LATENCY_MS", type: "integer", min: 10, max: 10000, default: 250, live: true, description: "Frame latency auto quality aims for." },
+    { key: "autoMaxBacklog", env: "AUTO_MAX_BACKLOG", type: "integer", min: 1, max: 1000, default: 8, live: true, description: "Packets waiting for a viewer before auto quality backs off." },
+    // Command queue
+    { key: "queueRetryDelayMs", env: "QUEUE_RETRY_DELAY_MS", type: "integer", min: 100, max: 600000, default: 2500, live: true, description: "First retry of an unacked command; doubles on each attempt. Also the gap between words to Macs that can't ack." },
+    { key: "queueMaxRetryDelayMs", env: "QUEUE_MAX_RETRY_DELAY_MS", type: "integer", min: 100, max: 3600000, default: 60000, live: true, description: "Longest wait between retries." },
+    { key: "queueAckTimeoutMs", env: "QUEUE_ACK_TIMEOUT_MS", type: "integer", min: 100, max: 600000, default: 10000, live: true, description: "How long a Mac has to ack a command." },
+    { key: "queueMaxAttempts", env: "QUEUE_MAX_ATTEMPTS", type: "integer", min: 1, max: 100, default: 8, live: true, description: "Attempts before a command is moved to the failed list." },
+    // Connections
+    { key: "heartbeatIntervalMs", env: "HEARTBEAT_INTERVAL_MS", type: "integer", min: 100, max: 600000, default: 5000, description: "How often Macs are pinged." },
+    { key: "macOfflineGraceMs", env: "MAC_OFFLINE_GRACE_MS", type: "integer", min: 0, max: 600000, default: 10000, description: "How long a dropped Mac shows as reconnecting; 0 for no grace period." },
+    { key: "controlIdleTimeoutMs", env: "CONTROL_IDLE_TIMEOUT_MS", type: "integer", min: 1000, max: 86400000, default: 120000, live: true, description: "Idle time after which the input control lock is released." },
+    { key: "logBufferSize", env: "LOG_BUFFER_SIZE", type: "integer", min: 10, max: 100000, default: 500, description: "Log lines kept for the diagnostics tab." },
+    { key: "auditLogMaxBytes", env: "AUDIT_LOG_MAX_BYTES", type: "integer", min: 65536, max: 1073741824, default: 10485760, description: "Size at which audit.log is moved to audit.log.1 and a new one started; the previous audit.log.1 is deleted." },
+];
+
+// Pairs that must be in order, as [lower, upper].
+const ORDERED = [["autoQualityMin", "autoQualityMax"], ["autoFrameRateMin", "autoFrameRateMax"], ["queueRetryDelayMs", "queueMaxRetryDelayMs"]];
+
+/** A URL with its password, if it has one, masked. */
+const maskPassword = (url) => url.replace(/\/\/([^:@/]*):[^@/]*@/, "//$1:***@");
+
+/**
+ * Checks one value, which comes as a string from the environment and as JSON from the file.
+ * @returns {{value: *}|{error: string}}
+ */
+function parseSetting(setting, raw) {
+    if (setting.type === "integer") {
+        const value = typeof raw === "string" && /^-?\d+$/.test(raw.trim()) ? Number(raw) : raw;
+        if (!Number.isInteger(value) || value < setting.min || value > setting.max) return { error: `must be a whole number from ${setting.min} to ${setting.max}` };
+        return { value };
+    }
+    if (setting.type === "list") {
+        const value = typeof raw === "string" ? raw.split(",").map(item => item.trim()).filter(Boolean) : raw;
+        if (!Array.isArray(value) || !value.every(item => typeof item === "string" && item)) return { error: "must be a list of strings" };
+        return { value };
+    }
+    if (typeof raw !== "string" || !raw.trim()) return { error: "must be a non-empty string" };
+    if (setting.pattern && !setting.pattern.test(raw.trim())) return { error: `must be ${setting.expected}` };
+    return { value: raw.trim() };
+}
+
+/**
+ * Reads the configuration from the file and the environment, without applying it.
+ * @param {object} options
+ * @param {object} options.env Usually process.env.
+ * @param {string} options.file JSON config file; a missing file is the same as an empty one.
+ * @returns {{values: object, sources: object, errors: string[]}} `sources` tells, per key, 'env', 'file' or 'default'.
+ */
+function readConfig({ env, file }) {
+    const errors = [];
+    let stored = {};
+    try {
+        stored = JSON.parse(fs.readFileSync(file, "utf8"));
+        if (!stored || typeof stored !== "object" || Array.isArray(stored)) throw new SyntaxError("expected an object");
+    } catch (error) {
+        if (error.code !== "ENOENT") errors.push(`${file}: ${error.message}`);
+        stored = {};
+    }
+    Object.keys(stored).filter(key => !SETTINGS.some(s => s.key === key)).forEach(key => errors.push(`${file}: unknown setting '${key}'`));
+
+    const values = {};
+    const sources = {};
+    SETTINGS.forEach(setting => {
+        const fromEnv = env[setting.env] !== undefined && env[setting.env] !== "";
+        const source = fromEnv ? "env" : setting.key in stored ? "file" : "default";
+        sources[setting.key] = source;
+        if (source === "default") {
+            values[setting.key] = setting.default;
+            return;
+        }
+        const result = parseSetting(setting, fromEnv ? env[setting.env] : stored[setting.key]);
+        if (result.error) errors.push(`${fromEnv ? setting.env : `${file}: ${setting.key}`} ${result.error}`);
+        values[setting.key] = result.error ? setting.default : result.value;
+    });
+    ORDERED.forEach(([lower, upper]) => {
+        if (values[lower] > values[upper]) errors.push(`${lower} (${values[lower]}) must not be above ${upper} (${values[upper]})`);
+    });
+    return { values, sources, errors };
+}
+
+/**
+ * The server's validated configuration: defaults, overridden by the JSON
+ * config file, overridden by environment variables. Throws listing every
+ * problem when the starting configuration is invalid.
+ *
+ * reload() reads the file again. An invalid file is rejected as a whole and
+ * the running values are kept. Changes to `live` settings apply at once and
+ * are passed to `onChange`; other changes wait for a restart and are listed
+ * as pending. Environment variables are read once, at startup.
+ *
+ * @param {object} options
+ * @param {object} [options.env]
+ * @param {string} options.file
+ * @param {function(string[], object)} [options.onChange] Called with the changed keys and the new values.
+ */
+function createConfig({ env = process.env, file, onChange = () => {} }) {
+    const startup = { ...env };
+    const initial = readConfig({ env: startup, file });
+    if (initial.errors.length) throw new Error(`Invalid configuration:\n  ${initial.errors.join("\n  ")}`);
+
+    let values = Object.freeze(initial.values);
+    let sources = initial.sources;
+    let pending = [];
+    let lastReload = null; // { at, reason, changed, pending, errors }
+    const loadedAt = Date.now();
+    let watcher = null;
+
+    /**
+     * Reads the file again and applies what may change while running.
+     * @param {string} reason What triggered it, e.g. 'SIGHUP'.
+     * @returns {{at: number, reason: string, changed: string[], pending: string[], errors: string[]}}
+     */
+    function reload(reason) {
+        const next = readConfig({ env: startup, file });
+        if (next.errors.length) {
+            lastReload = { at: Date.now(), reason, changed: [], pending, errors: next.errors };
+            return lastReload;
+        }
+        const differs = (key) => JSON.stringify(next.values[key]) !== JSON.stringify(values[key]);
+        const changed = SETTINGS.filter(s => s.live && differs(s.key)).map(s => s.key);
+        pending = SETTINGS.filter(s => !s.live && differs(s.key)).map(s => s.key);
+        const merged = { ...values };
+        changed.forEach(key => {
+            merged[key] = next.values[key];
+            sources[key] = next.sources[key];
+        });
+        values = Object.freeze(merged);
+        lastReload = { at: Date.now(), reason, changed, pending, errors: [] };
+        if (changed.length) onChange(changed, values);
+        return lastReload;
+    }
+
+    /**
+     * Reloads whenever the config file changes. The directory is watched,
+     * because editors often replace the file rather than write to it; when it
+     * doesn't exist, nothing is watched and only SIGHUP reloads.
+     */
+    function watch(onReload = () => {}) {
+        const directory = path.dirname(file);
+        if (watcher) return;
+        if (!fs.existsSync(directory)) {
+            console.warn(`Not watching ${file} for changes: ${directory} does not exist. Create it and send SIGHUP to load the file.`);
+            return;
+        }
+        let timer = null;
+        watcher = fs.watch(directory, (eventType, name) => {
+            if (name && name !== path.basename(file)) return;
+            clearTimeout(timer);
+            timer = setTimeout(() => onReload(reload("file changed")), 200);
+        });
+        watcher.on("error", (error) => console.error(`Stopped watching ${file}:`, error.message));
+    }
+
+    return {
+        file,
+        reload,
+        watch,
+        /** The running value of a setting. */
+        get: (key) => values[key],
+        /** Every setting with its running value, for the settings view. */
+        describe: () => ({
+            file,
+            loadedAt,
+            lastReload,
+            settings: SETTINGS.map(s => ({
+                key: s.key,
+                env: s.env,
+                value: s.secret ? maskPassword(values[s.key]) : values[s.key],
+                default: s.default,
+                source: sources[s.key],
+                live: !!s.live,
+                pendingRestart: pending.includes(s.key),
+                description: s.description,
+            })),
+        }),
+        close: () => watcher && watcher.close(),
+    };
+}
+
+module.exports = { createConfig, readConfig, maskPassword, SETTINGS };
@@ -0,0 +1,237 @@
+const crypto = require("crypto");
+const path = require("path");
+const { readJson, writeJson } = require("./jsonFile");
+
+/**
+ * Acknowledged, durable command delivery to macOS clients.
+ *
+ * Every command gets an id and waits in its device's queue until the Mac acks
+ * it. Commands are sent one at a time, in order; an unacked command is retried
+ * with exponential backoff and, after `maxAttempts`, parked in a failed list
+ * that a web user can requeue. A Mac that can't ack gets each command once,
+ * which then counts as delivered, and the next one `baseDelayMs` later, so it
+ * isn't sent a whole backlog at once. Queues are written to disk on every change so
+ * they survive a server restart.
+ *
+ * Commands are kept one by one in `store`, so server instances sharing it can
+ * all queue commands without overwriting each other's. Only the instance the Mac
+ * is connected to (the one that called setOnline) sends them; the others call
+ * sync() when a device's commands changed elsewhere.
+ *
+ * @param {object} options
+ * @param {string} options.stateDirectory Where queues are persisted.
+ * @param {Map} [options.store] Where commands are kept (command id -> { deviceId, position, command }), besides the file.
+ * @param {function(string, object, number, function(boolean))} options.transmit
+ *        Sends a command to a device: (deviceId, command, ackTimeoutMs, done(acked)). Returns false if the device
+ *        can't ack, in which case done is never called.
+ * @param {function(string, object)} [options.onQueueChange] Called with (deviceId, status) after every change.
+ * @param {function(string, object)} [options.onDelivered] Called with (deviceId, command) when a command is acked.
+ * @param {function(string, object)} [options.onFailed] Called with (deviceId, command) when a command is moved to the failed list.
+ * @param {number} [options.baseDelayMs] First retry delay; doubles on each attempt.
+ * @param {number} [options.maxDelayMs] Upper bound for the retry delay.
+ * @param {number} [options.ackTimeoutMs] How long to wait for an ack before retrying.
+ * @param {number} [options.maxAttempts] Attempts before a command is moved to the failed list.
+ *        The four timing options can be changed later with configure().
+ */
+function createDelivery({ stateDirectory, store = new Map(), transmit, onQueueChange = () => {}, onDelivered = () => {}, onFailed = () => {}, baseDelayMs = 2500, maxDelayMs = 60000, ackTimeoutMs = 10000, maxAttempts = 8 }) {
+    const file = path.join(stateDirectory, "queues.json");
+    const queues = new Map(); // deviceId -> { online, inFlight, timer }
+    const timing = { baseDelayMs, maxDelayMs, ackTimeoutMs, maxAttempts };
+    let lastPosition = 0;
+
+    const queueFor = (deviceId) => {
+        if (!queues.has(deviceId)) queues.set(deviceId, { online: false, inFlight: null, timer: null });
+        return queues.get(deviceId);
+    };
+
+    // A command's place in line is when it was queued; commands loaded from the file keep their order ahead of new ones.
+    const nextPosition = () => (lastPosition = Math.max(Date.now(), lastPosition + 1));
+    const put = (deviceId, command, position = store.get(command.id).position) => store.set(command.id, { deviceId, position, command });
+
+    Object.entries(readJson(file, {})).forEach(([deviceId, stored]) => {
+        [...(stored.pending || []), ...(stored.failed || [])].forEach((command, index) => put(deviceId, command, index));
+    });
+
+    /**
+     * A device's pending (in sending order) or failed commands.
+     */
+    function commandsOf(deviceId, failed) {
+        return [...store.values()]
+            .filter(entry => entry.deviceId === deviceId && !!entry.command.failedAt === failed)
+            .sort((a, b) => a.position - b.position || (a.command.id < b.command.id ? -1 : 1))
+            .map(entry => entry.command);
+    }
+    const pendingOf = (deviceId) => commandsOf(deviceId, false);
+    const failedOf = (deviceId) => commandsOf(deviceId, true);
+
+    const save = () => {
+        const deviceIds = new Set([...store.values()].map(entry => entry.deviceId));
+        writeJson(file, Object.fromEntries([...deviceIds].map(deviceId => [deviceId, { pending: pendingOf(deviceId), failed: failedOf(deviceId) }])));
+    };
+
+    /**
+     * Summary of a device's queue as shown in the web UI.
+     */
+    function status(deviceId) {
+        return { count: pendingOf(deviceId).length, failed: failedOf(deviceId).length, inFlight: queueFor(deviceId).inFlight };
+    }
+
+    function changed(deviceId) {
+        save();
+        onQueueChange(deviceId, status(deviceId));
+    }
+
+    function pump(deviceId) {
+        const queue = queueFor(deviceId);
+        const [command] = pendingOf(deviceId);
+        if (!queue.online || queue.inFlight || queue.timer || !command) return;
+        command.attempts += 1;
+        command.lastAttemptAt = Date.now();
+        put(deviceId, command);
+        queue.inFlight = command.id;
+        changed(deviceId);
+        const sent = transmit(deviceId, command, timing.ackTimeoutMs, (acked) => {
+            if (queue.inFlight !== command.id) return; // Already acked, or the device went offline meanwhile.
+            if (acked) return ack(deviceId, command.id);
+            queue.inFlight = null;
+            retry(deviceId, command);
+        });
+        if (sent === false) {
+            settle(deviceId, command);
+            queue.timer = setTimeout(() => {
+                queue.timer = null;
+                pump(deviceId);
+            }, timing.baseDelayMs);
+        }
+    }
+
+    function retry(deviceId, command) {
+        const queue = queueFor(deviceId);
+        if (command.attempts >= timing.maxAttempts) {
+            console.log(`Command ${command.id} to ${deviceId} failed after ${command.attempts} attempts.`);
+            put(deviceId, { ...command, failedAt: Date.now() });
+            onFailed(deviceId, command);
+            changed(deviceId);
+            return pump(deviceId);
+        }
+        const delay = Math.min(timing.baseDelayMs * 2 ** (command.attempts - 1), timing.maxDelayMs);
+        console.log(`Command ${command.id} to ${deviceId} not acked. Retrying in ${delay}ms.`);
+        queue.timer = setTimeout(() => {
+            queue.timer = null;
+            pump(deviceId);
+        }, delay);
+        changed(deviceId);
+    }
+
+    /**
+     * Queues a command for a device and starts delivery if it is online.
+     * @returns {object} The queued command.
+     */
+    function enqueue(deviceId, event, data) {
+        const command = { id: crypto.randomUUID(), event, data, createdAt: Date.now(), attempts: 0, lastAttemptAt: null };
+        put(deviceId, command, nextPosition());
+        changed(deviceId);
+        pump(deviceId);
+        return command;
+    }
+
+    /**
+     * Marks a command as delivered. Only the command in flight can be acked.
+     * @returns {boolean} Whether the ack matched the command in flight.
+     */
+    function ack(deviceId, commandId) {
+        const [command] = pendingOf(deviceId);
+        if (!command || command.id !== commandId) return false;
+        settle(deviceId, command);
+        pump(deviceId);
+        return true;
+    }
+
+    /** Takes a delivered command off the queue. */
+    function settle(deviceId, command) {
+        const queue = queueFor(deviceId);
+        store.delete(command.id);
+        onDelivered(deviceId, command);
+        queue.inFlight = null;
+        clearTimeout(queue.timer);
+        queue.timer = null;
+        changed(deviceId);
+    }
+
+    function setOnline(deviceId, online) {
+        const queue = queueFor(deviceId);
+        queue.online = online;
+        queue.inFlight = null;
+        clearTimeout(queue.timer);
+        queue.timer = null;
+        if (online) pump(deviceId);
+    }
+
+    /**
+     * Moves every failed command back to the end of the pending queue.
+     */
+    function retryFailed(deviceId) {
+        const failed = failedOf(deviceId);
+        if (!failed.length) return;
+        failed.forEach(({ failedAt, ...command }) => put(deviceId, { ...command, attempts: 0 }, nextPosition()));
+        changed(deviceId);
+        pump(deviceId);
+    }
+
+    /**
+     * Drops a device's pending and failed commands.
+     */
+    function wipe(deviceId) {
+        const queue = queueFor(deviceId);
+        clearTimeout(queue.timer);
+        Object.assign(queue, { inFlight: null, timer: null });
+        [...pendingOf(deviceId), ...failedOf(deviceId)].forEach(command => store.delete(command.id));
+        changed(deviceId);
+    }
+
+    /**
+     * Forgets failed commands older than `maxAgeMs`.
+     * @returns {number} How many were dropped.
+     */
+    function prune(maxAgeMs) {
+        const cutoff = Date.now() - maxAgeMs;
+        const expired = [...store.values()].filter(entry => entry.command.failedAt && entry.command.failedAt < cutoff);
+        expired.forEach(entry => store.delete(entry.command.id));
+        new Set(expired.map(entry => entry.deviceId)).forEach(deviceId => changed(deviceId));
+        return expired.length;
+    }
+
+    /**
+     * Catches up with changes another instance made to a device's commands: a
+     * command acked or dropped there is no longer waited for, and newly queued
+     * ones are sent if the Mac is connected here.
+     */
+    function sync(deviceId) {
+        const queue = queueFor(deviceId);
+        const [command] = pendingOf(deviceId);
+        if (queue.inFlight && (!command || command.id !== queue.inFlight)) {
+            clearTimeout(queue.timer);
+            Object.assign(queue, { inFlight: null, timer: null });
+        }
+        save();
+        pump(deviceId);
+    }
+
+    return {
+        enqueue,
+        ack,
+        setOnline,
+        retryFailed,
+        wipe,
+        prune,
+        sync,
+        status,
+        list: (deviceId) => ({ pending: pendingOf(deviceId), failed: failedOf(deviceId) }),
+        /** Changes the retry timing; applies from the next attempt. */
+        configure: (options) => Object.keys(timing).forEach(name => {
+            if (options[name] !== undefined) timing[name] = options[name];
+        }),
+    };
+}
+
+module.exports = { createDelivery };
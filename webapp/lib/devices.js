@@ -0,0 +1,125 @@
+const path = require("path");
+const { createStreamCache } = require("./frames");
+const { readJson, writeJson } = require("./jsonFile");
+
+// Settings restored after a restart; everything else is rebuilt when the Mac reconnects.
+const PERSISTED_FIELDS = ["name", "emoji", "word", "quality", "frameRate", "autoQuality", "displayId", "region", "annotationMode"];
+
+/**
+ * Creates the per-device state that used to live in module-level globals.
+ * @param {string} id The paired device id.
+ * @param {string} name Display name of the Mac.
+ * @param {{quality: number, frameRate: number}} defaults Stream settings of a new device.
+ */
+function createDeviceState(id, name, defaults) {
+    return {
+        id,
+        name,
+        socketId: null,
+        protocol: null, // { version, capabilities, client } from the Mac's identify (lib/protocol.js)
+        emoji: "⌛",
+        word: "Ready",
+        quality: defaults.quality,
+        frameRate: defaults.frameRate,
+        displayId: null, // The display the Mac streams; null leaves the choice to the Mac
+        region: null, // { x, y, width, height } crop in fractions of the display, or null for all of it
+        annotationMode: "session", // 'session' clears the stream's annotations once nobody is watching; 'keep' keeps them
+        stream: createStreamCache(),
+        lastKeyframeRequestAt: 0,
+        recentFrameBytes: [], // Sizes of the last frames, for the adaptive controller
+        autoQuality: false,
+        autoQualityReason: null,
+    };
+}
+
+/**
+ * Keeps one state object per Mac. Each Mac talks through its own rooms:
+ * `mac:<id>` holds the Mac's socket and `viewers:<id>` the web clients
+ * currently viewing and controlling it.
+ *
+ * The last word, emoji and stream settings of every device are kept in
+ * `<stateDirectory>/device-state.json`; call save() after changing them.
+ * Instances sharing `store` call sync() when another one saved a device.
+ *
+ * @param {object} options
+ * @param {string} options.stateDirectory Where device settings are persisted.
+ * @param {{quality: number, frameRate: number}} [options.defaults] Stream settings of devices without stored ones.
+ * @param {Map} [options.store] Where saved settings are kept (deviceId -> persisted fields), besides the file.
+ */
+function createDeviceRegistry({ stateDirectory, defaults = { quality: 1, frameRate: 8 }, store: stored = new Map() }) {
+    const file = path.join(stateDirectory, "device-state.json");
+    const devices = new Map();
+    let streamDefaults = { ...defaults };
+
+    const pick = (device) => Object.fromEntries(PERSISTED_FIELDS.map(field => [field, device[field]]));
+    const persist = () => writeJson(file, Object.fromEntries(stored));
+
+    Object.entries(readJson(file, {})).forEach(([id, saved]) => stored.set(id, saved));
+    stored.forEach((saved, id) => devices.set(id, { ...createDeviceState(id, saved.name || id, streamDefaults), ...saved }));
+
+    /**
+     * Returns the state for a device, creating it on first use.
+     */
+    function get(id, name) {
+        let device = devices.get(id);
+        if (!device) {
+            device = createDeviceState(id, name || id, streamDefaults);
+            devices.set(id, device);
+        } else if (name) {
+            device.name = name;
+        }
+        return device;
+    }
+
+    /**
+     * Writes a device's settings to disk.
+     */
+    function save(device) {
+        stored.set(device.id, pick(device));
+        persist();
+    }
+
+    /**
+     * Takes on the settings another server instance saved for a device, or its
+     * defaults when they were reset there.
+     */
+    function sync(id) {
+        const saved = stored.get(id);
+        const device = get(id, saved && saved.name);
+        Object.assign(device, saved || { ...pick(createDeviceState(id, device.name, streamDefaults)), autoQualityReason: null });
+        persist();
+        return device;
+    }
+
+    /**
+     * Puts a device's settings back to their defaults and forgets the stored ones.
+     */
+    function reset(id) {
+        const device = devices.get(id);
+        if (device) Object.assign(device, pick(createDeviceState(id, device.name, streamDefaults)), { autoQualityReason: null });
+        stored.delete(id);
+        persist();
+        return device || null;
+    }
+
+    return {
+        get,
+        save,
+        sync,
+        reset,
+        has: (id) => devices.has(id),
+        find: (id) => devices.get(id) || null,
+        bySocketId: (socketId) => [...devices.values()].find(d => d.socketId === socketId) || null,
+        all: () => [...devices.values()],
+        online: () => [...devices.values()].filter(d => d.socketId),
+        /** Changes the stream settings given to new and reset devices. */
+        configure: ({ quality, frameRate }) => { streamDefaults = { quality, frameRate }; },
+    };
+}
+
+const macRoom = (deviceId) => `mac:${deviceId}`;
+const viewersRoom = (deviceId) => `viewers:${deviceId}`;
+// Subset of a device's viewers that subscribed to its screen stream.
+const streamRoom = (deviceId) => `stream:${deviceId}`;
+
+module.exports = { createDeviceRegistry, macRoom, viewersRoom, streamRoom };
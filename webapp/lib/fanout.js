@@ -0,0 +1,89 @@
+const { FRAME_TYPE, encodeFrame } = require("./frames");
+
+/**
+ * Delivers screen frames to a single viewer without letting a slow viewer
+ * build up an unbounded buffer.
+ *
+ * At most one frame (or one catch-up batch) is in flight per viewer; the next
+ * one goes out when the viewer acks. While waiting, frames are not queued:
+ * a keyframe replaces everything pending, and the tiles of skipped deltas are
+ * merged (newest wins) into a single delta, so the viewer catches up with one
+ * send no matter how many frames it missed.
+ *
+ * @param {object} options
+ * @param {function(Buffer, number, function(boolean))} options.emit Sends (buffer, ackTimeoutMs, done(acked)).
+ * @param {function(): number} options.backlog Current size of the viewer's socket write buffer.
+ * @param {object} options.stats A viewer stats object from createViewerStats().
+ * @param {number} [options.ackTimeoutMs] A frame that isn't acked in time no longer holds the slot.
+ */
+function createFrameChannel({ emit, backlog, stats, ackTimeoutMs = 10000 }) {
+    let inFlight = 0;
+    let pending = null; // { keyframe, tiles, deltas, last } or { resync }
+
+    function materialize(batch) {
+        if (batch.resync) return batch.resync();
+        const buffers = batch.keyframe ? [batch.keyframe] : [];
+        if (batch.deltas === 1) buffers.push(batch.last.buffer);
+        else if (batch.deltas > 1) {
+            const { seq, width, height } = batch.last.frame;
+            buffers.push(encodeFrame({ type: FRAME_TYPE.DELTA, seq, width, height, tiles: [...batch.tiles.values()] }));
+        }
+        return buffers;
+    }
+
+    function send(buffers) {
+        if (buffers.length === 0) return;
+        inFlight = buffers.length;
+        buffers.forEach(buffer => {
+            const sentAt = Date.now();
+            stats.recordSend(backlog());
+            emit(buffer, ackTimeoutMs, (acked) => {
+                if (acked) stats.recordAck(buffer.length, Date.now() - sentAt);
+                if (--inFlight > 0 || !pending) return;
+                const next = pending;
+                pending = null;
+                send(materialize(next));
+            });
+        });
+    }
+
+    return {
+        /**
+         * Offers a frame to the viewer.
+         * @param {Buffer} buffer The encoded frame.
+         * @param {object} frame The parsed frame (see parseFrame).
+         */
+        push(buffer, frame) {
+            if (inFlight === 0 && !pending) return send([buffer]);
+            if (pending) stats.recordDrop();
+            if (pending && pending.resync) return; // The resync will pick up this frame too.
+            if (frame.type === FRAME_TYPE.KEY) {
+                pending = { keyframe: buffer, tiles: new Map(), deltas: 0, last: null };
+                return;
+            }
+            pending = pending || { keyframe: null, tiles: new Map(), deltas: 0, last: null };
+            frame.tiles.forEach(tile => {
+                const key = `${tile.x},${tile.y},${tile.w},${tile.h}`;
+                pending.tiles.delete(key); // Re-insert so newer tiles paint last.
+                pending.tiles.set(key, tile);
+            });
+            pending.deltas++;
+            pending.last = { buffer, frame };
+        },
+
+        /**
+         * Sends the full current picture, e.g. when the viewer subscribes.
+         * @param {function(): Buffer[]} resync Produces the frames that rebuild the current picture.
+         */
+        resync(resync) {
+            if (inFlight === 0) {
+                pending = null;
+                return send(resync());
+            }
+            if (pending) stats.recordDrop();
+            pending = { resync };
+        },
+    };
+}
+
+module.exports = { createFrameChannel };
@@ -0,0 +1,165 @@
+/**
+ * Binary screen frame protocol ('screenFrame' event).
+ *
+ * Header (16 bytes, big-endian):
+ *   0  "SF" magic        2  version (u8)     3  type (u8: 0 keyframe, 1 delta)
+ *   4  sequence (u32)    8  width (u16)      10 height (u16)
+ *   12 tile count (u16)  14 reserved (u16)
+ * Followed by one record per tile:
+ *   x (u16), y (u16), w (u16), h (u16), byte length (u32), JPEG bytes
+ *
+ * A keyframe covers the whole screen; a delta only carries the tiles that
+ * changed since the previous frame and is drawn on top of what is already there.
+ */
+const FRAME_MAGIC = "SF";
+const FRAME_VERSION = 1;
+const FRAME_HEADER_SIZE = 16;
+const TILE_HEADER_SIZE = 12;
+const FRAME_TYPE = { KEY: 0, DELTA: 1 };
+
+/**
+ * Parses and bounds-checks a binary frame.
+ * @param {Buffer} buffer
+ * @returns {{type: number, seq: number, width: number, height: number, tiles: Array<{x: number, y: number, w: number, h: number, data: Buffer}>}}
+ */
+function parseFrame(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < FRAME_HEADER_SIZE) throw new Error("Frame too short.");
+    if (buffer.toString("latin1", 0, 2) !== FRAME_MAGIC) throw new Error("Bad frame magic.");
+    const version = buffer.readUInt8(2);
+    if (version !== FRAME_VERSION) throw new Error(`Unsupported frame version ${version}.`);
+    const type = buffer.readUInt8(3);
+    if (type !== FRAME_TYPE.KEY && type !== FRAME_TYPE.DELTA) throw new Error(`Unknown frame type ${type}.`);
+    const frame = {
+        type,
+        seq: buffer.readUInt32BE(4),
+        width: buffer.readUInt16BE(8),
+        height: buffer.readUInt16BE(10),
+        tiles: [],
+    };
+    const tileCount = buffer.readUInt16BE(12);
+    let offset = FRAME_HEADER_SIZE;
+    for (let i = 0; i < tileCount; i++) {
+        if (offset + TILE_HEADER_SIZE > buffer.length) throw new Error("Truncated tile header.");
+        const tile = {
+            x: buffer.readUInt16BE(offset),
+            y: buffer.readUInt16BE(offset + 2),
+            w: buffer.readUInt16BE(offset + 4),
+            h: buffer.readUInt16BE(offset + 6),
+        };
+        const length = buffer.readUInt32BE(offset + 8);
+        offset += TILE_HEADER_SIZE;
+        if (offset + length > buffer.length) throw new Error("Truncated tile data.");
+        tile.data = buffer.subarray(offset, offset + length);
+        offset += length;
+        frame.tiles.push(tile);
+    }
+    return frame;
+}
+
+/**
+ * Encodes a frame in the binary protocol.
+ * @param {{type: number, seq: number, width: number, height: number, tiles: Array<{x: number, y: number, w: number, h: number, data: Buffer}>}} frame
+ * @returns {Buffer}
+ */
+function encodeFrame({ type, seq, width, height, tiles }) {
+    const size = FRAME_HEADER_SIZE + tiles.reduce((sum, tile) => sum + TILE_HEADER_SIZE + tile.data.length, 0);
+    const buffer = Buffer.alloc(size);
+    buffer.write(FRAME_MAGIC, 0, "latin1");
+    buffer.writeUInt8(FRAME_VERSION, 2);
+    buffer.writeUInt8(type, 3);
+    buffer.writeUInt32BE(seq >>> 0, 4);
+    buffer.writeUInt16BE(width, 8);
+    buffer.writeUInt16BE(height, 10);
+    buffer.writeUInt16BE(tiles.length, 12);
+    let offset = FRAME_HEADER_SIZE;
+    tiles.forEach(tile => {
+        buffer.writeUInt16BE(tile.x, offset);
+        buffer.writeUInt16BE(tile.y, offset + 2);
+        buffer.writeUInt16BE(tile.w, offset + 4);
+        buffer.writeUInt16BE(tile.h, offset + 6);
+        buffer.writeUInt32BE(tile.data.length, offset + 8);
+        tile.data.copy(buffer, offset + TILE_HEADER_SIZE);
+        offset += TILE_HEADER_SIZE + tile.data.length;
+    });
+    return buffer;
+}
+
+/**
+ * Wraps a legacy base64 JPEG ('screenData') as a keyframe. Width and height are
+ * 0, meaning "use the image's own size".
+ * @param {string} base64
+ * @param {number} seq
+ */
+function legacyKeyframe(base64, seq) {
+    return encodeFrame({ type: FRAME_TYPE.KEY, seq, width: 0, height: 0, tiles: [{ x: 0, y: 0, w: 0, h: 0, data: Buffer.from(base64, "base64") }] });
+}
+
+/**
+ * Remembers enough of a device's stream to bring a new viewer up to date: the
+ * last keyframe plus the most recent version of every tile changed since.
+ * @param {object} [options]
+ * @param {number} [options.maxCachedTiles] Above this many cached tiles, ask the Mac for a fresh keyframe.
+ */
+function createStreamCache({ maxCachedTiles = 512 } = {}) {
+    let keyframe = null; // { frame, buffer }
+    let tiles = new Map(); // "x,y,w,h" -> tile, in paint order
+    let lastSeq = 0;
+
+    return {
+        /**
+         * Records a parsed frame.
+         * @returns {{accepted: boolean, needKeyframe: boolean}}
+         */
+        add(frame, buffer) {
+            lastSeq = frame.seq;
+            if (frame.type === FRAME_TYPE.KEY) {
+                keyframe = { frame, buffer };
+                tiles = new Map();
+                return { accepted: true, needKeyframe: false };
+            }
+            if (!keyframe) return { accepted: false, needKeyframe: true };
+            frame.tiles.forEach(tile => {
+                const key = `${tile.x},${tile.y},${tile.w},${tile.h}`;
+                tiles.delete(key); // Re-insert so newer tiles paint last.
+                tiles.set(key, tile);
+            });
+            return { accepted: true, needKeyframe: tiles.size > maxCachedTiles };
+        },
+
+        /**
+         * Frames that reproduce the current screen from scratch.
+         * @returns {Buffer[]}
+         */
+        snapshot() {
+            if (!keyframe) return [];
+            if (tiles.size === 0) return [keyframe.buffer];
+            const { width, height } = keyframe.frame;
+            return [keyframe.buffer, encodeFrame({ type: FRAME_TYPE.DELTA, seq: lastSeq, width, height, tiles: [...tiles.values()] })];
+        },
+
+        /**
+         * The current picture as a single JPEG, when it is one: a keyframe
+         * made of one tile with nothing painted on top since.
+         * @returns {Buffer|null}
+         */
+        latestJpeg() {
+            if (!keyframe || keyframe.frame.tiles.length !== 1 || tiles.size > 0) return null;
+            return keyframe.frame.tiles[0].data;
+        },
+
+        get lastSeq() { return lastSeq; },
+        get hasKeyframe() { return !!keyframe; },
+        /** Screen resolution from the last keyframe, or null if unknown (none yet, or a legacy frame). */
+        get dimensions() {
+            if (!keyframe || !keyframe.frame.width || !keyframe.frame.height) return null;
+            return { width: keyframe.frame.width, height: keyframe.frame.height };
+        },
+
+        reset() {
+            keyframe = null;
+            tiles = new Map();
+        },
+    };
+}
+
+module.exports = { FRAME_TYPE, parseFrame, encodeFrame, legacyKeyframe, createStreamCache };
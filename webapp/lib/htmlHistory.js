@@ -0,0 +1,101 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Keeps the page sources a Mac mirrors ('webSourceCode') as numbered snapshots,
+ * so viewers can step back through earlier versions and compare them, and the
+ * latest page survives a restart. Only the newest `limit` snapshots per device
+ * are kept.
+ *
+ * Snapshots are kept one by one in `store`, so server instances sharing it
+ * serve the same pages. Each instance also writes them to
+ * `<directory>/<deviceId>/<version>.html`, which fills the store on start, and
+ * calls sync() with the changes other instances made.
+ *
+ * @param {object} options
+ * @param {string} options.directory Where snapshots are written.
+ * @param {Map} [options.store] Where snapshots are kept (`<deviceId>:<version>` -> { deviceId, version, receivedAt, bytes, source }).
+ * @param {number} [options.limit] Snapshots to keep per device.
+ */
+function createHtmlHistory({ directory, store = new Map(), limit = 100 }) {
+    const deviceDir = (deviceId) => path.join(directory, path.basename(deviceId));
+    const snapshotFile = (deviceId, version) => path.join(deviceDir(deviceId), `${String(version).padStart(8, "0")}.html`);
+    const keyOf = (deviceId, version) => `${deviceId}:${version}`;
+
+    const write = ({ deviceId, version, source }) => {
+        fs.mkdirSync(deviceDir(deviceId), { recursive: true });
+        fs.writeFileSync(snapshotFile(deviceId, version), source);
+    };
+    const remove = ({ deviceId, version }) => fs.rmSync(snapshotFile(deviceId, version), { force: true });
+
+    if (fs.existsSync(directory)) {
+        fs.readdirSync(directory, { withFileTypes: true }).filter(entry => entry.isDirectory()).forEach(({ name: deviceId }) => {
+            fs.readdirSync(deviceDir(deviceId)).filter(name => /^\d+\.html$/.test(name)).forEach(name => {
+                const file = path.join(deviceDir(deviceId), name);
+                const version = parseInt(name, 10);
+                const stat = fs.statSync(file);
+                store.set(keyOf(deviceId, version), { deviceId, version, receivedAt: stat.mtimeMs, bytes: stat.size, source: fs.readFileSync(file, "utf8") });
+            });
+        });
+    }
+
+    /** A device's snapshots, oldest first. */
+    const snapshotsOf = (deviceId) => [...store.values()].filter(s => s.deviceId === deviceId).sort((a, b) => a.version - b.version);
+
+    function get(deviceId, version) {
+        const snapshot = store.get(keyOf(deviceId, version));
+        return snapshot ? snapshot.source : null;
+    }
+
+    /**
+     * The newest snapshot, or null if the device never sent a page.
+     * @returns {{version: number, receivedAt: number, source: string}|null}
+     */
+    function latest(deviceId) {
+        const newest = snapshotsOf(deviceId).at(-1);
+        return newest ? { version: newest.version, receivedAt: newest.receivedAt, source: newest.source } : null;
+    }
+
+    /**
+     * Stores a new snapshot, unless it is identical to the newest one.
+     * @returns {object|null} The new snapshot's summary, or null if nothing changed.
+     */
+    function add(deviceId, source) {
+        const snapshots = snapshotsOf(deviceId);
+        const current = snapshots.at(-1);
+        if (current && current.source === source) return null;
+        const snapshot = { deviceId, version: current ? current.version + 1 : 1, receivedAt: Date.now(), bytes: Buffer.byteLength(source), source };
+        store.set(keyOf(deviceId, snapshot.version), snapshot);
+        write(snapshot);
+        snapshots.push(snapshot);
+        snapshots.slice(0, Math.max(0, snapshots.length - limit)).forEach(old => {
+            store.delete(keyOf(deviceId, old.version));
+            remove(old);
+        });
+        return { version: snapshot.version, receivedAt: snapshot.receivedAt, bytes: snapshot.bytes };
+    }
+
+    return {
+        add,
+        get,
+        latest,
+        /** Snapshot summaries, newest first. */
+        list: (deviceId) => snapshotsOf(deviceId).reverse().map(({ version, receivedAt, bytes }) => ({ version, receivedAt, bytes })),
+        /** Changes how many snapshots are kept; applies from the next one. */
+        setLimit(value) {
+            limit = value;
+        },
+        /** Deletes every snapshot of a device; numbering starts again at 1. */
+        wipe(deviceId) {
+            snapshotsOf(deviceId).forEach(snapshot => store.delete(keyOf(deviceId, snapshot.version)));
+            fs.rmSync(deviceDir(deviceId), { recursive: true, force: true });
+        },
+        /** Writes a snapshot another instance added, or removes one it dropped, on disk here. */
+        sync(key, snapshot, previous) {
+            if (snapshot) write(snapshot);
+            else if (previous) remove(previous);
+        },
+    };
+}
+
+module.exports = { createHtmlHistory };
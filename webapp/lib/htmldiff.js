@@ -0,0 +1,100 @@
+const { parseDocument, DomUtils } = require("htmlparser2");
+
+/**
+ * Structural diff between two versions of a mirrored page.
+ *
+ * Both sources are parsed and the <head> and <body> trees compared node by
+ * node. Patches address nodes by their child-index path from `document.head`
+ * or `document.body`, and are applied in order:
+ *
+ *   { op: 'text', root, path, value }                 set a text or comment node's data
+ *   { op: 'attrs', root, path, name, set, remove }    change an element's attributes
+ *   { op: 'replace', root, path, html }               replace a node
+ *   { op: 'splice', root, path, index, remove, html } replace `remove` children of a node from `index`
+ *
+ * Unchanged leading and trailing children are matched first; what is left in
+ * between is compared pairwise when both sides have the same number of
+ * children, and spliced otherwise.
+ */
+const outer = (node) => DomUtils.getOuterHTML(node);
+
+function createDiffer() {
+    const serialized = new WeakMap();
+    const key = (node) => {
+        if (!serialized.has(node)) serialized.set(node, outer(node));
+        return serialized.get(node);
+    };
+    const same = (a, b) => key(a) === key(b);
+
+    function diffChildren(a, b, root, path, ops) {
+        const before = a.children;
+        const after = b.children;
+        let start = 0;
+        while (start < before.length && start < after.length && same(before[start], after[start])) start++;
+        let endBefore = before.length;
+        let endAfter = after.length;
+        while (endBefore > start && endAfter > start && same(before[endBefore - 1], after[endAfter - 1])) {
+            endBefore--;
+            endAfter--;
+        }
+        const removed = before.slice(start, endBefore);
+        const added = after.slice(start, endAfter);
+        if (removed.length === added.length) {
+            removed.forEach((node, i) => diffNode(node, added[i], root, [...path, start + i], ops));
+        } else {
+            ops.push({ op: "splice", root, path, index: start, remove: removed.length, html: added.map(outer).join("") });
+        }
+    }
+
+    function diffNode(a, b, root, path, ops) {
+        if (same(a, b)) return;
+        if (a.type !== b.type || a.name !== b.name) {
+            ops.push({ op: "replace", root, path, html: outer(b) });
+            return;
+        }
+        if (!a.attribs) {
+            if ("data" in b) ops.push({ op: "text", root, path, value: b.data });
+            else ops.push({ op: "replace", root, path, html: outer(b) });
+            return;
+        }
+        const set = {};
+        Object.entries(b.attribs).forEach(([name, value]) => { if (a.attribs[name] !== value) set[name] = value; });
+        const remove = Object.keys(a.attribs).filter(name => !(name in b.attribs));
+        if (Object.keys(set).length || remove.length) ops.push({ op: "attrs", root, path, name: b.name, set, remove });
+        diffChildren(a, b, root, path, ops);
+    }
+
+    return { diffNode };
+}
+
+const findTag = (document, name) => DomUtils.findOne(el => el.name === name, document.children);
+
+/**
+ * Computes the patches that turn one page source into another.
+ * @param {string} before
+ * @param {string} after
+ * @param {object} [options]
+ * @param {number} [options.maxOps] Give up (return null) above this many patches.
+ * @param {number} [options.maxRatio] Give up when the patches carry more than this share of `after`.
+ * @returns {object[]|null} The patches, or null when a full reload is simpler or the
+ *          pages differ outside <head> and <body>.
+ */
+function diffHtml(before, after, { maxOps = 200, maxRatio = 0.5 } = {}) {
+    const a = parseDocument(before || "");
+    const b = parseDocument(after || "");
+    const [headA, bodyA, headB, bodyB] = [findTag(a, "head"), findTag(a, "body"), findTag(b, "head"), findTag(b, "body")];
+    if (!headA || !bodyA || !headB || !bodyB) return null;
+    const htmlA = findTag(a, "html");
+    const htmlB = findTag(b, "html");
+    if (JSON.stringify(htmlA && htmlA.attribs) !== JSON.stringify(htmlB && htmlB.attribs)) return null;
+
+    const { diffNode } = createDiffer();
+    const ops = [];
+    diffNode(headA, headB, "head", [], ops);
+    diffNode(bodyA, bodyB, "body", [], ops);
+    const size = ops.reduce((sum, op) => sum + (op.html || op.value || "").length, 0);
+    if (ops.length > maxOps || size > (after || "").length * maxRatio) return null;
+    return ops;
+}
+
+module.exports = { diffHtml };
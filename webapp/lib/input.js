@@ -0,0 +1,67 @@
+/**
+ * Remote input protocol ('inputEvent').
+ *
+ * Web clients send positions normalized to the displayed frame (nx, ny in
+ * 0..1). When the stream is cropped the server maps them through the crop
+ * region onto the whole display, and to its pixel resolution, before relaying
+ * to the Mac, so the Mac receives both, relative to the whole display:
+ *
+ *   { type: 'pointer', action: 'move'|'down'|'up', button: 0|1|2, x, y, nx, ny }
+ *   { type: 'wheel', x, y, nx, ny, deltaX, deltaY }
+ *   { type: 'key', action: 'down'|'up', key, code, modifiers: { shift, ctrl, alt, meta } }
+ *
+ * x and y are null when the screen resolution is not known yet.
+ */
+const POINTER_ACTIONS = ["move", "down", "up"];
+const KEY_ACTIONS = ["down", "up"];
+const MAX_WHEEL_DELTA = 10000;
+
+const isUnit = (value) => typeof value === "number" && value >= 0 && value <= 1;
+const clampDelta = (value) => Math.max(-MAX_WHEEL_DELTA, Math.min(MAX_WHEEL_DELTA, Math.round(value)));
+
+function mapPosition(pictureX, pictureY, screen, region) {
+    const nx = region ? region.x + pictureX * region.width : pictureX;
+    const ny = region ? region.y + pictureY * region.height : pictureY;
+    const known = screen && screen.width > 0 && screen.height > 0;
+    return {
+        x: known ? Math.min(screen.width - 1, Math.round(nx * screen.width)) : null,
+        y: known ? Math.min(screen.height - 1, Math.round(ny * screen.height)) : null,
+        nx,
+        ny,
+    };
+}
+
+/**
+ * Validates an input event from a web client and maps it to the remote screen.
+ * @param {*} event The raw payload.
+ * @param {{width: number, height: number}|null} screen The remote screen resolution, if known.
+ * @param {{x: number, y: number, width: number, height: number}|null} [region] The part of the screen
+ *        the stream shows, in fractions of it, when cropped.
+ * @returns {object|null} The event to relay to the Mac, or null if it is invalid.
+ */
+function toRemoteInput(event, screen, region = null) {
+    if (!event || typeof event !== "object") return null;
+    switch (event.type) {
+        case "pointer":
+            if (!POINTER_ACTIONS.includes(event.action) || !isUnit(event.nx) || !isUnit(event.ny)) return null;
+            return { type: "pointer", action: event.action, button: [0, 1, 2].includes(event.button) ? event.button : 0, ...mapPosition(event.nx, event.ny, screen, region) };
+        case "wheel":
+            if (!isUnit(event.nx) || !isUnit(event.ny) || !Number.isFinite(event.deltaX) || !Number.isFinite(event.deltaY)) return null;
+            return { type: "wheel", ...mapPosition(event.nx, event.ny, screen, region), deltaX: clampDelta(event.deltaX), deltaY: clampDelta(event.deltaY) };
+        case "key": {
+            if (!KEY_ACTIONS.includes(event.action) || typeof event.key !== "string" || !event.key || event.key.length > 32) return null;
+            const modifiers = event.modifiers || {};
+            return {
+                type: "key",
+                action: event.action,
+                key: event.key,
+                code: typeof event.code === "string" ? event.code.slice(0, 32) : "",
+                modifiers: { shift: !!modifiers.shift, ctrl: !!modifiers.ctrl, alt: !!modifiers.alt, meta: !!modifiers.meta },
+            };
+        }
+        default:
+            return null;
+    }
+}
+
+module.exports = { toRemoteInput };
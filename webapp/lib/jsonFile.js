@@ -0,0 +1,31 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Reads a JSON file, returning the fallback when it does not exist or is unreadable.
+ * @param {string} file
+ * @param {*} fallback
+ */
+function readJson(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        if (error.code !== "ENOENT") console.error(`Error reading ${file}:`, error);
+        return fallback;
+    }
+}
+
+/**
+ * Writes a JSON file atomically (write to a temp file, then rename) so a crash
+ * mid-write never leaves a truncated file behind.
+ * @param {string} file
+ * @param {*} data
+ */
+function writeJson(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+}
+
+module.exports = { readJson, writeJson };
@@ -0,0 +1,35 @@
+const util = require("util");
+
+const LEVELS = { log: "info", info: "info", warn: "warn", error: "error" };
+
+/**
+ * Keeps the last `size` console lines as structured entries for the
+ * diagnostics panel. Lines still go to stdout and stderr as before.
+ *
+ * @param {object} [options]
+ * @param {number} [options.size] Entries kept.
+ * @returns {{tail: function(number): object[], since: function(number): object[]}}
+ *          Entries are `{ seq, at, level, message }`, oldest first.
+ */
+function captureConsole({ size = 500 } = {}) {
+    const entries = [];
+    let seq = 0;
+
+    Object.entries(LEVELS).forEach(([method, level]) => {
+        const write = console[method].bind(console);
+        console[method] = (...args) => {
+            write(...args);
+            entries.push({ seq: ++seq, at: Date.now(), level, message: util.format(...args) });
+            if (entries.length > size) entries.shift();
+        };
+    });
+
+    return {
+        /** The newest `count` entries. */
+        tail: (count = size) => entries.slice(-count),
+        /** Entries logged after the one numbered `after`. */
+        since: (after) => entries.filter(entry => entry.seq > after),
+    };
+}
+
+module.exports = { captureConsole };
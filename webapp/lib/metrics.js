@@ -0,0 +1,91 @@
+/**
+ * A small Prometheus registry: counters, gauges and histograms with labels,
+ * rendered in the text exposition format (version 0.0.4) for GET /metrics.
+ * Gauges read their value when scraped, so nothing has to keep them up to date.
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+const labelText = (labels) => {
+    const entries = Object.entries(labels);
+    return entries.length ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}` : "";
+};
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300];
+
+function createMetrics() {
+    const metrics = []; // { name, help, type, samples: () => [{ name, labels, value }] }
+
+    /**
+     * A value that only goes up, per label set.
+     */
+    function counter(name, help) {
+        const series = new Map(); // label text -> { labels, value }
+        metrics.push({ name, help, type: "counter", samples: () => [...series.values()].map(({ labels, value }) => ({ name, labels, value })) });
+        return {
+            inc(labels = {}, by = 1) {
+                const key = labelText(labels);
+                if (!series.has(key)) series.set(key, { labels, value: 0 });
+                series.get(key).value += by;
+            },
+            /** The sum over every label set. */
+            total: () => [...series.values()].reduce((sum, { value }) => sum + value, 0),
+        };
+    }
+
+    /**
+     * A value read when scraped.
+     * @param {function(): (number|Array<{labels: object, value: number}>)} collect
+     */
+    function gauge(name, help, collect) {
+        metrics.push({
+            name,
+            help,
+            type: "gauge",
+            samples: () => {
+                const value = collect();
+                return Array.isArray(value) ? value.map(sample => ({ name, ...sample })) : [{ name, labels: {}, value }];
+            },
+        });
+    }
+
+    /**
+     * Observations counted into cumulative buckets, with their sum and count.
+     */
+    function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+        const series = new Map(); // label text -> { labels, counts, sum, count }
+        metrics.push({
+            name,
+            help,
+            type: "histogram",
+            samples: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+                ...buckets.map((le, i) => ({ name: `${name}_bucket`, labels: { ...labels, le: String(le) }, value: counts[i] })),
+                { name: `${name}_bucket`, labels: { ...labels, le: "+Inf" }, value: count },
+                { name: `${name}_sum`, labels, value: sum },
+                { name: `${name}_count`, labels, value: count },
+            ]),
+        });
+        return {
+            observe(labels, value) {
+                const key = labelText(labels);
+                if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+                const entry = series.get(key);
+                buckets.forEach((le, i) => { if (value <= le) entry.counts[i]++; });
+                entry.sum += value;
+                entry.count++;
+            },
+            /** Sum and count over every label set. */
+            total: () => [...series.values()].reduce((total, { sum, count }) => ({ sum: total.sum + sum, count: total.count + count }), { sum: 0, count: 0 }),
+        };
+    }
+
+    function render() {
+        return metrics.map(({ name, help, type, samples }) => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} ${type}`,
+            ...samples().map(sample => `${sample.name}${labelText(sample.labels)} ${sample.value}`),
+        ].join("\n")).join("\n") + "\n";
+    }
+
+    return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetrics };
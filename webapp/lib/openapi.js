@@ -0,0 +1,324 @@
+const { MAX_WORD_LENGTH } = require("./protocol");
+
+/**
+ * OpenAPI description of the REST API in lib/api.js, served at /api/v1/openapi.json.
+ */
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema, description) => ({ description, content: { "application/json": { schema } } });
+const error = (description) => json(ref("Error"), description);
+const deviceIdParameter = { name: "deviceId", in: "path", required: true, schema: { type: "string" } };
+const auditParameters = [
+    { name: "q", in: "query", schema: { type: "string" }, description: "Text to find in the actor, event, device or summary." },
+    { name: "actor", in: "query", schema: { type: "string" } },
+    { name: "event", in: "query", schema: { type: "string" } },
+    { name: "outcome", in: "query", schema: { type: "string" } },
+    { name: "deviceId", in: "query", schema: { type: "string" } },
+    { name: "from", in: "query", schema: { type: "string" }, description: "Earliest time, in milliseconds or as an ISO date." },
+    { name: "to", in: "query", schema: { type: "string" }, description: "Latest time, in milliseconds or as an ISO date." },
+];
+
+const openapi = {
+    openapi: "3.0.3",
+    info: {
+        title: "macOS Bridge API",
+        version: "1.0.0",
+        description: "HTTP access to the bridge's devices. Uses the same actions as the socket.io interface. Callers listed in BRIDGE_VIEWERS have the viewer role and get 403 from endpoints that need another permission.",
+    },
+    servers: [{ url: "/api/v1" }],
+    security: [{ bearerToken: [] }, { sessionCookie: [] }],
+    components: {
+        securitySchemes: {
+            bearerToken: { type: "http", scheme: "bearer", description: "A token from BRIDGE_API_TOKENS." },
+            sessionCookie: { type: "apiKey", in: "cookie", name: "bridge_session" },
+        },
+        schemas: {
+            Error: { type: "object", properties: { error: { type: "string" } }, required: ["error"] },
+            Device: {
+                type: "object",
+                properties: {
+                    id: { type: "string" },
+                    name: { type: "string" },
+                    createdAt: { type: "integer" },
+                    pairedBy: { type: "string" },
+                    lastSeenAt: { type: "integer", nullable: true },
+                    revokedAt: { type: "integer", nullable: true },
+                    online: { type: "boolean", description: "False once the Mac is disconnected; still true while it is reconnecting." },
+                    presence: { type: "string", enum: ["connected", "reconnecting", "disconnected"] },
+                    latencyMs: { type: "integer", nullable: true, description: "Average round trip to the Mac." },
+                    protocolVersion: { type: "integer", nullable: true, description: "Protocol the Mac last identified with." },
+                    client: { type: "object", nullable: true, properties: { name: { type: "string" }, version: { type: "string" } } },
+                },
+            },
+            ClipboardEntry: {
+                type: "object",
+                properties: {
+                    version: { type: "integer" },
+                    type: { type: "string", enum: ["text", "html", "image"] },
+                    content: { type: "string", description: "Text, HTML, or an image data URL." },
+                    source: { type: "object", properties: { kind: { type: "string" }, name: { type: "string" } } },
+                    createdAt: { type: "integer" },
+                    pinned: { type: "boolean" },
+                    resentFrom: { type: "integer", nullable: true },
+                },
+            },
+            QueueStatus: {
+                type: "object",
+                properties: { count: { type: "integer" }, failed: { type: "integer" }, inFlight: { type: "string", nullable: true } },
+            },
+            Command: {
+                type: "object",
+                properties: {
+                    id: { type: "string" },
+                    event: { type: "string" },
+                    data: {},
+                    attempts: { type: "integer" },
+                    createdAt: { type: "integer" },
+                },
+            },
+            StreamSettings: {
+                type: "object",
+                properties: {
+                    quality: { type: "integer", minimum: 1, maximum: 100 },
+                    frameRate: { type: "integer", minimum: 1, maximum: 60 },
+                },
+            },
+            Region: {
+                type: "object",
+                description: "A crop, in fractions of the display.",
+                required: ["x", "y", "width", "height"],
+                properties: {
+                    x: { type: "number", minimum: 0, maximum: 1 },
+                    y: { type: "number", minimum: 0, maximum: 1 },
+                    width: { type: "number", minimum: 0.02, maximum: 1 },
+                    height: { type: "number", minimum: 0.02, maximum: 1 },
+                },
+            },
+            Display: {
+                type: "object",
+                properties: { id: { type: "string" }, name: { type: "string" }, width: { type: "integer" }, height: { type: "integer" }, main: { type: "boolean" } },
+            },
+            StreamConfig: {
+                type: "object",
+                properties: {
+                    deviceId: { type: "string" },
+                    supported: { type: "boolean", description: "Whether the Mac has the displaySelection capability." },
+                    displays: { type: "array", items: ref("Display"), description: "As listed by the Mac when it last identified." },
+                    displayId: { type: "string", nullable: true, description: "Null leaves the choice to the Mac." },
+                    region: { allOf: [ref("Region")], nullable: true },
+                },
+            },
+            DeviceState: {
+                type: "object",
+                properties: {
+                    id: { type: "string" },
+                    name: { type: "string" },
+                    mac: { type: "string", enum: ["connected", "reconnecting", "disconnected"] },
+                    latencyMs: { type: "integer", nullable: true },
+                    clipboard: { allOf: [ref("ClipboardEntry")], nullable: true },
+                    quality: { type: "integer" },
+                    frameRate: { type: "integer" },
+                    autoQuality: { type: "boolean" },
+                    displays: { type: "array", items: ref("Display") },
+                    displayId: { type: "string", nullable: true },
+                    region: { allOf: [ref("Region")], nullable: true },
+                    emoji: { type: "string" },
+                    word: { type: "string" },
+                    queue: ref("QueueStatus"),
+                },
+            },
+            AuditEntry: {
+                type: "object",
+                properties: {
+                    id: { type: "integer" },
+                    at: { type: "integer" },
+                    actor: {
+                        type: "object",
+                        properties: {
+                            kind: { type: "string", enum: ["user", "device", "system"] },
+                            name: { type: "string" },
+                            role: { type: "string", nullable: true },
+                            via: { type: "string", enum: ["socket", "api", "http", "server"] },
+                        },
+                    },
+                    deviceId: { type: "string", nullable: true },
+                    event: { type: "string", description: "The socket event or action, e.g. wordToMac or streamSettings." },
+                    summary: { type: "string", description: "What was sent, shortened. Clipboard contents are reduced to their type and length." },
+                    outcome: { type: "string", enum: ["ok", "queued", "delivered", "failed", "rejected", "conflict", "unchanged"] },
+                    commandId: { type: "string", description: "Links a queued command to its delivery entry." },
+                    delivery: { type: "string", enum: ["pending", "delivered", "failed"], description: "For queued commands: what became of them." },
+                },
+            },
+            Settings: {
+                type: "object",
+                properties: {
+                    file: { type: "string", description: "The config file (BRIDGE_CONFIG)." },
+                    loadedAt: { type: "integer" },
+                    lastReload: {
+                        type: "object",
+                        nullable: true,
+                        properties: {
+                            at: { type: "integer" },
+                            reason: { type: "string", description: "SIGHUP or file changed." },
+                            changed: { type: "array", items: { type: "string" }, description: "Live settings that changed." },
+                            pending: { type: "array", items: { type: "string" }, description: "Settings that changed but need a restart." },
+                            errors: { type: "array", items: { type: "string" }, description: "Why the file was rejected; the running settings were kept." },
+                        },
+                    },
+                    settings: {
+                        type: "array",
+                        items: {
+                            type: "object",
+                            properties: {
+                                key: { type: "string", description: "Name in the config file." },
+                                env: { type: "string", description: "Environment variable, which wins over the file." },
+                                value: { description: "The running value." },
+                                default: {},
+                                source: { type: "string", enum: ["env", "file", "default"] },
+                                live: { type: "boolean", description: "Whether a reload applies it; otherwise it needs a restart." },
+                                pendingRestart: { type: "boolean" },
+                                description: { type: "string" },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    },
+    paths: {
+        "/devices": {
+            get: { summary: "List paired devices", responses: { 200: json({ type: "array", items: ref("Device") }, "Paired devices.") } },
+        },
+        "/devices/{deviceId}": {
+            parameters: [deviceIdParameter],
+            get: { summary: "Current state of a device", description: "Clipboard, word, emoji and queue are left out when the caller may not edit the clipboard or send commands.", responses: { 200: json(ref("DeviceState"), "Device state."), 404: error("Unknown device.") } },
+        },
+        "/devices/{deviceId}/clipboard": {
+            parameters: [deviceIdParameter],
+            get: { summary: "Clipboard history, newest first", responses: { 200: json({ type: "array", items: ref("ClipboardEntry") }, "Clipboard entries."), 403: error("Needs the editClipboard permission.") } },
+            put: {
+                summary: "Set the clipboard",
+                requestBody: {
+                    required: true,
+                    content: {
+                        "application/json": {
+                            schema: {
+                                type: "object",
+                                required: ["content"],
+                                properties: {
+                                    type: { type: "string", enum: ["text", "html", "image"], default: "text" },
+                                    content: { type: "string" },
+                                    baseVersion: { type: "integer", description: "Reject the write if the clipboard has changed since this version." },
+                                },
+                            },
+                        },
+                    },
+                },
+                responses: {
+                    200: json({ type: "object", properties: { entry: ref("ClipboardEntry"), changed: { type: "boolean" } } }, "The current entry."),
+                    400: error("Invalid content."),
+                    403: error("Needs the editClipboard permission."),
+                    409: json({ type: "object", properties: { conflict: ref("ClipboardEntry") } }, "The clipboard changed since baseVersion."),
+                },
+            },
+        },
+        "/devices/{deviceId}/commands": {
+            parameters: [deviceIdParameter],
+            post: {
+                summary: "Queue a word for the Mac",
+                requestBody: { required: true, content: { "application/json": { schema: { type: "object", required: ["word"], properties: { word: { type: "string", minLength: 1, maxLength: MAX_WORD_LENGTH } } } } } },
+                responses: { 202: json({ type: "object", properties: { command: ref("Command") } }, "Queued for delivery."), 400: error("Missing or too long word."), 403: error("Needs the sendCommands permission.") },
+            },
+        },
+        "/devices/{deviceId}/queue": {
+            parameters: [deviceIdParameter],
+            get: {
+                summary: "Command queue",
+                responses: {
+                    200: json({
+                        type: "object",
+                        properties: {
+                            status: ref("QueueStatus"),
+                            pending: { type: "array", items: ref("Command") },
+                            failed: { type: "array", items: ref("Command") },
+                        },
+                    }, "Pending and failed commands."),
+                    403: error("Needs the sendCommands permission."),
+                },
+            },
+        },
+        "/devices/{deviceId}/stream-settings": {
+            parameters: [deviceIdParameter],
+            patch: {
+                summary: "Change quality and/or frame rate",
+                requestBody: { required: true, content: { "application/json": { schema: ref("StreamSettings") } } },
+                responses: { 200: json(ref("StreamSettings"), "The new settings."), 400: error("Not an integer, or out of range."), 403: error("Needs the changeStreamSettings permission.") },
+            },
+        },
+        "/devices/{deviceId}/stream-config": {
+            parameters: [deviceIdParameter],
+            patch: {
+                summary: "Choose the display to stream and crop it",
+                description: "Switching displays clears the region unless a new one is given. The choice is kept while the Mac is away and sent again when it identifies.",
+                requestBody: {
+                    required: true,
+                    content: {
+                        "application/json": {
+                            schema: {
+                                type: "object",
+                                properties: { displayId: { type: "string", nullable: true }, region: { allOf: [ref("Region")], nullable: true } },
+                            },
+                        },
+                    },
+                },
+                responses: { 200: json(ref("StreamConfig"), "The new configuration."), 400: error("Unknown display or invalid region."), 403: error("Needs the changeStreamSettings permission.") },
+            },
+        },
+        "/devices/{deviceId}/data": {
+            parameters: [deviceIdParameter],
+            delete: {
+                summary: "Wipe stored data",
+                description: "Deletes the device's clipboard history, mirrored HTML, queued and failed commands, transfers, recordings and settings. The pairing is kept.",
+                responses: { 204: { description: "Wiped." }, 403: error("Needs the manageDevices permission.") },
+            },
+        },
+        "/audit": {
+            get: {
+                summary: "Search the audit log, newest first",
+                parameters: [...auditParameters, { name: "limit", in: "query", schema: { type: "integer", default: 100 } }],
+                responses: { 200: json({ type: "array", items: ref("AuditEntry") }, "Matching entries."), 403: error("Needs the manageDevices permission.") },
+            },
+        },
+        "/audit/export.{format}": {
+            get: {
+                summary: "Export the audit log",
+                description: "Every matching entry, oldest last, as JSON Lines or CSV.",
+                parameters: [{ name: "format", in: "path", required: true, schema: { type: "string", enum: ["jsonl", "csv"] } }, ...auditParameters],
+                responses: {
+                    200: { description: "The export.", content: { "application/x-ndjson": { schema: { type: "string" } }, "text/csv": { schema: { type: "string" } } } },
+                    403: error("Needs the manageDevices permission."),
+                },
+            },
+        },
+        "/settings": {
+            get: {
+                summary: "Effective configuration",
+                description: "Every setting with its running value and where it came from. Read-only: edit the config file and reload (see the README).",
+                responses: { 200: json(ref("Settings"), "The configuration."), 403: error("Needs the manageDevices permission.") },
+            },
+        },
+        "/devices/{deviceId}/frame.jpg": {
+            parameters: [deviceIdParameter],
+            get: {
+                summary: "Latest screen frame",
+                description: "If the current picture is made of tiles, the Mac is asked for a fresh keyframe first (waiting up to 3 s).",
+                responses: {
+                    200: { description: "The frame.", content: { "image/jpeg": { schema: { type: "string", format: "binary" } } } },
+                    403: error("Needs the viewStream permission."),
+                    404: error("No frame available."),
+                },
+            },
+        },
+    },
+};
+
+module.exports = { openapi };
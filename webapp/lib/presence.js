@@ -0,0 +1,139 @@
+const SAMPLE_COUNT = 10; // Round trips averaged for the latency reading
+
+// Connection quality from the averaged round trip; a missed heartbeat is always 'poor'.
+const QUALITY_THRESHOLDS_MS = { good: 150, fair: 400 };
+
+/**
+ * Tracks whether each Mac is reachable, and how well.
+ *
+ * A Mac is 'connected' while its socket is open. When the socket drops it is
+ * 'reconnecting' for `graceMs`, and only then 'disconnected', so a brief network
+ * blip doesn't look like the Mac went away. Every `intervalMs` the Macs that
+ * answer heartbeats are pinged; the round trips give the latency and
+ * connection quality. Any traffic from a Mac counts as it being seen.
+ *
+ * @param {object} options
+ * @param {function(string, number, function(boolean))} options.ping
+ *        Sends a heartbeat to a device: (deviceId, timeoutMs, done(answered)). Returns false if the device can't answer one.
+ * @param {function(string, object, boolean)} [options.onChange] Called with (deviceId, status, statusChanged)
+ *        when the status changes and after every heartbeat.
+ * @param {number} [options.intervalMs] Time between heartbeats.
+ * @param {number} [options.timeoutMs] A heartbeat not answered in time counts as missed.
+ * @param {number} [options.graceMs] How long a dropped Mac is 'reconnecting' before it is 'disconnected'; 0 for at once.
+ */
+function createPresence({ ping, onChange = () => {}, intervalMs = 5000, timeoutMs = 4000, graceMs = 10000 }) {
+    const states = new Map(); // deviceId -> { status, since, lastSeenAt, samples, missed, graceTimer }
+    let timer = null;
+
+    const stateFor = (deviceId) => {
+        if (!states.has(deviceId)) states.set(deviceId, { status: "disconnected", since: null, lastSeenAt: null, samples: [], missed: 0, graceTimer: null });
+        return states.get(deviceId);
+    };
+
+    /**
+     * What viewers are shown: status, when it last changed, when the Mac was
+     * last heard from, and the latency and quality of the connection (null
+     * until measured).
+     * @returns {{status: 'connected'|'reconnecting'|'disconnected', since: number|null, lastSeenAt: number|null, latencyMs: number|null, quality: 'good'|'fair'|'poor'|null, missedHeartbeats: number}}
+     */
+    function status(deviceId) {
+        const state = stateFor(deviceId);
+        const latencyMs = state.samples.length ? Math.round(state.samples.reduce((sum, rtt) => sum + rtt, 0) / state.samples.length) : null;
+        let quality = null;
+        if (state.status === "connected" && (latencyMs !== null || state.missed > 0)) {
+            if (state.missed > 0 || latencyMs > QUALITY_THRESHOLDS_MS.fair) quality = "poor";
+            else quality = latencyMs > QUALITY_THRESHOLDS_MS.good ? "fair" : "good";
+        }
+        return { status: state.status, since: state.since, lastSeenAt: state.lastSeenAt, latencyMs, quality, missedHeartbeats: state.missed };
+    }
+
+    function setStatus(deviceId, next) {
+        const state = stateFor(deviceId);
+        if (state.status === next) return;
+        state.status = next;
+        state.since = Date.now();
+        onChange(deviceId, status(deviceId), true);
+    }
+
+    /**
+     * Records traffic from a device, with a round trip if one was measured.
+     */
+    function seen(deviceId, rttMs) {
+        const state = stateFor(deviceId);
+        state.lastSeenAt = Date.now();
+        if (rttMs === undefined) return;
+        state.samples = [...state.samples, rttMs].slice(-SAMPLE_COUNT);
+        state.missed = 0;
+    }
+
+    /**
+     * The Mac identified. Ends a grace period without viewers ever seeing it go offline.
+     */
+    function connected(deviceId) {
+        const state = stateFor(deviceId);
+        clearTimeout(state.graceTimer);
+        state.graceTimer = null;
+        state.missed = 0;
+        seen(deviceId);
+        setStatus(deviceId, "connected");
+    }
+
+    /**
+     * The Mac's socket dropped; it is offline unless it comes back within the grace period.
+     */
+    function disconnected(deviceId) {
+        const state = stateFor(deviceId);
+        state.samples = [];
+        if (graceMs <= 0) return setStatus(deviceId, "disconnected");
+        setStatus(deviceId, "reconnecting");
+        state.graceTimer = setTimeout(() => {
+            state.graceTimer = null;
+            setStatus(deviceId, "disconnected");
+        }, graceMs);
+    }
+
+    /**
+     * The Mac is now connected to another server instance, which reports on it from
+     * here on. Forgets it without reporting a change, ending any grace period.
+     */
+    function release(deviceId) {
+        const state = states.get(deviceId);
+        if (!state) return;
+        clearTimeout(state.graceTimer);
+        state.status = "disconnected"; // A heartbeat still in flight is ignored
+        states.delete(deviceId);
+    }
+
+    function heartbeat() {
+        states.forEach((state, deviceId) => {
+            if (state.status !== "connected") return;
+            const sentAt = Date.now();
+            const sent = ping(deviceId, timeoutMs, (answered) => {
+                if (state.status !== "connected") return;
+                if (answered) seen(deviceId, Date.now() - sentAt);
+                else state.missed++;
+                onChange(deviceId, status(deviceId), false);
+            });
+            // Macs without heartbeats still report what was seen of them.
+            if (sent === false) onChange(deviceId, status(deviceId), false);
+        });
+    }
+
+    return {
+        status,
+        seen,
+        connected,
+        disconnected,
+        release,
+        start() {
+            if (!timer) timer = setInterval(heartbeat, intervalMs);
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+            states.forEach(state => clearTimeout(state.graceTimer));
+        },
+    };
+}
+
+module.exports = { createPresence };
@@ -0,0 +1,234 @@
+/**
+ * The socket.io protocol: a schema for the arguments of every event clients
+ * may emit, checked before the handler runs, and the version and capability
+ * negotiation done by 'identify'.
+ *
+ * Version 1 is the original protocol: `identify(type)` with nothing else, and
+ * a Mac that only understands words, stream settings and plain-text
+ * clipboards. Version 2 clients call `identify(type, { protocolVersion,
+ * capabilities, client })` and are only sent the events they declared
+ * capabilities for.
+ */
+const { PERMISSIONS } = require("./roles");
+
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 1;
+
+// What a Mac can declare; the server only sends it the matching events.
+const MAC_CAPABILITIES = {
+    binaryFrames: "sends 'screenFrame' instead of 'screenData'",
+    keyframeRequests: "answers 'requestKeyframe'",
+    clipboardHistory: "receives 'clipboardEntry' (otherwise text entries as 'clipboardData')",
+    fileTransfer: "receives 'fileAvailable'",
+    remoteInput: "receives 'inputEvent'",
+    heartbeat: "answers 'heartbeat' through its ack, for latency readings",
+    displaySelection: "lists its displays in identify and receives 'displayChange' and 'regionChange'",
+    commandAck: "acks 'wordToMac', which is otherwise sent once without waiting for one",
+};
+const SERVER_CAPABILITIES = [...Object.keys(MAC_CAPABILITIES), "htmlHistory", "commandQueue"];
+
+// The longest word a user may send to a Mac, over a socket or the REST API.
+const MAX_WORD_LENGTH = 10000;
+
+// --- Schemas ---
+// A schema is a function (value, path) => error message or null.
+const string = ({ min = 0, max = 10000, values = null } = {}) => (value, path) => {
+    if (typeof value !== "string") return `${path} must be a string`;
+    if (values && !values.includes(value)) return `${path} must be one of ${values.join(", ")}`;
+    if (value.length < min || value.length > max) return `${path} must be ${min} to ${max} characters long`;
+    return null;
+};
+
+const integer = ({ min = Number.MIN_SAFE_INTEGER, max = Number.MAX_SAFE_INTEGER } = {}) => (value, path) =>
+    Number.isInteger(value) && value >= min && value <= max ? null : `${path} must be an integer from ${min} to ${max}`;
+
+const number = ({ min = -Infinity, max = Infinity } = {}) => (value, path) =>
+    typeof value === "number" && Number.isFinite(value) && value >= min && value <= max ? null : `${path} must be a number from ${min} to ${max}`;
+
+const boolean = () => (value, path) => (typeof value === "boolean" ? null : `${path} must be a boolean`);
+
+const binary = ({ max }) => (value, path) => {
+    if (!Buffer.isBuffer(value) && !(value instanceof ArrayBuffer) && !ArrayBuffer.isView(value)) return `${path} must be binary`;
+    return value.byteLength > max ? `${path} must be at most ${max} bytes` : null;
+};
+
+const array = (items, { max = 100 } = {}) => (value, path) => {
+    if (!Array.isArray(value)) return `${path} must be an array`;
+    if (value.length > max) return `${path} must have at most ${max} items`;
+    for (let i = 0; i < value.length; i++) {
+        const error = items(value[i], `${path}[${i}]`);
+        if (error) return error;
+    }
+    return null;
+};
+
+// Unknown properties are allowed, so newer clients can send more than an older server reads.
+const object = (properties) => (value, path) => {
+    if (!value || typeof value !== "object" || Array.isArray(value)) return `${path} must be an object`;
+    for (const [name, schema] of Object.entries(properties)) {
+        const error = schema(value[name], `${path}.${name}`);
+        if (error) return error;
+    }
+    return null;
+};
+
+const optional = (schema) => (value, path) => (value === undefined ? null : schema(value, path));
+const nullable = (schema) => (value, path) => (value === null ? null : schema(value, path));
+
+// --- Events ---
+// `from`: who may emit it ('user' for web clients, 'device' for Macs, or 'any').
+// `permission`: what the sender's role must allow (lib/roles.js).
+// `args`: schemas of the positional arguments. `ack`: the event must be sent with an ack callback.
+const id = string({ min: 1, max: 64 });
+const MB = 1024 * 1024;
+const fraction = number({ min: 0, max: 1 });
+// A crop region in fractions of the display (see setStreamConfig in index.js).
+const region = object({ x: fraction, y: fraction, width: fraction, height: fraction });
+// Checked further by lib/annotations.js.
+const shape = object({
+    tool: string({ values: ["pen", "arrow", "box", "text"] }),
+    points: array(array(fraction, { max: 2 }), { max: 2000 }),
+    color: optional(string({ max: 16 })),
+    width: optional(integer({ min: 1, max: 20 })),
+    text: optional(string({ max: 500 })),
+});
+const clipboardWrite = object({ type: optional(string({ values: ["text", "html", "image"] })), content: string({ max: 6 * MB }), baseVersion: optional(integer({ min: 0 })) });
+
+const EVENTS = {
+    identify: {
+        from: "any",
+        args: [
+            string({ min: 1, max: 32 }),
+            optional(object({
+                protocolVersion: integer({ min: 0 }),
+                capabilities: optional(array(string({ max: 64 }), { max: 64 })),
+                client: optional(object({ name: optional(string({ max: 64 })), version: optional(string({ max: 32 })) })),
+                role: optional(string({ values: ["viewer", "controller", "device"] })),
+                permissions: optional(array(string({ values: PERMISSIONS }), { max: PERMISSIONS.length })),
+                displays: optional(array(object({
+                    id,
+                    name: optional(string({ max: 128 })),
+                    width: integer({ min: 1 }),
+                    height: integer({ min: 1 }),
+                    main: optional(boolean()),
+                }), { max: 16 })),
+            })),
+        ],
+    },
+    transferStart: { from: "any", permission: "transferFiles", ack: true, args: [object({ name: string({ min: 1, max: 255 }), size: integer({ min: 0 }), sha256: string({ min: 64, max: 64 }), mimeType: optional(string({ max: 255 })) })] },
+    transferChunk: { from: "any", permission: "transferFiles", ack: true, args: [object({ id, offset: integer({ min: 0 }), data: binary({ max: MB }) })] },
+    clipboardData: { from: "any", permission: "editClipboard", args: [string({ max: 6 * MB })] },
+    clipboardWrite: { from: "any", permission: "editClipboard", args: [clipboardWrite] },
+
+    // Web users
+    startGeminiExam: { from: "user", permission: "sendCommands", args: [object({ questions: string({ max: 100000 }), modelName: optional(string({ max: 64 })) })] },
+    selectDevice: { from: "user", args: [nullable(string({ max: 64 }))] },
+    subscribeStream: { from: "user", permission: "viewStream", args: [boolean()] },
+    subscribeDiagnostics: { from: "user", permission: "manageDevices", args: [boolean()] },
+    auditSearch: {
+        from: "user",
+        permission: "manageDevices",
+        ack: true,
+        args: [optional(object({
+            q: optional(string({ max: 200 })),
+            actor: optional(string({ max: 64 })),
+            event: optional(string({ max: 64 })),
+            outcome: optional(string({ max: 32 })),
+            deviceId: optional(string({ max: 64 })),
+            from: optional(integer({ min: 0 })),
+            to: optional(integer({ min: 0 })),
+            limit: optional(integer({ min: 1, max: 1000 })),
+        }))],
+    },
+    getSettings: { from: "user", permission: "manageDevices", ack: true, args: [] },
+    createPairingCode: { from: "user", permission: "manageDevices", args: [] },
+    revokeDevice: { from: "user", permission: "manageDevices", args: [id] },
+    wipeDeviceData: { from: "user", permission: "manageDevices", args: [id] },
+    setMirrorSettings: { from: "user", permission: "viewHtml", args: [object({ scripts: optional(boolean()), mode: optional(string({ values: ["live", "snapshot"] })) })] },
+    clipboardResend: { from: "user", permission: "editClipboard", args: [integer({ min: 1 })] },
+    clipboardPin: { from: "user", permission: "editClipboard", args: [object({ version: integer({ min: 1 }), pinned: boolean() })] },
+    setAutoQuality: { from: "user", permission: "changeStreamSettings", args: [boolean()] },
+    startRecording: { from: "user", permission: "changeStreamSettings", args: [] },
+    stopRecording: { from: "user", permission: "changeStreamSettings", args: [] },
+    requestControl: { from: "user", permission: "sendCommands", args: [] },
+    releaseControl: { from: "user", permission: "sendCommands", args: [] },
+    // The coordinates and keys are checked by lib/input.js.
+    inputEvent: { from: "user", permission: "sendCommands", args: [object({ type: string({ values: ["pointer", "wheel", "key"] }) })] },
+    retryFailedCommands: { from: "user", permission: "sendCommands", args: [] },
+    wordToMac: { from: "user", permission: "sendCommands", args: [string({ min: 1, max: MAX_WORD_LENGTH })] },
+    qualityChange: { from: "user", permission: "changeStreamSettings", args: [integer({ min: 1, max: 100 })] },
+    frameRateChange: { from: "user", permission: "changeStreamSettings", args: [integer({ min: 1, max: 60 })] },
+    displayChange: { from: "user", permission: "changeStreamSettings", args: [nullable(id)] },
+    regionChange: { from: "user", permission: "changeStreamSettings", args: [nullable(region)] },
+    annotationAdd: { from: "user", permission: "annotate", args: [shape] },
+    // A shape still being drawn, relayed to the other viewers; null when it is dropped.
+    annotationDraft: { from: "user", permission: "annotate", args: [nullable(shape)] },
+    annotationUndo: { from: "user", permission: "annotate", args: [] },
+    annotationClear: { from: "user", permission: "annotate", args: [] },
+    setAnnotationMode: { from: "user", permission: "annotate", args: [string({ values: ["session", "keep"] })] },
+
+    // Macs
+    commandAck: { from: "device", args: [id] },
+    screenFrame: { from: "device", args: [binary({ max: 16 * MB })] },
+    screenData: { from: "device", args: [string({ max: 16 * MB })] },
+    webSourceCode: { from: "device", args: [string({ max: 16 * MB })] },
+    emojiToWeb: { from: "device", args: [string({ max: 64 })] },
+    fileChunkRequest: { from: "device", permission: "transferFiles", ack: true, args: [object({ id, offset: integer({ min: 0 }), length: integer({ min: 1 }) })] },
+    fileReceived: { from: "device", permission: "transferFiles", args: [object({ id, ok: boolean() })] },
+};
+
+/**
+ * Whether a client of this kind may emit the event at all.
+ * @param {string} event
+ * @param {'user'|'device'} kind
+ * @returns {{code: string, message: string}|null}
+ */
+function checkAccess(event, kind) {
+    const spec = EVENTS[event];
+    if (!spec) return { code: "unknown_event", message: `Unknown event '${event}'.` };
+    if (spec.from !== "any" && spec.from !== kind) return { code: "forbidden", message: `'${event}' may only be sent by a ${spec.from === "user" ? "web client" : "Mac"}.` };
+    return null;
+}
+
+/**
+ * Checks an incoming event's arguments (without the ack callback).
+ * @param {string} event
+ * @param {'user'|'device'} kind
+ * @param {Array} args
+ * @param {boolean} hasAck Whether an ack callback came with the event.
+ * @param {Set<string>} permissions What the sender's role allows (empty until it identifies).
+ * @returns {{code: string, message: string}|null} The error, or null if the event is valid.
+ */
+function validate(event, kind, args, hasAck, permissions) {
+    const denied = checkAccess(event, kind);
+    if (denied) return denied;
+    const spec = EVENTS[event];
+    if (spec.permission && !permissions.has(spec.permission)) return { code: "forbidden", message: `'${event}' needs the ${spec.permission} permission.` };
+    if (spec.ack && !hasAck) return { code: "ack_required", message: `'${event}' must be sent with an acknowledgement callback.` };
+    for (let i = 0; i < spec.args.length; i++) {
+        const error = spec.args[i](args[i], `${event}[${i}]`);
+        if (error) return { code: "invalid_payload", message: `${error}.` };
+    }
+    return null;
+}
+
+/**
+ * Settles the protocol for a client from the second argument of 'identify'.
+ * Clients that send nothing speak version 1 and get the version 1 capabilities.
+ * @param {object} [hello] `{ protocolVersion, capabilities, client, displays }`
+ * @returns {{version: number, capabilities: Set<string>, client: object|null, displays: object[]}|{error: {code: string, message: string}}}
+ */
+function negotiate(hello) {
+    const requested = hello ? hello.protocolVersion : 1;
+    if (requested < MIN_PROTOCOL_VERSION) {
+        return { error: { code: "unsupported_version", message: `Protocol ${requested} is no longer supported; this server speaks ${MIN_PROTOCOL_VERSION} to ${PROTOCOL_VERSION}.` } };
+    }
+    return {
+        version: Math.min(requested, PROTOCOL_VERSION),
+        capabilities: new Set(hello ? (hello.capabilities || []).filter(name => SERVER_CAPABILITIES.includes(name)) : []),
+        client: (hello && hello.client) || null,
+        displays: (hello && hello.displays) || [],
+    };
+}
+
+module.exports = { PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, MAC_CAPABILITIES, SERVER_CAPABILITIES, MAX_WORD_LENGTH, EVENTS, checkAccess, validate, negotiate };
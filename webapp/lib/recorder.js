@@ -0,0 +1,202 @@
+const fs = require("fs");
+const path = require("path");
+const { readJson, writeJson } = require("./jsonFile");
+
+const SEGMENT_DURATION_MS = 60 * 1000;
+const SEGMENT_MAX_BYTES = 64 * 1024 * 1024;
+const INDEX_FLUSH_INTERVAL_MS = 5000;
+const EXPORT_MAGIC = "SFREC1\n";
+
+/**
+ * Records a device's screen stream to disk.
+ *
+ * A recording is a directory holding numbered segment files and an
+ * `index.json`. Segments are plain concatenations of binary frames (see
+ * lib/frames.js); the index lists every frame's segment, byte offset, length,
+ * type and time (ms since the recording started). Every segment begins with a
+ * keyframe (plus the tiles changed since), so playback can start from any
+ * segment without reading the ones before it. Recordings still open when the
+ * server stopped are ended when it starts again.
+ *
+ * @param {object} options
+ * @param {string} options.directory Where recordings are stored.
+ */
+function createRecorder({ directory }) {
+    const active = new Map(); // deviceId -> { index, fd, segment, flushTimer }
+
+    const recordingDir = (id) => path.join(directory, path.basename(id));
+    const indexFile = (id) => path.join(recordingDir(id), "index.json");
+    const segmentFile = (id, number) => path.join(recordingDir(id), `segment-${String(number).padStart(4, "0")}.bin`);
+
+    const summary = (index) => ({
+        id: index.id,
+        deviceId: index.deviceId,
+        deviceName: index.deviceName,
+        startedBy: index.startedBy,
+        startedAt: index.startedAt,
+        endedAt: index.endedAt,
+        durationMs: (index.endedAt || Date.now()) - index.startedAt,
+        frames: index.segments.reduce((sum, s) => sum + s.frames.length, 0),
+        bytes: index.segments.reduce((sum, s) => sum + s.bytes, 0),
+    });
+
+    function openSegment(recording, snapshot) {
+        if (recording.fd !== null) fs.closeSync(recording.fd);
+        const number = recording.index.segments.length + 1;
+        recording.fd = fs.openSync(segmentFile(recording.index.id, number), "w");
+        recording.segment = { number, startedAt: Date.now() - recording.index.startedAt, bytes: 0, frames: [] };
+        recording.index.segments.push(recording.segment);
+        snapshot.forEach(buffer => append(recording, buffer, buffer.readUInt8(3)));
+    }
+
+    function append(recording, buffer, type) {
+        const { segment } = recording;
+        fs.writeSync(recording.fd, buffer);
+        segment.frames.push({ t: Date.now() - recording.index.startedAt, offset: segment.bytes, length: buffer.length, type });
+        segment.bytes += buffer.length;
+    }
+
+    /**
+     * Starts recording a device.
+     * @param {object} device Device state from the registry.
+     * @param {string} startedBy User who started it.
+     */
+    function start(device, startedBy) {
+        if (active.has(device.id)) return summary(active.get(device.id).index);
+        const startedAt = Date.now();
+        const id = `${device.id}-${startedAt}`;
+        fs.mkdirSync(recordingDir(id), { recursive: true });
+        const recording = {
+            index: { id, deviceId: device.id, deviceName: device.name, startedBy, startedAt, endedAt: null, segments: [] },
+            fd: null,
+            segment: null,
+            flushTimer: setInterval(() => writeJson(indexFile(id), recording.index), INDEX_FLUSH_INTERVAL_MS),
+        };
+        openSegment(recording, device.stream.snapshot());
+        active.set(device.id, recording);
+        writeJson(indexFile(id), recording.index);
+        return summary(recording.index);
+    }
+
+    /**
+     * Appends a frame to the device's recording, if one is running. Rolls over
+     * to a new segment, seeded with the stream snapshot, when the current one
+     * is full.
+     */
+    function write(device, buffer, frame) {
+        const recording = active.get(device.id);
+        if (!recording) return;
+        const { segment, index } = recording;
+        const age = Date.now() - index.startedAt - segment.startedAt;
+        if (age > SEGMENT_DURATION_MS || segment.bytes + buffer.length > SEGMENT_MAX_BYTES) {
+            openSegment(recording, device.stream.snapshot()); // Already includes this frame.
+            return;
+        }
+        append(recording, buffer, frame.type);
+    }
+
+    function stop(deviceId) {
+        const recording = active.get(deviceId);
+        if (!recording) return null;
+        active.delete(deviceId);
+        clearInterval(recording.flushTimer);
+        fs.closeSync(recording.fd);
+        recording.index.endedAt = Date.now();
+        writeJson(indexFile(recording.index.id), recording.index);
+        return summary(recording.index);
+    }
+
+    /**
+     * Ends the recordings a crash or restart cut off, at the last time their
+     * last segment was written to.
+     */
+    function closeInterrupted() {
+        if (!fs.existsSync(directory)) return;
+        fs.readdirSync(directory).forEach(id => {
+            const index = readJson(indexFile(id), null);
+            if (!index || index.endedAt !== null) return;
+            const last = index.segments[index.segments.length - 1];
+            const lastFrame = last && last.frames[last.frames.length - 1];
+            let endedAt = index.startedAt + (lastFrame ? lastFrame.t : last ? last.startedAt : 0);
+            if (last && fs.existsSync(segmentFile(id, last.number))) endedAt = Math.max(endedAt, fs.statSync(segmentFile(id, last.number)).mtimeMs);
+            writeJson(indexFile(id), { ...index, endedAt: Math.round(endedAt) });
+        });
+    }
+
+    closeInterrupted();
+
+    function getIndex(id) {
+        for (const recording of active.values()) if (recording.index.id === id) return recording.index;
+        return readJson(indexFile(id), null);
+    }
+
+    function list() {
+        if (!fs.existsSync(directory)) return [];
+        return fs.readdirSync(directory)
+            .map(id => getIndex(id))
+            .filter(Boolean)
+            .map(summary)
+            .sort((a, b) => b.startedAt - a.startedAt);
+    }
+
+    /**
+     * Exports the frames between two times (ms since the start) as a single
+     * file: EXPORT_MAGIC, a u32 index length, the index JSON, then the frames.
+     * Frames before `from` in the same segment are included at t=0 so the
+     * export opens on the picture as it was at `from`.
+     */
+    function exportRange(id, from, to) {
+        const index = getIndex(id);
+        if (!index) return null;
+        const segments = index.segments.filter(s => s.frames.length);
+        const first = Math.max(0, segments.findIndex((s, i) => !segments[i + 1] || segments[i + 1].frames[0].t > from));
+        const frames = [];
+        const chunks = [];
+        let offset = 0;
+        segments.slice(first).forEach(segment => {
+            const selected = segment.frames.filter(f => f.t <= to && (segment === segments[first] || f.t >= from));
+            if (!selected.length) return;
+            const data = fs.readFileSync(segmentFile(id, segment.number));
+            selected.forEach(f => {
+                chunks.push(data.subarray(f.offset, f.offset + f.length));
+                frames.push({ t: Math.max(0, f.t - from), offset, length: f.length, type: f.type });
+                offset += f.length;
+            });
+        });
+        const exported = { ...index, id: `${id}-${from}-${to}`, startedAt: index.startedAt + from, endedAt: index.startedAt + to, segments: [{ number: 1, startedAt: 0, bytes: offset, frames }] };
+        const header = Buffer.from(JSON.stringify(exported));
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(header.length);
+        return Buffer.concat([Buffer.from(EXPORT_MAGIC), length, header, ...chunks]);
+    }
+
+    /**
+     * Deletes the finished recordings matching a predicate (given a summary).
+     * @returns {number} How many were deleted.
+     */
+    function remove(predicate) {
+        const removed = list().filter(recording => !active.has(recording.deviceId) || active.get(recording.deviceId).index.id !== recording.id).filter(predicate);
+        removed.forEach(recording => fs.rmSync(recordingDir(recording.id), { recursive: true, force: true }));
+        return removed.length;
+    }
+
+    return {
+        start,
+        stop,
+        write,
+        list,
+        /** Stops and deletes every recording of a device. */
+        wipe(deviceId) {
+            if (active.has(deviceId)) stop(deviceId);
+            return remove(recording => recording.deviceId === deviceId);
+        },
+        /** Deletes recordings that ended more than `maxAgeMs` ago. */
+        prune: (maxAgeMs) => remove(recording => (recording.endedAt || recording.startedAt) < Date.now() - maxAgeMs),
+        getIndex,
+        exportRange,
+        segmentFile,
+        status: (deviceId) => (active.has(deviceId) ? summary(active.get(deviceId).index) : null),
+    };
+}
+
+module.exports = { createRecorder };
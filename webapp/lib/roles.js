@@ -0,0 +1,47 @@
+/**
+ * Roles a socket can take in the identify handshake, and what each may do.
+ *
+ *                          viewer  controller  device
+ *   viewStream               x         x
+ *   viewHtml                 x         x
+ *   editClipboard                      x         x
+ *   sendCommands                       x
+ *   changeStreamSettings               x
+ *   transferFiles                      x         x
+ *   manageDevices                      x
+ *   annotate                 x         x
+ *
+ * 'sendCommands' covers words, batches, exam answers and remote input;
+ * 'changeStreamSettings' covers quality, frame rate, auto quality and recording.
+ * 'manageDevices' covers pairing, revoking and wiping devices, and the diagnostics tab.
+ * 'annotate' is drawing on the shared overlay of the stream, which viewers may do too.
+ * Every socket event names the permission it needs in lib/protocol.js.
+ */
+const PERMISSIONS = ["viewStream", "viewHtml", "editClipboard", "sendCommands", "changeStreamSettings", "transferFiles", "manageDevices", "annotate"];
+
+const ROLES = {
+    viewer: ["viewStream", "viewHtml", "annotate"],
+    controller: PERMISSIONS,
+    device: ["editClipboard", "transferFiles"],
+};
+
+// What the pop-outs ask for when they identify without a role (clients that predate roles).
+const CLIENT_TYPE_DEFAULTS = {
+    "web-stream-viewer": { role: "controller", permissions: ["viewStream", "sendCommands", "annotate"] },
+    "web-html-viewer": { role: "viewer", permissions: ["viewHtml"] },
+};
+
+/**
+ * Settles a socket's role. Web users get the role they ask for, but never more
+ * than their account allows, and may narrow it to fewer permissions.
+ * @param {'viewer'|'controller'|'device'} accountRole The most the account may have.
+ * @param {object} [request] `{ role, permissions }` from identify.
+ * @returns {{role: string, permissions: Set<string>}}
+ */
+function resolveRole(accountRole, { role, permissions } = {}) {
+    const granted = accountRole === "controller" && role === "viewer" ? "viewer" : accountRole;
+    const allowed = ROLES[granted];
+    return { role: granted, permissions: new Set(permissions ? allowed.filter(name => permissions.includes(name)) : allowed) };
+}
+
+module.exports = { PERMISSIONS, ROLES, CLIENT_TYPE_DEFAULTS, resolveRole };
@@ -0,0 +1,95 @@
+const { parseDocument, DomUtils } = require("htmlparser2");
+
+// Removed together with everything inside them.
+const DROPPED_ELEMENTS = new Set(["script", "noscript", "iframe", "frame", "frameset", "object", "embed", "applet", "base", "meta", "link", "template", "portal"]);
+const RESOURCE_ATTRIBUTES = ["src", "poster", "background", "data", "xlink:href"];
+const DROPPED_ATTRIBUTES = new Set(["srcdoc", "srcset", "formaction", "action", "ping", "integrity", "nonce"]);
+const CSS_URL = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+
+const isDataImage = (url) => /^data:image\/(png|jpeg|gif|webp|svg\+xml);/i.test(url.trim());
+
+/**
+ * Neutralizes url() references (other than data: images) and @import rules in CSS.
+ * @returns {{css: string, blocked: number}}
+ */
+function sanitizeCss(css) {
+    let blocked = 0;
+    const cleaned = css
+        .replace(/@import[^;]*;?/gi, () => { blocked++; return ""; })
+        .replace(/expression\s*\(/gi, "(")
+        .replace(CSS_URL, (match, quote, url) => {
+            if (isDataImage(url)) return match;
+            blocked++;
+            return "url(\"\")";
+        });
+    return { css: cleaned, blocked };
+}
+
+/**
+ * Turns mirrored page source into a static snapshot: no scripts, event
+ * handlers, frames or forms that submit, links that don't navigate, and every
+ * external resource (images, stylesheets, fonts, CSS url()s) blocked so that
+ * viewing the snapshot makes no requests to third parties. Blocked resource
+ * URLs are kept in `data-blocked-*` attributes for reference.
+ *
+ * @param {string} html
+ * @returns {{html: string, blocked: number}} The snapshot and how many external resources were blocked.
+ */
+function sanitizeSnapshot(html) {
+    const document = parseDocument(html || "");
+    let blocked = 0;
+
+    DomUtils.findAll(el => DROPPED_ELEMENTS.has(el.name), document.children).forEach(el => {
+        if (el.name === "link") blocked++;
+        DomUtils.removeElement(el);
+    });
+    DomUtils.findAll(() => true, document.children).forEach(el => {
+        Object.keys(el.attribs).forEach(name => {
+            const value = el.attribs[name];
+            const lower = name.toLowerCase();
+            if (lower.startsWith("on") || DROPPED_ATTRIBUTES.has(lower)) {
+                delete el.attribs[name];
+            } else if (RESOURCE_ATTRIBUTES.includes(lower) && !isDataImage(value)) {
+                blocked++;
+                delete el.attribs[name];
+                el.attribs[`data-blocked-${lower.replace(":", "-")}`] = value;
+            } else if (lower === "href") {
+                // Keep the target visible on hover without letting the snapshot navigate.
+                delete el.attribs[name];
+                if (!value.startsWith("#")) el.attribs.title = el.attribs.title || value;
+            } else if (lower === "style") {
+                const result = sanitizeCss(value);
+                blocked += result.blocked;
+                el.attribs[name] = result.css;
+            }
+        });
+        if (el.name === "style") {
+            el.children.forEach(child => {
+                if (child.type !== "text") return;
+                const result = sanitizeCss(child.data);
+                blocked += result.blocked;
+                child.data = result.css;
+            });
+        }
+        if (["input", "button", "select", "textarea"].includes(el.name)) el.attribs.disabled = "";
+    });
+
+    return { html: DomUtils.getOuterHTML(document), blocked };
+}
+
+/**
+ * Removes `<meta http-equiv="refresh">` tags from a live mirrored page, which
+ * would otherwise navigate the mirror away from it, and leaves the rest of the
+ * source exactly as it was.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+function stripMetaRefresh(html) {
+    if (!/http-equiv/i.test(html || "")) return html;
+    const document = parseDocument(html, { withStartIndices: true, withEndIndices: true });
+    const refreshes = DomUtils.findAll(el => el.name === "meta" && (el.attribs["http-equiv"] || "").trim().toLowerCase() === "refresh", document.children);
+    return refreshes.reduceRight((source, el) => source.slice(0, el.startIndex) + source.slice(el.endIndex + 1), html);
+}
+
+module.exports = { sanitizeSnapshot, stripMetaRefresh };
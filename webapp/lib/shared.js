@@ -0,0 +1,111 @@
+const MAPS_HASH = "bridge:maps"; // Names of the maps the broker has held, with when they were started
+const TOMBSTONE_TTL_MS = 60 * 1000;
+
+/**
+ * A map kept the same on every server instance through the broker
+ * (lib/broker.js). It has the parts of the Map interface the other modules use,
+ * so it can stand in for one. Values are JSON.
+ *
+ * Each instance keeps a full copy. set() and delete() apply at once and reach
+ * the other instances through the broker, where they are passed to `onChange`.
+ * When two instances write a key at the same time the later write wins (ties go
+ * to the higher instance id), so every copy ends up the same. The broker also
+ * keeps the map in the hash `bridge:<name>` for instances that start later;
+ * call load() before serving.
+ *
+ * Writes made before load() are what this instance had saved on disk. They only
+ * reach the broker when it has never held this map, which carries the state of
+ * a server that ran alone over to the first of several; otherwise the broker's
+ * copy replaces them.
+ *
+ * @param {object} options
+ * @param {object} options.broker
+ * @param {string} options.name
+ * @param {function(string, *, *)} [options.onChange] Called with (key, value, previous) for changes
+ *        made by other instances and for saved values the broker's copy replaces; `value` is undefined for deletions.
+ */
+function createSharedMap({ broker, name, onChange = () => {} }) {
+    const hash = `bridge:${name}`;
+    const entries = new Map(); // key -> { value, at, by }; value is undefined for a deleted key, kept a while to order writes
+    let loaded = false;
+
+    const newer = (entry, current) => !current || entry.at > current.at || (entry.at === current.at && entry.by > current.by);
+    const live = () => [...entries].filter(([, entry]) => entry.value !== undefined);
+
+    function receive(key, entry) {
+        const current = entries.get(key);
+        if (!newer(entry, current)) return;
+        entries.set(key, entry);
+        const previous = current && current.value;
+        if (entry.value !== undefined || previous !== undefined) onChange(key, entry.value, previous);
+    }
+
+    broker.subscribe(hash, ({ key, value, at, by }) => {
+        if (by !== broker.id) receive(key, { value, at, by });
+    });
+
+    function write(key, value) {
+        if (!loaded) {
+            if (value === undefined) entries.delete(key);
+            else entries.set(key, { value, at: 0, by: broker.id });
+            return;
+        }
+        const current = entries.get(key);
+        const entry = { value, at: Math.max(Date.now(), current ? current.at + 1 : 0), by: broker.id };
+        entries.set(key, entry);
+        broker.publish(hash, { key, ...entry });
+        if (value !== undefined) {
+            broker.hset(hash, key, entry);
+            return;
+        }
+        broker.hdel(hash, key);
+        entries.forEach((old, oldKey) => {
+            if (old.value === undefined && old.at < entry.at - TOMBSTONE_TTL_MS) entries.delete(oldKey);
+        });
+    }
+
+    const map = {
+        name,
+        /** Takes on the broker's copy; see above. */
+        async load() {
+            const [maps, stored] = await Promise.all([broker.hgetall(MAPS_HASH), broker.hgetall(hash)]);
+            const saved = [...entries].filter(([, entry]) => entry.at === 0);
+            loaded = true;
+            Object.entries(stored).forEach(([key, entry]) => receive(key, entry));
+            if (maps[name]) {
+                saved.filter(([key]) => entries.get(key).at === 0).forEach(([key, entry]) => {
+                    entries.delete(key);
+                    onChange(key, undefined, entry.value);
+                });
+                return;
+            }
+            saved.filter(([key]) => entries.get(key).at === 0).forEach(([key, entry]) => write(key, entry.value));
+            broker.hset(MAPS_HASH, name, Date.now());
+        },
+        get: (key) => {
+            const entry = entries.get(key);
+            return entry ? entry.value : undefined;
+        },
+        has: (key) => map.get(key) !== undefined,
+        set(key, value) {
+            write(key, value);
+            return map;
+        },
+        delete(key) {
+            if (!map.has(key)) return false;
+            write(key, undefined);
+            return true;
+        },
+        forEach: (callback) => live().forEach(([key, entry]) => callback(entry.value, key, map)),
+        keys: () => live().map(([key]) => key)[Symbol.iterator](),
+        values: () => live().map(([, entry]) => entry.value)[Symbol.iterator](),
+        entries: () => live().map(([key, entry]) => [key, entry.value])[Symbol.iterator](),
+        [Symbol.iterator]: () => map.entries(),
+        get size() {
+            return live().length;
+        },
+    };
+    return map;
+}
+
+module.exports = { createSharedMap };
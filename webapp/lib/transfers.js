@@ -0,0 +1,249 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { readJson, writeJson } = require("./jsonFile");
+
+const MAX_CHUNK_BYTES = 512 * 1024; // Keeps chunks under socket.io's default 1 MB message limit
+
+const sha256File = (file) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(file).on("data", chunk => hash.update(chunk)).on("end", () => resolve(hash.digest("hex"))).on("error", reject);
+});
+
+/**
+ * Chunked, resumable file transfers between browsers and Macs.
+ *
+ * The server is a store-and-forward hub. Whoever sends a file (a browser for
+ * 'toMac', a Mac for 'toWeb') uploads it in chunks, each at the offset the
+ * server reports as received, so an interrupted upload resumes where it
+ * stopped. Once every byte has arrived the SHA-256 is checked. Files for a Mac
+ * are then offered to it and pulled chunk by chunk; files from a Mac are
+ * downloaded by browsers over HTTP (which supports range requests).
+ *
+ * Transfers are kept in `store`, which server instances can share, but a file
+ * is only on the disk of the instance that received it (`transfer.instance`).
+ * Only that instance may call the functions that change a transfer or read its
+ * file; the others pass the calls on to it (see index.js), and call sync() when
+ * it changed one.
+ *
+ * @param {object} options
+ * @param {string} options.directory Where partial and complete files are stored.
+ * @param {number} options.maxBytes Largest accepted file.
+ * @param {string} options.instance This instance's id, recorded on the transfers it starts.
+ * @param {Map} [options.store] Where transfers are kept (id -> transfer), besides the file.
+ * @param {function(object)} [options.onChange] Called with a transfer's summary after every change.
+ */
+function createTransfers({ directory, maxBytes, instance, store: transfers = new Map(), onChange = () => {} }) {
+    const metaFile = path.join(directory, "transfers.json");
+    readJson(metaFile, []).forEach(transfer => transfers.set(transfer.id, transfer));
+    let saveTimer = null;
+
+    const dataFile = (id) => path.join(directory, `${path.basename(id)}.data`);
+    const save = () => writeJson(metaFile, [...transfers.values()]);
+    // Chunks arrive quickly; progress is written at most once a second.
+    const saveSoon = () => {
+        if (!saveTimer) saveTimer = setTimeout(() => { saveTimer = null; save(); }, 1000);
+    };
+    const changed = (transfer, persistNow = true) => {
+        transfers.set(transfer.id, transfer);
+        if (persistNow) save();
+        else saveSoon();
+        onChange({ ...transfer });
+    };
+
+    /**
+     * Starts a transfer, or resumes an unfinished upload of the same file
+     * (same device, direction, size and checksum).
+     * @returns {{transfer: object}|{error: string}}
+     */
+    function start({ deviceId, direction, name, size, sha256, mimeType, createdBy }) {
+        if (typeof name !== "string" || !name.trim()) return { error: "A file name is required." };
+        if (!Number.isInteger(size) || size < 0) return { error: "Invalid file size." };
+        if (size > maxBytes) return { error: `File is larger than the ${Math.round(maxBytes / 1024 / 1024)} MB limit.` };
+        if (typeof sha256 !== "string" || !/^[0-9a-f]{64}$/i.test(sha256)) return { error: "A SHA-256 checksum is required." };
+
+        const existing = [...transfers.values()].find(t => t.status === "uploading" && t.deviceId === deviceId && t.direction === direction && t.size === size && t.sha256 === sha256.toLowerCase());
+        if (existing) return { transfer: existing };
+
+        const transfer = {
+            id: crypto.randomUUID(),
+            instance,
+            deviceId,
+            direction,
+            name: path.basename(name).slice(0, 255),
+            size,
+            sha256: sha256.toLowerCase(),
+            mimeType: typeof mimeType === "string" ? mimeType.slice(0, 100) : "application/octet-stream",
+            createdBy,
+            createdAt: Date.now(),
+            received: 0,
+            delivered: 0,
+            status: "uploading",
+            error: null,
+            completedAt: null,
+        };
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(dataFile(transfer.id), Buffer.alloc(0));
+        changed(transfer);
+        if (size === 0) verify(transfer);
+        return { transfer };
+    }
+
+    async function finishUpload(transfer) {
+        transfer.status = "verifying";
+        changed(transfer);
+        const actual = await sha256File(dataFile(transfer.id));
+        if (!transfers.has(transfer.id)) return; // Wiped or pruned meanwhile
+        if (actual !== transfer.sha256) {
+            transfer.status = "failed";
+            transfer.error = "Checksum mismatch.";
+            fs.rmSync(dataFile(transfer.id), { force: true });
+        } else {
+            transfer.status = transfer.direction === "toMac" ? "ready" : "complete";
+            if (transfer.status === "complete") transfer.completedAt = Date.now();
+        }
+        changed(transfer);
+    }
+
+    /**
+     * Checks the checksum of a complete upload; a file that can't be read fails the transfer.
+     */
+    function verify(transfer) {
+        finishUpload(transfer).catch(error => {
+            if (!transfers.has(transfer.id)) return;
+            transfer.status = "failed";
+            transfer.error = `Could not verify the file: ${error.message}`;
+            changed(transfer);
+        });
+    }
+
+    /**
+     * Appends a chunk. Chunks must arrive at the current received offset; a
+     * mismatched offset is answered with the offset to resume from. Only the
+     * sending side (browsers for 'toMac', the Mac for 'toWeb') may upload.
+     * @param {string} direction The side the chunk comes from: 'toMac' for browsers, 'toWeb' for the Mac.
+     * @returns {{received: number}|{error: string, received?: number}}
+     */
+    function appendChunk(id, offset, data, deviceId, direction) {
+        const transfer = transfers.get(id);
+        if (!transfer || transfer.deviceId !== deviceId || transfer.direction !== direction) return { error: "Unknown transfer." };
+        if (transfer.status !== "uploading") return { error: `Transfer is ${transfer.status}.`, received: transfer.received };
+        if (!Buffer.isBuffer(data) || data.length === 0 || data.length > MAX_CHUNK_BYTES) return { error: "Invalid chunk.", received: transfer.received };
+        if (offset !== transfer.received) return { error: "Unexpected offset.", received: transfer.received };
+        if (transfer.received + data.length > transfer.size) return { error: "Chunk exceeds the declared size.", received: transfer.received };
+        fs.appendFileSync(dataFile(id), data);
+        transfer.received += data.length;
+        changed(transfer, false);
+        if (transfer.received === transfer.size) verify(transfer);
+        return { received: transfer.received };
+    }
+
+    function readData(transfer, offset, length) {
+        if (!Number.isInteger(offset) || offset < 0 || offset > transfer.size) return { error: "Invalid offset." };
+        const size = Math.min(Math.max(1, length | 0), MAX_CHUNK_BYTES, transfer.size - offset);
+        const data = Buffer.alloc(size);
+        const fd = fs.openSync(dataFile(transfer.id), "r");
+        try {
+            fs.readSync(fd, data, 0, size, offset);
+        } finally {
+            fs.closeSync(fd);
+        }
+        return { data };
+    }
+
+    /**
+     * Reads a chunk of a verified file for the Mac to pull.
+     * @returns {{data: Buffer}|{error: string}}
+     */
+    function readChunk(id, offset, length, deviceId) {
+        const transfer = transfers.get(id);
+        if (!transfer || transfer.deviceId !== deviceId || transfer.direction !== "toMac") return { error: "Unknown transfer." };
+        if (!["ready", "delivering"].includes(transfer.status)) return { error: `Transfer is ${transfer.status}.` };
+        const result = readData(transfer, offset, length);
+        if (result.error) return result;
+        transfer.status = "delivering";
+        transfer.delivered = Math.max(transfer.delivered, offset + result.data.length);
+        changed(transfer, false);
+        return result;
+    }
+
+    /**
+     * Reads a chunk of a downloadable file (one that is verified) for a browser.
+     * @returns {{data: Buffer}|{error: string}}
+     */
+    function read(id, offset, length) {
+        const transfer = transfers.get(id);
+        if (!transfer || !["ready", "delivering", "complete"].includes(transfer.status)) return { error: "Unknown transfer." };
+        return readData(transfer, offset, length);
+    }
+
+    /**
+     * The Mac confirms it has the whole file (and whether its checksum matched).
+     */
+    function confirmDelivery(id, ok, deviceId) {
+        const transfer = transfers.get(id);
+        if (!transfer || transfer.deviceId !== deviceId || transfer.direction !== "toMac") return null;
+        transfer.status = ok ? "complete" : "failed";
+        transfer.error = ok ? null : "The Mac reported a checksum mismatch.";
+        transfer.completedAt = Date.now();
+        transfer.delivered = ok ? transfer.size : transfer.delivered;
+        changed(transfer);
+        return transfer;
+    }
+
+    /**
+     * Deletes the transfers (and their files) matching a predicate.
+     * @returns {number} How many were removed.
+     */
+    function remove(predicate) {
+        const removed = [...transfers.values()].filter(predicate);
+        removed.forEach(transfer => {
+            transfers.delete(transfer.id);
+            fs.rmSync(dataFile(transfer.id), { force: true });
+        });
+        if (removed.length) save();
+        return removed.length;
+    }
+
+    /**
+     * Takes over, once the store is loaded, the transfers whose files are on this
+     * instance's disk, or all of them for an instance running alone. Their data on
+     * disk is trusted over the (lazily saved) progress, and verifications a
+     * restart interrupted are run again.
+     */
+    function resume(adoptAll) {
+        [...transfers.values()].filter(t => adoptAll || fs.existsSync(dataFile(t.id))).forEach(transfer => {
+            transfer.instance = instance;
+            if (transfer.status === "uploading") transfer.received = fs.existsSync(dataFile(transfer.id)) ? fs.statSync(dataFile(transfer.id)).size : 0;
+            changed(transfer);
+            if (transfer.status === "verifying") verify(transfer);
+        });
+    }
+
+    return {
+        start,
+        appendChunk,
+        readChunk,
+        read,
+        confirmDelivery,
+        resume,
+        dataFile,
+        wipe: (deviceId) => remove(t => t.deviceId === deviceId),
+        /** Removes finished transfers, and uploads abandoned, older than `maxAgeMs`. */
+        prune(maxAgeMs) {
+            const cutoff = Date.now() - maxAgeMs;
+            return remove(t => (t.completedAt || t.createdAt) < cutoff && ["complete", "failed", "uploading"].includes(t.status));
+        },
+        get: (id) => transfers.get(id) || null,
+        list: (deviceId) => [...transfers.values()].filter(t => t.deviceId === deviceId).sort((a, b) => b.createdAt - a.createdAt),
+        // Files waiting for a Mac, to (re-)offer when it connects.
+        pendingForMac: (deviceId) => [...transfers.values()].filter(t => t.deviceId === deviceId && t.direction === "toMac" && ["ready", "delivering"].includes(t.status)),
+        /** Writes the transfers to disk after another instance changed one, and drops the file of one it removed. */
+        sync(id, transfer, previous) {
+            if (!transfer && previous) fs.rmSync(dataFile(id), { force: true });
+            saveSoon();
+        },
+    };
+}
+
+module.exports = { createTransfers, MAX_CHUNK_BYTES };
@@ -0,0 +1,109 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, login, connectWeb, waitFor, pairDevice } = require("./helpers");
+const { createMockMac } = require("./mockMac");
+
+const ARROW = { tool: "arrow", points: [[0.1, 0.1], [0.4, 0.3], [0.5, 0.5]], color: "#00FF00" };
+
+// Shapes drawn over the stream, shared by everyone watching a device.
+describe("annotations", () => {
+    let server, cookie, device, mac;
+
+    const watch = async (role = "controller") => {
+        const socket = await connectWeb(server.url, cookie, { role });
+        const state = waitFor(socket, "annotations");
+        socket.emit("selectDevice", device.deviceId);
+        socket.state = (await state)[0];
+        return socket;
+    };
+
+    before(async () => {
+        server = await startServer();
+        cookie = await login(server.url);
+        const web = await connectWeb(server.url, cookie);
+        device = await pairDevice(server.url, web);
+        web.close();
+        mac = createMockMac({ url: server.url, token: device.token, hello: { protocolVersion: 2, capabilities: ["displaySelection"], displays: [{ id: "1", name: "Display", width: 1920, height: 1080, main: true }] } });
+        await mac.connect();
+    });
+    after(async () => {
+        mac.disconnect();
+        await server.close();
+    });
+
+    it("shares drafts and finished shapes with the other viewers", async () => {
+        const alice = await watch();
+        const bob = await watch("viewer");
+        assert.deepEqual(alice.state, { deviceId: device.deviceId, mode: "session", shapes: [] });
+
+        const draft = waitFor(alice, "annotationDraft", ({ shape }) => shape !== null);
+        bob.emit("annotationDraft", { tool: "pen", points: [[0.2, 0.2], [0.3, 0.3]] });
+        const [{ socketId, user, shape }] = await draft;
+        assert.equal(socketId, bob.id);
+        assert.equal(user, "tester");
+        assert.equal(shape.tool, "pen");
+
+        const added = waitFor(alice, "annotationAdded");
+        const draftEnded = waitFor(alice, "annotationDraft", ({ shape }) => shape === null);
+        bob.emit("annotationAdd", ARROW);
+        const [[arrow]] = await Promise.all([added, draftEnded]);
+        assert.deepEqual(arrow.points, [[0.1, 0.1], [0.5, 0.5]]);
+        assert.equal(arrow.color, "#00ff00");
+        assert.equal(arrow.width, 3);
+        assert.equal(arrow.author, "tester");
+
+        bob.emit("annotationAdd", { tool: "text", points: [[0.5, 0.5]], text: "" });
+        const [error] = await waitFor(bob, "protocolError", e => e.event === "annotationAdd");
+        assert.equal(error.code, "invalid_payload");
+
+        const removed = waitFor(bob, "annotationRemoved", id => id === arrow.id);
+        alice.emit("annotationUndo");
+        await removed;
+        alice.close();
+        bob.close();
+    });
+
+    it("clears everyone's shapes on request", async () => {
+        const alice = await watch();
+        alice.emit("annotationAdd", ARROW);
+        alice.emit("annotationAdd", { tool: "box", points: [[0, 0], [1, 1]] });
+        await waitFor(alice, "annotationAdded", shape => shape.tool === "box");
+        const cleared = waitFor(alice, "annotations", state => state.shapes.length === 0);
+        alice.emit("annotationClear");
+        await cleared;
+        alice.close();
+    });
+
+    it("ends a session when the last viewer leaves unless it is kept", async () => {
+        let alice = await watch();
+        alice.emit("annotationAdd", ARROW);
+        await waitFor(alice, "annotationAdded");
+        alice.close();
+        alice = await watch();
+        assert.deepEqual(alice.state.shapes, []);
+
+        const kept = waitFor(alice, "annotations", state => state.mode === "keep");
+        alice.emit("setAnnotationMode", "keep");
+        await kept;
+        alice.emit("annotationAdd", ARROW);
+        await waitFor(alice, "annotationAdded");
+        alice.close();
+        await server.restart();
+        cookie = await login(server.url);
+        await mac.reconnect();
+        alice = await watch();
+        assert.equal(alice.state.mode, "keep");
+        assert.equal(alice.state.shapes.length, 1);
+        alice.close();
+    });
+
+    it("clears shapes when the picture is cropped", async () => {
+        const alice = await watch();
+        alice.emit("annotationAdd", ARROW);
+        await waitFor(alice, "annotationAdded");
+        const cleared = waitFor(alice, "annotations", state => state.shapes.length === 0);
+        alice.emit("regionChange", { x: 0, y: 0, width: 0.5, height: 0.5 });
+        await cleared;
+        alice.close();
+    });
+});
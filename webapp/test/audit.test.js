@@ -0,0 +1,154 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startServer, login, connectWeb, waitFor, pairDevice, until, api, API_TOKEN } = require("./helpers");
+const { createMockMac } = require("./mockMac");
+
+// The audit log: what is recorded, searching it, and exporting it.
+describe("audit log", () => {
+    let server, cookie, web, device, mac;
+
+    const search = (filters = {}) => web.emitWithAck("auditSearch", filters).then(({ entries }) => entries);
+    const download = async (route) => {
+        const response = await fetch(`${server.url}/api/v1${route}`, { headers: { Authorization: `Bearer ${API_TOKEN}` } });
+        assert.equal(response.status, 200);
+        return { type: response.headers.get("content-type"), text: await response.text() };
+    };
+
+    before(async () => {
+        server = await startServer();
+        cookie = await login(server.url);
+        web = await connectWeb(server.url, cookie);
+        device = await pairDevice(server.url, web);
+        const selected = waitFor(web, "deviceSelected");
+        web.emit("selectDevice", device.deviceId);
+        await selected;
+        mac = createMockMac({ url: server.url, token: device.token });
+        await mac.connect();
+    });
+    after(async () => {
+        web.close();
+        mac.disconnect();
+        await server.close();
+    });
+
+    it("records sign-ins and pairing", async () => {
+        const entries = await search();
+        const signIn = entries.find(entry => entry.event === "login");
+        assert.equal(signIn.actor.name, "tester");
+        assert.equal(signIn.outcome, "ok");
+        const paired = entries.find(entry => entry.event === "pair");
+        assert.equal(paired.deviceId, device.deviceId);
+        assert.equal(paired.actor.via, "http");
+    });
+
+    it("follows a word from the queue to its delivery", async () => {
+        const pushed = waitFor(web, "auditEntry", entry => entry.event === "wordToMac" && entry.outcome === "delivered");
+        web.emit("wordToMac", "audited");
+        await mac.waitFor("wordToMac", word => word === "audited");
+        const [delivered] = await pushed;
+
+        const [queued] = await search({ event: "wordToMac", outcome: "queued" });
+        assert.equal(queued.summary, "audited");
+        assert.deepEqual(queued.actor, { kind: "user", name: "tester", role: "controller", via: "socket" });
+        assert.equal(queued.commandId, delivered.commandId);
+        assert.equal(queued.delivery, "delivered");
+    });
+
+    it("records settings, API calls and clipboard writes without their contents", async () => {
+        web.emit("qualityChange", 42);
+        await api(server.url, "PATCH", `/devices/${device.deviceId}/stream-settings`, { frameRate: 99 });
+        const secret = "a clipboard secret that must not be logged";
+        await web.emitWithAck("clipboardWrite", { type: "text", content: secret });
+
+        const settings = await until(async () => {
+            const entries = await search({ event: "streamSettings" });
+            return entries.length === 2 && entries;
+        }, { message: "both stream settings changes to be recorded" });
+        assert.equal(settings[0].outcome, "rejected");
+        assert.equal(settings[0].actor.via, "api");
+        assert.equal(settings[1].summary, "quality 42");
+
+        const [clipboard] = await search({ event: "clipboardWrite" });
+        assert.equal(clipboard.outcome, "ok");
+        assert.match(clipboard.summary, /^text, 42 characters/);
+        const { text } = await download("/audit/export.jsonl");
+        assert.ok(!text.includes(secret));
+    });
+
+    it("records what a viewer was refused", async () => {
+        const viewer = await connectWeb(server.url, cookie, { role: "viewer" });
+        viewer.emit("wordToMac", "not allowed");
+        await waitFor(viewer, "protocolError", e => e.event === "wordToMac");
+        viewer.close();
+
+        const [refused] = await search({ outcome: "rejected", event: "wordToMac" });
+        assert.equal(refused.actor.role, "viewer");
+
+        const snooper = await connectWeb(server.url, cookie, { role: "viewer" });
+        const result = await snooper.emitWithAck("auditSearch", {});
+        snooper.close();
+        assert.equal(result.code, "forbidden");
+        assert.equal(result.entries, undefined);
+    });
+
+    it("searches by text and time", async () => {
+        const entries = await search({ q: "AUDITED" });
+        assert.ok(entries.length >= 1 && entries.every(entry => entry.summary.includes("audited")));
+        assert.deepEqual(await search({ from: Date.now() + 60000 }), []);
+        const { status, body } = await api(server.url, "GET", `/audit?event=wordToMac&limit=1&to=${new Date().toISOString()}`);
+        assert.equal(status, 200);
+        assert.equal(body.length, 1);
+    });
+
+    it("exports JSON Lines and CSV", async () => {
+        const jsonl = await download("/audit/export.jsonl?event=wordToMac");
+        const lines = jsonl.text.trim().split("\n").map(line => JSON.parse(line));
+        assert.ok(lines.every(entry => entry.event === "wordToMac"));
+
+        const csv = await download("/audit/export.csv");
+        assert.match(csv.type, /text\/csv/);
+        const [header, ...rows] = csv.text.trim().split("\r\n");
+        assert.equal(header, "id,at,actorKind,actor,role,via,deviceId,event,summary,outcome,commandId,delivery");
+        assert.ok(rows.some(row => row.includes(",wordToMac,audited,queued,")));
+    });
+});
+
+describe("audit log rotation", () => {
+    let server, web, viewer;
+
+    const search = (filters = {}) => web.emitWithAck("auditSearch", filters).then(({ entries }) => entries);
+    const logFile = (name) => path.join(server.stateDirectory, name);
+
+    before(async () => {
+        server = await startServer({ AUDIT_LOG_MAX_BYTES: "65536" });
+        const cookie = await login(server.url);
+        web = await connectWeb(server.url, cookie);
+        viewer = await connectWeb(server.url, cookie, { role: "viewer" });
+    });
+    after(async () => {
+        web.close();
+        viewer.close();
+        await server.close();
+    });
+
+    it("starts a new file past the size limit and still finds what is in the old one", async () => {
+        // Every refused word is an entry of a few hundred bytes.
+        for (let i = 0; i < 400; i++) viewer.emit("wordToMac", `refused ${i}`);
+        await until(async () => (await search({ outcome: "rejected" })).length === 400, { message: "every refusal to be recorded" });
+        assert.ok(fs.existsSync(logFile("audit.log.1")));
+        assert.ok(fs.statSync(logFile("audit.log")).size <= 65536);
+
+        web.close();
+        viewer.close();
+        await server.restart();
+        web = await connectWeb(server.url, await login(server.url));
+        const entries = await search({ outcome: "rejected" });
+        assert.equal(entries.length, 400);
+        const rotated = new Set(fs.readFileSync(logFile("audit.log.1"), "utf8").trim().split("\n").map(line => JSON.parse(line).id));
+        assert.ok(entries.some(entry => rotated.has(entry.id)));
+        const [newest] = await search();
+        assert.ok(newest.id > entries[0].id);
+    });
+});
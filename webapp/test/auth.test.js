@@ -0,0 +1,45 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { io } = require("socket.io-client");
+const { startServer, login } = require("./helpers");
+
+// Sign-in, session cookies and what unauthenticated clients can get away with.
+describe("authentication", () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+    after(async () => {
+        await server.close();
+    });
+
+    it("rejects a malformed session cookie without failing", async () => {
+        const cookie = "bridge_session=%E0%A4%A";
+        const socket = io(server.url, { extraHeaders: { cookie }, transports: ["websocket"], reconnection: false });
+        const error = await new Promise(resolve => socket.once("connect_error", resolve));
+        socket.close();
+        assert.equal(error.message, "unauthorized");
+
+        const response = await fetch(`${server.url}/api/v1/devices`, { headers: { cookie } });
+        assert.equal(response.status, 401);
+        assert.ok(await login(server.url));
+    });
+
+    it("locks out a client that keeps guessing pairing codes", async () => {
+        const pair = (code) => fetch(`${server.url}/pair`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ code, name: "Rogue" }) });
+        for (let i = 0; i < 5; i++) assert.equal((await pair(String(i).padStart(6, "0"))).status, 403);
+        const response = await pair("000005");
+        assert.equal(response.status, 429);
+        assert.ok(Number(response.headers.get("retry-after")) > 0);
+    });
+
+    it("locks out a client that keeps getting the password wrong, even once it gets it right", async () => {
+        const attempt = (password) => fetch(`${server.url}/login`, { method: "POST", body: new URLSearchParams({ user: "tester", password }), redirect: "manual" });
+        for (let i = 0; i < 4; i++) assert.equal((await attempt("wrong")).headers.get("location"), "/login?error=1");
+        assert.equal((await attempt("wrong")).headers.get("location"), "/login?error=locked");
+        const response = await attempt("secret");
+        assert.equal(response.headers.get("location"), "/login?error=locked");
+        assert.equal(response.headers.get("set-cookie"), null);
+    });
+});
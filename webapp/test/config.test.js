@@ -0,0 +1,131 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { io } = require("socket.io-client");
+const { startServer, login, connectWeb, waitFor, pairDevice, api } = require("./helpers");
+const { readConfig } = require("../lib/config");
+
+describe("configuration", () => {
+    const file = path.join(os.tmpdir(), `bridge-config-${process.pid}.json`);
+    after(() => fs.rmSync(file, { force: true }));
+
+    it("takes environment variables over the file over the defaults", () => {
+        fs.writeFileSync(file, JSON.stringify({ defaultFrameRate: 12, defaultQuality: 40, allowedOrigins: ["https://a.example"] }));
+        const { values, sources, errors } = readConfig({ env: { DEFAULT_QUALITY: "70", ALLOWED_ORIGINS: "https://b.example, https://c.example", PORT: "" }, file });
+        assert.deepEqual(errors, []);
+        assert.equal(values.defaultFrameRate, 12);
+        assert.equal(sources.defaultFrameRate, "file");
+        assert.equal(values.defaultQuality, 70);
+        assert.equal(sources.defaultQuality, "env");
+        assert.deepEqual(values.allowedOrigins, ["https://b.example", "https://c.example"]);
+        assert.equal(values.port, 3000);
+        assert.equal(sources.port, "default");
+    });
+
+    it("lists every problem", () => {
+        fs.writeFileSync(file, JSON.stringify({ defaultFrameRat: 12, queueRetryDelayMs: 90000, queueMaxRetryDelayMs: 60000 }));
+        const { errors } = readConfig({ env: { PORT: "http", AUTO_QUALITY_MIN: "0" }, file });
+        assert.equal(errors.length, 4);
+        assert.match(errors.join("\n"), /unknown setting 'defaultFrameRat'/);
+        assert.match(errors.join("\n"), /PORT must be a whole number/);
+        assert.match(errors.join("\n"), /AUTO_QUALITY_MIN must be a whole number from 1 to 100/);
+        assert.match(errors.join("\n"), /queueRetryDelayMs \(90000\) must not be above queueMaxRetryDelayMs/);
+
+        fs.writeFileSync(file, "{ not json");
+        assert.equal(readConfig({ env: {}, file }).errors.length, 1);
+        assert.deepEqual(readConfig({ env: {}, file: path.join(os.tmpdir(), "no-such-bridge-config.json") }).errors, []);
+    });
+
+    it("refuses to start with an invalid configuration", async () => {
+        await assert.rejects(startServer({ HEARTBEAT_INTERVAL_MS: "soon" }), /Invalid configuration:\n {2}HEARTBEAT_INTERVAL_MS must be a whole number/);
+    });
+
+    it("says so when it can't watch the config file", async () => {
+        const missing = path.join(os.tmpdir(), `no-such-bridge-config-${process.pid}`, "bridge.json");
+        const server = await startServer({ BRIDGE_CONFIG: missing });
+        await server.close();
+        assert.match(server.log, /Not watching .*bridge\.json for changes: .* does not exist/);
+    });
+});
+
+describe("configuration reload", () => {
+    let server, web, configFile;
+
+    const writeConfig = (values) => fs.writeFileSync(configFile, JSON.stringify(values));
+    const setting = (state, key) => state.settings.find(s => s.key === key);
+    const reloaded = (predicate) => waitFor(web, "settings", predicate).then(([state]) => state);
+
+    before(async () => {
+        server = await startServer({ ALLOWED_ORIGINS: "https://allowed.example" });
+        configFile = path.join(server.stateDirectory, "bridge.json");
+        web = await connectWeb(server.url, await login(server.url));
+    });
+    after(async () => {
+        web.close();
+        await server.close();
+    });
+
+    it("shows the effective settings to users who manage devices", async () => {
+        const state = await web.emitWithAck("getSettings");
+        assert.equal(state.file, configFile);
+        assert.equal(state.lastReload, null);
+        assert.deepEqual(setting(state, "allowedOrigins"), {
+            key: "allowedOrigins",
+            env: "ALLOWED_ORIGINS",
+            value: ["https://allowed.example"],
+            default: [],
+            source: "env",
+            live: true,
+            pendingRestart: false,
+            description: setting(state, "allowedOrigins").description,
+        });
+        const { status, body } = await api(server.url, "GET", "/settings");
+        assert.equal(status, 200);
+        assert.equal(setting(body, "queueRetryDelayMs").value, 2500);
+
+        const viewer = await connectWeb(server.url, await login(server.url), { role: "viewer" });
+        const refused = await viewer.emitWithAck("getSettings");
+        viewer.close();
+        assert.equal(refused.code, "forbidden");
+    });
+
+    it("applies live settings on SIGHUP and holds the rest for a restart", async () => {
+        writeConfig({ defaultFrameRate: 20, logBufferSize: 1234 });
+        const update = reloaded(state => setting(state, "defaultFrameRate").value === 20);
+        server.child.kill("SIGHUP");
+        const state = await update;
+        assert.equal(setting(state, "defaultFrameRate").source, "file");
+        assert.equal(setting(state, "logBufferSize").pendingRestart, true);
+        assert.equal(setting(state, "logBufferSize").value, 500);
+        const page = await (await fetch(server.url, { headers: { cookie: await login(server.url) } })).text();
+        assert.match(page, /id="frameRateSlider" type="range" min="1" max="60" value="20"/);
+
+        // New Macs start with the new default.
+        const device = await pairDevice(server.url, web);
+        const { body } = await api(server.url, "GET", `/devices/${device.deviceId}`);
+        assert.equal(body.frameRate, 20);
+    });
+
+    it("keeps the running settings when the file is invalid", async () => {
+        writeConfig({ defaultFrameRate: 500 });
+        const update = reloaded(state => state.lastReload.errors.length > 0);
+        server.child.kill("SIGHUP");
+        const state = await update;
+        assert.match(state.lastReload.errors[0], /defaultFrameRate must be a whole number from 1 to 60/);
+        assert.equal(setting(state, "defaultFrameRate").value, 20);
+    });
+
+    it("only lets listed origins and the page's own origin open a socket", async () => {
+        const cookie = await login(server.url);
+        const connect = (origin) => new Promise(resolve => {
+            const socket = io(server.url, { transports: ["websocket"], reconnection: false, extraHeaders: { origin, cookie } });
+            socket.once("connect", () => resolve(true)).once("connect_error", () => resolve(false));
+            setTimeout(() => socket.close(), 1000);
+        });
+        assert.equal(await connect("https://allowed.example"), true);
+        assert.equal(await connect(server.url), true);
+        assert.equal(await connect("https://elsewhere.example"), false);
+    });
+});
@@ -0,0 +1,127 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, login, connectWeb, waitFor, pairDevice, api } = require("./helpers");
+const { createMockMac } = require("./mockMac");
+
+const DISPLAYS = [
+    { id: "1", name: "Built-in Retina Display", width: 3024, height: 1964, main: true },
+    { id: "2", name: "Studio Display", width: 5120, height: 2880 },
+];
+
+// Display selection and crop regions, remembered per device.
+describe("displays and regions", () => {
+    let server, web, device, mac;
+
+    const config = (predicate = () => true) => waitFor(web, "streamConfig", predicate).then(([update]) => update);
+
+    before(async () => {
+        server = await startServer();
+        web = await connectWeb(server.url, await login(server.url));
+        device = await pairDevice(server.url, web);
+        const selected = waitFor(web, "deviceSelected");
+        web.emit("selectDevice", device.deviceId);
+        await selected;
+        mac = createMockMac({ url: server.url, token: device.token, hello: { protocolVersion: 2, capabilities: ["displaySelection"], displays: DISPLAYS } });
+    });
+    after(async () => {
+        web.close();
+        mac.disconnect();
+        await server.close();
+    });
+
+    it("shows viewers the displays a Mac lists when it identifies", async () => {
+        const listed = config(update => update.displays.length === 2);
+        await mac.connect();
+        const update = await listed;
+        assert.equal(update.supported, true);
+        assert.equal(update.displayId, null);
+        assert.equal(update.region, null);
+        await mac.waitFor("displayChange", displayId => displayId === null);
+    });
+
+    it("switches displays and crops, telling the Mac and every viewer", async () => {
+        web.emit("displayChange", "2");
+        await mac.waitFor("displayChange", displayId => displayId === "2");
+        const region = { x: 0.5, y: 0.25, width: 0.5, height: 0.5 };
+        const cropped = config(update => update.region !== null);
+        web.emit("regionChange", region);
+        assert.deepEqual((await cropped).region, region);
+        await mac.waitFor("regionChange", r => r && r.x === 0.5);
+
+        // Another display's picture has nothing to do with this crop.
+        const switched = config(update => update.displayId === "1");
+        web.emit("displayChange", "1");
+        assert.equal((await switched).region, null);
+        await mac.waitFor("regionChange", r => r === null);
+    });
+
+    it("rejects unknown displays and regions outside the display", async () => {
+        web.emit("displayChange", "9");
+        const [unknown] = await waitFor(web, "protocolError", e => e.event === "displayChange");
+        assert.match(unknown.message, /no display '9'/);
+        web.emit("regionChange", { x: 0.8, y: 0, width: 0.5, height: 0.5 });
+        const [outside] = await waitFor(web, "protocolError", e => e.event === "regionChange");
+        assert.equal(outside.code, "invalid_payload");
+
+        const { status } = await api(server.url, "PATCH", `/devices/${device.deviceId}/stream-config`, { region: { x: 0, y: 0, width: 0.001, height: 0.5 } });
+        assert.equal(status, 400);
+    });
+
+    it("only takes integers for quality and frame rate", async () => {
+        const patch = (settings) => api(server.url, "PATCH", `/devices/${device.deviceId}/stream-settings`, settings);
+        for (const quality of [true, [5], "50", 50.5]) assert.equal((await patch({ quality })).status, 400, JSON.stringify(quality));
+        const { status, body } = await patch({ quality: 50 });
+        assert.equal(status, 200);
+        assert.equal(body.quality, 50);
+    });
+
+    it("re-applies the choice on reconnect, and holds it while that display is gone", async () => {
+        const { status, body } = await api(server.url, "PATCH", `/devices/${device.deviceId}/stream-config`, { displayId: "2", region: { x: 0, y: 0, width: 0.5, height: 0.5 } });
+        assert.equal(status, 200);
+        assert.equal(body.displayId, "2");
+        mac.disconnect();
+
+        mac.hello = { ...mac.hello, displays: [DISPLAYS[0]] };
+        mac.received.length = 0;
+        await mac.reconnect();
+        await mac.waitFor("displayChange", displayId => displayId === null);
+        await mac.waitFor("regionChange", r => r === null);
+        const { body: state } = await api(server.url, "GET", `/devices/${device.deviceId}`);
+        assert.equal(state.displayId, "2");
+        mac.disconnect();
+
+        mac.hello = { ...mac.hello, displays: DISPLAYS };
+        mac.received.length = 0;
+        await mac.reconnect();
+        await mac.waitFor("displayChange", displayId => displayId === "2");
+        const [region] = await mac.waitFor("regionChange", r => r !== null);
+        assert.deepEqual(region, { x: 0, y: 0, width: 0.5, height: 0.5 });
+    });
+
+    it("maps input on a cropped stream onto the whole display", async () => {
+        mac.disconnect();
+        mac.hello = { ...mac.hello, capabilities: ["displaySelection", "remoteInput"] };
+        await mac.reconnect();
+        const { status } = await api(server.url, "PATCH", `/devices/${device.deviceId}/stream-config`, { displayId: "2", region: { x: 0.5, y: 0.25, width: 0.5, height: 0.5 } });
+        assert.equal(status, 200);
+        const granted = waitFor(web, "controlLock", lock => lock.holder && lock.holder.socketId === web.id);
+        web.emit("requestControl");
+        await granted;
+
+        // The middle of the picture is the middle of the crop: three quarters across the Studio Display.
+        web.emit("inputEvent", { type: "pointer", action: "down", button: 0, nx: 0.5, ny: 0.5 });
+        const [input] = await mac.waitFor("inputEvent");
+        assert.deepEqual(input, { type: "pointer", action: "down", button: 0, x: 3840, y: 1440, nx: 0.75, ny: 0.5 });
+        web.emit("releaseControl");
+    });
+
+    it("tells viewers when a Mac can't select displays", async () => {
+        mac.disconnect();
+        const legacy = createMockMac({ url: server.url, token: device.token });
+        const unsupported = config(update => update.supported === false);
+        await legacy.connect();
+        assert.deepEqual((await unsupported).displays, []);
+        assert.equal(legacy.events("displayChange").length, 0);
+        legacy.disconnect();
+    });
+});
@@ -0,0 +1,109 @@
+const net = require("net");
+
+/**
+ * Reads one request (an array of bulk strings, as clients send them) from
+ * `buffer`, keeping its arguments as Buffers.
+ * @returns {{args: Buffer[], offset: number}|null} null while the request is incomplete.
+ */
+function parseRequest(buffer) {
+    let offset = 0;
+    const line = () => {
+        const end = buffer.indexOf("\r\n", offset);
+        if (end < 0) return null;
+        const text = buffer.toString("utf8", offset + 1, end);
+        offset = end + 2;
+        return text;
+    };
+    const count = line();
+    if (count === null) return null;
+    const args = [];
+    for (let i = 0; i < Number(count); i++) {
+        const length = line();
+        if (length === null || buffer.length < offset + Number(length) + 2) return null;
+        args.push(buffer.subarray(offset, offset + Number(length)));
+        offset += Number(length) + 2;
+    }
+    return { args, offset };
+}
+
+/**
+ * A Redis stand-in speaking just enough of its protocol (RESP2) for the broker
+ * (lib/broker.js) and its client: PUBLISH/SUBSCRIBE/UNSUBSCRIBE, HSET/HGETALL/HDEL,
+ * INFO, and PING, AUTH, SELECT and QUIT, which always succeed. Values are kept
+ * as they are sent. One database for everyone.
+ * @returns {Promise<{url: string, hashes: Map, subscribers: Map, close: function(): Promise}>}
+ */
+function createFakeRedis() {
+    const hashes = new Map(); // hash -> Map of field -> value
+    const subscribers = new Map(); // channel -> Set of sockets
+
+    const bulk = (value) => Buffer.concat([Buffer.from(`$${Buffer.byteLength(value)}\r\n`), Buffer.from(value), Buffer.from("\r\n")]);
+    const array = (items) => Buffer.concat([Buffer.from(`*${items.length}\r\n`), ...items.map(item => (typeof item === "number" ? Buffer.from(`:${item}\r\n`) : bulk(item)))]);
+
+    function run(socket, [name, ...values]) {
+        const command = name.toString().toUpperCase();
+        const args = values.map(value => value.toString());
+        switch (command) {
+            case "PING": return "+PONG\r\n";
+            case "INFO": return bulk("# Server\r\nredis_version:7.0.0\r\nloading:0\r\n");
+            case "AUTH":
+            case "SELECT":
+            case "QUIT": return "+OK\r\n";
+            case "PUBLISH": {
+                const receivers = subscribers.get(args[0]) || new Set();
+                receivers.forEach(receiver => receiver.write(array(["message", args[0], values[1]])));
+                return `:${receivers.size}\r\n`;
+            }
+            case "SUBSCRIBE":
+            case "UNSUBSCRIBE":
+                return args.map(channel => {
+                    if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+                    if (command === "SUBSCRIBE") subscribers.get(channel).add(socket);
+                    else subscribers.get(channel).delete(socket);
+                    return array([command.toLowerCase(), channel, 1]);
+                }).join("");
+            case "HSET": {
+                if (!hashes.has(args[0])) hashes.set(args[0], new Map());
+                const hash = hashes.get(args[0]);
+                const added = hash.has(args[1]) ? 0 : 1;
+                hash.set(args[1], values[2]);
+                return `:${added}\r\n`;
+            }
+            case "HGETALL": return array([...(hashes.get(args[0]) || new Map())].flat());
+            case "HDEL": return `:${hashes.has(args[0]) && hashes.get(args[0]).delete(args[1]) ? 1 : 0}\r\n`;
+            default: return `-ERR unknown command '${name}'\r\n`;
+        }
+    }
+
+    const sockets = new Set();
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        let buffer = Buffer.alloc(0);
+        socket.on("data", (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            for (let request = parseRequest(buffer); request; request = parseRequest(buffer)) {
+                buffer = buffer.subarray(request.offset);
+                socket.write(run(socket, request.args));
+            }
+        });
+        socket.on("error", () => {});
+        socket.on("close", () => {
+            sockets.delete(socket);
+            subscribers.forEach(receivers => receivers.delete(socket));
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once("error", reject).listen(0, "127.0.0.1", () => resolve({
+            url: `redis://127.0.0.1:${server.address().port}`,
+            hashes,
+            subscribers,
+            close: () => new Promise(done => {
+                sockets.forEach(socket => socket.destroy());
+                server.close(() => done());
+            }),
+        }));
+    });
+}
+
+module.exports = { createFakeRedis };
@@ -0,0 +1,167 @@
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { io } = require("socket.io-client");
+
+const SERVER_ENTRY = path.join(__dirname, "..", "index.js");
+const USER = { name: "tester", password: "secret" };
+const API_TOKEN = "test-token";
+
+const freePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer().once("error", reject).listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+/**
+ * Runs the real server (index.js) in a child process with its own state
+ * directory. `restart()` keeps the state directory, like a redeploy.
+ * @param {object} [env] Extra environment variables.
+ */
+async function startServer(env = {}) {
+    const stateDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "bridge-test-"));
+    const port = await freePort();
+    const server = { url: `http://localhost:${port}`, stateDirectory, log: "", child: null };
+
+    server.start = () => new Promise((resolve, reject) => {
+        const logStart = server.log.length;
+        const child = spawn(process.execPath, [SERVER_ENTRY], {
+            cwd: path.dirname(SERVER_ENTRY),
+            env: {
+                ...process.env,
+                PORT: String(port),
+                STATE_DIRECTORY: stateDirectory,
+                BRIDGE_CONFIG: path.join(stateDirectory, "bridge.json"), // Absent unless a suite writes it
+                BRIDGE_USERS: `${USER.name}:${USER.password}`,
+                BRIDGE_API_TOKENS: `tests:${API_TOKEN}`,
+                GEMINI_API_KEY: "",
+                MAC_OFFLINE_GRACE_MS: "0", // Suites that test the grace period set their own
+                ...env,
+            },
+            stdio: ["ignore", "pipe", "pipe"],
+        });
+        server.child = child;
+        const onOutput = (chunk) => {
+            server.log += chunk;
+            if (server.log.includes("Server is running", logStart)) resolve(server);
+        };
+        child.stdout.on("data", onOutput);
+        child.stderr.on("data", onOutput);
+        child.once("exit", (code) => reject(new Error(`Server exited with ${code}:\n${server.log}`)));
+    });
+
+    server.stop = () => new Promise(resolve => {
+        const { child } = server;
+        if (!child || child.exitCode !== null) return resolve();
+        child.removeAllListeners("exit");
+        child.once("exit", () => resolve());
+        child.kill();
+    });
+
+    server.restart = async () => {
+        await server.stop();
+        return server.start();
+    };
+
+    /** Stops the server and deletes its state. */
+    server.close = async () => {
+        await server.stop();
+        fs.rmSync(stateDirectory, { recursive: true, force: true });
+    };
+
+    return server.start();
+}
+
+/**
+ * Signs in and returns the session cookie.
+ */
+async function login(url) {
+    const response = await fetch(`${url}/login`, {
+        method: "POST",
+        body: new URLSearchParams({ user: USER.name, password: USER.password }),
+        redirect: "manual",
+    });
+    return response.headers.get("set-cookie").split(";")[0];
+}
+
+/**
+ * Connects a web client, identified, with every event it receives recorded.
+ * @returns {Promise<import('socket.io-client').Socket & {received: Array}>}
+ */
+async function connectWeb(url, cookie, { type = "web", role = "controller" } = {}) {
+    const socket = io(url, { extraHeaders: { cookie }, transports: ["websocket"], reconnection: false });
+    socket.received = [];
+    socket.onAny((event, ...args) => socket.received.push({ event, args }));
+    await new Promise((resolve, reject) => socket.once("connect", resolve).once("connect_error", reject));
+    await socket.emitWithAck("identify", type, { protocolVersion: 2, role });
+    return socket;
+}
+
+/**
+ * Resolves with the arguments of the next `event` on a socket for which
+ * `predicate` holds, including ones already recorded in `socket.received`
+ * when `recorded` is set.
+ */
+function waitFor(socket, event, predicate = () => true, { timeoutMs = 5000, recorded = false } = {}) {
+    if (recorded) {
+        const match = (socket.received || []).find(r => r.event === event && predicate(...r.args));
+        if (match) return Promise.resolve(match.args);
+    }
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(event, listener);
+            reject(new Error(`Timed out waiting for '${event}'`));
+        }, timeoutMs);
+        function listener(...args) {
+            if (!predicate(...args)) return;
+            clearTimeout(timer);
+            socket.off(event, listener);
+            resolve(args);
+        }
+        socket.on(event, listener);
+    });
+}
+
+/**
+ * Pairs a new device through a web client's pairing code.
+ * @returns {Promise<{deviceId: string, token: string}>}
+ */
+async function pairDevice(url, web, name = "Test Mac") {
+    const pairing = waitFor(web, "pairingCode");
+    web.emit("createPairingCode");
+    const [{ code }] = await pairing;
+    const response = await fetch(`${url}/pair`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ code, name }) });
+    return response.json();
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Polls until `condition` returns something truthy, and resolves with it.
+ */
+async function until(condition, { timeoutMs = 5000, intervalMs = 25, message = "condition" } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await condition();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${message}`);
+        await delay(intervalMs);
+    }
+}
+
+/**
+ * Calls the REST API with the test API token.
+ */
+async function api(url, method, route, body) {
+    const response = await fetch(`${url}/api/v1${route}`, {
+        method,
+        headers: { Authorization: `Bearer ${API_TOKEN}`, "Content-Type": "application/json" },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: response.status, body: response.status === 204 ? null : await response.json() };
+}
+
+module.exports = { startServer, login, connectWeb, waitFor, pairDevice, delay, until, api, API_TOKEN };
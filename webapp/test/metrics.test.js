@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, login, connectWeb, waitFor, pairDevice, until, API_TOKEN } = require("./helpers");
+const { createMockMac } = require("./mockMac");
+
+// GET /metrics and the live feed of the diagnostics tab.
+describe("metrics and diagnostics", () => {
+    let server, cookie, web, device, mac;
+
+    const scrape = async () => {
+        const response = await fetch(`${server.url}/metrics`, { headers: { Authorization: `Bearer ${API_TOKEN}` } });
+        assert.equal(response.status, 200);
+        return response.text();
+    };
+    // The value of one sample, e.g. value(text, 'bridge_connected_clients{type="web"}').
+    const value = (text, sample) => {
+        const line = text.split("\n").find(l => l.startsWith(`${sample} `));
+        return line ? Number(line.slice(sample.length + 1)) : null;
+    };
+
+    before(async () => {
+        server = await startServer();
+        cookie = await login(server.url);
+        web = await connectWeb(server.url, cookie);
+        device = await pairDevice(server.url, web);
+        const selected = waitFor(web, "deviceSelected");
+        web.emit("selectDevice", device.deviceId);
+        await selected;
+        mac = createMockMac({ url: server.url, token: device.token });
+        await mac.connect();
+    });
+    after(async () => {
+        web.close();
+        mac.disconnect();
+        await server.close();
+    });
+
+    it("needs a token or a session", async () => {
+        assert.equal((await fetch(`${server.url}/metrics`)).status, 401);
+        assert.equal((await fetch(`${server.url}/metrics`, { headers: { cookie } })).status, 200);
+    });
+
+    it("counts clients by type, frames and queue depth", async () => {
+        web.emit("subscribeStream", true);
+        web.on("screenFrame", (buffer, ack) => ack && ack());
+        mac.sendFrame();
+        mac.sendFrame();
+        await until(async () => value(await scrape(), "bridge_frames_forwarded_total") >= 2, { message: "frames to be forwarded" });
+
+        const text = await scrape();
+        assert.match(text, /# TYPE bridge_frames_received_total counter/);
+        assert.equal(value(text, 'bridge_connected_clients{type="web"}'), 1);
+        assert.equal(value(text, 'bridge_connected_clients{type="macos"}'), 1);
+        assert.equal(value(text, `bridge_frames_received_total{device="${device.deviceId}"}`), 2);
+        assert.ok(value(text, `bridge_frame_bytes_received_total{device="${device.deviceId}"}`) > 0);
+        assert.equal(value(text, `bridge_command_queue_depth{device="${device.deviceId}"}`), 0);
+        assert.equal(value(text, `bridge_mac_up{device="${device.deviceId}"}`), 1);
+    });
+
+    it("records command delivery latency and Mac reconnects", async () => {
+        web.emit("wordToMac", "measured");
+        await mac.waitFor("wordToMac", word => word === "measured");
+        mac.disconnect();
+        await mac.reconnect();
+
+        const text = await until(async () => {
+            const scraped = await scrape();
+            return value(scraped, `bridge_command_delivery_seconds_count{device="${device.deviceId}"}`) === 1 && scraped;
+        }, { message: "the delivery to be recorded" });
+        assert.equal(value(text, `bridge_command_delivery_seconds_bucket{device="${device.deviceId}",le="+Inf"}`), 1);
+        assert.equal(value(text, `bridge_mac_reconnects_total{device="${device.deviceId}"}`), 1);
+    });
+
+    it("streams samples and the log tail to the diagnostics tab", async () => {
+        const history = waitFor(web, "diagnosticsHistory");
+        web.emit("subscribeDiagnostics", true);
+        const [{ logs }] = await history;
+        assert.ok(logs.some(entry => entry.level === "info" && entry.message.includes("Server is running")));
+
+        const [{ sample }] = await waitFor(web, "diagnostics");
+        assert.equal(sample.clients.web, 1);
+        assert.equal(typeof sample.framesInPerSecond, "number");
+        assert.equal(sample.macReconnects, 1);
+    });
+
+    it("keeps the diagnostics tab from viewers", async () => {
+        const viewer = await connectWeb(server.url, cookie, { role: "viewer" });
+        viewer.emit("subscribeDiagnostics", true);
+        const [refused] = await waitFor(viewer, "protocolError", e => e.event === "subscribeDiagnostics");
+        assert.equal(refused.code, "forbidden");
+        viewer.close();
+    });
+});
@@ -0,0 +1,47 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, login, connectWeb, waitFor, pairDevice } = require("./helpers");
+const { createMockMac } = require("./mockMac");
+
+// The Mac's page as the bridge serves it at /mirror/<deviceId>.
+describe("mirrored HTML", () => {
+    let server, cookie, web, device, mac;
+
+    const get = (route) => fetch(`${server.url}${route}`, { headers: { cookie } });
+
+    before(async () => {
+        server = await startServer();
+        cookie = await login(server.url);
+        web = await connectWeb(server.url, cookie);
+        device = await pairDevice(server.url, web);
+        const selected = waitFor(web, "deviceSelected");
+        web.emit("selectDevice", device.deviceId);
+        await selected;
+        mac = createMockMac({ url: server.url, token: device.token });
+        await mac.connect();
+    });
+    after(async () => {
+        mac.disconnect();
+        web.close();
+        await server.close();
+    });
+
+    it("serves the page without tags that would navigate the mirror away", async () => {
+        const updated = waitFor(web, "htmlUpdate", update => update.version > 0);
+        mac.sendHtml('<html><head><META HTTP-EQUIV="Refresh" content="0;url=https://elsewhere.example/"></head><body><p>mirrored</p></body></html>');
+        await updated;
+        const response = await get(`/mirror/${device.deviceId}`);
+        assert.equal(response.status, 200);
+        const page = await response.text();
+        assert.match(page, /<p>mirrored<\/p>/);
+        assert.doesNotMatch(page, /refresh/i);
+    });
+
+    it("only serves paired devices, and only to signed-in users", async () => {
+        for (const route of ["/mirror/unknown", "/mirror/unknown/history", "/mirror/unknown/diff?from=1&to=2"]) {
+            assert.equal((await get(route)).status, 404, route);
+        }
+        const response = await fetch(`${server.url}/mirror/${device.deviceId}/history`, { headers: { accept: "application/json" } });
+        assert.equal(response.status, 401);
+    });
+});
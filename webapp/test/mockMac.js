@@ -0,0 +1,148 @@
+const { io } = require("socket.io-client");
+
+// A 1x1 grey JPEG, sent as the legacy base64 'screenData' frame.
+const SAMPLE_JPEG_BASE64 = "/9j/4AAQSkZJRgABAQEASABIAAD/2wBDAP//////////////////////////////////////////////////////////////////////////////////////wgALCAABAAEBAREA/8QAFBABAAAAAAAAAAAAAAAAAAAAAP/aAAgBAQABPxA=";
+
+// Events from the server that the mock records.
+const RECORDED_EVENTS = ["wordToMac", "qualityChange", "frameRateChange", "clipboardData", "clipboardEntry", "requestKeyframe", "fileAvailable", "inputEvent", "displayChange", "regionChange", "protocolError"];
+
+/**
+ * A headless stand-in for the macOS client.
+ *
+ * It connects with a device token, calls identify('macos') on every
+ * connect() and reconnect(), records what the server sends (`received`, plus
+ * the latest `word`, `quality`, `frameRate`, `displayId` and `region`), and can emit what a Mac
+ * emits. Commands are acked like the real client does unless `autoAck` is
+ * off, in which case they stay in flight until the mock disconnects.
+ * Heartbeats (sent when `hello` declares the 'heartbeat' capability) are
+ * answered after `heartbeatDelayMs`, or not at all when it is null.
+ *
+ * @param {object} options
+ * @param {string} options.url Server URL.
+ * @param {string} options.token Device token from POST /pair.
+ * @param {object|null} [options.hello] Second argument of identify; null identifies as a protocol 1 client.
+ * @param {boolean} [options.autoAck] Acknowledge 'wordToMac' commands.
+ * @param {number|null} [options.heartbeatDelayMs] How long to take to answer a heartbeat.
+ */
+function createMockMac({ url, token, hello = { protocolVersion: 2, capabilities: ["commandAck"] }, autoAck = true, heartbeatDelayMs = 0 }) {
+    const socket = io(url, { auth: { token }, transports: ["websocket"], autoConnect: false, reconnection: false });
+    const mock = {
+        socket,
+        hello, // Sent on every identify; change it to reconnect as a different Mac
+        autoAck,
+        heartbeatDelayMs,
+        heartbeats: 0,
+        received: [], // [{ event, args, at }]
+        word: null,
+        quality: null,
+        frameRate: null,
+        displayId: null,
+        region: null,
+        identified: null, // The server's reply to identify
+    };
+
+    RECORDED_EVENTS.forEach(event => socket.on(event, (...args) => {
+        const ack = typeof args[args.length - 1] === "function" ? args.pop() : null;
+        mock.received.push({ event, args, at: Date.now() });
+        if (event === "wordToMac") {
+            mock.word = args[0];
+            if (ack && mock.autoAck) ack();
+        }
+        if (event === "qualityChange") mock.quality = args[0];
+        if (event === "frameRateChange") mock.frameRate = args[0];
+        if (event === "displayChange") mock.displayId = args[0];
+        if (event === "regionChange") mock.region = args[0];
+    }));
+
+    socket.on("heartbeat", (payload, ack) => {
+        mock.heartbeats++;
+        if (mock.heartbeatDelayMs !== null) setTimeout(ack, mock.heartbeatDelayMs);
+    });
+
+    /** Arguments of every received `event`, oldest first. */
+    mock.events = (event) => mock.received.filter(r => r.event === event).map(r => r.args);
+
+    /**
+     * Resolves with the arguments of the first received `event` (already
+     * recorded or still to come) for which `predicate` holds.
+     */
+    mock.waitFor = (event, predicate = () => true, timeoutMs = 5000) => {
+        const seen = mock.events(event).find(args => predicate(...args));
+        if (seen) return Promise.resolve(seen);
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                socket.off(event, listener);
+                reject(new Error(`Mock Mac timed out waiting for '${event}'`));
+            }, timeoutMs);
+            function listener(...args) {
+                if (typeof args[args.length - 1] === "function") args = args.slice(0, -1);
+                if (!predicate(...args)) return;
+                clearTimeout(timer);
+                socket.off(event, listener);
+                resolve(args);
+            }
+            socket.on(event, listener);
+        });
+    };
+
+    /** Connects and identifies, resolving once the server has answered. */
+    mock.connect = async () => {
+        const connected = new Promise((resolve, reject) => socket.once("connect", resolve).once("connect_error", reject));
+        socket.connect();
+        await connected;
+        const args = mock.hello ? ["macos", mock.hello] : ["macos"];
+        mock.identified = await socket.timeout(5000).emitWithAck("identify", ...args);
+        return mock;
+    };
+
+    /** Drops the connection, as when the Mac goes to sleep or loses the network. */
+    mock.disconnect = () => {
+        socket.disconnect();
+        return mock;
+    };
+
+    /** Connects again after disconnect(); the mock keeps what it recorded. */
+    mock.reconnect = () => mock.connect();
+
+    mock.sendFrame = (base64 = SAMPLE_JPEG_BASE64) => socket.emit("screenData", base64);
+    mock.sendHtml = (source) => socket.emit("webSourceCode", source);
+    mock.sendClipboard = (text) => socket.emit("clipboardData", text);
+    mock.sendEmoji = (emoji) => socket.emit("emojiToWeb", emoji);
+    mock.ackCommand = (commandId) => socket.emit("commandAck", commandId);
+
+    return mock;
+}
+
+module.exports = { createMockMac, SAMPLE_JPEG_BASE64 };
+
+// Run standalone to stand in for a Mac against a running server:
+//   node test/mockMac.js --url http://localhost:3000 --code 123456   (pairs first)
+//   node test/mockMac.js --url http://localhost:3000 --token <token>
+if (require.main === module) {
+    const option = (name) => {
+        const index = process.argv.indexOf(`--${name}`);
+        return index > 0 ? process.argv[index + 1] : undefined;
+    };
+    const url = option("url") || "http://localhost:3000";
+
+    (async () => {
+        let token = option("token");
+        if (!token) {
+            const response = await fetch(`${url}/pair`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ code: option("code"), name: option("name") || "Mock Mac" }) });
+            if (!response.ok) throw new Error("Pass --token, or a valid pairing code with --code.");
+            ({ token } = await response.json());
+            console.log(`Paired. Reuse with --token ${token}`);
+        }
+        const mock = createMockMac({ url, token });
+        mock.socket.onAny((event, ...args) => console.log(`<- ${event}`, ...args.filter(arg => typeof arg !== "function")));
+        mock.socket.on("disconnect", (reason) => console.log(`Disconnected (${reason})`));
+        await mock.connect();
+        console.log(`Connected to ${url}; sending a frame a second.`);
+        mock.sendEmoji("🤖");
+        mock.sendHtml("<html><head><title>Mock Mac</title></head><body><h1>Mock Mac</h1></body></html>");
+        setInterval(() => mock.sendFrame(), 1000);
+    })().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,107 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, login, connectWeb, waitFor, pairDevice, until, api } = require("./helpers");
+const { createMockMac } = require("./mockMac");
+
+const GRACE_MS = 1500;
+
+// Heartbeats, latency readings and the grace period before a dropped Mac is disconnected.
+describe("Mac presence", () => {
+    let server, web, device;
+
+    const macStatus = (predicate = () => true, options) => waitFor(web, "statusUpdate", update => update.type === "mac" && predicate(update), options);
+    const heartbeatMac = (options = {}) => createMockMac({ url: server.url, token: device.token, hello: { protocolVersion: 2, capabilities: ["heartbeat"] }, ...options });
+
+    before(async () => {
+        server = await startServer({ HEARTBEAT_INTERVAL_MS: "250", MAC_OFFLINE_GRACE_MS: String(GRACE_MS) });
+        web = await connectWeb(server.url, await login(server.url));
+        device = await pairDevice(server.url, web);
+        const selected = waitFor(web, "deviceSelected");
+        web.emit("selectDevice", device.deviceId);
+        await selected;
+    });
+    after(async () => {
+        web.close();
+        await server.close();
+    });
+
+    it("reports round-trip latency and connection quality from heartbeats", async () => {
+        const mac = heartbeatMac();
+        await mac.connect();
+        const [update] = await macStatus(update => update.status === "connected" && update.latencyMs !== null);
+        assert.ok(update.latencyMs < 150);
+        assert.equal(update.quality, "good");
+        assert.ok(update.lastSeenAt >= update.since);
+
+        mac.heartbeatDelayMs = 200;
+        const [slow] = await macStatus(update => update.quality === "fair");
+        assert.ok(slow.latencyMs > 150);
+
+        const { body } = await api(server.url, "GET", `/devices/${device.deviceId}`);
+        assert.equal(body.mac, "connected");
+        assert.equal(typeof body.latencyMs, "number");
+        mac.disconnect();
+        await macStatus(update => update.status === "disconnected", { timeoutMs: GRACE_MS + 2000 });
+    });
+
+    it("marks a Mac that stops answering heartbeats as poor", async () => {
+        const mac = heartbeatMac({ heartbeatDelayMs: null });
+        await mac.connect();
+        const [update] = await macStatus(update => update.missedHeartbeats > 0);
+        assert.equal(update.status, "connected");
+        assert.equal(update.quality, "poor");
+
+        mac.heartbeatDelayMs = 0;
+        await macStatus(update => update.missedHeartbeats === 0 && update.quality === "good");
+        mac.disconnect();
+        await macStatus(update => update.status === "disconnected", { timeoutMs: GRACE_MS + 2000 });
+    });
+
+    it("shows a Mac that comes back within the grace period as reconnecting, never disconnected", async () => {
+        const mac = heartbeatMac();
+        await mac.connect();
+        await macStatus(update => update.status === "connected", { recorded: true });
+
+        const seen = [];
+        const record = (update) => { if (update.type === "mac") seen.push(update.status); };
+        web.on("statusUpdate", record);
+        const reconnecting = macStatus(update => update.status === "reconnecting");
+        mac.disconnect();
+        await reconnecting;
+        const [list] = await waitFor(web, "deviceList", devices => devices.some(d => d.presence === "reconnecting"), { recorded: true });
+        assert.equal(list.find(d => d.id === device.deviceId).online, true);
+
+        await mac.reconnect();
+        await macStatus(update => update.status === "connected");
+        web.off("statusUpdate", record);
+        assert.ok(!seen.includes("disconnected"));
+        mac.disconnect();
+        await macStatus(update => update.status === "disconnected", { timeoutMs: GRACE_MS + 2000 });
+    });
+
+    it("declares the Mac disconnected once the grace period is over", async () => {
+        const mac = heartbeatMac();
+        await mac.connect();
+        const droppedAt = Date.now();
+        mac.disconnect();
+        await macStatus(update => update.status === "reconnecting");
+        await macStatus(update => update.status === "disconnected", { timeoutMs: GRACE_MS + 2000 });
+        assert.ok(Date.now() - droppedAt >= GRACE_MS - 50);
+        await until(async () => {
+            const { body } = await api(server.url, "GET", "/devices");
+            return body[0].online === false && body[0].presence === "disconnected";
+        }, { message: "the device list to show the Mac offline" });
+    });
+
+    it("keeps words queued while the Mac is reconnecting and delivers them when it is back", async () => {
+        const mac = heartbeatMac();
+        await mac.connect();
+        mac.disconnect();
+        await macStatus(update => update.status === "reconnecting");
+        web.emit("wordToMac", "during the blip");
+        await waitFor(web, "statusUpdate", update => update.type === "queue" && update.count === 1);
+        await mac.reconnect();
+        await mac.waitFor("wordToMac", word => word === "during the blip");
+        mac.disconnect();
+    });
+});
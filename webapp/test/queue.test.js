@@ -0,0 +1,117 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, login, connectWeb, waitFor, pairDevice, until, api } = require("./helpers");
+const { createMockMac } = require("./mockMac");
+
+// Words for an offline Mac are queued and delivered, in order, once it identifies.
+describe("command queue", () => {
+    let server, web, device;
+
+    const selectDevice = async (socket) => {
+        const selected = waitFor(socket, "deviceSelected");
+        socket.emit("selectDevice", device.deviceId);
+        await selected;
+    };
+    const queueStatus = (predicate) => waitFor(web, "statusUpdate", (update) => update.type === "queue" && predicate(update));
+    const words = (mac) => mac.events("wordToMac").map(([word]) => word);
+
+    before(async () => {
+        server = await startServer();
+        web = await connectWeb(server.url, await login(server.url));
+        device = await pairDevice(server.url, web);
+        await selectDevice(web);
+    });
+    after(async () => {
+        web.close();
+        await server.close();
+    });
+
+    it("refuses words over the API that a socket couldn't send either", async () => {
+        const send = (word) => api(server.url, "POST", `/devices/${device.deviceId}/commands`, { word });
+        assert.equal((await send("x".repeat(10001))).status, 400);
+        assert.equal((await send(" ")).status, 400);
+        const { body } = await api(server.url, "GET", `/devices/${device.deviceId}/queue`);
+        assert.equal(body.status.count, 0);
+    });
+
+    it("queues words while the Mac is offline and delivers them in order when it connects", async () => {
+        const queued = queueStatus(update => update.count === 2);
+        web.emit("wordToMac", "first");
+        web.emit("wordToMac", "second");
+        const [status] = await queued;
+        assert.equal(status.status, "queued");
+
+        const mac = createMockMac({ url: server.url, token: device.token });
+        const cleared = queueStatus(update => update.count === 0);
+        await mac.connect();
+        await cleared;
+
+        assert.deepEqual(words(mac), ["first", "second"]);
+        mac.events("wordToMac").forEach(([, meta]) => assert.ok(meta.commandId));
+        mac.disconnect();
+    });
+
+    it("redelivers a command the Mac never acknowledged after it reconnects", async () => {
+        const mac = createMockMac({ url: server.url, token: device.token, autoAck: false });
+        await mac.connect();
+        web.emit("wordToMac", "unacked");
+        const [, first] = await mac.waitFor("wordToMac", word => word === "unacked");
+
+        mac.disconnect();
+        mac.autoAck = true;
+        const cleared = queueStatus(update => update.count === 0);
+        await mac.reconnect();
+        await cleared;
+
+        const deliveries = mac.events("wordToMac").filter(([word]) => word === "unacked");
+        assert.equal(deliveries.length, 2);
+        assert.equal(deliveries[1][1].commandId, first.commandId);
+        mac.disconnect();
+    });
+
+    it("sends words to a Mac that can't ack once, spaced out, and counts them as delivered", async () => {
+        const mac = createMockMac({ url: server.url, token: device.token, hello: null, autoAck: false });
+        await mac.connect();
+        web.emit("wordToMac", "legacy one");
+        web.emit("wordToMac", "legacy two");
+        await mac.waitFor("wordToMac", word => word === "legacy one");
+        const firstAt = Date.now();
+        await mac.waitFor("wordToMac", word => word === "legacy two");
+        assert.ok(Date.now() - firstAt >= 2000, "the retry delay between words");
+        const { body } = await api(server.url, "GET", `/devices/${device.deviceId}/queue`);
+        assert.equal(body.status.count, 0);
+        // Besides the last word, which every Mac is sent when it identifies.
+        assert.deepEqual(mac.events("wordToMac").filter(([word]) => word.startsWith("legacy")), [["legacy one"], ["legacy two"]]);
+        mac.disconnect();
+    });
+
+    it("accepts acks sent as 'commandAck'", async () => {
+        const mac = createMockMac({ url: server.url, token: device.token, autoAck: false });
+        await mac.connect();
+        web.emit("wordToMac", "acked by event");
+        const [, { commandId }] = await mac.waitFor("wordToMac", word => word === "acked by event");
+        const cleared = queueStatus(update => update.count === 0);
+        mac.ackCommand(commandId);
+        await cleared;
+        mac.disconnect();
+    });
+
+    it("keeps queued commands across a server restart", async () => {
+        const queued = queueStatus(update => update.count === 1);
+        web.emit("wordToMac", "survivor");
+        await queued;
+
+        web.close();
+        await server.restart();
+        web = await connectWeb(server.url, await login(server.url));
+        await selectDevice(web);
+        const { body } = await api(server.url, "GET", `/devices/${device.deviceId}/queue`);
+        assert.deepEqual(body.pending.map(command => command.data), ["survivor"]);
+
+        const mac = createMockMac({ url: server.url, token: device.token });
+        await mac.connect();
+        await mac.waitFor("wordToMac", word => word === "survivor");
+        await until(async () => (await api(server.url, "GET", `/devices/${device.deviceId}/queue`)).body.status.count === 0, { message: "the queue to drain" });
+        mac.disconnect();
+    });
+});
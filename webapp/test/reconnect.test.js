@@ -0,0 +1,111 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, login, connectWeb, waitFor, pairDevice } = require("./helpers");
+const { createMockMac } = require("./mockMac");
+
+// What a Mac and a web client are sent when they come back.
+describe("reconnect state sync", () => {
+    let server, cookie, web, device;
+
+    const selectDevice = async (socket) => {
+        const selected = waitFor(socket, "deviceSelected");
+        socket.emit("selectDevice", device.deviceId);
+        await selected;
+    };
+
+    before(async () => {
+        server = await startServer();
+        cookie = await login(server.url);
+        web = await connectWeb(server.url, cookie);
+        device = await pairDevice(server.url, web);
+        await selectDevice(web);
+    });
+    after(async () => {
+        web.close();
+        await server.close();
+    });
+
+    it("sends a reconnecting Mac the word and stream settings chosen while it was away", async () => {
+        const mac = createMockMac({ url: server.url, token: device.token });
+        await mac.connect();
+        mac.disconnect();
+        await waitFor(web, "statusUpdate", update => update.type === "mac" && update.status === "disconnected");
+
+        web.emit("wordToMac", "while away");
+        web.emit("qualityChange", 42);
+        web.emit("frameRateChange", 12);
+        await waitFor(web, "statusUpdate", update => update.type === "queue" && update.count === 1);
+
+        await mac.reconnect();
+        await mac.waitFor("wordToMac", word => word === "while away");
+        await mac.waitFor("frameRateChange", frameRate => frameRate === 12);
+        assert.equal(mac.word, "while away");
+        assert.equal(mac.quality, 42);
+        assert.equal(mac.frameRate, 12);
+        await waitFor(web, "statusUpdate", update => update.type === "queue" && update.count === 0, { recorded: true });
+        mac.disconnect();
+    });
+
+    it("re-syncs the last word, without a command id, when nothing is queued", async () => {
+        const mac = createMockMac({ url: server.url, token: device.token });
+        await mac.connect();
+        const [word, meta] = await mac.waitFor("wordToMac");
+        assert.equal(word, "while away");
+        assert.equal(meta, undefined);
+        mac.disconnect();
+    });
+
+    it("sends the current clipboard as plain text to protocol 1 Macs", async () => {
+        const { entry } = await web.emitWithAck("clipboardWrite", { type: "text", content: "copied on the web" });
+        assert.equal(entry.content, "copied on the web");
+
+        const mac = createMockMac({ url: server.url, token: device.token, hello: null });
+        await mac.connect();
+        const [content] = await mac.waitFor("clipboardData");
+        assert.equal(content, "copied on the web");
+        assert.equal(mac.events("clipboardEntry").length, 0);
+        mac.disconnect();
+    });
+
+    it("sends the current clipboard entry to Macs with clipboard history", async () => {
+        const mac = createMockMac({ url: server.url, token: device.token, hello: { protocolVersion: 2, capabilities: ["clipboardHistory"] } });
+        await mac.connect();
+        const [entry] = await mac.waitFor("clipboardEntry");
+        assert.equal(entry.content, "copied on the web");
+        assert.equal(mac.events("clipboardData").length, 0);
+        mac.disconnect();
+    });
+
+    it("brings a reconnecting web client up to date when it selects the device", async () => {
+        const mac = createMockMac({ url: server.url, token: device.token });
+        await mac.connect();
+        mac.sendEmoji("🛰️");
+        mac.sendHtml("<html><body><p>mirrored</p></body></html>");
+        await waitFor(web, "htmlUpdate", update => update.version > 0);
+
+        const returning = await connectWeb(server.url, cookie);
+        await selectDevice(returning);
+        // Everything below is pushed right after 'deviceSelected'.
+        const latest = async (event, predicate = () => true) => (await waitFor(returning, event, predicate, { recorded: true }))[0];
+        assert.equal((await latest("statusUpdate", update => update.type === "mac")).status, "connected");
+        assert.deepEqual(await latest("streamSettings"), { quality: 42, frameRate: 12 });
+        assert.equal(await latest("emojiToWeb"), "🛰️");
+        assert.ok((await latest("htmlUpdate")).version > 0);
+        assert.equal((await latest("clipboardHistory"))[0].content, "copied on the web");
+        returning.close();
+        mac.disconnect();
+    });
+
+    it("drops the older socket when a Mac connects twice", async () => {
+        const first = createMockMac({ url: server.url, token: device.token });
+        await first.connect();
+        const dropped = new Promise(resolve => first.socket.once("disconnect", resolve));
+        const second = createMockMac({ url: server.url, token: device.token });
+        await second.connect();
+        await dropped;
+
+        web.emit("wordToMac", "to the newer socket");
+        await second.waitFor("wordToMac", word => word === "to the newer socket");
+        second.disconnect();
+    });
+});
@@ -0,0 +1,57 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startServer, login } = require("./helpers");
+
+// Recordings on disk, as the /recordings routes list and serve them.
+describe("recordings", () => {
+    let server;
+
+    const get = async (route, cookie) => fetch(`${server.url}${route}`, { headers: { cookie, accept: "application/json" } });
+
+    before(async () => {
+        server = await startServer();
+    });
+    after(async () => {
+        await server.close();
+    });
+
+    it("ends a recording a restart cut off at its last segment", async () => {
+        await server.stop();
+        const startedAt = Date.now() - 60 * 60 * 1000;
+        const id = `somedevice-${startedAt}`;
+        const directory = path.join(server.stateDirectory, "recordings", id);
+        fs.mkdirSync(directory, { recursive: true });
+        const segment = path.join(directory, "segment-0001.bin");
+        fs.writeFileSync(segment, Buffer.alloc(16));
+        fs.utimesSync(segment, new Date(startedAt + 5000), new Date(startedAt + 5000));
+        const frames = [{ t: 0, offset: 0, length: 8, type: 1 }, { t: 3000, offset: 8, length: 8, type: 2 }];
+        fs.writeFileSync(path.join(directory, "index.json"), JSON.stringify({ id, deviceId: "somedevice", deviceName: "Mac", startedBy: "tester", startedAt, endedAt: null, segments: [{ number: 1, startedAt: 0, bytes: 16, frames }] }));
+        await server.start();
+
+        const [recording] = await (await get("/recordings", await login(server.url))).json();
+        assert.equal(recording.id, id);
+        assert.equal(recording.endedAt, startedAt + 5000);
+        assert.equal(recording.durationMs, 5000);
+    });
+});
+
+describe("recordings for viewers", () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ BRIDGE_VIEWERS: "tester" });
+    });
+    after(async () => {
+        await server.close();
+    });
+
+    it("are refused", async () => {
+        const cookie = await login(server.url);
+        for (const route of ["/recordings", "/recordings/any/index", "/recordings/any/segments/1", "/recordings/any/export"]) {
+            const response = await fetch(`${server.url}${route}`, { headers: { cookie } });
+            assert.equal(response.status, 403, route);
+        }
+    });
+});
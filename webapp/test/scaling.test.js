@@ -0,0 +1,283 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { startServer, login, connectWeb, waitFor, until, api, delay } = require("./helpers");
+const { createMockMac } = require("./mockMac");
+const { createFakeRedis } = require("./fakeRedis");
+
+/**
+ * Two instances sharing a fake Redis, signed in on A, a browser watching from B, and a
+ * device paired through A with a code made on B. What one instance writes reaches the
+ * other a moment later, hence the retries.
+ */
+async function startInstances() {
+    const redis = await createFakeRedis();
+    const serverA = await startServer({ BROKER_URL: redis.url });
+    const serverB = await startServer({ BROKER_URL: redis.url });
+    const cookie = await login(serverA.url);
+    const web = await until(() => connectWeb(serverB.url, cookie).catch(() => null), { message: "B to know the session" });
+    const pairing = waitFor(web, "pairingCode");
+    web.emit("createPairingCode");
+    const [{ code }] = await pairing;
+    const device = await until(async () => {
+        const response = await fetch(`${serverA.url}/pair`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ code, name: "Test Mac" }) });
+        return response.ok && response.json();
+    }, { message: "A to know the pairing code" });
+    await select(web, device);
+    return { redis, serverA, serverB, cookie, web, device };
+}
+
+const select = (web, device) => until(async () => {
+    const selected = waitFor(web, "deviceSelected");
+    web.emit("selectDevice", device.deviceId);
+    const [{ deviceId }] = await selected;
+    return deviceId;
+}, { message: "the instance to know the device" });
+
+// Two instances sharing a broker act as one server, and one can be stopped without losing commands.
+describe("multiple instances", () => {
+    let redis, serverA, serverB, web, device;
+
+    const macStatus = (predicate) => waitFor(web, "statusUpdate", update => update.type === "mac" && predicate(update));
+    const queue = async (server) => (await api(server.url, "GET", `/devices/${device.deviceId}/queue`)).body;
+
+    before(async () => {
+        ({ redis, serverA, serverB, web, device } = await startInstances());
+    });
+    after(async () => {
+        web.close();
+        await serverA.close();
+        await serverB.close();
+        await redis.close();
+    });
+
+    it("shares sign-ins and paired devices", async () => {
+        await until(async () => (await api(serverB.url, "GET", "/devices")).body.length === 1, { message: "B to know the device" });
+        assert.equal((await api(serverB.url, "GET", "/devices")).body[0].id, device.deviceId);
+        assert.ok(redis.hashes.get("bridge:sessions").size > 0);
+        // B keeps its own state files up to date, to run alone again later.
+        const saved = JSON.parse(fs.readFileSync(path.join(serverB.stateDirectory, "devices.json"), "utf8"));
+        assert.deepEqual(saved.map(d => d.id), [device.deviceId]);
+    });
+
+    it("shows a Mac connected to one instance to viewers on the other and delivers their words to it", async () => {
+        const mac = createMockMac({ url: serverA.url, token: device.token });
+        const connected = macStatus(update => update.status === "connected");
+        await mac.connect();
+        await connected;
+        assert.equal((await api(serverB.url, "GET", `/devices/${device.deviceId}`)).body.mac, "connected");
+
+        web.emit("wordToMac", "across");
+        await mac.waitFor("wordToMac", word => word === "across");
+        await until(async () => (await queue(serverB)).status.count === 0, { message: "the queue to drain" });
+
+        const disconnected = macStatus(update => update.status === "disconnected");
+        mac.disconnect();
+        await disconnected;
+    });
+
+    it("passes a Mac's frames to another instance only while it has viewers of them", async () => {
+        const mac = createMockMac({ url: serverA.url, token: device.token });
+        const connected = macStatus(update => update.status === "connected");
+        await mac.connect();
+        await connected;
+        const frameSubscribers = () => (redis.subscribers.get(`bridge:frames#${device.deviceId}`) || new Set()).size;
+        assert.equal(frameSubscribers(), 0);
+
+        web.on("screenFrame", (buffer, ack) => ack && ack());
+        web.emit("subscribeStream", true);
+        await until(() => frameSubscribers() === 1, { message: "B to subscribe to the frames" });
+        const frame = waitFor(web, "screenFrame");
+        mac.sendFrame();
+        const [buffer] = await frame;
+        assert.ok(buffer.byteLength > 0);
+
+        web.emit("subscribeStream", false);
+        await until(() => frameSubscribers() === 0, { message: "B to unsubscribe" });
+        const disconnected = macStatus(update => update.status === "disconnected");
+        mac.disconnect();
+        await disconnected;
+    });
+
+    it("hands a Mac over to another instance on shutdown without losing queued commands", async () => {
+        const mac = createMockMac({ url: serverA.url, token: device.token, autoAck: false });
+        await mac.connect();
+        web.emit("wordToMac", "in flight");
+        await mac.waitFor("wordToMac", word => word === "in flight");
+
+        const dropped = new Promise(resolve => mac.socket.once("disconnect", resolve));
+        await serverA.stop();
+        assert.equal(await dropped, "transport close"); // Not a server-side disconnect: the client reconnects
+        web.emit("wordToMac", "while away");
+        await until(async () => (await queue(serverB)).status.count === 2, { message: "both words to be queued" });
+
+        const moved = createMockMac({ url: serverB.url, token: device.token });
+        const connected = macStatus(update => update.status === "connected");
+        await moved.connect();
+        await connected;
+        await moved.waitFor("wordToMac", word => word === "while away");
+        assert.deepEqual(moved.events("wordToMac").map(([word]) => word), ["in flight", "while away"]);
+        await until(async () => (await queue(serverB)).status.count === 0, { message: "the queue to drain" });
+        moved.disconnect();
+    });
+});
+
+// Viewers of one Mac see and change the same things whichever instance they reach.
+describe("viewers on different instances", () => {
+    let redis, serverA, serverB, cookie, webA, webB, device, mac;
+
+    before(async () => {
+        ({ redis, serverA, serverB, cookie, web: webB, device } = await startInstances());
+        webA = await connectWeb(serverA.url, cookie);
+        await select(webA, device);
+        mac = createMockMac({ url: serverA.url, token: device.token, hello: { protocolVersion: 2, capabilities: ["commandAck", "remoteInput", "fileTransfer"] } });
+        const connected = waitFor(webB, "statusUpdate", update => update.type === "mac" && update.status === "connected");
+        await mac.connect();
+        await connected;
+    });
+    after(async () => {
+        mac.disconnect();
+        webA.close();
+        webB.close();
+        await serverA.close();
+        await serverB.close();
+        await redis.close();
+    });
+
+    it("hold input control one at a time, and only the holder's input reaches the Mac", async () => {
+        const outcome = (web) => waitFor(web, "controlLock", lock => lock.denied || (lock.holder && lock.holder.socketId === web.id));
+        const outcomes = Promise.all([outcome(webA), outcome(webB)]);
+        webA.emit("requestControl");
+        webB.emit("requestControl");
+        const granted = (await outcomes).map(([lock]) => !lock.denied);
+        assert.equal(granted.filter(Boolean).length, 1);
+        const [holder, other] = granted[0] ? [webA, webB] : [webB, webA];
+
+        const refused = waitFor(other, "controlLock", lock => lock.denied);
+        other.emit("inputEvent", { type: "pointer", action: "down", button: 0, nx: 0.1, ny: 0.1 });
+        await refused;
+        holder.emit("inputEvent", { type: "pointer", action: "down", button: 0, nx: 0.5, ny: 0.5 });
+        await mac.waitFor("inputEvent");
+        assert.deepEqual(mac.events("inputEvent").map(([input]) => input.nx), [0.5]);
+
+        // A viewer on B takes over once it is free, and its input crosses to A.
+        const released = waitFor(webB, "controlLock", lock => lock.holder === null);
+        holder.emit("releaseControl");
+        await released;
+        const taken = waitFor(webB, "controlLock", lock => lock.holder && lock.holder.socketId === webB.id);
+        webB.emit("requestControl");
+        await taken;
+        webB.emit("inputEvent", { type: "pointer", action: "up", button: 0, nx: 0.25, ny: 0.25 });
+        await mac.waitFor("inputEvent", input => input.action === "up");
+        webB.emit("releaseControl");
+    });
+
+    it("get the Mac's pages, and patches between them, from any instance", async () => {
+        const page = (word) => `<html><head></head><body><p>${word}</p><ul>${"<li>an item that stays</li>".repeat(20)}</ul></body></html>`;
+        const first = waitFor(webB, "htmlUpdate", update => update.version === 1);
+        mac.sendHtml(page("first"));
+        await first;
+        const patched = waitFor(webB, "htmlUpdate", update => update.version === 2);
+        mac.sendHtml(page("second"));
+        const [update] = await patched;
+        assert.deepEqual([update.patch.from, update.patch.to], [1, 2]);
+
+        const mirrored = await fetch(`${serverB.url}/mirror/${device.deviceId}`, { headers: { cookie } });
+        assert.equal(mirrored.status, 200);
+        assert.match(await mirrored.text(), /<p>second<\/p>/);
+        const history = await (await fetch(`${serverB.url}/mirror/${device.deviceId}/history`, { headers: { cookie } })).json();
+        assert.deepEqual(history.map(snapshot => snapshot.version), [2, 1]);
+    });
+
+    it("share one clipboard history, versioned in one place", async () => {
+        const write = (web, content, baseVersion) => new Promise(resolve => web.emit("clipboardWrite", { type: "text", content, baseVersion }, resolve));
+        assert.equal((await write(webB, "from B", 0)).entry.version, 1);
+        assert.equal((await write(webA, "from A", 0)).conflict.version, 1);
+        assert.equal((await write(webA, "from A", 1)).entry.version, 2);
+        await mac.waitFor("clipboardData", content => content === "from A");
+        await until(async () => (await api(serverB.url, "GET", `/devices/${device.deviceId}/clipboard`)).body.length === 2, { message: "B to have both entries" });
+
+        // A Mac that reconnects through B gets the newest entry.
+        const moved = createMockMac({ url: serverB.url, token: device.token });
+        const away = waitFor(webB, "statusUpdate", update => update.type === "mac" && update.status === "disconnected");
+        mac.disconnect();
+        await away;
+        await moved.connect();
+        assert.deepEqual(await moved.waitFor("clipboardData"), ["from A"]);
+        const back = waitFor(webB, "statusUpdate", update => update.type === "mac" && update.status === "disconnected");
+        moved.disconnect();
+        await back;
+        const connected = waitFor(webB, "statusUpdate", update => update.type === "mac" && update.status === "connected");
+        await mac.reconnect();
+        await connected;
+    });
+
+    it("keep a session's annotations while anyone on any instance watches", async () => {
+        const added = waitFor(webA, "annotationAdded");
+        webB.emit("annotationAdd", { tool: "box", points: [[0.1, 0.1], [0.2, 0.2]] });
+        const [shape] = await added;
+
+        // B has no viewers left, but A does.
+        webB.close();
+        await delay(500);
+        webB = await connectWeb(serverB.url, cookie);
+        const state = waitFor(webB, "annotations");
+        await select(webB, device);
+        const [{ shapes }] = await state;
+        assert.deepEqual(shapes.map(s => s.id), [shape.id]);
+    });
+
+    it("pass files on through the instance holding them", async () => {
+        const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+        const chunkBytes = 512 * 1024;
+
+        // Uploaded to B, pulled by the Mac from A.
+        const toMac = crypto.randomBytes(chunkBytes + 1000);
+        const { transfer } = await webB.emitWithAck("transferStart", { name: "to-mac.bin", size: toMac.length, sha256: sha256(toMac) });
+        for (let received = 0; received < toMac.length;) {
+            ({ received } = await webB.emitWithAck("transferChunk", { id: transfer.id, offset: received, data: toMac.subarray(received, received + chunkBytes) }));
+        }
+        await mac.waitFor("fileAvailable", file => file.id === transfer.id);
+        const pulled = [];
+        for (let offset = 0; offset < toMac.length;) {
+            const { data } = await mac.socket.emitWithAck("fileChunkRequest", { id: transfer.id, offset, length: chunkBytes });
+            pulled.push(data);
+            offset += data.length;
+        }
+        assert.ok(Buffer.concat(pulled).equals(toMac));
+        const delivered = waitFor(webB, "transferProgress", progress => progress.id === transfer.id && progress.status === "complete");
+        mac.socket.emit("fileReceived", { id: transfer.id, ok: true });
+        await delivered;
+
+        // Uploaded by the Mac to A, downloaded from B.
+        const toWeb = Buffer.from("from the Mac on A");
+        const { transfer: upload } = await mac.socket.emitWithAck("transferStart", { name: "from-mac.txt", size: toWeb.length, sha256: sha256(toWeb) });
+        await mac.socket.emitWithAck("transferChunk", { id: upload.id, offset: 0, data: toWeb });
+        const download = (headers = {}) => fetch(`${serverB.url}/transfers/${upload.id}/download`, { headers: { cookie, ...headers } });
+        const response = await until(async () => {
+            const attempt = await download();
+            return attempt.ok && attempt;
+        }, { message: "B to know the upload is complete" });
+        assert.equal(await response.text(), toWeb.toString());
+        assert.match(response.headers.get("content-disposition"), /from-mac\.txt/);
+        const partial = await download({ range: "bytes=5-7" });
+        assert.equal(partial.status, 206);
+        assert.equal(await partial.text(), "the");
+    });
+
+    it("find every instance's audit entries on any instance", async () => {
+        // Queued on B, delivered to the Mac on A.
+        webB.emit("wordToMac", "audited across");
+        await mac.waitFor("wordToMac", word => word === "audited across");
+        const search = async (server) => (await api(server.url, "GET", "/audit?event=wordToMac&outcome=queued")).body.find(entry => entry.summary === "audited across");
+        for (const server of [serverA, serverB]) {
+            const queued = await until(async () => {
+                const entry = await search(server);
+                return entry && entry.delivery === "delivered" && entry;
+            }, { message: "the delivery to be joined" });
+            assert.deepEqual(queued.actor, { kind: "user", name: "tester", role: "controller", via: "socket" });
+        }
+    });
+});
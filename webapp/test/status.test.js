@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, login, connectWeb, waitFor, pairDevice, delay } = require("./helpers");
+const { createMockMac } = require("./mockMac");
+
+// What the Mac sends, and its connection status, reaching the right web clients.
+describe("status broadcasts", () => {
+    let server, cookie, web, device, other, mac;
+
+    const selectDevice = async (socket, deviceId) => {
+        const selected = waitFor(socket, "deviceSelected");
+        socket.emit("selectDevice", deviceId);
+        await selected;
+    };
+    const online = (list, deviceId) => list.find(d => d.id === deviceId).online;
+
+    before(async () => {
+        server = await startServer();
+        cookie = await login(server.url);
+        web = await connectWeb(server.url, cookie);
+        device = await pairDevice(server.url, web, "Watched Mac");
+        await pairDevice(server.url, web, "Other Mac");
+        await selectDevice(web, device.deviceId);
+        other = await connectWeb(server.url, cookie);
+        mac = createMockMac({ url: server.url, token: device.token });
+    });
+    after(async () => {
+        web.close();
+        other.close();
+        mac.disconnect();
+        await server.close();
+    });
+
+    it("tells viewers and the device list when the Mac connects and disconnects", async () => {
+        const connected = waitFor(web, "statusUpdate", update => update.type === "mac" && update.status === "connected");
+        const listedOnline = waitFor(other, "deviceList", list => online(list, device.deviceId));
+        await mac.connect();
+        const [update] = await connected;
+        assert.equal(update.deviceId, device.deviceId);
+        await listedOnline;
+
+        const disconnected = waitFor(web, "statusUpdate", update => update.type === "mac" && update.status === "disconnected");
+        const listedOffline = waitFor(other, "deviceList", list => !online(list, device.deviceId));
+        mac.disconnect();
+        await disconnected;
+        await listedOffline;
+        // The other client has not selected this device, so only the device list reaches it.
+        assert.equal(other.received.filter(r => r.event === "statusUpdate").length, 0);
+
+        await mac.reconnect();
+    });
+
+    it("relays the Mac's emoji and HTML to the viewers of that device only", async () => {
+        const emoji = waitFor(web, "emojiToWeb", value => value === "🎯");
+        mac.sendEmoji("🎯");
+        await emoji;
+
+        const html = waitFor(web, "htmlUpdate", update => update.version > 0);
+        mac.sendHtml("<html><head><title>Broadcast</title></head><body>hello</body></html>");
+        const [update] = await html;
+        assert.equal(update.deviceId, device.deviceId);
+
+        await delay(100);
+        assert.ok(!other.received.some(r => r.event === "emojiToWeb" || r.event === "htmlUpdate"));
+    });
+
+    it("sends screen frames to stream subscribers", async () => {
+        const viewer = await connectWeb(server.url, cookie);
+        viewer.on("screenFrame", (buffer, ack) => ack && ack());
+        await selectDevice(viewer, device.deviceId);
+        viewer.emit("subscribeStream", true);
+        const frame = waitFor(viewer, "screenFrame");
+        mac.sendFrame();
+        const [buffer] = await frame;
+        assert.ok(buffer.byteLength > 0);
+        viewer.close();
+
+        await delay(100);
+        assert.ok(!web.received.some(r => r.event === "screenFrame"), "not subscribed");
+    });
+
+    it("shares stream settings with the Mac and the other viewers", async () => {
+        await selectDevice(other, device.deviceId);
+        const shared = waitFor(other, "streamSettings", settings => settings.quality === 64);
+        web.emit("qualityChange", 64);
+        await shared;
+        await mac.waitFor("qualityChange", quality => quality === 64);
+    });
+
+    it("reports protocol errors back to the sender", async () => {
+        const reported = waitFor(web, "protocolError", error => error.event === "qualityChange");
+        web.emit("qualityChange", "high");
+        const [error] = await reported;
+        assert.equal(error.code, "invalid_payload");
+    });
+});
@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { startServer, login, connectWeb, waitFor, pairDevice, until } = require("./helpers");
+const { createMockMac } = require("./mockMac");
+
+// Chunked file transfers between browsers and Macs, and how they survive restarts.
+describe("file transfers", () => {
+    let server, web, device;
+
+    const transfersDirectory = () => path.join(server.stateDirectory, "transfers");
+    const savedTransfers = () => JSON.parse(fs.readFileSync(path.join(transfersDirectory(), "transfers.json"), "utf8"));
+
+    before(async () => {
+        server = await startServer();
+        web = await connectWeb(server.url, await login(server.url));
+        device = await pairDevice(server.url, web);
+    });
+    after(async () => {
+        web.close();
+        await server.close();
+    });
+
+    // Leaves a transfer that was being verified when the server stopped, with or without its data.
+    const interruptVerification = async (data, { keepData = true } = {}) => {
+        web.close();
+        await server.stop();
+        const transfer = {
+            id: crypto.randomUUID(),
+            deviceId: device.deviceId,
+            direction: "toMac",
+            name: "notes.txt",
+            size: data.length,
+            sha256: crypto.createHash("sha256").update(data).digest("hex"),
+            mimeType: "text/plain",
+            createdBy: "tester",
+            createdAt: Date.now(),
+            received: data.length,
+            delivered: 0,
+            status: "verifying",
+            error: null,
+            completedAt: null,
+        };
+        fs.mkdirSync(transfersDirectory(), { recursive: true });
+        if (keepData) fs.writeFileSync(path.join(transfersDirectory(), `${transfer.id}.data`), data);
+        fs.writeFileSync(path.join(transfersDirectory(), "transfers.json"), JSON.stringify([transfer]));
+        await server.start();
+        web = await connectWeb(server.url, await login(server.url));
+    };
+
+    it("finishes a verification a restart interrupted", async () => {
+        await interruptVerification(Buffer.from("interrupted while verifying"));
+        await until(() => savedTransfers()[0].status === "ready", { message: "the transfer to be verified" });
+    });
+
+    it("fails a transfer whose file can't be read for verification", async () => {
+        await interruptVerification(Buffer.from("deleted while verifying"), { keepData: false });
+        const transfer = await until(() => savedTransfers().find(t => t.status !== "verifying"), { message: "the verification to end" });
+        assert.equal(transfer.status, "failed");
+        assert.match(transfer.error, /ENOENT/);
+        assert.equal(server.child.exitCode, null);
+    });
+
+    it("only takes chunks of an upload from the side sending it", async () => {
+        const mac = createMockMac({ url: server.url, token: device.token });
+        await mac.connect();
+        const selected = waitFor(web, "deviceSelected");
+        web.emit("selectDevice", device.deviceId);
+        await selected;
+
+        const data = Buffer.from("from the Mac");
+        const sha256 = crypto.createHash("sha256").update(data).digest("hex");
+        const { transfer } = await mac.socket.emitWithAck("transferStart", { name: "mac.txt", size: data.length, sha256 });
+        assert.equal(transfer.direction, "toWeb");
+
+        const forged = await web.emitWithAck("transferChunk", { id: transfer.id, offset: 0, data: Buffer.from("from a browser") });
+        assert.equal(forged.error, "Unknown transfer.");
+        assert.deepEqual(await mac.socket.emitWithAck("transferChunk", { id: transfer.id, offset: 0, data }), { received: data.length });
+        await until(() => savedTransfers().find(t => t.id === transfer.id && t.status === "complete"), { message: "the upload to complete" });
+        mac.disconnect();
+    });
+});
@@ -8,4 +8,8 @@ docker rm macos-remote-service 2>/dev/null
 docker build -t macos-remote-service .
 
 # Run the container with port mapping 80:3000
-docker run -d --name macos-remote-service -p 80:3000 macos-remote-service
+# Paired devices, settings, histories, queues, transfers and recordings live in the
+# "macos-remote-state" volume so they survive redeploys. config/ holds the optional
+# bridge.json; edit it here and it is reloaded without a restart.
+mkdir -p config
+docker run -d --name macos-remote-service -p 80:3000 -v macos-remote-state:/usr/src/app/state -v "$(pwd)/config:/usr/src/app/config:ro" macos-remote-service